@@ -0,0 +1,36 @@
+/**
+ * Example tool plugin: get_app_overview
+ *
+ * Load it with TOOL_PLUGINS_DIR=examples/tool-plugins. Everything about
+ * the tool lives in this one file: the schema the AI sees, whether it
+ * writes data, how long it may run and what it does.
+ */
+
+module.exports = {
+  name: 'get_app_overview',
+  description:
+    'Summarize the current Fliplet app in one call: each data source with its id and ' +
+    'number of columns, plus how many folders and files are at the top of the media library. ' +
+    'Use this for broad questions like "what is in this app?".',
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: [],
+    additionalProperties: false,
+  },
+  timeoutMs: 30000,
+
+  async handler(args, { client }) {
+    const [dataSources, media] = await Promise.all([client.listDataSources(), client.listMedia()]);
+
+    return {
+      appId: client.appId,
+      dataSources: dataSources.map((dataSource) => ({
+        id: dataSource.id,
+        name: dataSource.name,
+        columnCount: (dataSource.columns || []).length,
+      })),
+      media: { folders: (media.folders || []).length, files: (media.files || []).length },
+    };
+  },
+};
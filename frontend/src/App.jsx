@@ -4,8 +4,21 @@
  * Manages all application state:
  *   - messages[]   — conversation history rendered in the UI
  *   - sessionId    — ties this browser tab to a server-side ChatEngine
- *   - isLoading    — disables input while AI is thinking
+ *   - isLoading    — disables input while AI is thinking or streaming
  *   - error        — displayed in an error banner
+ *   - pendingActions — data changes proposed by the AI, awaiting approval
+ *   - user / needsLogin — who is signed in, and whether the server asked for sign-in
+ *   - apps / appId — the Fliplet apps the server can query, and the one this conversation is about
+ *
+ * On load, a session ID kept in sessionStorage is used to fetch that
+ * session's transcript from the server, so a page refresh redraws the
+ * conversation instead of showing an empty chat.
+ *
+ * Switching app starts a new conversation: a server-side session stays
+ * on the app it began with.
+ *
+ * When the server requires authentication, any 401 swaps the chat for the
+ * sign-in form; the credential is kept in sessionStorage for this tab.
  *
  * Follows React best practices:
  *   - State lifted to the top, passed down as props
@@ -16,14 +29,40 @@
 import { useState, useCallback, useEffect } from 'react';
 import ChatWindow from './components/ChatWindow';
 import ErrorBoundary from './components/ErrorBoundary';
-import { sendMessage, resetSession } from './services/api';
+import LoginForm from './components/LoginForm';
+import {
+  streamMessage,
+  resetSession,
+  confirmAction,
+  rejectAction,
+  getSessionHistory,
+  getCurrentUser,
+  getApps,
+  setAuthToken,
+  AuthRequiredError,
+} from './services/api';
 
 /** Generate a unique ID for each message (for React keys) */
 const uid = () => crypto.randomUUID();
 
+/** Parse streamed tool arguments (a JSON string) for display; tolerate bad JSON */
+const parseArguments = (json) => {
+  try {
+    return JSON.parse(json);
+  } catch {
+    return {};
+  }
+};
+
 /** Session storage key for persisting session ID across page refreshes */
 const SESSION_KEY = 'fliplet-chat-session-id';
 
+/** Session storage key for the app picked in the switcher */
+const APP_KEY = 'fliplet-chat-app-id';
+
+/** Session storage key for the API key or access token used to sign in */
+const AUTH_KEY = 'fliplet-chat-auth-token';
+
 export default function App() {
   // ---------------------------------------------------------------
   // State — sessionId restored from sessionStorage when available
@@ -32,6 +71,14 @@ export default function App() {
   const [sessionId, setSessionId] = useState(() => sessionStorage.getItem(SESSION_KEY));
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [pendingActions, setPendingActions] = useState([]);
+  const [isResolvingAction, setIsResolvingAction] = useState(false);
+  const [user, setUser] = useState(null);
+  const [needsLogin, setNeedsLogin] = useState(false);
+  const [loginError, setLoginError] = useState(null);
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [apps, setApps] = useState([]);
+  const [appId, setAppId] = useState(() => sessionStorage.getItem(APP_KEY));
 
   // Persist sessionId to sessionStorage whenever it changes
   useEffect(() => {
@@ -42,54 +89,195 @@ export default function App() {
     }
   }, [sessionId]);
 
+  // Persist the chosen app the same way
+  useEffect(() => {
+    if (appId) {
+      sessionStorage.setItem(APP_KEY, appId);
+    } else {
+      sessionStorage.removeItem(APP_KEY);
+    }
+  }, [appId]);
+
+  // Use the stored credential (if any) and find out whether the server wants sign-in
+  useEffect(() => {
+    setAuthToken(sessionStorage.getItem(AUTH_KEY));
+    getCurrentUser()
+      .then((data) => setUser(data.user))
+      .catch((err) => {
+        // Other failures (e.g. server down) surface when the user sends a message
+        if (err instanceof AuthRequiredError) setNeedsLogin(true);
+      });
+  }, []);
+
+  // Load the apps for the switcher (on load, and after signing in)
+  useEffect(() => {
+    if (needsLogin) return;
+
+    let cancelled = false;
+    getApps()
+      .then((data) => {
+        if (cancelled) return;
+        setApps(data.apps);
+        // Keep a still-valid choice, otherwise fall back to the server's default
+        setAppId((current) => (data.apps.some((app) => app.id === current) ? current : data.defaultAppId));
+      })
+      .catch((err) => {
+        // Otherwise non-critical — the switcher just stays hidden
+        if (!cancelled && err instanceof AuthRequiredError) setNeedsLogin(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [needsLogin]);
+
+  // Restore the visible transcript of a stored session (on load, and after signing in)
+  useEffect(() => {
+    const storedSessionId = sessionStorage.getItem(SESSION_KEY);
+    if (!storedSessionId || needsLogin) return;
+
+    let cancelled = false;
+    getSessionHistory(storedSessionId)
+      .then((history) => {
+        if (cancelled) return;
+
+        // The server no longer knows this session — start over cleanly
+        if (!history) {
+          setSessionId((current) => (current === storedSessionId ? null : current));
+          return;
+        }
+
+        // The session decides which app the conversation is about
+        if (history.appId) setAppId(history.appId);
+
+        const restored = history.messages.map((m) => ({ id: uid(), ...m }));
+        // Never overwrite a conversation the user started while this was loading
+        setMessages((prev) => (prev.length === 0 ? restored : prev));
+        setPendingActions((prev) => (prev.length === 0 ? history.pendingActions || [] : prev));
+      })
+      .catch((err) => {
+        // Otherwise non-critical — the session still works, only the old messages aren't shown
+        if (!cancelled && err instanceof AuthRequiredError) setNeedsLogin(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [needsLogin]);
+
   // ---------------------------------------------------------------
   // Handlers
   // ---------------------------------------------------------------
 
   /**
-   * Send a message to the backend and append both the user message
-   * and AI response to the conversation.
+   * Send a message to the backend and stream the AI response into a
+   * new assistant bubble as chunks arrive.
    */
   const handleSend = useCallback(
     async (text) => {
-      // Clear any previous error
+      // Clear any previous error; the server discards unapproved proposals on a new message
       setError(null);
+      setPendingActions([]);
 
       // 1. Append user message immediately (optimistic UI)
       const userMsg = { id: uid(), role: 'user', content: text };
       setMessages((prev) => [...prev, userMsg]);
       setIsLoading(true);
 
+      // The assistant bubble is created lazily on the first text chunk
+      const aiId = uid();
+      const upsertAiMessage = (update) =>
+        setMessages((prev) => {
+          const existing = prev.find((m) => m.id === aiId);
+          if (!existing) {
+            return [...prev, { id: aiId, role: 'assistant', content: '', ...update(null) }];
+          }
+          return prev.map((m) => (m.id === aiId ? { ...m, ...update(m) } : m));
+        });
+
       try {
-        // 2. Call backend
-        const data = await sendMessage(text, sessionId);
+        // 2. Call backend, rendering text deltas as they stream in
+        const data = await streamMessage(text, sessionId, {
+          appId,
+          onEvent: (event) => {
+            // Store session ID as soon as the server assigns it (first message creates it)
+            if (event.event === 'session' && !sessionId) {
+              setSessionId(event.sessionId);
+            }
+            if (event.event === 'session' && event.appId) {
+              setAppId(event.appId);
+            }
+            if (event.event === 'text') {
+              upsertAiMessage((m) => ({ content: (m?.content || '') + event.delta, streaming: true }));
+            }
+            // Live lookup timeline: add a running entry, then swap in the finished record
+            if (event.event === 'tool_call') {
+              const call = { id: event.id, name: event.name, arguments: parseArguments(event.arguments), status: 'running' };
+              upsertAiMessage((m) => ({ toolCalls: [...(m?.toolCalls || []), call] }));
+            }
+            if (event.event === 'pending_action') {
+              setPendingActions((prev) => [...prev, event.action]);
+            }
+            if (event.event === 'tool_result') {
+              const { event: _name, type: _type, ...record } = event;
+              upsertAiMessage((m) => ({
+                toolCalls: (m?.toolCalls || []).map((c) => (c.id === record.id ? record : c)),
+              }));
+            }
+          },
+        });
 
-        // 3. Store session ID (first message creates it)
         if (!sessionId) {
           setSessionId(data.sessionId);
         }
 
-        // 4. Append AI response
-        const aiMsg = { id: uid(), role: 'assistant', content: data.response };
-        setMessages((prev) => [...prev, aiMsg]);
+        // 3. Replace the streamed text with the authoritative final answer
+        upsertAiMessage(() => ({ content: data.response, streaming: false }));
       } catch (err) {
+        // Drop any half-streamed bubble so Retry starts clean
+        setMessages((prev) => prev.filter((m) => m.id !== aiId));
+        if (err instanceof AuthRequiredError) setNeedsLogin(true);
         setError(err.message || 'Something went wrong. Please try again.');
       } finally {
         setIsLoading(false);
       }
     },
+    [sessionId, appId]
+  );
+
+  /**
+   * Approve or reject a proposed data change, then show the outcome
+   * as an assistant message.
+   */
+  const handleResolveAction = useCallback(
+    async (actionId, decision) => {
+      setError(null);
+      setIsResolvingAction(true);
+
+      try {
+        const resolve = decision === 'confirm' ? confirmAction : rejectAction;
+        const outcome = await resolve(actionId, sessionId);
+
+        setPendingActions((prev) => prev.filter((a) => a.id !== actionId));
+        setMessages((prev) => [...prev, { id: uid(), role: 'assistant', content: outcome.message }]);
+      } catch (err) {
+        if (err instanceof AuthRequiredError) setNeedsLogin(true);
+        setError(err.message || 'Something went wrong. Please try again.');
+      } finally {
+        setIsResolvingAction(false);
+      }
+    },
     [sessionId]
   );
 
+  const handleConfirmAction = useCallback((actionId) => handleResolveAction(actionId, 'confirm'), [handleResolveAction]);
+  const handleRejectAction = useCallback((actionId) => handleResolveAction(actionId, 'reject'), [handleResolveAction]);
+
   /**
-   * Reset the conversation — clears local messages and tells
+   * Drop the current conversation — clears local messages and tells
    * the server to discard the session's history.
    */
-  const handleReset = useCallback(async () => {
-    // Confirm before discarding conversation
-    if (messages.length > 0 && !window.confirm('Start a new conversation? Current chat will be lost.')) {
-      return;
-    }
+  const discardConversation = useCallback(async () => {
     if (sessionId) {
       try {
         await resetSession(sessionId);
@@ -98,9 +286,75 @@ export default function App() {
       }
     }
     setMessages([]);
+    setPendingActions([]);
+    setSessionId(null);
+    setError(null);
+  }, [sessionId]);
+
+  /** Reset the conversation, after confirming if there is one to lose */
+  const handleReset = useCallback(async () => {
+    // Confirm before discarding conversation
+    if (messages.length > 0 && !window.confirm('Start a new conversation? Current chat will be lost.')) {
+      return;
+    }
+    await discardConversation();
+  }, [discardConversation, messages.length]);
+
+  /**
+   * Switch to another app. The server keeps a session on the app it
+   * started with, so this starts a new conversation.
+   */
+  const handleSwitchApp = useCallback(
+    async (nextAppId) => {
+      if (nextAppId === appId) return;
+      if (
+        messages.length > 0 &&
+        !window.confirm('Switch app? This starts a new conversation and the current chat will be lost.')
+      ) {
+        return;
+      }
+      await discardConversation();
+      setAppId(nextAppId);
+    },
+    [appId, discardConversation, messages.length]
+  );
+
+  /**
+   * Check a credential with the server and, if accepted, keep it for
+   * this tab and return to the chat.
+   */
+  const handleLogin = useCallback(async (credential) => {
+    setLoginError(null);
+    setIsSigningIn(true);
+    setAuthToken(credential);
+
+    try {
+      const data = await getCurrentUser();
+      sessionStorage.setItem(AUTH_KEY, credential);
+      setUser(data.user);
+      setError(null);
+      setNeedsLogin(false);
+    } catch (err) {
+      setAuthToken(null);
+      setLoginError(
+        err instanceof AuthRequiredError ? 'That API key or token was not accepted.' : err.message
+      );
+    } finally {
+      setIsSigningIn(false);
+    }
+  }, []);
+
+  /** Sign out — forget the credential and this tab's conversation */
+  const handleSignOut = useCallback(() => {
+    setAuthToken(null);
+    sessionStorage.removeItem(AUTH_KEY);
+    setUser(null);
+    setMessages([]);
+    setPendingActions([]);
     setSessionId(null);
     setError(null);
-  }, [sessionId, messages.length]);
+    setNeedsLogin(true);
+  }, []);
 
   /** Dismiss the error banner */
   const handleDismissError = useCallback(() => setError(null), []);
@@ -125,15 +379,28 @@ export default function App() {
     <main className="h-screen flex items-center justify-center p-4 bg-gradient-to-br from-gray-100 to-gray-200">
       <div className="w-full max-w-2xl h-[90vh]">
         <ErrorBoundary>
-          <ChatWindow
-            messages={messages}
-            isLoading={isLoading}
-            onSend={handleSend}
-            onReset={handleReset}
-            error={error}
-            onDismissError={handleDismissError}
-            onRetry={handleRetry}
-          />
+          {needsLogin ? (
+            <LoginForm onLogin={handleLogin} isSubmitting={isSigningIn} error={loginError} />
+          ) : (
+            <ChatWindow
+              messages={messages}
+              isLoading={isLoading}
+              onSend={handleSend}
+              onReset={handleReset}
+              error={error}
+              onDismissError={handleDismissError}
+              onRetry={handleRetry}
+              pendingActions={pendingActions}
+              isResolvingAction={isResolvingAction}
+              onConfirmAction={handleConfirmAction}
+              onRejectAction={handleRejectAction}
+              user={user}
+              onSignOut={user ? handleSignOut : undefined}
+              apps={apps}
+              appId={appId}
+              onSwitchApp={handleSwitchApp}
+            />
+          )}
         </ErrorBoundary>
       </div>
     </main>
@@ -17,12 +17,28 @@ import App from './App';
 // ---------------------------------------------------------------
 
 vi.mock('./services/api', () => ({
-  sendMessage: vi.fn(),
+  AuthRequiredError: class AuthRequiredError extends Error {},
+  setAuthToken: vi.fn(),
+  getCurrentUser: vi.fn(),
+  getApps: vi.fn(),
+  streamMessage: vi.fn(),
+  confirmAction: vi.fn(),
+  rejectAction: vi.fn(),
+  getSessionHistory: vi.fn(),
   resetSession: vi.fn(),
   checkHealth: vi.fn(),
 }));
 
-import { sendMessage, resetSession } from './services/api';
+import {
+  streamMessage,
+  resetSession,
+  confirmAction,
+  getSessionHistory,
+  getCurrentUser,
+  getApps,
+  setAuthToken,
+  AuthRequiredError,
+} from './services/api';
 
 // Mock crypto.randomUUID for deterministic IDs in tests
 let uuidCounter = 0;
@@ -37,6 +53,10 @@ beforeEach(() => {
   sessionStorage.clear();
   // Mock window.confirm to always return true (for reset confirmation)
   vi.spyOn(window, 'confirm').mockReturnValue(true);
+  // The server does not require sign-in unless a test says otherwise
+  getCurrentUser.mockResolvedValue({ user: null });
+  // A single-app server unless a test says otherwise
+  getApps.mockResolvedValue({ defaultAppId: '123', apps: [{ id: '123', name: 'Directory' }] });
 });
 
 describe('App', () => {
@@ -48,8 +68,8 @@ describe('App', () => {
   });
 
   it('should display user message immediately after sending', async () => {
-    // Make sendMessage hang (never resolve) so we can test optimistic UI
-    sendMessage.mockReturnValue(new Promise(() => {}));
+    // Make streamMessage hang (never resolve) so we can test optimistic UI
+    streamMessage.mockReturnValue(new Promise(() => {}));
     const user = userEvent.setup();
 
     render(<App />);
@@ -63,7 +83,7 @@ describe('App', () => {
   });
 
   it('should show typing indicator while waiting for response', async () => {
-    sendMessage.mockReturnValue(new Promise(() => {}));
+    streamMessage.mockReturnValue(new Promise(() => {}));
     const user = userEvent.setup();
 
     render(<App />);
@@ -75,7 +95,7 @@ describe('App', () => {
   });
 
   it('should display AI response after backend replies', async () => {
-    sendMessage.mockResolvedValue({
+    streamMessage.mockResolvedValue({
       response: 'There are 3 data sources.',
       sessionId: 'sess-abc',
     });
@@ -91,8 +111,108 @@ describe('App', () => {
     });
   });
 
+  it('should render the answer incrementally as chunks stream in', async () => {
+    let finish;
+    streamMessage.mockImplementation((_text, _sessionId, { onEvent }) => {
+      onEvent({ event: 'session', sessionId: 'sess-abc' });
+      onEvent({ event: 'text', type: 'text', delta: 'There are ' });
+      onEvent({ event: 'text', type: 'text', delta: '3 data' });
+      return new Promise((resolve) => {
+        finish = () => resolve({ response: 'There are 3 data sources.', sessionId: 'sess-abc' });
+      });
+    });
+    const user = userEvent.setup();
+
+    render(<App />);
+
+    await user.type(screen.getByLabelText('Message input'), 'How many data sources?');
+    await user.click(screen.getByLabelText('Send message'));
+
+    // Partial text is visible while the stream is still open
+    expect(screen.getByText('There are 3 data')).toBeInTheDocument();
+    expect(screen.queryByRole('status', { name: /thinking/i })).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Message input')).toBeDisabled();
+
+    finish();
+
+    await waitFor(() => {
+      expect(screen.getByText('There are 3 data sources.')).toBeInTheDocument();
+    });
+    expect(sessionStorage.getItem('fliplet-chat-session-id')).toBe('sess-abc');
+  });
+
+  it('should show the tool-call trail as lookups stream in', async () => {
+    streamMessage.mockImplementation(async (_text, _sessionId, { onEvent }) => {
+      onEvent({ event: 'tool_call', type: 'tool_call', id: 'call_0', name: 'get_data_source_entries', arguments: '{"dataSourceId":123}' });
+      onEvent({
+        event: 'tool_result',
+        type: 'tool_result',
+        id: 'call_0',
+        name: 'get_data_source_entries',
+        arguments: { dataSourceId: 123 },
+        status: 'success',
+        resultCount: 42,
+        durationMs: 310,
+      });
+      onEvent({ event: 'text', type: 'text', delta: 'There are 42 rows.' });
+      return { response: 'There are 42 rows.', sessionId: 's1' };
+    });
+    const user = userEvent.setup();
+
+    render(<App />);
+
+    await user.type(screen.getByLabelText('Message input'), 'How many rows?');
+    await user.click(screen.getByLabelText('Send message'));
+
+    await waitFor(() => {
+      expect(screen.getByText('There are 42 rows.')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Looked up data source 123 (42 rows, 310 ms)')).toBeInTheDocument();
+  });
+
+  it('should apply a proposed change only after the user approves it', async () => {
+    const action = {
+      id: 'act-1',
+      action: 'update',
+      dataSourceId: 10,
+      entryId: 7,
+      before: { Status: 'Active' },
+      changes: { Status: 'Inactive' },
+      summary: 'Update entry 7 in data source 10',
+    };
+    streamMessage.mockImplementation(async (_text, _sessionId, { onEvent }) => {
+      onEvent({ event: 'session', sessionId: 'sess-abc' });
+      onEvent({ event: 'pending_action', type: 'pending_action', action });
+      return { response: 'Please approve the change.', sessionId: 'sess-abc' };
+    });
+    confirmAction.mockResolvedValue({
+      status: 'applied',
+      message: 'Applied: Update entry 7 in data source 10.',
+      action,
+    });
+    const user = userEvent.setup();
+
+    render(<App />);
+
+    await user.type(screen.getByLabelText('Message input'), 'Mark entry 7 inactive');
+    await user.click(screen.getByLabelText('Send message'));
+
+    await waitFor(() => {
+      expect(screen.getByText('+ Status: "Inactive"')).toBeInTheDocument();
+    });
+    expect(confirmAction).not.toHaveBeenCalled();
+
+    await user.click(screen.getByRole('button', { name: 'Approve' }));
+
+    expect(confirmAction).toHaveBeenCalledWith('act-1', 'sess-abc');
+    await waitFor(() => {
+      expect(screen.getByText('Applied: Update entry 7 in data source 10.')).toBeInTheDocument();
+    });
+    expect(screen.queryByRole('button', { name: 'Approve' })).not.toBeInTheDocument();
+  });
+
   it('should show error banner when API call fails', async () => {
-    sendMessage.mockRejectedValue(new Error('Server is down'));
+    streamMessage.mockRejectedValue(new Error('Server is down'));
     const user = userEvent.setup();
 
     render(<App />);
@@ -106,7 +226,7 @@ describe('App', () => {
   });
 
   it('should re-enable input after response arrives', async () => {
-    sendMessage.mockResolvedValue({ response: 'OK', sessionId: 's1' });
+    streamMessage.mockResolvedValue({ response: 'OK', sessionId: 's1' });
     const user = userEvent.setup();
 
     render(<App />);
@@ -120,7 +240,7 @@ describe('App', () => {
   });
 
   it('should reset conversation when New chat is clicked', async () => {
-    sendMessage.mockResolvedValue({ response: 'Hello!', sessionId: 's1' });
+    streamMessage.mockResolvedValue({ response: 'Hello!', sessionId: 's1' });
     resetSession.mockResolvedValue({ success: true });
     const user = userEvent.setup();
 
@@ -149,7 +269,7 @@ describe('App', () => {
   });
 
   it('should pass sessionId on subsequent messages', async () => {
-    sendMessage
+    streamMessage
       .mockResolvedValueOnce({ response: 'First', sessionId: 'sess-xyz' })
       .mockResolvedValueOnce({ response: 'Second', sessionId: 'sess-xyz' });
     const user = userEvent.setup();
@@ -164,7 +284,7 @@ describe('App', () => {
       expect(screen.getByText('First')).toBeInTheDocument();
     });
 
-    expect(sendMessage).toHaveBeenCalledWith('Hello', null);
+    expect(streamMessage).toHaveBeenCalledWith('Hello', null, expect.any(Object));
 
     // Second message — should include sessionId from first response
     await user.type(screen.getByLabelText('Message input'), 'More');
@@ -174,6 +294,217 @@ describe('App', () => {
       expect(screen.getByText('Second')).toBeInTheDocument();
     });
 
-    expect(sendMessage).toHaveBeenCalledWith('More', 'sess-xyz');
+    expect(streamMessage).toHaveBeenCalledWith('More', 'sess-xyz', expect.any(Object));
+  });
+
+  it('should restore the transcript of a stored session on load', async () => {
+    sessionStorage.setItem('fliplet-chat-session-id', 'sess-old');
+    getSessionHistory.mockResolvedValue({
+      sessionId: 'sess-old',
+      messages: [
+        { role: 'user', content: 'How many users?' },
+        {
+          role: 'assistant',
+          content: 'There are 42 users.',
+          toolCalls: [{ id: 'call_0', name: 'get_data_source_entries', arguments: { dataSourceId: 7 }, status: 'success', resultCount: 42 }],
+        },
+      ],
+      summary: null,
+      pendingActions: [],
+    });
+
+    render(<App />);
+
+    await waitFor(() => {
+      expect(screen.getByText('There are 42 users.')).toBeInTheDocument();
+    });
+    expect(screen.getByText('How many users?')).toBeInTheDocument();
+    expect(screen.getByText('Looked up data source 7 (42 rows)')).toBeInTheDocument();
+    expect(getSessionHistory).toHaveBeenCalledWith('sess-old');
+  });
+
+  it('should start a new session if the stored one has expired', async () => {
+    sessionStorage.setItem('fliplet-chat-session-id', 'sess-gone');
+    getSessionHistory.mockResolvedValue(null);
+    streamMessage.mockResolvedValue({ response: 'Hi!', sessionId: 'sess-new' });
+    const user = userEvent.setup();
+
+    render(<App />);
+
+    await waitFor(() => {
+      expect(sessionStorage.getItem('fliplet-chat-session-id')).toBeNull();
+    });
+
+    await user.type(screen.getByLabelText('Message input'), 'Hello');
+    await user.click(screen.getByLabelText('Send message'));
+
+    expect(streamMessage).toHaveBeenCalledWith('Hello', null, expect.any(Object));
+  });
+
+  describe('when the server can query several apps', () => {
+    beforeEach(() => {
+      getApps.mockResolvedValue({
+        defaultAppId: '123',
+        apps: [
+          { id: '123', name: 'Directory' },
+          { id: '456', name: 'Events' },
+        ],
+      });
+    });
+
+    it('should ask about the default app until another is picked', async () => {
+      streamMessage.mockResolvedValue({ response: 'Hi!', sessionId: 'sess-1', appId: '123' });
+      const user = userEvent.setup();
+
+      render(<App />);
+
+      const switcher = await screen.findByRole('combobox', { name: 'Fliplet app' });
+      expect(switcher).toHaveValue('123');
+
+      await user.type(screen.getByLabelText('Message input'), 'Hello');
+      await user.click(screen.getByLabelText('Send message'));
+
+      expect(streamMessage).toHaveBeenCalledWith('Hello', null, expect.objectContaining({ appId: '123' }));
+    });
+
+    it('should start a new conversation when switching app', async () => {
+      streamMessage.mockResolvedValue({ response: 'Hi!', sessionId: 'sess-1', appId: '123' });
+      resetSession.mockResolvedValue({ success: true });
+      const user = userEvent.setup();
+
+      render(<App />);
+
+      await user.type(screen.getByLabelText('Message input'), 'Hello');
+      await user.click(screen.getByLabelText('Send message'));
+      await screen.findByText('Hi!');
+
+      await user.selectOptions(await screen.findByRole('combobox', { name: 'Fliplet app' }), '456');
+
+      expect(window.confirm).toHaveBeenCalled();
+      expect(resetSession).toHaveBeenCalledWith('sess-1');
+      expect(screen.queryByText('Hi!')).not.toBeInTheDocument();
+      expect(sessionStorage.getItem('fliplet-chat-app-id')).toBe('456');
+
+      await user.type(screen.getByLabelText('Message input'), 'Hello again');
+      await user.click(screen.getByLabelText('Send message'));
+
+      expect(streamMessage).toHaveBeenLastCalledWith('Hello again', null, expect.objectContaining({ appId: '456' }));
+    });
+
+    it('should keep the conversation if the switch is not confirmed', async () => {
+      streamMessage.mockResolvedValue({ response: 'Hi!', sessionId: 'sess-1', appId: '123' });
+      const user = userEvent.setup();
+
+      render(<App />);
+
+      await user.type(screen.getByLabelText('Message input'), 'Hello');
+      await user.click(screen.getByLabelText('Send message'));
+      await screen.findByText('Hi!');
+
+      window.confirm.mockReturnValue(false);
+      await user.selectOptions(screen.getByRole('combobox', { name: 'Fliplet app' }), '456');
+
+      expect(screen.getByText('Hi!')).toBeInTheDocument();
+      expect(screen.getByRole('combobox', { name: 'Fliplet app' })).toHaveValue('123');
+    });
+
+    it('should show the app of a restored session', async () => {
+      sessionStorage.setItem('fliplet-chat-session-id', 'sess-old');
+      getSessionHistory.mockResolvedValue({
+        sessionId: 'sess-old',
+        appId: '456',
+        messages: [{ role: 'user', content: 'Any events?' }],
+        summary: null,
+        pendingActions: [],
+      });
+
+      render(<App />);
+
+      await screen.findByText('Any events?');
+      await waitFor(() => {
+        expect(screen.getByRole('combobox', { name: 'Fliplet app' })).toHaveValue('456');
+      });
+    });
+  });
+
+  it('should hide the app switcher when there is only one app', async () => {
+    render(<App />);
+
+    await waitFor(() => expect(getApps).toHaveBeenCalled());
+    expect(screen.queryByRole('combobox', { name: 'Fliplet app' })).not.toBeInTheDocument();
+  });
+
+  describe('when the server requires sign-in', () => {
+    it('should show the sign-in form instead of the chat', async () => {
+      getCurrentUser.mockRejectedValue(new AuthRequiredError('Please sign in to continue.'));
+
+      render(<App />);
+
+      expect(await screen.findByRole('form', { name: 'Sign in' })).toBeInTheDocument();
+      expect(screen.queryByLabelText('Message input')).not.toBeInTheDocument();
+    });
+
+    it('should sign in with an accepted key and show who is signed in', async () => {
+      getCurrentUser
+        .mockRejectedValueOnce(new AuthRequiredError('Please sign in to continue.'))
+        .mockResolvedValueOnce({ user: { id: 'alice', method: 'api_key' } });
+      const user = userEvent.setup();
+
+      render(<App />);
+
+      await user.type(await screen.findByLabelText('API key or access token'), 'alice-key');
+      await user.click(screen.getByRole('button', { name: 'Sign in' }));
+
+      expect(await screen.findByLabelText('Message input')).toBeInTheDocument();
+      expect(screen.getByText('alice')).toBeInTheDocument();
+      expect(setAuthToken).toHaveBeenLastCalledWith('alice-key');
+      expect(sessionStorage.getItem('fliplet-chat-auth-token')).toBe('alice-key');
+    });
+
+    it('should explain when a key is not accepted', async () => {
+      getCurrentUser.mockRejectedValue(new AuthRequiredError('Please sign in to continue.'));
+      const user = userEvent.setup();
+
+      render(<App />);
+
+      await user.type(await screen.findByLabelText('API key or access token'), 'wrong');
+      await user.click(screen.getByRole('button', { name: 'Sign in' }));
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('not accepted');
+      expect(sessionStorage.getItem('fliplet-chat-auth-token')).toBeNull();
+      expect(setAuthToken).toHaveBeenLastCalledWith(null);
+    });
+
+    it('should return to the sign-in form when a message is rejected with 401', async () => {
+      streamMessage.mockRejectedValue(new AuthRequiredError('Please sign in to continue.'));
+      const user = userEvent.setup();
+
+      render(<App />);
+
+      await user.type(screen.getByLabelText('Message input'), 'Hello');
+      await user.click(screen.getByLabelText('Send message'));
+
+      expect(await screen.findByRole('form', { name: 'Sign in' })).toBeInTheDocument();
+    });
+
+    it('should forget the credential and conversation on sign out', async () => {
+      sessionStorage.setItem('fliplet-chat-auth-token', 'alice-key');
+      getCurrentUser.mockResolvedValue({ user: { id: 'alice', method: 'api_key' } });
+      streamMessage.mockResolvedValue({ response: 'Hello Alice!', sessionId: 's1' });
+      const user = userEvent.setup();
+
+      render(<App />);
+      expect(setAuthToken).toHaveBeenCalledWith('alice-key');
+
+      await user.type(screen.getByLabelText('Message input'), 'Hi');
+      await user.click(screen.getByLabelText('Send message'));
+      await screen.findByText('Hello Alice!');
+
+      await user.click(await screen.findByRole('button', { name: 'Sign out' }));
+
+      expect(screen.getByRole('form', { name: 'Sign in' })).toBeInTheDocument();
+      expect(sessionStorage.getItem('fliplet-chat-auth-token')).toBeNull();
+      expect(sessionStorage.getItem('fliplet-chat-session-id')).toBeNull();
+    });
   });
 });
@@ -5,13 +5,15 @@
  * or assistant (left-aligned, white with avatar).
  *
  * AI responses are rendered as Markdown so formatted content
- * (lists, code blocks, bold) displays properly.
+ * (lists, code blocks, bold) displays properly, with a collapsible
+ * trail of the tool calls the answer was based on.
  */
 
 import { memo } from 'react';
 import PropTypes from 'prop-types';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import ToolActivity from './ToolActivity';
 
 // Custom component overrides for react-markdown.
 // Wraps <table> in a scrollable container so wide tables don't overflow.
@@ -27,8 +29,9 @@ const markdownComponents = {
  * @param {object} props
  * @param {'user'|'assistant'} props.role - Message sender
  * @param {string} props.content - Message text (markdown for assistant)
+ * @param {Array<object>} [props.toolCalls] - Tool-call activity behind an assistant answer
  */
-const ChatMessage = memo(function ChatMessage({ role, content }) {
+const ChatMessage = memo(function ChatMessage({ role, content, toolCalls }) {
   const isUser = role === 'user';
 
   return (
@@ -59,10 +62,15 @@ const ChatMessage = memo(function ChatMessage({ role, content }) {
           // User messages rendered as plain text
           <p className="whitespace-pre-wrap break-words">{content}</p>
         ) : (
-          // AI messages rendered as Markdown
-          <div className="prose-chat break-words">
-            <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>{content}</ReactMarkdown>
-          </div>
+          // AI messages rendered as Markdown, preceded by the lookups behind them
+          <>
+            <ToolActivity calls={toolCalls} />
+            {content && (
+              <div className="prose-chat break-words">
+                <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>{content}</ReactMarkdown>
+              </div>
+            )}
+          </>
         )}
       </div>
     </div>
@@ -74,6 +82,8 @@ ChatMessage.propTypes = {
   role: PropTypes.oneOf(['user', 'assistant']).isRequired,
   /** Message text content (rendered as Markdown for assistant messages) */
   content: PropTypes.string.isRequired,
+  /** Tool-call activity records (assistant messages only) — see ToolActivity */
+  toolCalls: PropTypes.arrayOf(PropTypes.object),
 };
 
 export default ChatMessage;
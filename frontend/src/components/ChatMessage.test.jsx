@@ -40,6 +40,21 @@ describe('ChatMessage', () => {
     expect(screen.getByText('Item C')).toBeInTheDocument();
   });
 
+  it('should show the tool-call trail for assistant messages', () => {
+    const toolCalls = [{
+      id: 'call_0',
+      name: 'get_data_source_entries',
+      arguments: { dataSourceId: 123 },
+      status: 'success',
+      resultCount: 42,
+      durationMs: 310,
+    }];
+    render(<ChatMessage role="assistant" content="There are 42 rows." toolCalls={toolCalls} />);
+
+    expect(screen.getByText('1 lookup')).toBeInTheDocument();
+    expect(screen.getByText('Looked up data source 123 (42 rows, 310 ms)')).toBeInTheDocument();
+  });
+
   it('should have role="listitem" for accessibility', () => {
     const { container } = render(<ChatMessage role="user" content="Test" />);
 
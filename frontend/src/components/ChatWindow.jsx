@@ -2,7 +2,8 @@
  * ChatWindow Component
  *
  * Main chat container that composes the header, message list, and input.
- * Manages the "Reset" action in the header.
+ * Manages the "Reset" and, when signed in, "Sign out" actions in the header,
+ * plus an app switcher when the server can query more than one Fliplet app.
  *
  * Layout: fixed-height flex column so the message list scrolls
  * while header and input stay pinned.
@@ -21,8 +22,34 @@ import MessageInput from './MessageInput';
  * @param {string|null} props.error - Current error message (if any)
  * @param {() => void} [props.onDismissError] - Dismiss error banner handler
  * @param {() => void} [props.onRetry] - Retry last failed message
+ * @param {Array} [props.pendingActions] - Proposed data changes awaiting approval
+ * @param {boolean} [props.isResolvingAction] - Whether an approve/reject is in flight
+ * @param {(actionId: string) => void} [props.onConfirmAction] - Approve a proposed change
+ * @param {(actionId: string) => void} [props.onRejectAction] - Reject a proposed change
+ * @param {{ id: string }|null} [props.user] - Signed-in user (null when the server has no auth)
+ * @param {() => void} [props.onSignOut] - Sign out handler (button hidden when omitted)
+ * @param {Array<{ id: string, name: string|null }>} [props.apps] - Apps the conversation can be about
+ * @param {string|null} [props.appId] - The app the conversation is about
+ * @param {(appId: string) => void} [props.onSwitchApp] - Switch app handler (switcher hidden when omitted)
  */
-export default function ChatWindow({ messages, isLoading, onSend, onReset, error, onDismissError, onRetry }) {
+export default function ChatWindow({
+  messages,
+  isLoading,
+  onSend,
+  onReset,
+  error,
+  onDismissError,
+  onRetry,
+  pendingActions,
+  isResolvingAction,
+  onConfirmAction,
+  onRejectAction,
+  user,
+  onSignOut,
+  apps = [],
+  appId = null,
+  onSwitchApp,
+}) {
   return (
     <div className="flex flex-col h-full bg-gray-50 rounded-2xl shadow-xl overflow-hidden border border-gray-200">
       {/* Header */}
@@ -51,18 +78,53 @@ export default function ChatWindow({ messages, isLoading, onSend, onReset, error
           </div>
         </div>
 
-        {/* Reset button */}
-        <button
-          onClick={onReset}
-          disabled={isLoading || messages.length === 0}
-          className="text-sm text-gray-500 hover:text-gray-700 px-3 py-1.5
-                     rounded-lg hover:bg-gray-100 disabled:opacity-40
-                     disabled:cursor-not-allowed transition-colors
-                     focus:outline-none focus:ring-2 focus:ring-primary-500"
-          aria-label="Reset conversation"
-        >
-          New chat
-        </button>
+        <div className="flex items-center gap-1">
+          {/* App switcher (only when there is a choice) */}
+          {onSwitchApp && apps.length > 1 && (
+            <select
+              value={appId || ''}
+              onChange={(e) => onSwitchApp(e.target.value)}
+              disabled={isLoading}
+              className="text-sm text-gray-700 bg-white border border-gray-300 rounded-lg px-2 py-1.5 mr-1
+                         disabled:opacity-40 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              aria-label="Fliplet app"
+            >
+              {apps.map((app) => (
+                <option key={app.id} value={app.id}>
+                  {app.name || `App ${app.id}`}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {/* Signed-in user and sign out */}
+          {user && onSignOut && (
+            <>
+              <span className="text-xs text-gray-500 mr-1">{user.id}</span>
+              <button
+                onClick={onSignOut}
+                className="text-sm text-gray-500 hover:text-gray-700 px-3 py-1.5
+                           rounded-lg hover:bg-gray-100 transition-colors
+                           focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                Sign out
+              </button>
+            </>
+          )}
+
+          {/* Reset button */}
+          <button
+            onClick={onReset}
+            disabled={isLoading || messages.length === 0}
+            className="text-sm text-gray-500 hover:text-gray-700 px-3 py-1.5
+                       rounded-lg hover:bg-gray-100 disabled:opacity-40
+                       disabled:cursor-not-allowed transition-colors
+                       focus:outline-none focus:ring-2 focus:ring-primary-500"
+            aria-label="Reset conversation"
+          >
+            New chat
+          </button>
+        </div>
       </header>
 
       {/* Error banner */}
@@ -95,7 +157,15 @@ export default function ChatWindow({ messages, isLoading, onSend, onReset, error
       )}
 
       {/* Message list (scrollable) */}
-      <MessageList messages={messages} isLoading={isLoading} onSuggestionClick={onSend} />
+      <MessageList
+        messages={messages}
+        isLoading={isLoading}
+        onSuggestionClick={onSend}
+        pendingActions={pendingActions}
+        isResolvingAction={isResolvingAction}
+        onConfirmAction={onConfirmAction}
+        onRejectAction={onRejectAction}
+      />
 
       {/* Input bar (pinned to bottom) */}
       <MessageInput onSend={onSend} disabled={isLoading} />
@@ -124,4 +194,27 @@ ChatWindow.propTypes = {
   onDismissError: PropTypes.func,
   /** Callback to retry the last failed message */
   onRetry: PropTypes.func,
+  /** Proposed data changes awaiting the user's approval */
+  pendingActions: PropTypes.arrayOf(PropTypes.object),
+  /** Whether an approve/reject request is in flight */
+  isResolvingAction: PropTypes.bool,
+  /** Callback to approve a proposed change */
+  onConfirmAction: PropTypes.func,
+  /** Callback to reject a proposed change */
+  onRejectAction: PropTypes.func,
+  /** Signed-in user (null when the server has no auth) */
+  user: PropTypes.shape({ id: PropTypes.string.isRequired }),
+  /** Callback to sign out */
+  onSignOut: PropTypes.func,
+  /** Apps the conversation can be about */
+  apps: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+    })
+  ),
+  /** The app the conversation is about */
+  appId: PropTypes.string,
+  /** Callback to switch to another app */
+  onSwitchApp: PropTypes.func,
 };
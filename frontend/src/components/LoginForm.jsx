@@ -0,0 +1,82 @@
+/**
+ * LoginForm Component
+ *
+ * Shown instead of the chat when the server requires authentication.
+ * People sign in with the API key or access token (JWT) they were
+ * issued; App verifies it against the server before showing the chat.
+ *
+ * Uses controlled input pattern with local state for the credential.
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * @param {object} props
+ * @param {(credential: string) => void} props.onLogin - Called with the trimmed credential
+ * @param {boolean} [props.isSubmitting] - Whether a sign-in check is in flight
+ * @param {string|null} [props.error] - Why the last attempt failed
+ */
+export default function LoginForm({ onLogin, isSubmitting = false, error = null }) {
+  const [credential, setCredential] = useState('');
+
+  /** Handle form submission */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = credential.trim();
+    if (!trimmed || isSubmitting) return;
+    onLogin(trimmed);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="max-w-sm mx-auto mt-[20vh] flex flex-col gap-4 p-8 bg-white rounded-2xl shadow-xl border border-gray-200"
+      aria-label="Sign in"
+    >
+      <div>
+        <h1 className="text-base font-semibold text-gray-900">Sign in to Fliplet AI Assistant</h1>
+        <p className="text-xs text-gray-500 mt-1">Use the API key or access token you were given.</p>
+      </div>
+
+      <label className="flex flex-col gap-1 text-sm text-gray-700">
+        API key or access token
+        <input
+          type="password"
+          value={credential}
+          onChange={(e) => setCredential(e.target.value)}
+          disabled={isSubmitting}
+          autoComplete="current-password"
+          className="rounded-xl border border-gray-300 px-4 py-2.5 text-sm
+                     focus:outline-none focus:ring-2 focus:ring-primary-500
+                     focus:border-transparent disabled:bg-gray-100"
+        />
+      </label>
+
+      {error && (
+        <p className="text-sm text-red-700" role="alert">
+          {error}
+        </p>
+      )}
+
+      <button
+        type="submit"
+        disabled={isSubmitting || !credential.trim()}
+        className="px-4 py-2.5 rounded-xl bg-primary-600 text-white text-sm font-medium
+                   hover:bg-primary-700 disabled:bg-gray-300 disabled:cursor-not-allowed
+                   transition-colors focus:outline-none focus:ring-2 focus:ring-primary-500"
+      >
+        {isSubmitting ? 'Signing in…' : 'Sign in'}
+      </button>
+    </form>
+  );
+}
+
+LoginForm.propTypes = {
+  /** Callback with the credential the user entered */
+  onLogin: PropTypes.func.isRequired,
+  /** Whether a sign-in check is in flight */
+  isSubmitting: PropTypes.bool,
+  /** Why the last sign-in attempt failed */
+  error: PropTypes.string,
+};
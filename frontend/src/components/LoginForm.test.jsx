@@ -0,0 +1,44 @@
+/**
+ * LoginForm Component — Unit Tests
+ *
+ * Verifies the sign-in form submits the trimmed credential and
+ * shows why a previous attempt failed.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import LoginForm from './LoginForm';
+
+describe('LoginForm', () => {
+  it('should submit the trimmed credential', async () => {
+    const onLogin = vi.fn();
+    const user = userEvent.setup();
+
+    render(<LoginForm onLogin={onLogin} />);
+
+    await user.type(screen.getByLabelText('API key or access token'), '  my-key  ');
+    await user.click(screen.getByRole('button', { name: 'Sign in' }));
+
+    expect(onLogin).toHaveBeenCalledWith('my-key');
+  });
+
+  it('should disable the button until something is entered', () => {
+    render(<LoginForm onLogin={vi.fn()} />);
+
+    expect(screen.getByRole('button', { name: 'Sign in' })).toBeDisabled();
+  });
+
+  it('should show the error from the last attempt', () => {
+    render(<LoginForm onLogin={vi.fn()} error="That API key or token was not accepted." />);
+
+    expect(screen.getByRole('alert')).toHaveTextContent('not accepted');
+  });
+
+  it('should not submit while a check is in flight', () => {
+    render(<LoginForm onLogin={vi.fn()} isSubmitting />);
+
+    expect(screen.getByRole('button', { name: 'Signing in…' })).toBeDisabled();
+    expect(screen.getByLabelText('API key or access token')).toBeDisabled();
+  });
+});
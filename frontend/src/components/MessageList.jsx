@@ -13,14 +13,27 @@ import { useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import ChatMessage from './ChatMessage';
 import TypingIndicator from './TypingIndicator';
+import PendingActionCard from './PendingActionCard';
 
 /**
  * @param {object} props
- * @param {Array<{id: string, role: string, content: string}>} props.messages
+ * @param {Array<{id: string, role: string, content: string, streaming?: boolean}>} props.messages
  * @param {boolean} props.isLoading - Whether the AI is currently responding
  * @param {(message: string) => void} [props.onSuggestionClick] - Handler for suggestion chip clicks
+ * @param {Array} [props.pendingActions] - Proposed data changes awaiting approval
+ * @param {boolean} [props.isResolvingAction] - Whether an approve/reject is in flight
+ * @param {(actionId: string) => void} [props.onConfirmAction] - Approve a proposed change
+ * @param {(actionId: string) => void} [props.onRejectAction] - Reject a proposed change
  */
-export default function MessageList({ messages, isLoading, onSuggestionClick }) {
+export default function MessageList({
+  messages,
+  isLoading,
+  onSuggestionClick,
+  pendingActions = [],
+  isResolvingAction = false,
+  onConfirmAction,
+  onRejectAction,
+}) {
   const bottomRef = useRef(null);
   const containerRef = useRef(null);
 
@@ -33,7 +46,11 @@ export default function MessageList({ messages, isLoading, onSuggestionClick })
     if (isNearBottom) {
       bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
     }
-  }, [messages, isLoading]);
+  }, [messages, isLoading, pendingActions]);
+
+  // Once the answer starts streaming in, its bubble replaces the typing dots
+  const lastMessage = messages[messages.length - 1];
+  const isStreaming = Boolean(lastMessage?.streaming);
 
   // Example queries to help users get started
   const suggestions = [
@@ -89,11 +106,22 @@ export default function MessageList({ messages, isLoading, onSuggestionClick })
 
       {/* Message bubbles */}
       {messages.map((msg) => (
-        <ChatMessage key={msg.id} role={msg.role} content={msg.content} />
+        <ChatMessage key={msg.id} role={msg.role} content={msg.content} toolCalls={msg.toolCalls} />
+      ))}
+
+      {/* Proposed data changes — applied only once the user approves */}
+      {pendingActions.map((action) => (
+        <PendingActionCard
+          key={action.id}
+          action={action}
+          disabled={isResolvingAction || isLoading}
+          onConfirm={(id) => onConfirmAction?.(id)}
+          onReject={(id) => onRejectAction?.(id)}
+        />
       ))}
 
-      {/* Typing indicator while AI is responding */}
-      {isLoading && <TypingIndicator />}
+      {/* Typing indicator while AI is responding (until text starts streaming) */}
+      {isLoading && !isStreaming && <TypingIndicator />}
 
       {/* Invisible anchor for auto-scroll */}
       <div ref={bottomRef} />
@@ -108,10 +136,22 @@ MessageList.propTypes = {
       id: PropTypes.string.isRequired,
       role: PropTypes.oneOf(['user', 'assistant']).isRequired,
       content: PropTypes.string.isRequired,
+      /** True while the assistant's answer is still streaming in */
+      streaming: PropTypes.bool,
+      /** Tool-call activity behind an assistant answer */
+      toolCalls: PropTypes.arrayOf(PropTypes.object),
     })
   ).isRequired,
   /** Whether the AI is currently responding */
   isLoading: PropTypes.bool.isRequired,
   /** Handler when a suggestion chip is clicked */
   onSuggestionClick: PropTypes.func,
+  /** Proposed data changes awaiting the user's approval */
+  pendingActions: PropTypes.arrayOf(PropTypes.object),
+  /** Whether an approve/reject request is in flight */
+  isResolvingAction: PropTypes.bool,
+  /** Handler to approve a proposed change */
+  onConfirmAction: PropTypes.func,
+  /** Handler to reject a proposed change */
+  onRejectAction: PropTypes.func,
 };
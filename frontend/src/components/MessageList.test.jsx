@@ -49,6 +49,18 @@ describe('MessageList', () => {
     expect(screen.queryByRole('status', { name: /thinking/i })).not.toBeInTheDocument();
   });
 
+  it('should hide typing indicator once the answer starts streaming', () => {
+    const messages = [
+      { id: '1', role: 'user', content: 'Hello' },
+      { id: '2', role: 'assistant', content: 'Hi th', streaming: true },
+    ];
+
+    render(<MessageList messages={messages} isLoading={true} />);
+
+    expect(screen.getByText('Hi th')).toBeInTheDocument();
+    expect(screen.queryByRole('status', { name: /thinking/i })).not.toBeInTheDocument();
+  });
+
   it('should have the correct accessible role', () => {
     render(<MessageList messages={[]} isLoading={false} />);
 
@@ -0,0 +1,116 @@
+/**
+ * PendingActionCard Component
+ *
+ * Shows a data change the AI has proposed (insert, update or delete)
+ * with the exact columns it would write, and Approve / Reject buttons.
+ * Nothing is written to Fliplet until the user clicks Approve.
+ */
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Diff lines for a proposal: "-" for the current value, "+" for the new
+ * one. An update shows both for each column it sets; a delete shows the
+ * whole row being removed.
+ *
+ * @param {object} action - Pending action ({ action, before?, changes? })
+ * @returns {Array<{ key: string, marker: string, column: string, value: *, unchanged?: boolean }>}
+ */
+function diffLines(action) {
+  const before = action.before || {};
+  const lines = [];
+
+  if (action.action === 'delete') {
+    for (const [column, value] of Object.entries(before)) {
+      lines.push({ key: `-${column}`, marker: '-', column, value });
+    }
+  }
+  for (const [column, value] of Object.entries(action.changes || {})) {
+    if (column in before && JSON.stringify(before[column]) === JSON.stringify(value)) {
+      lines.push({ key: `=${column}`, marker: ' ', column, value, unchanged: true });
+      continue;
+    }
+    if (column in before) lines.push({ key: `-${column}`, marker: '-', column, value: before[column] });
+    lines.push({ key: `+${column}`, marker: '+', column, value });
+  }
+  return lines;
+}
+
+/** Text colour per diff marker */
+const MARKER_CLASSES = { '-': 'text-red-700', '+': 'text-green-700', ' ': 'text-gray-500' };
+
+/**
+ * @param {object} props
+ * @param {object} props.action - Pending action from the server
+ * @param {boolean} [props.disabled] - Disable buttons while a decision is in flight
+ * @param {(actionId: string) => void} props.onConfirm - Approve handler
+ * @param {(actionId: string) => void} props.onReject - Reject handler
+ */
+const PendingActionCard = memo(function PendingActionCard({ action, disabled, onConfirm, onReject }) {
+  const lines = diffLines(action);
+
+  return (
+    <div
+      className="ml-11 mb-4 max-w-[90%] rounded-xl border border-amber-300 bg-amber-50 px-4 py-3 text-sm text-gray-800"
+      role="group"
+      aria-label={`Proposed change: ${action.summary}`}
+    >
+      <p className="font-semibold text-amber-800">Proposed change — needs your approval</p>
+      <p className="mt-1">{action.summary}</p>
+
+      {/* Exact diff the change would apply */}
+      {lines.length > 0 && (
+        <ul className="mt-2 font-mono text-xs space-y-0.5">
+          {lines.map(({ key, marker, column, value, unchanged }) => (
+            <li key={key} className={MARKER_CLASSES[marker]}>
+              {`${marker} ${column}: ${JSON.stringify(value)}${unchanged ? ' (unchanged)' : ''}`}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-3 flex gap-2">
+        <button
+          onClick={() => onConfirm(action.id)}
+          disabled={disabled}
+          className="px-3 py-1.5 rounded-lg bg-primary-600 text-white text-xs font-medium
+                     hover:bg-primary-700 disabled:opacity-40 disabled:cursor-not-allowed
+                     focus:outline-none focus:ring-2 focus:ring-primary-500"
+        >
+          Approve
+        </button>
+        <button
+          onClick={() => onReject(action.id)}
+          disabled={disabled}
+          className="px-3 py-1.5 rounded-lg border border-gray-300 bg-white text-xs font-medium
+                     text-gray-700 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed
+                     focus:outline-none focus:ring-2 focus:ring-primary-500"
+        >
+          Reject
+        </button>
+      </div>
+    </div>
+  );
+});
+
+PendingActionCard.propTypes = {
+  /** The proposed change: { id, action, dataSourceId, entryId?, before?, changes?, summary } */
+  action: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    action: PropTypes.oneOf(['insert', 'update', 'delete']).isRequired,
+    dataSourceId: PropTypes.number,
+    entryId: PropTypes.number,
+    before: PropTypes.object,
+    changes: PropTypes.object,
+    summary: PropTypes.string.isRequired,
+  }).isRequired,
+  /** Disable the buttons (e.g. while a decision is being sent) */
+  disabled: PropTypes.bool,
+  /** Called with the action ID when the user approves */
+  onConfirm: PropTypes.func.isRequired,
+  /** Called with the action ID when the user rejects */
+  onReject: PropTypes.func.isRequired,
+};
+
+export default PendingActionCard;
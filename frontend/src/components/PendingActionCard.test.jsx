@@ -0,0 +1,75 @@
+/**
+ * PendingActionCard Component — Unit Tests
+ *
+ * Verifies the proposed-change card shows the exact diff and
+ * reports the user's decision.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import PendingActionCard from './PendingActionCard';
+
+const UPDATE = {
+  id: 'act-1',
+  action: 'update',
+  dataSourceId: 10,
+  entryId: 7,
+  before: { Status: 'Active', Team: 'Red' },
+  changes: { Status: 'Inactive', Team: 'Red', Email: 'jo@example.com' },
+  summary: 'Update entry 7 in data source 10',
+};
+
+describe('PendingActionCard', () => {
+  it('should show the current and new value of every column an update sets', () => {
+    render(<PendingActionCard action={UPDATE} onConfirm={vi.fn()} onReject={vi.fn()} />);
+
+    expect(screen.getByText('Update entry 7 in data source 10')).toBeInTheDocument();
+    expect(screen.getByText('- Status: "Active"')).toBeInTheDocument();
+    expect(screen.getByText('+ Status: "Inactive"')).toBeInTheDocument();
+    expect(screen.getByText('Team: "Red" (unchanged)', { exact: false })).toBeInTheDocument();
+    expect(screen.getByText('+ Email: "jo@example.com"')).toBeInTheDocument();
+  });
+
+  it('should show the whole row a delete removes', () => {
+    const action = {
+      id: 'act-2',
+      action: 'delete',
+      dataSourceId: 10,
+      entryId: 7,
+      before: { Name: 'Jo', Status: 'Active' },
+      summary: 'Delete entry 7 from data source 10',
+    };
+    render(<PendingActionCard action={action} onConfirm={vi.fn()} onReject={vi.fn()} />);
+
+    expect(screen.getByText('- Name: "Jo"')).toBeInTheDocument();
+    expect(screen.getByText('- Status: "Active"')).toBeInTheDocument();
+  });
+
+  it('should mark every column of an insert as new', () => {
+    const action = { id: 'act-3', action: 'insert', dataSourceId: 10, changes: { Name: 'Jo' }, summary: 'Insert a new entry' };
+    render(<PendingActionCard action={action} onConfirm={vi.fn()} onReject={vi.fn()} />);
+
+    expect(screen.getByText('+ Name: "Jo"')).toBeInTheDocument();
+  });
+
+  it('should report approve and reject decisions with the action ID', async () => {
+    const onConfirm = vi.fn();
+    const onReject = vi.fn();
+    const user = userEvent.setup();
+    render(<PendingActionCard action={UPDATE} onConfirm={onConfirm} onReject={onReject} />);
+
+    await user.click(screen.getByRole('button', { name: 'Approve' }));
+    await user.click(screen.getByRole('button', { name: 'Reject' }));
+
+    expect(onConfirm).toHaveBeenCalledWith('act-1');
+    expect(onReject).toHaveBeenCalledWith('act-1');
+  });
+
+  it('should disable the buttons while a decision is in flight', () => {
+    render(<PendingActionCard action={UPDATE} disabled onConfirm={vi.fn()} onReject={vi.fn()} />);
+
+    expect(screen.getByRole('button', { name: 'Approve' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Reject' })).toBeDisabled();
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * ToolActivity Component
+ *
+ * Collapsible trail of the Fliplet lookups behind an AI answer, e.g.
+ * "Looked up data source 123 (42 rows, 310 ms)". Lets people audit
+ * where an answer came from without reading raw API payloads.
+ *
+ * Uses a native <details> element, so it is keyboard accessible and
+ * collapsed by default without any local state.
+ */
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Human-readable label and result unit for each known tool.
+ * Unknown tools fall back to "Called <name>".
+ */
+const TOOL_LABELS = {
+  list_data_sources: () => ({ label: 'Listed data sources', unit: 'data source' }),
+  get_data_source: (args) => ({ label: `Fetched details for data source ${args.dataSourceId}` }),
+  get_data_source_entries: (args) => ({ label: `Looked up data source ${args.dataSourceId}`, unit: 'row' }),
+  aggregate_data_source: (args) => ({ label: `Summarized data source ${args.dataSourceId}`, unit: 'group' }),
+  list_media: (args) => ({
+    label: args.folderId !== undefined ? `Listed media in folder ${args.folderId}` : 'Listed media files',
+    unit: 'item',
+  }),
+  get_media_tree: (args) => ({
+    label: args.folderId ? `Mapped media folder ${args.folderId}` : 'Mapped the media library',
+    unit: 'item',
+  }),
+  find_media_files: (args) => ({
+    label: args.name ? `Searched media files for "${args.name}"` : 'Searched media files',
+    unit: 'file',
+  }),
+  get_media_file: (args) => ({ label: `Fetched media file ${args.fileId}` }),
+  read_media_file: (args) => ({ label: `Read media file ${args.fileId}`, unit: 'excerpt' }),
+  search_app_content: (args) => ({ label: `Searched app content for "${args.query}"`, unit: 'hit' }),
+  insert_data_source_entry: (args) => ({ label: `Proposed a new entry in data source ${args.dataSourceId}` }),
+  update_data_source_entry: (args) => ({
+    label: `Proposed changes to entry ${args.entryId} in data source ${args.dataSourceId}`,
+  }),
+  delete_data_source_entry: (args) => ({
+    label: `Proposed deleting entry ${args.entryId} from data source ${args.dataSourceId}`,
+  }),
+};
+
+/**
+ * Build the one-line description of a tool call.
+ *
+ * @param {object} call - Activity record from the server
+ * @returns {string} e.g. "Looked up data source 123 (42 rows, 310 ms)"
+ */
+export function describeToolCall(call) {
+  const args = call.arguments && typeof call.arguments === 'object' ? call.arguments : {};
+  const describe = TOOL_LABELS[call.name];
+  const { label, unit } = describe ? describe(args) : { label: `Called ${call.name}` };
+
+  if (call.status === 'running') return `${label}…`;
+
+  const details = [];
+  if (call.status === 'error') {
+    details.push(`failed: ${call.error?.message || 'unknown error'}`);
+  } else if (call.status === 'pending') {
+    details.push('awaiting approval');
+  } else if (unit && typeof call.resultCount === 'number') {
+    details.push(`${call.resultCount} ${unit}${call.resultCount === 1 ? '' : 's'}`);
+  }
+  const cached = describeCache(call.cache);
+  if (cached) details.push(cached);
+  if (typeof call.durationMs === 'number') details.push(`${call.durationMs} ms`);
+
+  return details.length > 0 ? `${label} (${details.join(', ')})` : label;
+}
+
+/**
+ * Summarize server-side cache use for a tool call.
+ *
+ * @param {{ hits: number, misses: number, revalidated: number }} [cache]
+ * @returns {string|null} "cached", "1 of 3 requests cached", or null if nothing came from cache
+ */
+function describeCache(cache) {
+  if (!cache) return null;
+
+  const served = (cache.hits || 0) + (cache.revalidated || 0);
+  const total = served + (cache.misses || 0);
+  if (served === 0) return null;
+
+  return served === total ? 'cached' : `${served} of ${total} requests cached`;
+}
+
+/** Status glyph shown before each item */
+const STATUS_ICONS = { success: '✓', error: '✕', running: '…', pending: '⏸' };
+
+/**
+ * @param {object} props
+ * @param {Array<object>} props.calls - Tool-call activity records
+ */
+const ToolActivity = memo(function ToolActivity({ calls }) {
+  if (!calls || calls.length === 0) return null;
+
+  const failed = calls.filter((c) => c.status === 'error').length;
+
+  return (
+    <details className="tool-activity mb-2 text-xs text-gray-500">
+      <summary className="cursor-pointer select-none hover:text-gray-700">
+        {calls.length} {calls.length === 1 ? 'lookup' : 'lookups'}
+        {failed > 0 && `, ${failed} failed`}
+      </summary>
+      <ol className="mt-1 ml-1 space-y-0.5" aria-label="Tool calls">
+        {calls.map((call) => (
+          <li
+            key={call.id}
+            className={call.status === 'error' ? 'text-red-600' : undefined}
+          >
+            <span aria-hidden="true" className="inline-block w-4">{STATUS_ICONS[call.status] || '•'}</span>
+            {describeToolCall(call)}
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+});
+
+ToolActivity.propTypes = {
+  /** Activity records: { id, name, arguments, status, durationMs?, resultCount?, error?, actionId? } */
+  calls: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      arguments: PropTypes.oneOfType([PropTypes.object, PropTypes.string]),
+      status: PropTypes.oneOf(['running', 'success', 'error', 'pending']).isRequired,
+      durationMs: PropTypes.number,
+      resultCount: PropTypes.number,
+      error: PropTypes.shape({ message: PropTypes.string, statusCode: PropTypes.number }),
+    })
+  ),
+};
+
+export default ToolActivity;
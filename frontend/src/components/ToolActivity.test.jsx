@@ -0,0 +1,156 @@
+/**
+ * ToolActivity Component — Unit Tests
+ *
+ * Verifies the collapsible lookup trail shown under AI answers.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import ToolActivity, { describeToolCall } from './ToolActivity';
+
+describe('describeToolCall', () => {
+  it('should describe an entries lookup with row count and duration', () => {
+    const text = describeToolCall({
+      id: 'call_0',
+      name: 'get_data_source_entries',
+      arguments: { dataSourceId: 123 },
+      status: 'success',
+      resultCount: 42,
+      durationMs: 310,
+    });
+
+    expect(text).toBe('Looked up data source 123 (42 rows, 310 ms)');
+  });
+
+  it('should describe an aggregation with its group count', () => {
+    const text = describeToolCall({
+      id: 'call_0',
+      name: 'aggregate_data_source',
+      arguments: { dataSourceId: 1, groupBy: ['Department'] },
+      status: 'success',
+      resultCount: 4,
+      durationMs: 95,
+    });
+
+    expect(text).toBe('Summarized data source 1 (4 groups, 95 ms)');
+  });
+
+  it('should describe a media file read with its excerpt count', () => {
+    const text = describeToolCall({
+      id: 'call_0',
+      name: 'read_media_file',
+      arguments: { fileId: 1002, query: 'refunds' },
+      status: 'success',
+      resultCount: 1,
+      durationMs: 240,
+    });
+
+    expect(text).toBe('Read media file 1002 (1 excerpt, 240 ms)');
+  });
+
+  it('should describe an app content search with its hit count', () => {
+    const text = describeToolCall({
+      id: 'call_0',
+      name: 'search_app_content',
+      arguments: { query: 'Acme Ltd' },
+      status: 'success',
+      resultCount: 3,
+      durationMs: 410,
+    });
+
+    expect(text).toBe('Searched app content for "Acme Ltd" (3 hits, 410 ms)');
+  });
+
+  it('should describe media tree and file searches', () => {
+    const tree = describeToolCall({
+      id: 'call_0',
+      name: 'get_media_tree',
+      arguments: {},
+      status: 'success',
+      resultCount: 9,
+      durationMs: 120,
+    });
+    const find = describeToolCall({
+      id: 'call_1',
+      name: 'find_media_files',
+      arguments: { name: '*.pdf' },
+      status: 'success',
+      resultCount: 1,
+      durationMs: 130,
+    });
+
+    expect(tree).toBe('Mapped the media library (9 items, 120 ms)');
+    expect(find).toBe('Searched media files for "*.pdf" (1 file, 130 ms)');
+  });
+
+  it('should include the error message for failed calls', () => {
+    const text = describeToolCall({
+      id: 'call_0',
+      name: 'get_media_file',
+      arguments: { fileId: 5 },
+      status: 'error',
+      durationMs: 12,
+      error: { message: 'Fliplet API error: 404 Not Found', statusCode: 404 },
+    });
+
+    expect(text).toBe('Fetched media file 5 (failed: Fliplet API error: 404 Not Found, 12 ms)');
+  });
+
+  it('should mark lookups served from the cache', () => {
+    const text = describeToolCall({
+      id: 'call_0',
+      name: 'list_data_sources',
+      arguments: {},
+      status: 'success',
+      resultCount: 3,
+      durationMs: 1,
+      cache: { hits: 1, misses: 0, revalidated: 0 },
+    });
+
+    expect(text).toBe('Listed data sources (3 data sources, cached, 1 ms)');
+  });
+
+  it('should count partially cached lookups', () => {
+    const text = describeToolCall({
+      id: 'call_0',
+      name: 'get_data_source',
+      arguments: { dataSourceId: 7 },
+      status: 'success',
+      durationMs: 80,
+      cache: { hits: 0, misses: 1, revalidated: 1 },
+    });
+
+    expect(text).toBe('Fetched details for data source 7 (1 of 2 requests cached, 80 ms)');
+  });
+
+  it('should fall back to the tool name for unknown tools', () => {
+    expect(describeToolCall({ id: 'x', name: 'mystery_tool', status: 'running' })).toBe('Called mystery_tool…');
+  });
+});
+
+describe('ToolActivity', () => {
+  const calls = [
+    { id: 'a', name: 'list_data_sources', arguments: {}, status: 'success', resultCount: 1, durationMs: 80 },
+    { id: 'b', name: 'get_data_source', arguments: { dataSourceId: 9 }, status: 'error', durationMs: 5, error: { message: 'Not found' } },
+  ];
+
+  it('should render nothing when there are no calls', () => {
+    const { container } = render(<ToolActivity calls={[]} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should summarize the number of lookups and failures', () => {
+    render(<ToolActivity calls={calls} />);
+
+    expect(screen.getByText(/2 lookups, 1 failed/)).toBeInTheDocument();
+  });
+
+  it('should list every call, collapsed by default', () => {
+    const { container } = render(<ToolActivity calls={calls} />);
+
+    expect(container.querySelector('details')).not.toHaveAttribute('open');
+    expect(screen.getByText('Listed data sources (1 data source, 80 ms)')).toBeInTheDocument();
+    expect(screen.getByText(/Fetched details for data source 9/)).toBeInTheDocument();
+  });
+});
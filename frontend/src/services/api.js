@@ -6,6 +6,10 @@
  *
  * All functions return plain data or throw on failure,
  * keeping error handling consistent across the app.
+ *
+ * When the server requires sign-in, set the credential once with
+ * setAuthToken(); every request then sends it as a Bearer token, and a
+ * 401 from any endpoint throws AuthRequiredError.
  */
 
 const API_BASE = '/api'; // Vite proxy forwards to http://localhost:3000
@@ -13,20 +17,50 @@ const API_BASE = '/api'; // Vite proxy forwards to http://localhost:3000
 // Request timeout (60s) — prevents infinite loading if backend hangs
 const REQUEST_TIMEOUT_MS = 60000;
 
+// API key or access token sent with every request (null when signed out)
+let authToken = null;
+
+/**
+ * Thrown when the server rejects a request for lack of a valid credential.
+ */
+export class AuthRequiredError extends Error {
+  constructor(message = 'Please sign in to continue.') {
+    super(message);
+    this.name = 'AuthRequiredError';
+  }
+}
+
+/**
+ * Set (or clear, with null) the credential sent with every request.
+ *
+ * @param {string|null} token - API key or access token
+ */
+export function setAuthToken(token) {
+  authToken = token || null;
+}
+
 /**
  * Fetch wrapper with timeout support via AbortController.
+ * Adds the auth credential when one is set.
  *
  * @param {string} url - Request URL
  * @param {RequestInit} options - Fetch options
  * @returns {Promise<Response>}
+ * @throws {AuthRequiredError} If the server answers 401
  * @throws {Error} On timeout or network failure
  */
 async function fetchWithTimeout(url, options = {}) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
 
+  const request = { ...options, signal: controller.signal };
+  if (authToken) {
+    request.headers = { ...options.headers, Authorization: `Bearer ${authToken}` };
+  }
+
   try {
-    const res = await fetch(url, { ...options, signal: controller.signal });
+    const res = await fetch(url, request);
+    if (res.status === 401) throw new AuthRequiredError();
     return res;
   } catch (err) {
     if (err.name === 'AbortError') {
@@ -43,7 +77,7 @@ async function fetchWithTimeout(url, options = {}) {
  *
  * @param {string} message  - The user's message text
  * @param {string|null} sessionId - Existing session ID (null for new session)
- * @returns {Promise<{ response: string, sessionId: string }>}
+ * @returns {Promise<{ response: string, sessionId: string, toolCalls: Array }>}
  * @throws {Error} On network failure or non-OK HTTP status
  */
 export async function sendMessage(message, sessionId = null) {
@@ -64,6 +98,179 @@ export async function sendMessage(message, sessionId = null) {
   return res.json();
 }
 
+/**
+ * Parse one Server-Sent Events block ("event: x\ndata: {...}").
+ *
+ * @param {string} block - Raw event text without the trailing blank line
+ * @returns {{ event: string, data: object }|null} null for comments / empty blocks
+ */
+function parseSseBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+  }
+
+  if (dataLines.length === 0) return null;
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+}
+
+/**
+ * Send a user message and stream the AI response as it is generated.
+ *
+ * Calls `onEvent` for every server event (session, text, tool_call,
+ * tool_result, pending_action, done) so the UI can render the answer
+ * incrementally.
+ *
+ * @param {string} message - The user's message text
+ * @param {string|null} sessionId - Existing session ID (null for new session)
+ * @param {object} [handlers]
+ * @param {(event: object) => void} [handlers.onEvent] - Called with each event's data plus its `event` name
+ * @param {string|null} [handlers.appId] - The Fliplet app to ask about (omit for the server's default)
+ * @returns {Promise<{ response: string, sessionId: string, appId: string|null }>} The final answer once the stream ends
+ * @throws {Error} On network failure, non-OK HTTP status, a server error event, or a
+ *   stream that ends before its `done` event
+ */
+export async function streamMessage(message, sessionId = null, { onEvent, appId = null } = {}) {
+  const body = { message };
+  if (sessionId) body.sessionId = sessionId;
+  if (appId) body.appId = appId;
+
+  const res = await fetchWithTimeout(`${API_BASE}/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  if (!res.ok) {
+    const errorData = await res.json().catch(() => ({}));
+    throw new Error(errorData.error || `Request failed with status ${res.status}`);
+  }
+
+  const result = { response: '', sessionId, appId };
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+
+  const handleBlock = (block) => {
+    const parsed = parseSseBlock(block);
+    if (!parsed) return;
+
+    const { event, data } = parsed;
+    if (event === 'error') throw new Error(data.error || 'Streaming failed');
+    if (event === 'session') {
+      result.sessionId = data.sessionId;
+      result.appId = data.appId ?? appId;
+    }
+    if (event === 'done') {
+      result.response = data.response;
+      finished = true;
+    }
+
+    onEvent?.({ ...data, event });
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; keep any partial event buffered
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      handleBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+
+  // Flush the decoder and handle a last event sent without its blank line;
+  // one cut off mid-way cannot be parsed and counts as an interruption below
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    try {
+      handleBlock(buffer);
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+    }
+  }
+
+  // A dropped connection or a server crash ends the stream without `done`
+  if (!finished) throw new Error('The response was interrupted. Please try again.');
+
+  return result;
+}
+
+/**
+ * Approve or reject a data change proposed by the AI.
+ *
+ * @param {'confirm'|'reject'} decision - What to do with the action
+ * @param {string} actionId - The pending action's ID
+ * @param {string} sessionId - The session the action belongs to
+ * @returns {Promise<{ status: string, message: string, action: object }>}
+ * @throws {Error} On network failure or non-OK HTTP status
+ */
+async function resolveAction(decision, actionId, sessionId) {
+  const res = await fetchWithTimeout(`${API_BASE}/actions/${actionId}/${decision}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId }),
+  });
+
+  if (!res.ok) {
+    const errorData = await res.json().catch(() => ({}));
+    throw new Error(errorData.error || `Request failed with status ${res.status}`);
+  }
+
+  return res.json();
+}
+
+/**
+ * Apply a data change the AI proposed.
+ *
+ * @param {string} actionId - The pending action's ID
+ * @param {string} sessionId - The session the action belongs to
+ * @returns {Promise<{ status: 'applied'|'failed'|'unknown', message: string, action: object }>}
+ */
+export function confirmAction(actionId, sessionId) {
+  return resolveAction('confirm', actionId, sessionId);
+}
+
+/**
+ * Discard a data change the AI proposed.
+ *
+ * @param {string} actionId - The pending action's ID
+ * @param {string} sessionId - The session the action belongs to
+ * @returns {Promise<{ status: 'rejected', message: string, action: object }>}
+ */
+export function rejectAction(actionId, sessionId) {
+  return resolveAction('reject', actionId, sessionId);
+}
+
+/**
+ * Fetch the visible transcript of an existing session, so the UI can
+ * redraw the conversation after a page reload.
+ *
+ * @param {string} sessionId - The session to restore
+ * @returns {Promise<{ sessionId: string, appId: string|null, messages: Array, summary: string|null, pendingActions: Array }|null>}
+ *   The session's history, or null if the server no longer has the session
+ * @throws {Error} On network failure or any other non-OK HTTP status
+ */
+export async function getSessionHistory(sessionId) {
+  const res = await fetchWithTimeout(`${API_BASE}/sessions/${encodeURIComponent(sessionId)}/history`);
+
+  if (res.status === 404) return null;
+
+  if (!res.ok) {
+    const errorData = await res.json().catch(() => ({}));
+    throw new Error(errorData.error || `Request failed with status ${res.status}`);
+  }
+
+  return res.json();
+}
+
 /**
  * Reset conversation history for the current session.
  *
@@ -86,6 +293,42 @@ export async function resetSession(sessionId) {
   return res.json();
 }
 
+/**
+ * Find out who the current credential signs in as.
+ *
+ * @returns {Promise<{ user: { id: string, method: string }|null }>} user is null
+ *   when the server does not require sign-in
+ * @throws {AuthRequiredError} If sign-in is required and the credential is missing or rejected
+ * @throws {Error} On network failure or any other non-OK HTTP status
+ */
+export async function getCurrentUser() {
+  const res = await fetchWithTimeout(`${API_BASE}/auth/me`);
+
+  if (!res.ok) {
+    const errorData = await res.json().catch(() => ({}));
+    throw new Error(errorData.error || `Request failed with status ${res.status}`);
+  }
+
+  return res.json();
+}
+
+/**
+ * List the Fliplet apps a new conversation can be about.
+ *
+ * @returns {Promise<{ defaultAppId: string|null, apps: Array<{ id: string, name: string|null }> }>}
+ * @throws {Error} On network failure or non-OK HTTP status
+ */
+export async function getApps() {
+  const res = await fetchWithTimeout(`${API_BASE}/apps`);
+
+  if (!res.ok) {
+    const errorData = await res.json().catch(() => ({}));
+    throw new Error(errorData.error || `Request failed with status ${res.status}`);
+  }
+
+  return res.json();
+}
+
 /**
  * Check if the backend server is reachable.
  *
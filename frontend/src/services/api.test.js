@@ -7,7 +7,19 @@
  */
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { sendMessage, resetSession, checkHealth } from '../services/api';
+import {
+  sendMessage,
+  streamMessage,
+  confirmAction,
+  rejectAction,
+  getSessionHistory,
+  resetSession,
+  getCurrentUser,
+  getApps,
+  setAuthToken,
+  AuthRequiredError,
+  checkHealth,
+} from '../services/api';
 
 // ---------------------------------------------------------------
 // Mock fetch globally before each test
@@ -15,6 +27,7 @@ import { sendMessage, resetSession, checkHealth } from '../services/api';
 
 beforeEach(() => {
   vi.restoreAllMocks();
+  setAuthToken(null);
 });
 
 // Helper: mock a successful JSON response
@@ -75,6 +88,169 @@ describe('sendMessage', () => {
   });
 });
 
+// Helper: mock a streamed (SSE) response delivered in the given chunks
+function mockFetchStream(chunks) {
+  const encoder = new TextEncoder();
+  let index = 0;
+  global.fetch = vi.fn().mockResolvedValue({
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: () =>
+          Promise.resolve(
+            index < chunks.length
+              ? { done: false, value: encoder.encode(chunks[index++]) }
+              : { done: true, value: undefined }
+          ),
+      }),
+    },
+  });
+}
+
+// ---------------------------------------------------------------
+// streamMessage()
+// ---------------------------------------------------------------
+
+describe('streamMessage', () => {
+  it('should POST to /api/chat/stream and report each event', async () => {
+    // Split one event across two chunks to exercise buffering
+    mockFetchStream([
+      'event: session\ndata: {"sessionId":"sess-1"}\n\nevent: text\ndata: {"type":"text",',
+      '"delta":"Hel"}\n\nevent: text\ndata: {"type":"text","delta":"lo!"}\n\n',
+      'event: done\ndata: {"type":"done","response":"Hello!"}\n\n',
+    ]);
+    const onEvent = vi.fn();
+
+    const result = await streamMessage('Hi', null, { onEvent });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/chat/stream', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ message: 'Hi' }),
+    }));
+    expect(onEvent.mock.calls.map(([e]) => e.event)).toEqual(['session', 'text', 'text', 'done']);
+    expect(onEvent.mock.calls[1][0]).toEqual({ event: 'text', type: 'text', delta: 'Hel' });
+    expect(result).toEqual({ response: 'Hello!', sessionId: 'sess-1', appId: null });
+  });
+
+  it('should send the chosen app and report the one the session is about', async () => {
+    mockFetchStream([
+      'event: session\ndata: {"sessionId":"sess-1","appId":"456"}\n\n',
+      'event: done\ndata: {"type":"done","response":"Hello!"}\n\n',
+    ]);
+
+    const result = await streamMessage('Hi', null, { appId: '456' });
+
+    expect(global.fetch.mock.calls[0][1].body).toBe(JSON.stringify({ message: 'Hi', appId: '456' }));
+    expect(result.appId).toBe('456');
+  });
+
+  it('should throw when the server sends an error event', async () => {
+    mockFetchStream(['event: error\ndata: {"error":"An internal error occurred."}\n\n']);
+
+    await expect(streamMessage('Hi')).rejects.toThrow('An internal error occurred.');
+  });
+
+  it('should throw on non-OK response with error message', async () => {
+    mockFetchFail(400, { error: 'Message is required' });
+
+    await expect(streamMessage('')).rejects.toThrow('Message is required');
+  });
+
+  it('should throw when the stream ends before the done event', async () => {
+    mockFetchStream([
+      'event: session\ndata: {"sessionId":"sess-1"}\n\n',
+      'event: text\ndata: {"type":"text","delta":"Hel"}\n\nevent: text\ndata: {"type":"te',
+    ]);
+    const onEvent = vi.fn();
+
+    await expect(streamMessage('Hi', null, { onEvent })).rejects.toThrow('The response was interrupted');
+    expect(onEvent.mock.calls.map(([e]) => e.event)).toEqual(['session', 'text']);
+  });
+
+  it('should handle a final done event sent without its blank line', async () => {
+    mockFetchStream(['event: done\ndata: {"type":"done","response":"Hello!"}']);
+
+    const result = await streamMessage('Hi', 'sess-1');
+
+    expect(result.response).toBe('Hello!');
+  });
+});
+
+// ---------------------------------------------------------------
+// confirmAction() / rejectAction()
+// ---------------------------------------------------------------
+
+describe('confirmAction / rejectAction', () => {
+  it('should POST the decision with the sessionId', async () => {
+    mockFetchOk({ status: 'applied', message: 'Applied.' });
+
+    const result = await confirmAction('act-1', 'sess-1');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/actions/act-1/confirm', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ sessionId: 'sess-1' }),
+    }));
+    expect(result.status).toBe('applied');
+  });
+
+  it('should throw with the server error on failure', async () => {
+    mockFetchFail(404, { error: 'Action not found or already resolved.' });
+
+    await expect(rejectAction('act-1', 'sess-1')).rejects.toThrow('Action not found');
+    expect(global.fetch.mock.calls[0][0]).toBe('/api/actions/act-1/reject');
+  });
+});
+
+// ---------------------------------------------------------------
+// getSessionHistory()
+// ---------------------------------------------------------------
+
+describe('getSessionHistory', () => {
+  it('should GET the session transcript', async () => {
+    const history = { sessionId: 'sess-1', messages: [{ role: 'user', content: 'Hi' }], summary: null, pendingActions: [] };
+    mockFetchOk(history);
+
+    const result = await getSessionHistory('sess-1');
+
+    expect(global.fetch.mock.calls[0][0]).toBe('/api/sessions/sess-1/history');
+    expect(result).toEqual(history);
+  });
+
+  it('should return null when the server no longer has the session', async () => {
+    mockFetchFail(404, { error: 'Session not found or expired.' });
+
+    await expect(getSessionHistory('sess-1')).resolves.toBeNull();
+  });
+
+  it('should throw on other failures', async () => {
+    mockFetchFail(500, { error: 'An internal error occurred.' });
+
+    await expect(getSessionHistory('sess-1')).rejects.toThrow('internal error');
+  });
+});
+
+// ---------------------------------------------------------------
+// getApps()
+// ---------------------------------------------------------------
+
+describe('getApps', () => {
+  it('should GET the apps a conversation can be about', async () => {
+    const apps = { defaultAppId: '123', apps: [{ id: '123', name: 'Directory' }] };
+    mockFetchOk(apps);
+
+    const result = await getApps();
+
+    expect(global.fetch.mock.calls[0][0]).toBe('/api/apps');
+    expect(result).toEqual(apps);
+  });
+
+  it('should throw on failure', async () => {
+    mockFetchFail(500, { error: 'An internal error occurred.' });
+
+    await expect(getApps()).rejects.toThrow('internal error');
+  });
+});
+
 // ---------------------------------------------------------------
 // resetSession()
 // ---------------------------------------------------------------
@@ -100,6 +276,43 @@ describe('resetSession', () => {
   });
 });
 
+// ---------------------------------------------------------------
+// Authentication
+// ---------------------------------------------------------------
+
+describe('authentication', () => {
+  it('should send the credential as a Bearer token once set', async () => {
+    mockFetchOk({ user: { id: 'alice', method: 'api_key' } });
+    setAuthToken('alice-key');
+
+    const result = await getCurrentUser();
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/auth/me', expect.objectContaining({
+      headers: { Authorization: 'Bearer alice-key' },
+    }));
+    expect(result.user.id).toBe('alice');
+  });
+
+  it('should keep other headers alongside the credential', async () => {
+    mockFetchOk({ success: true });
+    setAuthToken('alice-key');
+
+    await resetSession('sess-1');
+
+    expect(global.fetch.mock.calls[0][1].headers).toEqual({
+      'Content-Type': 'application/json',
+      Authorization: 'Bearer alice-key',
+    });
+  });
+
+  it('should throw AuthRequiredError on a 401 from any endpoint', async () => {
+    mockFetchFail(401, { error: 'Authentication required.' });
+
+    await expect(getCurrentUser()).rejects.toBeInstanceOf(AuthRequiredError);
+    await expect(sendMessage('Hi')).rejects.toBeInstanceOf(AuthRequiredError);
+  });
+});
+
 // ---------------------------------------------------------------
 // checkHealth()
 // ---------------------------------------------------------------
@@ -0,0 +1,243 @@
+/**
+ * Answer Accuracy Evaluation
+ *
+ * Replays the golden questions in fixtures/eval/golden.json against the
+ * mock Fliplet API (fixture data, so every answer is known) using the
+ * LLM configured in .env, scores the answers and compares the run with
+ * the baseline. Run it before and after changing the system prompt or
+ * tool descriptions.
+ *
+ * Usage:
+ *   node scripts/eval.js [options]
+ *   npm run eval -- [options]
+ *
+ *   --suite <file>      Questions to ask (default fixtures/eval/golden.json)
+ *   --fixtures <dir>    Mock Fliplet data (default fixtures/mock-fliplet)
+ *   --out <dir>         Where reports go (default eval-results/)
+ *   --baseline <file>   Report to compare with (default <out>/baseline.json)
+ *   --update-baseline   Make this run the new baseline
+ *   --case <id>         Only run this case (repeatable)
+ *   --fail-under <n>    Exit 1 when the score (0–1) is below n, e.g. in CI
+ *
+ * Each run writes report-<timestamp>.json / .md and latest.json / .md to
+ * the output directory. The first run (or --update-baseline) also
+ * becomes baseline.json.
+ *
+ * Uses real model calls unless LLM_PROVIDER=fake.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSuite, runSuite, fingerprint, compareReports, renderMarkdown } = require('../src/eval-harness');
+const { createMockFlipletServer, loadFixtures, DEFAULT_TOKEN } = require('../src/mock-fliplet-server');
+const { FlipletClientPool } = require('../src/fliplet-client-pool');
+const { ToolExecutor } = require('../src/tool-executor');
+const { ChatEngine } = require('../src/chat-engine');
+const { createProvider } = require('../src/llm-providers');
+const { createToolRegistry } = require('../src/tools');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULTS = {
+  suite: path.join(ROOT, 'fixtures', 'eval', 'golden.json'),
+  fixtures: path.join(ROOT, 'fixtures', 'mock-fliplet'),
+  out: path.join(ROOT, 'eval-results'),
+};
+
+/**
+ * Parse command-line flags.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object} Options
+ * @throws {Error} On an unknown flag or a missing value
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULTS, baseline: null, updateBaseline: false, cases: [], failUnder: null };
+  const valueOf = (index, flag) => {
+    if (index >= argv.length || argv[index].startsWith('--')) throw new Error(`${flag} needs a value`);
+    return argv[index];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--suite') options.suite = path.resolve(valueOf(++i, arg));
+    else if (arg === '--fixtures') options.fixtures = path.resolve(valueOf(++i, arg));
+    else if (arg === '--out') options.out = path.resolve(valueOf(++i, arg));
+    else if (arg === '--baseline') options.baseline = path.resolve(valueOf(++i, arg));
+    else if (arg === '--update-baseline') options.updateBaseline = true;
+    else if (arg === '--case') options.cases.push(valueOf(++i, arg));
+    else if (arg === '--fail-under') {
+      options.failUnder = Number(valueOf(++i, arg));
+      if (!(options.failUnder >= 0 && options.failUnder <= 1)) throw new Error('--fail-under must be between 0 and 1');
+    } else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  options.baseline = options.baseline || path.join(options.out, 'baseline.json');
+  return options;
+}
+
+/**
+ * Load the app config with the Fliplet settings pointed at the mock API
+ * (dotenv never overrides variables that are already set).
+ *
+ * @param {string} apiUrl - The mock API's URL
+ * @param {string} appId - The default app
+ * @returns {object} Config from loadConfig()
+ */
+function loadEvalConfig(apiUrl, appId) {
+  Object.assign(process.env, {
+    FLIPLET_API_URL: apiUrl,
+    FLIPLET_API_TOKEN: DEFAULT_TOKEN,
+    FLIPLET_APP_ID: appId,
+    FLIPLET_APP_IDS: '',
+    FLIPLET_EMAIL: '',
+    FLIPLET_PASSWORD: '',
+    FLIPLET_CREDENTIALS_FILE: '',
+  });
+  return require('../src/config').loadConfig();
+}
+
+/**
+ * A path as shown in output: relative to the repo when inside it.
+ */
+function display(file) {
+  const relative = path.relative(ROOT, file);
+  return relative.startsWith('..') ? file : relative;
+}
+
+/**
+ * Read a previous report, or null if there is none.
+ */
+function readReport(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Run the evaluation.
+ *
+ * @param {object} [options={}]
+ * @param {string[]} [options.argv] - Arguments after the script name
+ * @param {Function} [options.loadConfig] - (apiUrl, appId) => config (injectable for testing)
+ * @param {Function} [options.log] - Progress output (default console.log)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(options = {}) {
+  const { argv = process.argv.slice(2), loadConfig = loadEvalConfig, log = console.log } = options;
+
+  let flags;
+  let suite;
+  let fixtures;
+  try {
+    flags = parseArgs(argv);
+    suite = loadSuite(flags.suite);
+    fixtures = loadFixtures(flags.fixtures);
+  } catch (error) {
+    log(`Error: ${error.message}`);
+    return 2;
+  }
+
+  if (flags.cases.length > 0) {
+    const unknown = flags.cases.filter((id) => !suite.cases.some((c) => c.id === id));
+    if (unknown.length > 0) {
+      log(`Error: no such case: ${unknown.join(', ')}`);
+      return 2;
+    }
+    suite = { ...suite, cases: suite.cases.filter((c) => flags.cases.includes(c.id)) };
+  }
+
+  const appIds = fixtures.apps.map((app) => String(app.id));
+  const mock = await new Promise((resolve) => {
+    const listening = createMockFlipletServer({ fixtures }).listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  try {
+    const config = loadConfig(`http://127.0.0.1:${mock.address().port}`, appIds[0]);
+    const provider = createProvider(config);
+    const clientPool = new FlipletClientPool({ ...config, flipletAppIds: appIds });
+    const registry = createToolRegistry(config);
+    const tools = registry.definitions();
+
+    const createEngine = (appId) =>
+      new ChatEngine({
+        provider,
+        toolExecutor: new ToolExecutor(clientPool.get(appId), { apps: clientPool, registry }),
+        tools,
+        model: provider.model,
+        historyTokenBudget: config.historyTokenBudget,
+        summarizeAfterTokens: config.summarizeAfterTokens,
+      });
+
+    const startedAt = new Date().toISOString();
+    log(`Evaluating ${suite.cases.length} cases from ${display(flags.suite)} with ${config.llmProvider} / ${provider.model}\n`);
+
+    const { cases, summary } = await runSuite({
+      suite,
+      createEngine,
+      onCase: (result) => {
+        const mark = result.passed ? 'PASS' : 'FAIL';
+        log(`  ${mark}  ${result.id}  ${Math.round(result.score * 100)}%${result.error ? `  (${result.error})` : ''}`);
+      },
+    });
+
+    const report = {
+      suite: suite.name,
+      startedAt,
+      provider: config.llmProvider,
+      model: provider.model,
+      fingerprint: fingerprint(createEngine(null).getSystemPrompt(), tools),
+      summary,
+      cases,
+    };
+    const baseline = readReport(flags.baseline);
+    report.comparison = compareReports(report, baseline);
+
+    // Write the reports
+    fs.mkdirSync(flags.out, { recursive: true });
+    const stamp = startedAt.replace(/[:.]/g, '-');
+    const markdown = renderMarkdown(report);
+    const json = `${JSON.stringify(report, null, 2)}\n`;
+    for (const name of [`report-${stamp}`, 'latest']) {
+      fs.writeFileSync(path.join(flags.out, `${name}.json`), json);
+      fs.writeFileSync(path.join(flags.out, `${name}.md`), markdown);
+    }
+    if (!baseline || flags.updateBaseline) {
+      fs.mkdirSync(path.dirname(flags.baseline), { recursive: true });
+      fs.writeFileSync(flags.baseline, json);
+    }
+
+    // Summary
+    log(`\nScore: ${Math.round(summary.score * 1000) / 10}% (${summary.passed}/${summary.cases} cases passed)`);
+    if (report.comparison) {
+      const { scoreDelta, regressions, improvements } = report.comparison;
+      log(`Baseline: ${scoreDelta > 0 ? '+' : ''}${Math.round(scoreDelta * 1000) / 10}% ` +
+        `(${regressions.length} regressed, ${improvements.length} improved)`);
+      for (const r of regressions) log(`  regressed: ${r.id}`);
+    }
+    if (!baseline) log(`Saved as the baseline: ${display(flags.baseline)}`);
+    else if (flags.updateBaseline) log(`Baseline updated: ${display(flags.baseline)}`);
+    log(`Report: ${display(path.join(flags.out, 'latest.md'))}`);
+
+    if (flags.failUnder !== null && summary.score < flags.failUnder) {
+      log(`Score is below --fail-under ${flags.failUnder}`);
+      return 1;
+    }
+    return 0;
+  } catch (error) {
+    log(`Error: ${error.message}`);
+    return 1;
+  } finally {
+    await new Promise((resolve) => mock.close(resolve));
+  }
+}
+
+module.exports = { parseArgs, run };
+
+// ---------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------
+
+if (require.main === module) {
+  run().then((code) => {
+    process.exitCode = code;
+  });
+}
@@ -6,63 +6,115 @@
  * and update the .env file automatically.
  *
  * Usage:
- *   node scripts/refresh-token.js
+ *   node scripts/refresh-token.js [--dry-run] [--print]
+ *
+ *   --dry-run  Log in and verify the token, but leave .env untouched
+ *   --print    Write only the token to stdout (progress goes to stderr)
+ *              and leave .env untouched, e.g.
+ *                export FLIPLET_API_TOKEN=$(npm run -s refresh-token -- --print)
+ *
+ * Credentials are taken from FLIPLET_EMAIL / FLIPLET_PASSWORD (the
+ * environment or .env) when set. Anything missing is prompted for on a
+ * terminal, or read line by line (email, then password) from stdin when
+ * it is piped, so the script also runs in CI:
+ *   printf '%s\n%s\n' "$EMAIL" "$PASSWORD" | npm run -s refresh-token
+ *
+ * The API URL comes from FLIPLET_API_URL (default https://api.fliplet.com).
+ *
+ * The server can also do this by itself: set FLIPLET_EMAIL / FLIPLET_PASSWORD
+ * (or FLIPLET_CREDENTIALS_FILE) and it logs in again whenever the token
+ * is rejected. This script remains for setting up .env by hand.
  *
- * You will be prompted for your Fliplet email and password.
  * The script will:
  *   1. Authenticate against the Fliplet REST API
  *   2. Receive a new session auth token
- *   3. Update FLIPLET_API_TOKEN in .env
+ *   3. Verify the token
+ *   4. Update FLIPLET_API_TOKEN in .env, keeping comments and other keys
+ *
+ * Best practices applied:
+ * - Dependency Injection: fetch, fs and the streams are injectable for testing
+ * - Atomic Write: .env is replaced in one rename, never left half-written
  */
 
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const dotenv = require('dotenv');
+const { loginToFliplet } = require('../src/fliplet-auth');
 
-const FLIPLET_API_URL = 'https://api.fliplet.com';
+const DEFAULT_API_URL = 'https://api.fliplet.com';
 const ENV_PATH = path.resolve(__dirname, '..', '.env');
 
+// An active (uncommented) FLIPLET_API_TOKEN assignment, optionally exported
+const TOKEN_LINE = /^([ \t]*(?:export[ \t]+)?FLIPLET_API_TOKEN[ \t]*=).*$/m;
+
+const USAGE = `Usage: node scripts/refresh-token.js [--dry-run] [--print]
+
+  --dry-run  Log in and verify the token, but leave .env untouched
+  --print    Write only the token to stdout and leave .env untouched
+  --help     Show this message
+
+Credentials come from FLIPLET_EMAIL / FLIPLET_PASSWORD, a prompt on a
+terminal, or stdin (email, then password, one per line) when piped.`;
+
 /**
- * Prompt the user for input (hides password characters).
+ * Parse command-line flags.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{ dryRun: boolean, print: boolean, help: boolean }}
+ * @throws {Error} On an unknown flag
+ */
+function parseArgs(argv) {
+  const options = { dryRun: false, print: false, help: false };
+  for (const arg of argv) {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--print') options.print = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return options;
+}
+
+/**
+ * Prompt the user for input on a terminal (hides password characters).
  *
  * @param {string} question - The prompt text
+ * @param {object} io - { stdin, stdout }
  * @param {boolean} [hidden=false] - Whether to hide input (for passwords)
  * @returns {Promise<string>}
  */
-function prompt(question, hidden = false) {
+function prompt(question, io, hidden = false) {
   return new Promise((resolve) => {
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
-    });
+    const { stdin, stdout } = io;
 
     if (hidden) {
       // Mute output for password entry
-      process.stdout.write(question);
-      const stdin = process.openStdin();
+      stdout.write(question);
       let password = '';
       const onData = (char) => {
         char = char.toString();
         if (char === '\n' || char === '\r' || char === '\r\n') {
           stdin.removeListener('data', onData);
-          process.stdout.write('\n');
-          rl.close();
+          stdin.setRawMode(false);
+          stdin.pause();
+          stdout.write('\n');
           resolve(password);
         } else if (char === '\u0003') {
           // Ctrl+C
-          process.exit();
+          process.exit(130);
         } else if (char === '\u007F' || char === '\b') {
           // Backspace
           password = password.slice(0, -1);
         } else {
           password += char;
-          process.stdout.write('*');
+          stdout.write('*');
         }
       };
       stdin.setRawMode(true);
       stdin.resume();
       stdin.on('data', onData);
     } else {
+      const rl = readline.createInterface({ input: stdin, output: stdout });
       rl.question(question, (answer) => {
         rl.close();
         resolve(answer.trim());
@@ -72,82 +124,213 @@ function prompt(question, hidden = false) {
 }
 
 /**
- * Authenticate with Fliplet and return the new auth token.
+ * Read all of a piped stdin and split it into trimmed, non-empty lines.
+ *
+ * @param {NodeJS.ReadableStream} stream
+ * @returns {Promise<string[]>}
+ */
+async function readLines(stream) {
+  let text = '';
+  for await (const chunk of stream) text += chunk.toString();
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Work out the email and password: from the environment first, then a
+ * terminal prompt, or piped stdin when there is no terminal.
+ *
+ * @param {object} env - Environment values (process.env merged over .env)
+ * @param {object} io - { stdin, stdout }
+ * @returns {Promise<{ email: string, password: string }>}
+ * @throws {Error} If a credential is still missing
  */
-async function login(email, password) {
-  const res = await fetch(`${FLIPLET_API_URL}/v1/auth/login`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ email, password }),
-  });
+async function resolveCredentials(env, io) {
+  let email = env.FLIPLET_EMAIL || '';
+  let password = env.FLIPLET_PASSWORD || '';
 
-  if (!res.ok) {
-    const body = await res.json().catch(() => ({}));
-    throw new Error(body.message || `Login failed with status ${res.status}`);
+  if (!email || !password) {
+    if (io.stdin.isTTY) {
+      if (!email) email = await prompt('Fliplet email: ', io);
+      if (!password) password = await prompt('Fliplet password: ', io, true);
+    } else {
+      const lines = await readLines(io.stdin);
+      if (!email) email = lines.shift() || '';
+      if (!password) password = lines.shift() || '';
+    }
   }
 
-  const data = await res.json();
-  return data.auth_token;
+  if (!email || !password) {
+    throw new Error(
+      'Missing Fliplet credentials. Set FLIPLET_EMAIL and FLIPLET_PASSWORD, or pipe them on stdin (one per line).'
+    );
+  }
+  return { email, password };
 }
 
 /**
- * Update FLIPLET_API_TOKEN in the .env file.
+ * Set FLIPLET_API_TOKEN in .env content, leaving every other line
+ * (comments, blank lines, other keys) exactly as it was.
+ *
+ * @param {string} content - Current .env content
+ * @param {string} token - The new token
+ * @returns {string} The updated content
  */
-function updateEnvFile(newToken) {
-  if (!fs.existsSync(ENV_PATH)) {
-    throw new Error(`.env file not found at ${ENV_PATH}`);
+function setEnvToken(content, token) {
+  if (TOKEN_LINE.test(content)) {
+    // A function replacement, so "$" in a token is not treated as a pattern
+    return content.replace(TOKEN_LINE, (line, key) => `${key}${token}`);
   }
+  const separator = content === '' || content.endsWith('\n') ? '' : '\n';
+  return `${content}${separator}FLIPLET_API_TOKEN=${token}\n`;
+}
 
-  let content = fs.readFileSync(ENV_PATH, 'utf-8');
-
-  if (content.includes('FLIPLET_API_TOKEN=')) {
-    content = content.replace(
-      /FLIPLET_API_TOKEN=.*/,
-      `FLIPLET_API_TOKEN=${newToken}`
-    );
-  } else {
-    content += `\nFLIPLET_API_TOKEN=${newToken}\n`;
+/**
+ * Replace a file atomically: write a temporary file next to it with the
+ * same permissions, then rename it over the original.
+ *
+ * @param {string} file - Path of the file to replace
+ * @param {string} content - New content
+ * @param {object} [fsImpl=fs] - fs module (injectable for testing)
+ */
+function writeFileAtomic(file, content, fsImpl = fs) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  const { mode } = fsImpl.statSync(file);
+  try {
+    fsImpl.writeFileSync(tempFile, content, { encoding: 'utf-8', mode });
+    fsImpl.renameSync(tempFile, file);
+  } catch (error) {
+    fsImpl.rmSync(tempFile, { force: true });
+    throw error;
   }
+}
 
-  fs.writeFileSync(ENV_PATH, content, 'utf-8');
+/**
+ * Update FLIPLET_API_TOKEN in the .env file.
+ *
+ * @param {string} envPath - Path of the .env file
+ * @param {string} token - The new token
+ * @param {object} [fsImpl=fs] - fs module (injectable for testing)
+ * @throws {Error} If the .env file does not exist
+ */
+function updateEnvFile(envPath, token, fsImpl = fs) {
+  if (!fsImpl.existsSync(envPath)) {
+    throw new Error(`.env file not found at ${envPath}`);
+  }
+  const content = fsImpl.readFileSync(envPath, 'utf-8');
+  writeFileAtomic(envPath, setEnvToken(content, token), fsImpl);
 }
 
-// ---------------------------------------------------------------
-// Main
-// ---------------------------------------------------------------
+/**
+ * Check a token by fetching the signed-in user.
+ *
+ * @param {object} options - { token, apiUrl, fetchFn }
+ * @returns {Promise<string|null>} The user's name or email, or null if the token was refused
+ */
+async function verifyToken({ token, apiUrl, fetchFn }) {
+  const res = await fetchFn(`${apiUrl}/v1/user`, {
+    headers: { 'Auth-token': token },
+  });
+  if (!res.ok) return null;
+  const body = await res.json().catch(() => ({}));
+  return body.user?.fullName || body.user?.email || 'OK';
+}
 
-async function main() {
-  console.log('=== Fliplet Token Refresh ===\n');
+/**
+ * Run the script.
+ *
+ * @param {object} [options={}]
+ * @param {string[]} [options.argv] - Arguments after the script name
+ * @param {object} [options.env] - Environment variables (default: process.env)
+ * @param {string} [options.envPath] - Path of the .env file
+ * @param {Function} [options.fetchFn] - Fetch implementation (injectable for testing)
+ * @param {object} [options.fs] - fs module (injectable for testing)
+ * @param {object} [options.io] - { stdin, stdout, stderr } streams
+ * @returns {Promise<number>} Exit code
+ */
+async function run(options = {}) {
+  const {
+    argv = process.argv.slice(2),
+    env = process.env,
+    envPath = ENV_PATH,
+    fetchFn = global.fetch,
+    fs: fsImpl = fs,
+    io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr },
+  } = options;
 
-  const email = await prompt('Fliplet email: ');
-  const password = await prompt('Fliplet password: ', true);
+  let flags;
+  try {
+    flags = parseArgs(argv);
+  } catch (error) {
+    io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (flags.help) {
+    io.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
 
-  console.log('\nAuthenticating...');
+  // With --print, stdout carries only the token
+  const log = (message) => (flags.print ? io.stderr : io.stdout).write(`${message}\n`);
 
   try {
-    const token = await login(email, password);
-    console.log(`\nNew token: ${token.substring(0, 20)}...`);
+    // Values already in the environment win over .env, as with dotenv
+    const fileEnv = fsImpl.existsSync(envPath) ? dotenv.parse(fsImpl.readFileSync(envPath, 'utf-8')) : {};
+    const settings = { ...fileEnv, ...env };
+    const apiUrl = (settings.FLIPLET_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
 
-    updateEnvFile(token);
-    console.log('Updated .env file with new FLIPLET_API_TOKEN.');
-
-    // Verify token works
-    console.log('\nVerifying token...');
-    const verifyRes = await fetch(`${FLIPLET_API_URL}/v1/user`, {
-      headers: { 'Auth-token': token },
+    log('=== Fliplet Token Refresh ===\n');
+    const { email, password } = await resolveCredentials(settings, {
+      ...io,
+      stdout: flags.print ? io.stderr : io.stdout,
     });
 
-    if (verifyRes.ok) {
-      const user = await verifyRes.json();
-      console.log(`Authenticated as: ${user.user?.fullName || user.user?.email || 'OK'}`);
-      console.log('\nToken refreshed successfully! You can now start the server.');
+    log(`\nAuthenticating against ${apiUrl}...`);
+    const token = await loginToFliplet({ email, password, apiUrl, fetchFn });
+    log(`New token: ${token.substring(0, 20)}...`);
+
+    log('\nVerifying token...');
+    const user = await verifyToken({ token, apiUrl, fetchFn });
+    if (user) {
+      log(`Authenticated as: ${user}`);
     } else {
-      console.warn('Warning: Token verification returned non-OK status.');
+      log('Warning: Token verification returned non-OK status.');
     }
-  } catch (err) {
-    console.error(`\nError: ${err.message}`);
-    process.exit(1);
+
+    if (flags.print) {
+      io.stdout.write(`${token}\n`);
+    } else if (flags.dryRun) {
+      log(`\nDry run: ${envPath} was not changed.`);
+    } else {
+      updateEnvFile(envPath, token, fsImpl);
+      log(`Updated ${envPath} with new FLIPLET_API_TOKEN.`);
+      log('\nToken refreshed successfully! You can now start the server.');
+    }
+    return 0;
+  } catch (error) {
+    io.stderr.write(`\nError: ${error.message}\n`);
+    return 1;
   }
 }
 
-main();
+module.exports = {
+  parseArgs,
+  resolveCredentials,
+  setEnvToken,
+  writeFileAtomic,
+  updateEnvFile,
+  verifyToken,
+  run,
+};
+
+// ---------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------
+
+if (require.main === module) {
+  run().then((code) => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,268 @@
+/**
+ * Authentication
+ *
+ * Pluggable request authentication for the Express server. Each
+ * authenticator takes the credential a client sent and returns the user
+ * it belongs to, or null if it does not recognise it:
+ *
+ *   authenticate(credential) → { id, method } | null
+ *
+ * Authenticators:
+ * - createApiKeyAuthenticator: static keys, one per user (AUTH_API_KEYS)
+ * - createJwtAuthenticator: HS256-signed JWT bearer tokens, verified
+ *   locally against a shared secret (AUTH_JWT_SECRET) — no network calls
+ *
+ * createAuthMiddleware() tries them in order and rejects the request
+ * with 401 when none accepts the credential.
+ *
+ * Best practices applied:
+ * - Strategy Pattern: any function with the authenticator signature can be plugged in
+ * - Constant-time Comparison: keys and signatures are compared with crypto.timingSafeEqual
+ * - Algorithm Pinning: only HS256 tokens are accepted ("alg: none" and friends are rejected)
+ * - Fail Closed: malformed credentials are treated as unknown, never as errors that skip auth
+ */
+
+const crypto = require('crypto');
+
+// The only JWT signing algorithm accepted
+const JWT_ALGORITHM = 'HS256';
+
+// Tolerated clock difference when checking exp / nbf, in seconds
+const CLOCK_SKEW_SECONDS = 30;
+
+// Shortest shared secret accepted for signing tokens (256 bits of hex / base64 is longer)
+const MIN_JWT_SECRET_LENGTH = 32;
+
+/**
+ * Compare two strings in constant time.
+ *
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  // Hash first so inputs of different lengths can still be compared safely
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// ---------------------------------------------------------------
+// API keys
+// ---------------------------------------------------------------
+
+/**
+ * Authenticate static API keys.
+ *
+ * @param {object} options
+ * @param {Array<{ userId: string, key: string }>} options.keys - Accepted keys and their users
+ * @returns {(credential: string) => ({ id: string, method: 'api_key' }|null)}
+ * @throws {Error} If no keys are given
+ */
+function createApiKeyAuthenticator({ keys } = {}) {
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new Error('createApiKeyAuthenticator requires at least one key');
+  }
+
+  return function authenticateApiKey(credential) {
+    // Check every key so timing does not reveal which one matched
+    let user = null;
+    for (const { userId, key } of keys) {
+      if (safeEqual(credential, key) && !user) user = { id: userId, method: 'api_key' };
+    }
+    return user;
+  };
+}
+
+// ---------------------------------------------------------------
+// JWT (HS256)
+// ---------------------------------------------------------------
+
+/**
+ * Sign a JWT with HS256. Used to issue tokens for the JWT authenticator
+ * (e.g. by an identity service sharing the secret, or in tests).
+ *
+ * @param {object} payload - Claims; `sub` identifies the user
+ * @param {string} secret - Shared signing secret
+ * @param {object} [options={}]
+ * @param {number} [options.expiresInSeconds] - Sets `exp` relative to now
+ * @param {Function} [options.now=Date.now] - Clock (injectable for testing)
+ * @returns {string} The encoded token
+ */
+function signJwt(payload, secret, options = {}) {
+  const now = Math.floor((options.now || Date.now)() / 1000);
+  const claims = { iat: now, ...payload };
+  if (options.expiresInSeconds) claims.exp = now + options.expiresInSeconds;
+
+  const header = base64UrlJson({ alg: JWT_ALGORITHM, typ: 'JWT' });
+  const body = base64UrlJson(claims);
+  return `${header}.${body}.${hmac(`${header}.${body}`, secret)}`;
+}
+
+/**
+ * Authenticate HS256 JWT bearer tokens.
+ *
+ * A token is accepted when its signature matches, it has a string `sub`,
+ * it is within its `nbf` / `exp` window, and — when configured — its
+ * `iss` and `aud` match.
+ *
+ * @param {object} options
+ * @param {string} options.secret - Shared signing secret (32+ characters)
+ * @param {string} [options.issuer] - Required `iss` claim
+ * @param {string} [options.audience] - Required `aud` claim (string or array claim)
+ * @param {Function} [options.now=Date.now] - Clock (injectable for testing)
+ * @returns {(credential: string) => ({ id: string, method: 'jwt' }|null)}
+ * @throws {Error} If the secret is missing or too short
+ */
+function createJwtAuthenticator({ secret, issuer, audience, now = Date.now } = {}) {
+  if (!secret || secret.length < MIN_JWT_SECRET_LENGTH) {
+    throw new Error(`createJwtAuthenticator requires a secret of at least ${MIN_JWT_SECRET_LENGTH} characters`);
+  }
+
+  return function authenticateJwt(credential) {
+    const parts = String(credential).split('.');
+    if (parts.length !== 3) return null;
+
+    const [encodedHeader, encodedPayload, signature] = parts;
+    const header = parseBase64UrlJson(encodedHeader);
+    const claims = parseBase64UrlJson(encodedPayload);
+    if (!header || !claims || header.alg !== JWT_ALGORITHM) return null;
+
+    if (!safeEqual(signature, hmac(`${encodedHeader}.${encodedPayload}`, secret))) return null;
+
+    const nowSeconds = Math.floor(now() / 1000);
+    if (typeof claims.exp === 'number' && nowSeconds > claims.exp + CLOCK_SKEW_SECONDS) return null;
+    if (typeof claims.nbf === 'number' && nowSeconds < claims.nbf - CLOCK_SKEW_SECONDS) return null;
+    if (issuer && claims.iss !== issuer) return null;
+    if (audience && ![].concat(claims.aud).includes(audience)) return null;
+    if (typeof claims.sub !== 'string' || claims.sub.length === 0) return null;
+
+    return { id: claims.sub, method: 'jwt' };
+  };
+}
+
+// ---------------------------------------------------------------
+// Express middleware
+// ---------------------------------------------------------------
+
+/**
+ * Build authenticators from the loaded config.
+ *
+ * @param {object} config - Config from loadConfig()
+ * @returns {Array<Function>} Authenticators; empty when auth is not configured
+ */
+function createAuthenticators(config) {
+  const authenticators = [];
+  if (config.authApiKeys && config.authApiKeys.length > 0) {
+    authenticators.push(createApiKeyAuthenticator({ keys: config.authApiKeys }));
+  }
+  if (config.authJwtSecret) {
+    authenticators.push(createJwtAuthenticator({
+      secret: config.authJwtSecret,
+      issuer: config.authJwtIssuer,
+      audience: config.authJwtAudience,
+    }));
+  }
+  return authenticators;
+}
+
+/**
+ * Express middleware that requires a recognised credential and sets
+ * `req.user` to { id, method }.
+ *
+ * Credentials are read from `Authorization: Bearer <token>` or the
+ * `X-API-Key` header.
+ *
+ * @param {Array<Function>} authenticators - Tried in order; first match wins
+ * @returns {Function} Express middleware
+ * @throws {Error} If no authenticators are given
+ */
+function createAuthMiddleware(authenticators) {
+  if (!Array.isArray(authenticators) || authenticators.length === 0) {
+    throw new Error('createAuthMiddleware requires at least one authenticator');
+  }
+
+  return function authenticate(req, res, next) {
+    const credential = readCredential(req);
+
+    let user = null;
+    if (credential) {
+      for (const authenticator of authenticators) {
+        user = authenticator(credential);
+        if (user) break;
+      }
+    }
+
+    if (!user) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Authentication required. Sign in with an API key or access token.' });
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+/**
+ * Read the credential a client sent.
+ *
+ * @param {express.Request} req - Incoming request
+ * @returns {string|null} The token or key, or null if none was sent
+ */
+function readCredential(req) {
+  const authorization = req.get('authorization');
+  if (authorization) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(authorization);
+    return match ? match[1] : null;
+  }
+  return req.get('x-api-key') || null;
+}
+
+// ---------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------
+
+/**
+ * HMAC-SHA256 of a string, base64url-encoded.
+ *
+ * @param {string} data - Signed content
+ * @param {string} secret - Signing secret
+ * @returns {string} Signature
+ */
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Encode a value as base64url JSON.
+ *
+ * @param {object} value - Value to encode
+ * @returns {string} Encoded segment
+ */
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Decode a base64url JSON segment.
+ *
+ * @param {string} segment - Encoded segment
+ * @returns {object|null} The decoded object, or null if malformed
+ */
+function parseBase64UrlJson(segment) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    return value && typeof value === 'object' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  createApiKeyAuthenticator,
+  createJwtAuthenticator,
+  createAuthenticators,
+  createAuthMiddleware,
+  signJwt,
+  MIN_JWT_SECRET_LENGTH,
+};
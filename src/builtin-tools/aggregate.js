@@ -0,0 +1,310 @@
+/**
+ * Built-in tool: aggregate_data_source
+ *
+ * Pages through every matching entry on the server and hands the model
+ * only the computed values, so counts and totals are exact instead of
+ * the model's arithmetic over raw rows.
+ */
+
+// Operations it can compute, the most entries it reads before asking for
+// a narrower filter, and the most groups it returns
+const AGGREGATE_OPS = ['count', 'sum', 'avg', 'min', 'max', 'distinct'];
+const MAX_AGGREGATE_ROWS = 50000;
+const MAX_AGGREGATE_GROUPS = 100;
+
+module.exports = {
+  name: 'aggregate_data_source',
+  description:
+    'Compute exact counts, sums, averages, minimums, maximums or distinct-value counts ' +
+    'over ALL matching entries of a data source, optionally grouped by one or more columns. ' +
+    'The server reads every entry, so use this instead of get_data_source_entries for any ' +
+    'question about totals, "how many", "per department", averages or extremes — never add ' +
+    'up entries yourself. Returns one set of values, or one per group with rowsScanned.',
+  parameters: {
+    type: 'object',
+    properties: {
+      dataSourceId: {
+        type: 'number',
+        minimum: 1,
+        description: 'The unique ID of the data source to aggregate.',
+      },
+      metrics: {
+        type: 'array',
+        description:
+          'What to compute. Default: [{ "op": "count" }] (number of entries). ' +
+          'count with a column counts entries where that column has a value; ' +
+          'distinct counts the different values of a column.',
+        items: {
+          type: 'object',
+          properties: {
+            op: {
+              type: 'string',
+              enum: AGGREGATE_OPS,
+            },
+            column: {
+              type: 'string',
+              description: 'The column to aggregate (required for every op except count).',
+            },
+          },
+          required: ['op'],
+          additionalProperties: false,
+        },
+      },
+      groupBy: {
+        type: 'array',
+        items: { type: 'string', minLength: 1 },
+        description:
+          'Optional columns to group by, e.g. ["Department"]. Each group gets its own values.',
+      },
+      where: {
+        type: 'object',
+        description:
+          'Optional filter applied before aggregating, same format as get_data_source_entries. ' +
+          'Example: { "Active": true }.',
+      },
+    },
+    required: ['dataSourceId'],
+    additionalProperties: false,
+  },
+  // Reading 50,000 entries page by page takes longer than one request
+  timeoutMs: 120000,
+  handler: aggregate,
+  // Only grouped results hold a list; totals have no count
+  resultCount: (result) => result.groupCount,
+};
+
+/**
+ * Compute aggregate_data_source over every entry matching the filter.
+ *
+ * Entries are read page by page and folded into per-group accumulators,
+ * so memory grows with the number of groups, not rows. Without groupBy
+ * the result has one `values` object; with it, `groups` lists each
+ * combination of group values (sorted, at most 100) with its own values.
+ *
+ * @param {object} args - Tool arguments: dataSourceId, metrics?, groupBy?, where?
+ * @param {{ client: FlipletApiClient, signal?: AbortSignal }} context - The app's API
+ *   client; reading stops between pages once the signal aborts
+ * @returns {Promise<object>} { dataSourceId, rowsScanned, values } or
+ *   { dataSourceId, rowsScanned, groupBy, groupCount, groups, truncated }
+ * @throws {Error} If the arguments are invalid, a column does not exist,
+ *   or more than 50,000 entries match
+ */
+async function aggregate(args, { client, signal }) {
+  const { dataSourceId, where } = args;
+  const metrics = parseMetrics(args.metrics);
+  const groupBy = parseGroupBy(args.groupBy);
+
+  const groups = new Map(); // JSON of group values → { key, accumulators }
+  const columnsSeen = new Set();
+  let rowsScanned = 0;
+
+  for await (const page of client.iterateDataSourceEntries(dataSourceId, { where })) {
+    for (const entry of page) {
+      const data = (entry && entry.data) || {};
+      Object.keys(data).forEach((column) => columnsSeen.add(column));
+
+      const keyValues = groupBy.map((column) => normalizeGroupValue(data[column]));
+      const id = JSON.stringify(keyValues);
+      if (!groups.has(id)) {
+        groups.set(id, { keyValues, accumulators: metrics.map(createAccumulator) });
+      }
+      groups.get(id).accumulators.forEach((accumulator) => accumulator.add(data));
+    }
+
+    // Timed out: stop reading instead of finishing for nobody
+    if (signal && signal.aborted) return null;
+
+    rowsScanned += page.length;
+    if (rowsScanned > MAX_AGGREGATE_ROWS) {
+      throw new Error(
+        `More than ${MAX_AGGREGATE_ROWS} entries match. Add a where filter to aggregate a smaller set.`
+      );
+    }
+  }
+
+  // A misspelled column would silently aggregate to nothing
+  const referenced = [...groupBy, ...metrics.map((metric) => metric.column).filter(Boolean)];
+  const unknown = rowsScanned > 0 ? referenced.filter((column) => !columnsSeen.has(column)) : [];
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown column${unknown.length > 1 ? 's' : ''}: ${[...new Set(unknown)].join(', ')}. ` +
+        `Columns in this data source: ${[...columnsSeen].join(', ')}.`
+    );
+  }
+
+  const valuesOf = (accumulators) =>
+    Object.fromEntries(metrics.map((metric, i) => [metric.label, accumulators[i].result()]));
+
+  if (groupBy.length === 0) {
+    const [only] = groups.values();
+    return {
+      dataSourceId,
+      rowsScanned,
+      values: valuesOf(only ? only.accumulators : metrics.map(createAccumulator)),
+    };
+  }
+
+  const sorted = [...groups.values()].sort((a, b) => compareValueLists(a.keyValues, b.keyValues));
+  return {
+    dataSourceId,
+    rowsScanned,
+    groupBy,
+    groupCount: sorted.length,
+    groups: sorted.slice(0, MAX_AGGREGATE_GROUPS).map(({ keyValues, accumulators }) => ({
+      group: Object.fromEntries(groupBy.map((column, i) => [column, keyValues[i]])),
+      values: valuesOf(accumulators),
+    })),
+    truncated: sorted.length > MAX_AGGREGATE_GROUPS,
+  };
+}
+
+/**
+ * Validate aggregate_data_source metrics and give each a result label,
+ * e.g. "count", "count(Email)", "avg(StartYear)".
+ *
+ * @param {Array|undefined} metrics - The metrics argument (default: a plain count)
+ * @returns {Array<{ op: string, column?: string, label: string }>}
+ * @throws {Error} If a metric has an unknown op or is missing its column
+ */
+function parseMetrics(metrics) {
+  if (metrics === undefined || metrics === null) return [{ op: 'count', label: 'count' }];
+  if (!Array.isArray(metrics) || metrics.length === 0) {
+    throw new Error('metrics must be a non-empty array, e.g. [{ "op": "count" }]');
+  }
+
+  return metrics.map((metric) => {
+    const op = metric && typeof metric.op === 'string' ? metric.op.toLowerCase() : metric && metric.op;
+    if (!AGGREGATE_OPS.includes(op)) {
+      throw new Error(`Unknown metric op "${metric && metric.op}". Use one of: ${AGGREGATE_OPS.join(', ')}.`);
+    }
+    if (metric.column !== undefined && (typeof metric.column !== 'string' || !metric.column)) {
+      throw new Error(`The column of a ${op} metric must be a column name`);
+    }
+    if (op !== 'count' && !metric.column) {
+      throw new Error(`The ${op} metric needs a column`);
+    }
+    return metric.column ? { op, column: metric.column, label: `${op}(${metric.column})` } : { op, label: op };
+  });
+}
+
+/**
+ * Validate the groupBy argument (a column name is accepted as a one-item list).
+ *
+ * @param {string|string[]|undefined} groupBy - The groupBy argument
+ * @returns {string[]} Column names (empty for no grouping)
+ * @throws {Error} If it is not a list of column names
+ */
+function parseGroupBy(groupBy) {
+  if (groupBy === undefined || groupBy === null) return [];
+  const columns = typeof groupBy === 'string' ? [groupBy] : groupBy;
+  if (!Array.isArray(columns) || columns.some((column) => typeof column !== 'string' || !column)) {
+    throw new Error('groupBy must be a list of column names, e.g. ["Department"]');
+  }
+  return [...new Set(columns)];
+}
+
+/**
+ * Create the running state for one metric of one group.
+ *
+ * @param {{ op: string, column?: string }} metric - A parsed metric
+ * @returns {{ add: Function, result: Function }} add(entryData) folds in an entry;
+ *   result() gives the value (null when no entry had a usable value). min and
+ *   max compare numbers when the column has any, and text otherwise
+ */
+function createAccumulator({ op, column }) {
+  let count = 0;
+  let sum = 0;
+  const best = { number: null, text: null };
+  const distinct = new Set();
+
+  return {
+    add(data) {
+      if (op === 'count' && !column) {
+        count++;
+        return;
+      }
+
+      const value = data[column];
+      if (isEmpty(value)) return;
+
+      if (op === 'count') count++;
+      else if (op === 'distinct') distinct.add(JSON.stringify(normalizeGroupValue(value)));
+      else if (op === 'sum' || op === 'avg') {
+        const number = toNumber(value);
+        if (number === null) return;
+        sum += number;
+        count++;
+      } else {
+        // Numbers win over text: a stray "n/a" must not become the max of a numeric column
+        const number = toNumber(value);
+        const slot = number === null ? 'text' : 'number';
+        const candidate = number === null ? String(value) : number;
+        const order = best[slot] === null ? null : compareValues(candidate, best[slot]);
+        if (order === null || (op === 'min' ? order < 0 : order > 0)) best[slot] = candidate;
+      }
+    },
+
+    result() {
+      if (op === 'count') return count;
+      if (op === 'distinct') return distinct.size;
+      if (op === 'sum') return count > 0 ? roundResult(sum) : null;
+      if (op === 'avg') return count > 0 ? roundResult(sum / count) : null;
+      return best.number ?? best.text;
+    },
+  };
+}
+
+/**
+ * Whether a column value counts as missing.
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Read a value as a number: numbers, and numeric strings like "1200000" or "3.5".
+ *
+ * @returns {number|null} The number, or null if the value is not numeric
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+}
+
+/**
+ * Group values as shown to the model: missing values become null,
+ * objects and arrays are kept as they are.
+ */
+function normalizeGroupValue(value) {
+  return isEmpty(value) ? null : value;
+}
+
+/**
+ * Drop floating-point noise (0.1 + 0.2) without hiding real decimals.
+ */
+function roundResult(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Order values: numbers numerically, everything else as text, nulls last.
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Order group keys column by column.
+ */
+function compareValueLists(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    const order = compareValues(a[i], b[i]);
+    if (order !== 0) return order;
+  }
+  return 0;
+}
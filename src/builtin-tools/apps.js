@@ -0,0 +1,40 @@
+/**
+ * Built-in tool: list_apps
+ *
+ * An executor is bound to one app (its client's). list_apps is the only
+ * tool that looks beyond it, so the AI can tell the user which other apps
+ * this deployment can query.
+ */
+
+module.exports = {
+  name: 'list_apps',
+  description:
+    'List the Fliplet apps this assistant can be used with, including their id and name. ' +
+    'The app this conversation is about is marked current: true; every other tool only ' +
+    'queries the current app. Use this when the user asks which apps are available. ' +
+    'To work with another app, the user must switch apps, which starts a new conversation.',
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: [],
+    additionalProperties: false,
+  },
+
+  /**
+   * List the apps this deployment can query, marking the one this
+   * conversation is about. Without a client pool, every app the client's
+   * token can see is listed.
+   *
+   * @returns {Promise<{ currentAppId: string|null, apps: Array }>}
+   */
+  async handler(args, { client, apps }) {
+    const list = apps ? await apps.listApps() : await client.listApps();
+    const currentAppId = client.appId ? String(client.appId) : null;
+
+    return {
+      currentAppId,
+      apps: list.map((app) => ({ ...app, current: String(app.id) === currentAppId })),
+    };
+  },
+  resultCount: (result) => result.apps.length,
+};
@@ -0,0 +1,157 @@
+/**
+ * Built-in tools: insert / update / delete_data_source_entry
+ *
+ * Write tools: ChatEngine never runs them straight from a model tool
+ * call. propose() describes the exact change for the user to approve;
+ * the handler only runs once they have.
+ *
+ * Update and delete proposals read the entry first, so the user sees the
+ * values being replaced (`before`) next to the new ones (`changes`), and
+ * a change to an entry that doesn't exist is refused up front.
+ */
+
+const { FlipletApiError } = require('../fliplet-client');
+
+module.exports = [
+  {
+    name: 'insert_data_source_entry',
+    description:
+      'Propose inserting a new entry (row) into a data source. ' +
+      'The change is NOT applied immediately: it is shown to the user, ' +
+      'who must approve it in the interface before anything is written.',
+    parameters: {
+      type: 'object',
+      properties: {
+        dataSourceId: {
+          type: 'number',
+          minimum: 1,
+          description: 'The unique ID of the data source to insert into.',
+        },
+        data: {
+          type: 'object',
+          minProperties: 1,
+          description:
+            'Column values for the new entry as key-value pairs. ' +
+            'Example: { "Name": "Jane", "Status": "Active" }.',
+        },
+      },
+      required: ['dataSourceId', 'data'],
+      additionalProperties: false,
+    },
+    write: true,
+    propose: ({ dataSourceId, data }) => ({
+      action: 'insert',
+      dataSourceId,
+      changes: data,
+      summary: `Insert a new entry into data source ${dataSourceId}`,
+    }),
+    handler: (args, { client }) => client.insertDataSourceEntry(args.dataSourceId, args.data),
+  },
+  {
+    name: 'update_data_source_entry',
+    description:
+      'Propose changing column values of an existing entry in a data source. ' +
+      'Only the given columns change. The change is NOT applied immediately: ' +
+      'the user must approve it in the interface first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        dataSourceId: {
+          type: 'number',
+          minimum: 1,
+          description: 'The unique ID of the data source containing the entry.',
+        },
+        entryId: {
+          type: 'number',
+          minimum: 1,
+          description: 'The unique ID of the entry to update.',
+        },
+        data: {
+          type: 'object',
+          minProperties: 1,
+          description:
+            'Column values to set as key-value pairs. ' +
+            'Example: { "Status": "Inactive" }.',
+        },
+      },
+      required: ['dataSourceId', 'entryId', 'data'],
+      additionalProperties: false,
+    },
+    write: true,
+    propose: async ({ dataSourceId, entryId, data }, { client }) => {
+      const entry = await readEntry(client, dataSourceId, entryId, 'update');
+      const current = entry.data || {};
+      // Current values of the columns being set (columns the entry lacks are left out)
+      const before = {};
+      for (const column of Object.keys(data)) {
+        if (column in current) before[column] = current[column];
+      }
+      return {
+        action: 'update',
+        dataSourceId,
+        entryId,
+        before,
+        changes: data,
+        summary: `Update entry ${entryId} in data source ${dataSourceId}`,
+      };
+    },
+    handler: (args, { client }) =>
+      client.updateDataSourceEntry(args.dataSourceId, args.entryId, args.data),
+  },
+  {
+    name: 'delete_data_source_entry',
+    description:
+      'Propose deleting an entry from a data source. ' +
+      'The entry is NOT deleted immediately: the user must approve it in the interface first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        dataSourceId: {
+          type: 'number',
+          minimum: 1,
+          description: 'The unique ID of the data source containing the entry.',
+        },
+        entryId: {
+          type: 'number',
+          minimum: 1,
+          description: 'The unique ID of the entry to delete.',
+        },
+      },
+      required: ['dataSourceId', 'entryId'],
+      additionalProperties: false,
+    },
+    write: true,
+    propose: async ({ dataSourceId, entryId }, { client }) => {
+      const entry = await readEntry(client, dataSourceId, entryId, 'delete');
+      return {
+        action: 'delete',
+        dataSourceId,
+        entryId,
+        before: entry.data || {},
+        summary: `Delete entry ${entryId} from data source ${dataSourceId}`,
+      };
+    },
+    handler: (args, { client }) => client.deleteDataSourceEntry(args.dataSourceId, args.entryId),
+  },
+];
+
+/**
+ * Read the entry a proposal would change.
+ *
+ * @param {FlipletApiClient} client - The app's API client
+ * @param {number} dataSourceId - The data source ID
+ * @param {number} entryId - The entry ID
+ * @param {string} verb - 'update' or 'delete', for the error message
+ * @returns {Promise<object>} The entry
+ * @throws {Error} If the entry does not exist
+ */
+async function readEntry(client, dataSourceId, entryId, verb) {
+  try {
+    return await client.getDataSourceEntry(dataSourceId, entryId);
+  } catch (error) {
+    if (error instanceof FlipletApiError && error.statusCode === 404) {
+      throw new Error(`Entry ${entryId} does not exist in data source ${dataSourceId}, so there is nothing to ${verb}.`);
+    }
+    throw error;
+  }
+}
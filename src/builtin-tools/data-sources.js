@@ -0,0 +1,200 @@
+/**
+ * Built-in tools: list_data_sources, get_data_source, get_data_source_entries
+ *
+ * get_data_source_entries returns one page at a time with the total
+ * matching the filter and an opaque cursor for the next page, so a
+ * 50k-row source never floods the prompt.
+ */
+
+// Page size for get_data_source_entries when the AI doesn't pass a limit,
+// and the most it may ask for in one call (keeps prompts small)
+const DEFAULT_ENTRIES_LIMIT = 50;
+const MAX_ENTRIES_LIMIT = 200;
+
+module.exports = [
+  {
+    name: 'list_data_sources',
+    description:
+      'List all data sources belonging to the current Fliplet app. ' +
+      'Returns an array of data source objects with id, name, columns, ' +
+      'and metadata. Use this to discover what data is available.',
+    parameters: {
+      type: 'object',
+      properties: {},
+      // No required params — appId comes from config, not from the AI
+      required: [],
+      additionalProperties: false,
+    },
+    handler: (args, { client }) => client.listDataSources(),
+  },
+  {
+    name: 'get_data_source',
+    description:
+      'Get detailed information about a specific data source by its ID. ' +
+      'Returns the data source object including name, columns, hooks, ' +
+      'encryption status, and timestamps.',
+    parameters: {
+      type: 'object',
+      properties: {
+        dataSourceId: {
+          type: 'number',
+          minimum: 1,
+          description: 'The unique ID of the data source to retrieve.',
+        },
+      },
+      required: ['dataSourceId'],
+      additionalProperties: false,
+    },
+    handler: (args, { client }) => client.getDataSource(args.dataSourceId),
+  },
+  {
+    name: 'get_data_source_entries',
+    description:
+      'Query and retrieve entries (rows) from a specific data source. ' +
+      'Supports filtering with a where clause. Results are paginated: each call ' +
+      'returns one page of entries with id, data, and timestamps, plus total ' +
+      '(how many entries match the filter across all pages), pageCount (entries ' +
+      'on this page), hasMore and nextCursor. Answer "how many" questions from ' +
+      'total rather than by paging (if total is null, use aggregate_data_source). ' +
+      'To get the next page, call again with the same ' +
+      'dataSourceId and cursor set to nextCursor. Only fetch further pages when ' +
+      'the question actually needs them.',
+    parameters: {
+      type: 'object',
+      properties: {
+        dataSourceId: {
+          type: 'number',
+          minimum: 1,
+          description: 'The unique ID of the data source to query.',
+        },
+        where: {
+          type: 'object',
+          description:
+            'Optional filter conditions as key-value pairs. ' +
+            'Example: { "email": "john@example.com" } or ' +
+            '{ "Status": "Active" }. Supports MongoDB-style operators.',
+        },
+        limit: {
+          type: 'number',
+          minimum: 1,
+          description:
+            'Page size: maximum number of entries to return in this call. ' +
+            'Default is 50, maximum is 200.',
+        },
+        offset: {
+          type: 'number',
+          minimum: 0,
+          description:
+            'Number of entries to skip before returning results. ' +
+            'Prefer cursor for fetching the next page.',
+        },
+        cursor: {
+          type: 'string',
+          minLength: 1,
+          description:
+            'The nextCursor value from a previous call, to fetch the following page. ' +
+            'When given, where/limit/offset are taken from the cursor.',
+        },
+      },
+      required: ['dataSourceId'],
+      additionalProperties: false,
+    },
+    handler: getEntriesPage,
+    resultCount: (result) => result.entries.length,
+  },
+];
+
+/**
+ * Fetch one page of entries for get_data_source_entries.
+ *
+ * Returns the page plus a continuation cursor instead of the whole data
+ * source. The cursor is an opaque string encoding the query; the AI
+ * passes it back to get the next page.
+ *
+ * @param {object} args - Tool arguments: dataSourceId, where?, limit?, offset?, cursor?
+ * @param {{ client: FlipletApiClient }} context - The app's API client
+ * @returns {Promise<{ entries: Array, total: number|null, pageCount: number, offset: number, hasMore: boolean, nextCursor: string|null }>}
+ * @throws {Error} If the cursor is malformed or belongs to another data source
+ */
+async function getEntriesPage(args, { client }) {
+  // Separate dataSourceId from the rest (which are query options)
+  const { dataSourceId, cursor, ...options } = args;
+
+  // A cursor carries the original filter and page size forward
+  const query = cursor ? decodeCursor(cursor, dataSourceId) : options;
+  const limit = Math.min(query.limit || DEFAULT_ENTRIES_LIMIT, MAX_ENTRIES_LIMIT);
+  const offset = query.offset || 0;
+
+  // One extra entry tells us whether another page exists, without a
+  // second request when the data source ends exactly on a page boundary
+  const queryOptions = { limit: limit + 1, offset };
+  if (query.where) queryOptions.where = query.where;
+
+  const { entries: fetched, total } = await client.queryDataSourceEntries(dataSourceId, queryOptions);
+  const hasMore = fetched.length > limit;
+  const entries = hasMore ? fetched.slice(0, limit) : fetched;
+
+  return {
+    entries,
+    total,
+    pageCount: entries.length,
+    offset,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeCursor({ dataSourceId, where: query.where, limit, offset: offset + entries.length })
+      : null,
+  };
+}
+
+/**
+ * Encode a query position as an opaque, URL-safe cursor string.
+ *
+ * @param {{ dataSourceId: number, where?: object, limit: number, offset: number }} state
+ * @returns {string} Cursor for the next page
+ */
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor().
+ *
+ * @param {string} cursor - The cursor string from a previous page
+ * @param {number} dataSourceId - The data source the AI is querying now
+ * @returns {{ dataSourceId: number, where?: object, limit: number, offset: number }}
+ * @throws {Error} If the cursor is malformed or belongs to another data source
+ */
+function decodeCursor(cursor, dataSourceId) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor. Pass the nextCursor value from a previous page unchanged.');
+  }
+
+  // The cursor is sent back by the AI, so check it as closely as the arguments
+  if (
+    !state ||
+    typeof state !== 'object' ||
+    !Number.isInteger(state.offset) ||
+    state.offset < 0 ||
+    !Number.isInteger(state.limit) ||
+    state.limit < 1 ||
+    (state.where !== undefined && !isPlainObject(state.where))
+  ) {
+    throw new Error('Invalid cursor. Pass the nextCursor value from a previous page unchanged.');
+  }
+  if (state.dataSourceId !== dataSourceId) {
+    throw new Error(`Cursor belongs to data source ${state.dataSourceId}, not ${dataSourceId}.`);
+  }
+
+  return state;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for a non-null, non-array object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
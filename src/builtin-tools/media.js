@@ -0,0 +1,438 @@
+/**
+ * Built-in tools: list_media, get_media_tree, find_media_files,
+ * get_media_file, read_media_file
+ *
+ * get_media_tree and find_media_files walk every folder in one call
+ * (FlipletApiClient.walkMedia), so a file three folders deep doesn't take
+ * three list_media round trips.
+ *
+ * read_media_file downloads a file and extracts its text locally (see
+ * media-text.js), returning only the excerpts relevant to the question,
+ * each with the page / lines it came from so the AI can cite them.
+ */
+
+const {
+  SUPPORTED_FORMATS,
+  MAX_MEDIA_FILE_BYTES,
+  detectFormat,
+  extractText,
+  chunkText,
+  rankChunks,
+  describeLocation,
+} = require('../media-text');
+
+// Excerpts returned when the AI doesn't say, and the most it may ask for
+const DEFAULT_MAX_EXCERPTS = 5;
+const MAX_EXCERPTS = 10;
+
+// Folder levels shown by get_media_tree when the AI doesn't say, and the most it may ask for
+const DEFAULT_TREE_DEPTH = 3;
+const MAX_TREE_DEPTH = 10;
+
+// Most folders / files walked for one get_media_tree call (keeps the result small)
+const MAX_TREE_FOLDERS = 200;
+const MAX_TREE_FILES = 500;
+
+// Matches returned by find_media_files when the AI doesn't say, and the most it may ask for
+const DEFAULT_FIND_LIMIT = 25;
+const MAX_FIND_LIMIT = 100;
+
+module.exports = [
+  {
+    name: 'list_media',
+    description:
+      'List all media files and folders belonging to the current Fliplet app. ' +
+      'Optionally filter by a specific folder ID to browse subfolder contents. ' +
+      'Returns arrays of folders and files with names, URLs, and metadata.',
+    parameters: {
+      type: 'object',
+      properties: {
+        folderId: {
+          type: 'number',
+          minimum: 1,
+          description:
+            'Optional folder ID to list contents of a specific folder. ' +
+            'Omit to list root-level files and folders for the app.',
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    handler: (args, { client }) => client.listMedia(args.folderId),
+    resultCount: (result) => (result.files || []).length + (result.folders || []).length,
+  },
+  {
+    name: 'get_media_tree',
+    description:
+      'Show the media library as a folder tree, every level in one call: each folder with ' +
+      'its subfolders and files (ID, name, content type, size). Use this for an overview of ' +
+      'how files are organised; to look for particular files use find_media_files instead.',
+    parameters: {
+      type: 'object',
+      properties: {
+        folderId: {
+          type: 'number',
+          minimum: 1,
+          description: 'Optional folder to start from. Omit to show the whole library.',
+        },
+        maxDepth: {
+          type: 'integer',
+          minimum: 1,
+          maximum: MAX_TREE_DEPTH,
+          description: `How many folder levels to open (default ${DEFAULT_TREE_DEPTH}).`,
+        },
+        includeFiles: {
+          type: 'boolean',
+          description: 'List the files in each folder (default true). Set false for just the folders.',
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    handler: getMediaTree,
+    resultCount: (result) => result.totalFolders + (result.totalFiles || 0),
+  },
+  {
+    name: 'find_media_files',
+    description:
+      'Search every folder of the media library for files by name, type, size or date, ' +
+      'and return the matches with their full folder path (e.g. "Policies/HR/holiday-policy.txt"). ' +
+      'All filters are optional and combined with AND. Use this to locate a file before ' +
+      'reading it with read_media_file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          minLength: 1,
+          description:
+            'Case-insensitive glob: * matches any characters, ? one character, e.g. "*.pdf" or ' +
+            '"*holiday*". A pattern with a "/" is matched against the full path instead of the name.',
+        },
+        contentType: {
+          type: 'string',
+          minLength: 1,
+          description: 'MIME type, e.g. "application/pdf", or a whole family like "image/*".',
+        },
+        minSize: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Smallest file size in bytes.',
+        },
+        maxSize: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Largest file size in bytes.',
+        },
+        modifiedAfter: {
+          type: 'string',
+          description: 'Only files last changed on or after this date (YYYY-MM-DD or ISO 8601).',
+        },
+        modifiedBefore: {
+          type: 'string',
+          description: 'Only files last changed before this date (YYYY-MM-DD or ISO 8601).',
+        },
+        folderId: {
+          type: 'number',
+          minimum: 1,
+          description: 'Optional folder to search in (with its subfolders). Omit to search everywhere.',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: MAX_FIND_LIMIT,
+          description: `Maximum number of files to return (default ${DEFAULT_FIND_LIMIT}).`,
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    // Walks the whole library, up to walkMedia()'s 1000 folders
+    timeoutMs: 120000,
+    handler: findMediaFiles,
+    resultCount: (result) => result.matches.length,
+  },
+  {
+    name: 'get_media_file',
+    description:
+      'Get metadata and the download URL for a specific media file by its ID. ' +
+      'Returns file details including name, content type, size, URL, and timestamps.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileId: {
+          type: 'number',
+          minimum: 1,
+          description: 'The unique ID of the media file to retrieve.',
+        },
+      },
+      required: ['fileId'],
+      additionalProperties: false,
+    },
+    handler: (args, { client }) => client.getMediaFile(args.fileId),
+  },
+  {
+    name: 'read_media_file',
+    description:
+      'Read the text of a media file (plain text, Markdown, CSV, JSON or PDF) and return ' +
+      'the excerpts most relevant to a question, each with its page and line numbers. ' +
+      'Use this to answer questions about what a document says, and cite the reference ' +
+      '(e.g. "page 2, lines 4-7"). Without a query, returns the start of the file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileId: {
+          type: 'number',
+          minimum: 1,
+          description: 'The unique ID of the media file to read (from list_media).',
+        },
+        query: {
+          type: 'string',
+          minLength: 1,
+          description: 'The question or keywords to look for, e.g. "expense refund deadline".',
+        },
+        page: {
+          type: 'integer',
+          minimum: 1,
+          description: 'PDF only: read just this page.',
+        },
+        maxExcerpts: {
+          type: 'integer',
+          minimum: 1,
+          maximum: MAX_EXCERPTS,
+          description: `Maximum number of excerpts to return (default ${DEFAULT_MAX_EXCERPTS}).`,
+        },
+      },
+      required: ['fileId'],
+      additionalProperties: false,
+    },
+    handler: readMediaFile,
+    resultCount: (result) => result.excerpts.length,
+  },
+];
+
+/**
+ * Walk the media library and nest it into a tree of folders.
+ *
+ * @param {object} args - Validated get_media_tree arguments
+ * @param {{ client: FlipletApiClient, signal: AbortSignal }} context
+ * @returns {Promise<object>} { folderId, totalFolders, totalFiles, tree: { folders, files }, note? }
+ */
+async function getMediaTree(args, { client, signal }) {
+  const includeFiles = args.includeFiles !== false;
+  const { folders, files, truncatedBy } = await client.walkMedia({
+    folderId: args.folderId,
+    maxDepth: (args.maxDepth || DEFAULT_TREE_DEPTH) - 1,
+    maxFolders: MAX_TREE_FOLDERS,
+    maxFiles: MAX_TREE_FILES,
+    signal,
+  });
+
+  // One node per folder, keyed by ID (null = the starting folder)
+  const root = { folders: [], files: [] };
+  const nodes = new Map([[args.folderId ?? null, root]]);
+  for (const folder of folders) {
+    const node = { id: folder.id, name: folder.name, folders: [], files: [] };
+    nodes.set(folder.id, node);
+    nodes.get(folder.parentId).folders.push(node);
+  }
+  if (includeFiles) {
+    for (const file of files) {
+      nodes.get(file.folderId).files.push(compactFile(file));
+    }
+  }
+  // Leave out empty lists to keep the tree short
+  for (const node of nodes.values()) {
+    if (node.folders.length === 0) delete node.folders;
+    if (node.files.length === 0) delete node.files;
+  }
+
+  const notes = {
+    maxDepth: 'Deeper folders are shown but not opened; call again with a larger maxDepth or that folderId.',
+    maxFolders: `The library is large, so only the first ${MAX_TREE_FOLDERS} folders are shown; pass a folderId to see the rest.`,
+    maxFiles: `The library is large, so only the first ${MAX_TREE_FILES} files are shown; pass a folderId or use find_media_files.`,
+  };
+
+  return {
+    folderId: args.folderId ?? null,
+    totalFolders: folders.length,
+    ...(includeFiles ? { totalFiles: files.length } : {}),
+    tree: root,
+    ...(truncatedBy ? { note: notes[truncatedBy] } : {}),
+  };
+}
+
+/**
+ * Walk the media library and return the files matching every filter.
+ *
+ * @param {object} args - Validated find_media_files arguments
+ * @param {{ client: FlipletApiClient, signal: AbortSignal }} context
+ * @returns {Promise<object>} { totalMatches, filesSearched, matches, note? }
+ * @throws {Error} If a date filter is not a date
+ */
+async function findMediaFiles(args, { client, signal }) {
+  const after = parseDateArgument('modifiedAfter', args.modifiedAfter);
+  const before = parseDateArgument('modifiedBefore', args.modifiedBefore);
+  const namePattern = args.name ? globToRegExp(args.name) : null;
+  const contentType = args.contentType ? args.contentType.toLowerCase() : null;
+
+  const matchesFile = (file) => {
+    if (namePattern && !namePattern.test(args.name.includes('/') ? file.path : file.name)) return false;
+    if (contentType && !matchesContentType(file.contentType, contentType)) return false;
+    // Fliplet reports image dimensions in `size`, so size filters only match a plain number
+    if (args.minSize !== undefined && !(typeof file.size === 'number' && file.size >= args.minSize)) return false;
+    if (args.maxSize !== undefined && !(typeof file.size === 'number' && file.size <= args.maxSize)) return false;
+    if (after !== null || before !== null) {
+      const modified = Date.parse(file.updatedAt || file.createdAt);
+      if (Number.isNaN(modified)) return false;
+      if (after !== null && modified < after) return false;
+      if (before !== null && modified >= before) return false;
+    }
+    return true;
+  };
+
+  const { files, truncated } = await client.walkMedia({ folderId: args.folderId, signal });
+  const matches = files.filter(matchesFile).sort((a, b) => a.path.localeCompare(b.path));
+  const limit = args.limit || DEFAULT_FIND_LIMIT;
+
+  const notes = [];
+  if (matches.length > limit) notes.push(`Showing the first ${limit} of ${matches.length} matches; narrow the filters to see others.`);
+  if (truncated) notes.push('The library is too large to search completely; pass a folderId to search the rest.');
+
+  return {
+    totalMatches: matches.length,
+    filesSearched: files.length,
+    matches: matches.slice(0, limit).map((file) => ({ ...compactFile(file), path: file.path, folderId: file.folderId })),
+    ...(notes.length > 0 ? { note: notes.join(' ') } : {}),
+  };
+}
+
+/**
+ * Download a media file, extract its text and pick the excerpts to return.
+ *
+ * @param {object} args - Validated read_media_file arguments
+ * @param {{ client: FlipletApiClient, signal: AbortSignal }} context
+ * @returns {Promise<object>} { fileId, name, format, pages?, totalExcerpts, excerpts, note? }
+ * @throws {Error} If the file is unsupported, too large or has no such page
+ */
+async function readMediaFile(args, { client, signal }) {
+  const file = await client.getMediaFile(args.fileId);
+  const format = detectFormat(file);
+  if (!format) {
+    throw new Error(
+      `Cannot read "${file.name}" (${file.contentType || 'unknown type'}). ` +
+        `read_media_file supports: ${SUPPORTED_FORMATS.join(', ')}.`
+    );
+  }
+  // Fliplet reports image dimensions in `size`, so only trust a plain number
+  if (typeof file.size === 'number' && file.size > MAX_MEDIA_FILE_BYTES) {
+    throw new Error(`"${file.name}" is ${formatMegabytes(file.size)}; files over ${formatMegabytes(MAX_MEDIA_FILE_BYTES)} are not read.`);
+  }
+
+  const { data } = await client.downloadMediaFile(file, { maxBytes: MAX_MEDIA_FILE_BYTES, signal });
+  let { sections, truncated } = await extractText(data, format, { signal });
+
+  const result = { fileId: file.id, name: file.name, format };
+  if (format === 'pdf') result.pages = sections.length;
+
+  if (args.page !== undefined) {
+    if (format !== 'pdf') throw new Error('page only applies to PDF files; use query to find a passage instead.');
+    if (args.page > sections.length) {
+      throw new Error(`"${file.name}" has ${sections.length} page${sections.length === 1 ? '' : 's'}; there is no page ${args.page}.`);
+    }
+    sections = sections.filter((section) => section.page === args.page);
+  }
+
+  const chunks = chunkText(sections, { format });
+  const limit = args.maxExcerpts || DEFAULT_MAX_EXCERPTS;
+  let selected;
+  let note;
+
+  if (chunks.length === 0) {
+    selected = [];
+    note = format === 'pdf' ? 'No text found. Scanned PDFs (images of text) have no extractable text.' : 'The file is empty.';
+  } else if (args.query) {
+    selected = rankChunks(chunks, args.query).slice(0, limit).map(({ chunk }) => chunk);
+    if (selected.length === 0) {
+      selected = chunks.slice(0, limit);
+      note = 'Nothing matched the query, so these excerpts are from the start. Try other keywords.';
+    }
+  } else {
+    selected = chunks.slice(0, limit);
+    if (chunks.length > limit) note = `Showing the first ${limit} of ${chunks.length} excerpts. Pass a query to find a specific passage.`;
+  }
+
+  if (truncated) {
+    note = [note, 'The file is very long, so only its beginning was read.'].filter(Boolean).join(' ');
+  }
+
+  return {
+    ...result,
+    totalExcerpts: chunks.length,
+    excerpts: selected.map((chunk) => ({
+      reference: describeLocation(chunk),
+      ...(chunk.page ? { page: chunk.page } : {}),
+      startLine: chunk.startLine,
+      endLine: chunk.endLine,
+      text: chunk.text,
+    })),
+    ...(note ? { note } : {}),
+  };
+}
+
+/**
+ * The fields of a file worth showing in a tree or a list of matches.
+ */
+function compactFile(file) {
+  const compact = { id: file.id, name: file.name };
+  if (file.contentType) compact.contentType = file.contentType;
+  if (file.size !== undefined) compact.size = file.size;
+  const modified = file.updatedAt || file.createdAt;
+  if (modified) compact.modified = modified;
+  return compact;
+}
+
+/**
+ * A case-insensitive RegExp for a whole-string glob (* and ? wildcards).
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Whether a file's content type is the wanted one ("image/*" matches any image).
+ */
+function matchesContentType(actual, wanted) {
+  if (!actual) return false;
+  const type = actual.split(';')[0].trim().toLowerCase();
+  return wanted.endsWith('/*') ? type.startsWith(wanted.slice(0, -1)) : type === wanted;
+}
+
+/**
+ * A date filter as a timestamp (null when not given).
+ *
+ * @throws {Error} If the value is not a date
+ */
+function parseDateArgument(name, value) {
+  if (value === undefined) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${name} must be a date like 2024-05-01 (got "${value}").`);
+  }
+  return time;
+}
+
+/**
+ * Bytes as megabytes for messages ("12.5 MB").
+ */
+function formatMegabytes(bytes) {
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+}
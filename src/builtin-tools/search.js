@@ -0,0 +1,91 @@
+/**
+ * Built-in tool: search_app_content
+ *
+ * Full-text search over every data source entry and media file in the
+ * app, from the app's ContentIndex (see content-index.js). The index is
+ * built on the first search and refreshed on a schedule or when the AI
+ * asks for fresh results.
+ */
+
+const { ContentIndexPool } = require('../content-index');
+
+// Hits returned when the AI doesn't say, and the most it may ask for
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 25;
+
+// Indexes for executors created without a pool (tests, scripts)
+const defaultContentIndexes = new ContentIndexPool();
+
+module.exports = {
+  name: 'search_app_content',
+  description:
+    'Full-text search across ALL data source entries and the text of media files ' +
+    '(documents, PDFs, CSVs) in the current app. Use this to find which entries or files ' +
+    'mention a name, company, phrase or keyword (e.g. "Acme Ltd") when you do not know the ' +
+    'data source or column to filter on. Returns ranked hits with dataSourceId and entryId ' +
+    '(or fileId and page / line reference) and the matching snippet; fetch the full record ' +
+    'with get_data_source_entries or read_media_file if you need more.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        minLength: 1,
+        description: 'Words to look for, e.g. "Acme Ltd" or "parental leave".',
+      },
+      source: {
+        type: 'string',
+        enum: ['all', 'entries', 'media'],
+        description: 'Search data source entries, media files, or both (default "all").',
+      },
+      dataSourceId: {
+        type: 'number',
+        minimum: 1,
+        description: 'Optional: only search entries of this data source.',
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_SEARCH_LIMIT,
+        description: `Maximum number of hits to return (default ${DEFAULT_SEARCH_LIMIT}).`,
+      },
+      refresh: {
+        type: 'boolean',
+        description:
+          'Re-read the app before searching. Only set this when the user says the data ' +
+          'just changed; the index is otherwise kept up to date automatically.',
+      },
+    },
+    required: ['query'],
+    additionalProperties: false,
+  },
+  // The first search indexes the whole app
+  timeoutMs: 120000,
+  handler: async (args, { client, contentIndexes, signal }) => {
+    const index = (contentIndexes || defaultContentIndexes).get(client);
+    if (args.refresh) await index.refresh({ signal });
+
+    const { total, hits } = await index.search(args.query, {
+      limit: args.limit || DEFAULT_SEARCH_LIMIT,
+      source: args.source || 'all',
+      dataSourceId: args.dataSourceId,
+      signal,
+    });
+
+    const status = index.status();
+    return {
+      query: args.query,
+      totalHits: total,
+      hits,
+      index: {
+        entries: status.entries,
+        mediaFiles: status.mediaFiles,
+        refreshedAt: status.refreshedAt,
+        ...(status.partial ? { partial: true } : {}),
+        ...(status.truncated ? { truncated: true } : {}),
+        ...(status.skippedFiles.length > 0 ? { skippedFiles: status.skippedFiles } : {}),
+      },
+    };
+  },
+  resultCount: (result) => result.hits.length,
+};
@@ -0,0 +1,45 @@
+/**
+ * Call Context
+ *
+ * Per-tool-call scratch space that lower layers (e.g. the response
+ * cache inside FlipletApiClient) can write metadata into without the
+ * ChatEngine and ToolExecutor having to thread it through every call.
+ * Backed by AsyncLocalStorage, so parallel tool calls each get their own.
+ *
+ * Best practices applied:
+ * - Loose Coupling: the cache doesn't know about tool calls, the engine doesn't know about the cache
+ * - Concurrency Safe: each async call chain sees only its own context
+ * - No-op by default: recording outside a context is silently ignored
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a fresh call context.
+ *
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<{ value: *, metadata: object }>} The function's result and
+ *   whatever metadata was recorded while it ran
+ */
+async function runWithCallContext(fn) {
+  const metadata = {};
+  const value = await storage.run(metadata, fn);
+  return { value, metadata };
+}
+
+/**
+ * Update one metadata field of the current call context.
+ * Does nothing when called outside runWithCallContext().
+ *
+ * @param {string} key - Metadata field name (e.g. 'cache')
+ * @param {Function} update - Receives the current value (or undefined), returns the new one
+ */
+function recordCallMetadata(key, update) {
+  const metadata = storage.getStore();
+  if (!metadata) return;
+  metadata[key] = update(metadata[key]);
+}
+
+module.exports = { runWithCallContext, recordCallMetadata };
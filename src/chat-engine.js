@@ -1,9 +1,10 @@
 /**
  * Chat Engine
  *
- * Orchestrates the conversation loop between the user, OpenAI, and
- * the ToolExecutor. Manages message history and handles the iterative
- * tool-calling flow until the AI produces a final text answer.
+ * Orchestrates the conversation loop between the user, the LLM provider
+ * (OpenAI by default — see llm-providers.js), and the ToolExecutor.
+ * Manages message history and handles the iterative tool-calling flow
+ * until the AI produces a final text answer.
  *
  * Best practices applied:
  * - Iterative Loop: handles multi-round tool calls (AI may call tools,
@@ -11,32 +12,68 @@
  * - Parallel Execution: when AI returns multiple tool calls, all are
  *   executed concurrently via Promise.all for efficiency
  * - Safety Guard: maxIterations prevents infinite tool-call loops
+ * - Streaming: chatStream() yields text deltas and tool progress as they
+ *   happen; chat() drains the same loop and returns only the final answer
  * - Separation of Concerns: no HTTP logic, no CLI logic — just orchestration
  * - Immutable History: getHistory() returns a copy to prevent external mutation
+ * - Human in the Loop: write tool calls become pending actions; nothing is
+ *   written until the user calls confirmAction() from the CLI or web UI
+ * - Rolling Summary: once history grows past a threshold, older turns are
+ *   condensed by the model into a summary kept beside the system prompt
  */
 
+const crypto = require('crypto');
+const { runWithCallContext } = require('./call-context');
+const { OpenAIProvider } = require('./llm-providers');
+const { estimateTokens, groupTurns, historyBudgetForModel, trimToBudget } = require('./token-budget');
+
 // The default maximum number of tool-call rounds before forcing a stop
 const DEFAULT_MAX_ITERATIONS = 10;
 
-// Maximum conversation history messages to retain (sliding window)
-// Keeps context manageable and avoids exceeding OpenAI's token limit
-const MAX_HISTORY_MESSAGES = 50;
+// Summarize once history exceeds this share of the history token budget
+const SUMMARY_THRESHOLD_SHARE = 0.75;
+
+// Most recent turns always kept verbatim when older ones are summarized
+const KEEP_RECENT_TURNS = 2;
+
+// Tool results are clipped to this many characters in the summarization transcript
+const SUMMARY_TOOL_RESULT_CHARS = 1500;
+
+// Format version of serialize() snapshots — bump when their shape changes
+const STATE_VERSION = 1;
+
+// Heading of the summary message placed after the system prompt
+const SUMMARY_HEADER = 'Summary of the earlier conversation:';
+
+// Instructions for the summarization request
+const SUMMARY_INSTRUCTIONS =
+  'You condense a conversation between a user and a Fliplet app assistant into a short summary ' +
+  'that the assistant will rely on instead of the original messages. Keep every concrete fact ' +
+  'still needed: data source and entry IDs and names, filters and column names in use, counts and ' +
+  'figures that were reported, changes that were applied or rejected, and open questions. ' +
+  'Drop greetings and formatting. Write plain bullet points, no more than 200 words.';
 
 class ChatEngine {
   /**
    * Create a new ChatEngine.
    *
    * @param {object} options - Engine configuration
-   * @param {object} options.openai - OpenAI client instance (from the openai SDK)
+   * @param {object} [options.provider] - LLM provider (see llm-providers.js)
+   * @param {object} [options.openai] - OpenAI client instance, wrapped in an
+   *   OpenAIProvider when no provider is given
    * @param {object} options.toolExecutor - ToolExecutor instance for dispatching tool calls
    * @param {Array} options.tools - Tool definitions array (from tools.js)
-   * @param {string} [options.model='gpt-4o-mini'] - OpenAI model to use
+   * @param {string} [options.model] - Model to use (defaults to the provider's, then 'gpt-4o-mini')
    * @param {number} [options.maxIterations=10] - Max tool-call rounds before stopping
+   * @param {number} [options.historyTokenBudget] - Max estimated tokens of history sent
+   *   to the model (defaults to half the model's context window)
+   * @param {number} [options.summarizeAfterTokens] - Summarize older turns once history
+   *   exceeds this many estimated tokens (defaults to 75% of the budget; 0 disables)
    */
   constructor(options = {}) {
     // Validate required dependencies
-    if (!options.openai) {
-      throw new Error('ChatEngine requires an openai client');
+    if (!options.provider && !options.openai) {
+      throw new Error('ChatEngine requires an openai client or an llm provider');
     }
     if (!options.toolExecutor) {
       throw new Error('ChatEngine requires a toolExecutor');
@@ -46,16 +83,34 @@ class ChatEngine {
     }
 
     // Store dependencies
-    this._openai = options.openai;
+    this._provider = options.provider || new OpenAIProvider({ client: options.openai });
     this._toolExecutor = options.toolExecutor;
     this._tools = options.tools;
 
     // Configuration with sensible defaults
-    this.model = options.model || 'gpt-4o-mini';
+    this.model = options.model || this._provider.model || 'gpt-4o-mini';
     this._maxIterations = options.maxIterations || DEFAULT_MAX_ITERATIONS;
+    this._historyTokenBudget = options.historyTokenBudget || historyBudgetForModel(this.model);
+    this._summarizeAfterTokens =
+      options.summarizeAfterTokens ?? Math.floor(this._historyTokenBudget * SUMMARY_THRESHOLD_SHARE);
 
     // Conversation history (user + assistant + tool messages)
     this._history = [];
+
+    // Model-written summary of turns dropped from history, or null
+    this._summary = null;
+
+    // Tool-call activity records from the most recent chat turn
+    this._lastToolActivity = [];
+
+    // Proposed writes awaiting user approval: actionId → action
+    this._pendingActions = new Map();
+
+    // Number of turns or confirmations currently in progress
+    this._activeTurns = 0;
+
+    // Bumped by reset(), so work started before it can tell it is stale
+    this._resets = 0;
   }
 
   // ---------------------------------------------------------------
@@ -79,6 +134,11 @@ class ChatEngine {
         'Use these tools to look up real data before answering. ' +
         'Always be accurate — only state what the API data confirms. ' +
         'If a tool call fails, explain the error to the user clearly. ' +
+        'Tools that insert, update or delete entries never change data directly: they create a ' +
+        'proposal that the user must approve or reject in the interface. After proposing a change, ' +
+        'describe exactly what will change and ask the user to approve it — never say it has been applied. ' +
+        'A deployment may serve several apps: list_apps shows which ones, but all other tools only ' +
+        'query the current app. To ask about another app, the user switches apps, which starts a new conversation. ' +
         '\n\nScope rules:\n' +
         '- ONLY answer questions related to this Fliplet app\'s data sources, entries, files, and media.\n' +
         '- If the user asks something unrelated (general knowledge, coding help, opinions, etc.), ' +
@@ -101,34 +161,286 @@ class ChatEngine {
 
   /**
    * Get a copy of the conversation history.
-   * Returns a shallow copy to prevent external mutation.
+   * Returns a shallow copy to prevent external mutation. Once older turns
+   * have been summarized, the first element is the summary (a system message).
    *
    * @returns {Array} Array of message objects
    */
   getHistory() {
-    return [...this._history];
+    return this._summary ? [this._summaryMessage(), ...this._history] : [...this._history];
+  }
+
+  /**
+   * Get the running summary of earlier turns.
+   *
+   * @returns {string|null} The summary text, or null if nothing has been summarized
+   */
+  getSummary() {
+    return this._summary;
+  }
+
+  /**
+   * Get the tool calls made while answering the most recent message.
+   *
+   * Each record describes one call: { id, name, arguments, status,
+   * durationMs, resultCount?, error?, cache? } — see _executeToolCalls().
+   * `cache` is { hits, misses, revalidated } when the Fliplet client has a cache.
+   *
+   * @returns {Array<object>} Copy of the activity records
+   */
+  getLastToolActivity() {
+    return [...this._lastToolActivity];
+  }
+
+  /**
+   * Get the conversation as the user saw it: user questions and assistant
+   * answers, without tool messages. The tool calls behind an answer are
+   * attached to it as activity records ({ id, name, arguments, status,
+   * resultCount?, error? }), rebuilt from history so timings are not known.
+   * Turns that were folded into the summary are not included.
+   *
+   * @returns {Array<{ role: 'user'|'assistant', content: string, toolCalls?: Array<object> }>}
+   */
+  getTranscript() {
+    const transcript = [];
+    const calls = new Map(); // tool_call_id → activity record, for the current turn
+
+    for (const message of this._history) {
+      if (message.role === 'user') {
+        calls.clear();
+        transcript.push({ role: 'user', content: message.content });
+      } else if (message.role === 'tool') {
+        const call = calls.get(message.tool_call_id);
+        if (call) {
+          Object.assign(call, describeToolMessage(message.content, (result) => this._resultCount(call.name, result)));
+        }
+      } else if (message.tool_calls && message.tool_calls.length > 0) {
+        for (const toolCall of message.tool_calls) {
+          calls.set(toolCall.id, {
+            id: toolCall.id,
+            name: toolCall.function.name,
+            arguments: parseArguments(toolCall.function.arguments),
+            status: 'success',
+          });
+        }
+      } else if (message.role === 'assistant' && message.content) {
+        const entry = { role: 'assistant', content: message.content };
+        if (calls.size > 0) entry.toolCalls = [...calls.values()];
+        calls.clear();
+        transcript.push(entry);
+      }
+    }
+
+    return transcript;
   }
 
   /**
    * Clear the conversation history to start a fresh chat.
    */
   reset() {
+    this._resets++;
     this._history = [];
+    this._summary = null;
+    this._lastToolActivity = [];
+    this._pendingActions.clear();
+  }
+
+  // ---------------------------------------------------------------
+  // Persistence
+  // ---------------------------------------------------------------
+
+  /**
+   * Snapshot the conversation so it can be stored and restored later.
+   * Only complete turns are included: anything after the last final
+   * assistant answer (a turn still in progress) is left out, so a
+   * restored history never ends in unanswered tool calls. Pending
+   * actions are not persisted — they only live until the next message.
+   *
+   * @returns {{ version: number, history: Array<object>, summary: string|null }}
+   */
+  serialize() {
+    let end = this._history.length;
+    while (end > 0) {
+      const message = this._history[end - 1];
+      if (message.role === 'assistant' && !(message.tool_calls && message.tool_calls.length)) break;
+      end--;
+    }
+
+    return {
+      version: STATE_VERSION,
+      history: structuredClone(this._history.slice(0, end)),
+      summary: this._summary,
+    };
   }
 
   /**
-   * Trim history to the sliding window limit to prevent unbounded growth.
-   * Preserves the most recent messages so the AI retains recent context.
+   * Replace the conversation with a snapshot from serialize().
+   *
+   * @param {{ version: number, history: Array<object>, summary?: string|null }} state
+   * @throws {Error} If the snapshot is missing or from an unknown version
+   */
+  restore(state) {
+    if (!state || state.version !== STATE_VERSION || !Array.isArray(state.history)) {
+      throw new Error('Unsupported chat state');
+    }
+
+    this.reset();
+    this._history = structuredClone(state.history);
+    this._summary = state.summary || null;
+  }
+
+  /**
+   * Whether a message or confirmation is being processed right now,
+   * i.e. whether serialize() would miss a turn that is about to finish.
+   *
+   * @returns {boolean} True while a turn is in progress
+   */
+  isBusy() {
+    return this._activeTurns > 0;
+  }
+
+  // ---------------------------------------------------------------
+  // Pending Actions (proposed writes)
+  // ---------------------------------------------------------------
+
+  /**
+   * Get the write actions proposed by the AI that await user approval.
+   * Proposals only live until the next message: sending a new message
+   * discards any that were not confirmed, so approval always refers to
+   * the change the user was just shown.
+   *
+   * @returns {Array<object>} Copies of { id, toolName, arguments, action,
+   *   dataSourceId, entryId?, before?, changes?, summary }
+   */
+  getPendingActions() {
+    return [...this._pendingActions.values()].map((action) => ({ ...action }));
+  }
+
+  /**
+   * Apply a pending action after the user approved it.
+   * Records the outcome in history so the AI knows about it next turn.
+   *
+   * @param {string} actionId - ID of the pending action
+   * @returns {Promise<{ status: 'applied'|'failed'|'unknown', message: string, action: object, result: * }|null>}
+   *   The outcome, or null if no such action is pending
+   */
+  async confirmAction(actionId) {
+    const action = this._pendingActions.get(actionId);
+    if (!action) return null;
+
+    // Remove first so a double-click can never apply the same change twice
+    this._pendingActions.delete(actionId);
+
+    let result;
+    this._activeTurns++;
+    try {
+      result = await this._toolExecutor.execute(action.toolName, action.arguments);
+    } finally {
+      this._activeTurns--;
+    }
+
+    // Timed out after the request went out: it may or may not have been applied
+    if (result && result.outcomeUnknown) {
+      const message = `Could not confirm: ${action.summary}. ${result.message}`;
+      this._history.push({ role: 'assistant', content: message });
+      return { status: 'unknown', message, action, result };
+    }
+
+    if (result && result.error === true) {
+      const message = `Failed to apply: ${action.summary}. ${result.message}`;
+      this._history.push({ role: 'assistant', content: message });
+      return { status: 'failed', message, action, result };
+    }
+
+    const message = `Applied: ${action.summary}.`;
+    this._history.push({ role: 'assistant', content: message });
+    return { status: 'applied', message, action, result };
+  }
+
+  /**
+   * Discard a pending action the user rejected.
+   *
+   * @param {string} actionId - ID of the pending action
+   * @returns {{ status: 'rejected', message: string, action: object }|null}
+   *   The outcome, or null if no such action is pending
+   */
+  rejectAction(actionId) {
+    const action = this._pendingActions.get(actionId);
+    if (!action) return null;
+
+    this._pendingActions.delete(actionId);
+
+    const message = `Cancelled: ${action.summary}. No changes were made.`;
+    this._history.push({ role: 'assistant', content: message });
+    return { status: 'rejected', message, action };
+  }
+
+  /**
+   * Trim history to the token budget by dropping the oldest whole turns.
+   * Turns are never split, so every tool result keeps the assistant
+   * tool_calls message it answers, and the current turn is always kept.
    * @private
    */
   _trimHistory() {
-    if (this._history.length > MAX_HISTORY_MESSAGES) {
-      this._history = this._history.slice(-MAX_HISTORY_MESSAGES);
+    // The summary travels with every request, so it counts against the budget
+    const summaryTokens = this._summary ? estimateTokens([this._summaryMessage()]) : 0;
+    this._history = trimToBudget(this._history, Math.max(1, this._historyTokenBudget - summaryTokens));
+  }
+
+  /**
+   * Fold older turns into the running summary once history passes the
+   * threshold. The most recent turns stay verbatim. If the summarization
+   * request fails, history is left as is and token trimming still bounds it.
+   * Other turns may run while the summary is written, so only the messages
+   * that were summarized are removed afterwards — and nothing at all if
+   * the conversation was reset or those messages are already gone.
+   * @private
+   */
+  async _summarizeIfNeeded() {
+    if (!this._summarizeAfterTokens) return;
+    if (estimateTokens(this._history) <= this._summarizeAfterTokens) return;
+
+    const turns = groupTurns(this._history);
+    if (turns.length <= KEEP_RECENT_TURNS) return;
+
+    const olderMessages = turns.slice(0, -KEEP_RECENT_TURNS).flat();
+    const resets = this._resets;
+
+    let summary;
+    try {
+      const reply = await this._provider.complete({
+        model: this.model,
+        messages: [
+          { role: 'system', content: SUMMARY_INSTRUCTIONS },
+          { role: 'user', content: renderTranscript(this._summary, olderMessages) },
+        ],
+        tools: [],
+      });
+      summary = reply && reply.content;
+    } catch {
+      return;
     }
+
+    if (!summary || !summary.trim()) return;
+    if (this._resets !== resets) return;
+    if (!olderMessages.every((message, i) => this._history[i] === message)) return;
+
+    this._summary = summary.trim();
+    this._history = this._history.slice(olderMessages.length);
+  }
+
+  /**
+   * The summary as a message placed right after the system prompt.
+   *
+   * @returns {{ role: 'system', content: string }}
+   * @private
+   */
+  _summaryMessage() {
+    return { role: 'system', content: `${SUMMARY_HEADER}\n${this._summary}` };
   }
 
   // ---------------------------------------------------------------
-  // Main Chat Method
+  // Main Chat Methods
   // ---------------------------------------------------------------
 
   /**
@@ -136,20 +448,82 @@ class ChatEngine {
    *
    * Handles the full conversation flow:
    * 1. Add user message to history
-   * 2. Call OpenAI with system prompt + history + tools
+   * 2. Call the LLM provider with system prompt + history + tools
    * 3. If response contains tool calls → execute them → add results → loop
    * 4. Return the final text response
    *
    * @param {string} userMessage - The user's question or message
    * @returns {Promise<string>} The AI's final text response
-   * @throws {Error} If the OpenAI API call fails
+   * @throws {Error} If the LLM provider call fails
    */
   async chat(userMessage) {
+    let answer;
+
+    // Drain the shared conversation loop — only the final answer matters here
+    for await (const event of this._converse(userMessage, { stream: false })) {
+      if (event.type === 'done') answer = event.response;
+    }
+
+    return answer;
+  }
+
+  /**
+   * Send a user message and stream the AI's response as it is generated.
+   *
+   * Returns an async iterator of events:
+   * - { type: 'text', delta }                  — a chunk of the answer text
+   * - { type: 'tool_call', id, name, arguments } — a tool call is starting
+   * - { type: 'tool_result', id, name, ... }   — a tool call has finished, with
+   *   its activity record (status, durationMs, resultCount, error)
+   * - { type: 'pending_action', action }       — a write awaits user approval
+   * - { type: 'done', response }               — the final answer (always last)
+   *
+   * The final `done` event carries the complete answer, which may differ
+   * from the concatenated deltas if the AI service failed mid-stream.
+   *
+   * @param {string} userMessage - The user's question or message
+   * @returns {AsyncGenerator<object>} Stream of chat events
+   */
+  chatStream(userMessage) {
+    return this._converse(userMessage, { stream: true });
+  }
+
+  /**
+   * The conversation loop shared by chat() and chatStream().
+   *
+   * @param {string} userMessage - The user's question or message
+   * @param {object} options
+   * @param {boolean} options.stream - Request a streamed completion from the provider
+   * @returns {AsyncGenerator<object>} Stream of chat events (see chatStream())
+   * @private
+   */
+  async *_converse(userMessage, options) {
+    // Count the turn as active until the generator finishes or is abandoned
+    this._activeTurns++;
+    try {
+      yield* this._runTurn(userMessage, options);
+    } finally {
+      this._activeTurns--;
+    }
+  }
+
+  /**
+   * One turn of the conversation loop (see _converse()).
+   *
+   * @param {string} userMessage - The user's question or message
+   * @param {object} options
+   * @param {boolean} options.stream - Request a streamed completion from the provider
+   * @returns {AsyncGenerator<object>} Stream of chat events (see chatStream())
+   * @private
+   */
+  async *_runTurn(userMessage, { stream }) {
+    // Condense older turns first so the new question starts a lean context
+    await this._summarizeIfNeeded();
+
     // Add the user's message to conversation history
     this._history.push({ role: 'user', content: userMessage });
-
-    // Trim history to sliding window to prevent unbounded memory/token growth
-    this._trimHistory();
+    this._lastToolActivity = [];
+    this._pendingActions.clear();
 
     // Iterative loop: keep going until we get a text response or hit max iterations
     let iterations = 0;
@@ -157,107 +531,378 @@ class ChatEngine {
     while (iterations < this._maxIterations) {
       iterations++;
 
-      // Build the full message array: system prompt + conversation history
-      const messages = [this.getSystemPrompt(), ...this._history];
+      // Trim to the token budget before every call — tool results can be large
+      this._trimHistory();
+
+      // Build the full message array: system prompt + summary + conversation history
+      const messages = [this.getSystemPrompt(), ...this.getHistory()];
 
-      // Call OpenAI API
-      let response;
+      // Call the LLM provider
+      let assistantMessage;
       try {
-        response = await this._openai.chat.completions.create({
-          model: this.model,
-          messages,
-          tools: this._tools.length > 0 ? this._tools : undefined,
-        });
+        assistantMessage = stream
+          ? yield* this._streamCompletion(messages)
+          : await this._createCompletion(messages);
       } catch (apiError) {
-        // Translate OpenAI API errors into user-friendly messages
-        const userMessage =
+        // Translate provider API errors into user-friendly messages
+        const errorMessage =
           apiError.status === 429
             ? 'The AI service is temporarily overloaded. Please wait a moment and try again.'
             : 'I encountered an error communicating with the AI service. Please try again.';
 
-        this._history.push({ role: 'assistant', content: userMessage });
-        return userMessage;
+        yield this._finish(errorMessage);
+        return;
       }
 
       // Guard against empty choices (e.g. content filter rejection)
-      if (!response.choices || response.choices.length === 0) {
-        const noChoiceMsg = 'The AI returned an empty response. Please try rephrasing your question.';
-        this._history.push({ role: 'assistant', content: noChoiceMsg });
-        return noChoiceMsg;
+      if (!assistantMessage) {
+        yield this._finish('The AI returned an empty response. Please try rephrasing your question.');
+        return;
       }
 
-      // Extract the assistant's message from the response
-      const assistantMessage = response.choices[0].message;
-
       // Check if the AI wants to call tools
       if (assistantMessage.tool_calls && assistantMessage.tool_calls.length > 0) {
         // Add the assistant's tool-call message to history
         this._history.push(assistantMessage);
 
-        // Execute all tool calls concurrently for efficiency
-        // Use Promise.allSettled so one failing tool doesn't lose all results
-        const settledResults = await Promise.allSettled(
-          assistantMessage.tool_calls.map(async (toolCall) => {
-            // Safely parse the JSON arguments string from OpenAI
-            let args;
-            try {
-              args = JSON.parse(toolCall.function.arguments);
-            } catch {
-              return {
-                role: 'tool',
-                tool_call_id: toolCall.id,
-                content: JSON.stringify({ error: 'Failed to parse tool arguments from the AI.' }),
-              };
-            }
-
-            // Execute via the ToolExecutor
-            const result = await this._toolExecutor.execute(toolCall.function.name, args);
-
-            // Return the tool result in OpenAI's expected format
-            return {
-              role: 'tool',
-              tool_call_id: toolCall.id,
-              content: JSON.stringify(result),
-            };
-          })
-        );
-
-        // Unwrap settled results — use error messages for rejected promises
-        const toolResults = settledResults.map((settled, index) => {
-          if (settled.status === 'fulfilled') return settled.value;
-          return {
-            role: 'tool',
-            tool_call_id: assistantMessage.tool_calls[index].id,
-            content: JSON.stringify({ error: 'Tool execution failed unexpectedly.' }),
+        // Announce every call before running them so the UI can show progress
+        for (const toolCall of assistantMessage.tool_calls) {
+          yield {
+            type: 'tool_call',
+            id: toolCall.id,
+            name: toolCall.function.name,
+            arguments: toolCall.function.arguments,
           };
-        });
+        }
+
+        const { toolResults, activity } = await this._executeToolCalls(assistantMessage.tool_calls);
 
         // Add all tool results to history
         this._history.push(...toolResults);
+        this._lastToolActivity.push(...activity);
 
-        // Continue the loop — OpenAI needs to see the results and respond
+        for (const record of activity) {
+          yield { type: 'tool_result', ...record };
+          if (record.actionId) {
+            yield { type: 'pending_action', action: { ...this._pendingActions.get(record.actionId) } };
+          }
+        }
+
+        // Continue the loop — the model needs to see the results and respond
         continue;
       }
 
       // No tool calls — this is the final text response
       // Guard against null content (e.g. refusal or tool-only response)
-      const answerText = assistantMessage.content || 'I was unable to generate a response. Please try again.';
-
-      // Add the assistant's text response to history
-      this._history.push({ role: 'assistant', content: answerText });
-
-      return answerText;
+      yield this._finish(
+        assistantMessage.content || 'I was unable to generate a response. Please try again.'
+      );
+      return;
     }
 
     // Safety: hit max iterations without a final answer
-    const safetyMessage =
+    yield this._finish(
       'I reached the maximum number of tool calls without producing a final answer. ' +
-      'Please try rephrasing your question.';
+        'Please try rephrasing your question.'
+    );
+  }
+
+  /**
+   * Record the final answer in history and build the closing event.
+   *
+   * @param {string} answerText - The assistant's final text
+   * @returns {{ type: 'done', response: string }} The done event
+   * @private
+   */
+  _finish(answerText) {
+    this._history.push({ role: 'assistant', content: answerText });
+    return { type: 'done', response: answerText };
+  }
+
+  /**
+   * Request a complete (non-streamed) completion from the provider.
+   *
+   * @param {Array} messages - System prompt + history
+   * @returns {Promise<object|null>} The assistant message, or null if nothing came back
+   * @private
+   */
+  _createCompletion(messages) {
+    return this._provider.complete({ model: this.model, messages, tools: this._tools });
+  }
+
+  /**
+   * Request a streamed completion from the provider, passing its text
+   * events through and returning the assembled assistant message.
+   *
+   * @param {Array} messages - System prompt + history
+   * @returns {AsyncGenerator<object, object|null>} Yields text events; returns the
+   *   assistant message, or null if nothing came back
+   * @private
+   */
+  _streamCompletion(messages) {
+    return this._provider.stream({ model: this.model, messages, tools: this._tools });
+  }
+
+  /**
+   * Execute all tool calls concurrently and build the tool result messages.
+   * Uses Promise.allSettled so one failing tool doesn't lose all results.
+   *
+   * Alongside each result an activity record is produced so callers can
+   * show users which lookups an answer was based on:
+   *   { id, name, arguments, status: 'success'|'error'|'pending', durationMs,
+   *     resultCount?, error?: { message, statusCode? }, actionId? }
+   * Write tools produce a 'pending' record whose actionId refers to a
+   * pending action (see getPendingActions()).
+   *
+   * @param {Array} toolCalls - Tool calls from the assistant message
+   * @returns {Promise<{ toolResults: Array, activity: Array }>} Tool messages in
+   *   OpenAI's expected format, plus one activity record per call
+   * @private
+   */
+  async _executeToolCalls(toolCalls) {
+    const settledResults = await Promise.allSettled(
+      toolCalls.map(async (toolCall) => {
+        const startedAt = Date.now();
+        const record = { id: toolCall.id, name: toolCall.function.name };
+
+        // Safely parse the JSON arguments string from OpenAI
+        let args;
+        try {
+          args = JSON.parse(toolCall.function.arguments);
+        } catch {
+          const error = { error: 'Failed to parse tool arguments from the AI.' };
+          return {
+            message: { role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify(error) },
+            activity: {
+              ...record,
+              arguments: toolCall.function.arguments,
+              status: 'error',
+              durationMs: 0,
+              error: { message: error.error },
+            },
+          };
+        }
+
+        // Writes are never executed here — they wait for the user's approval
+        if (this._isWriteTool(toolCall.function.name)) {
+          return this._proposeAction(toolCall, args, record);
+        }
+
+        // Execute via the ToolExecutor, collecting metadata (e.g. cache stats) the lower layers record
+        const { value: result, metadata } = await runWithCallContext(() =>
+          this._toolExecutor.execute(toolCall.function.name, args)
+        );
+
+        // Return the tool result in OpenAI's expected format
+        return {
+          message: { role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify(result) },
+          activity: {
+            ...record,
+            arguments: args,
+            ...describeResult(result, (value) => this._resultCount(toolCall.function.name, value)),
+            durationMs: Date.now() - startedAt,
+            ...metadata,
+          },
+        };
+      })
+    );
+
+    // Unwrap settled results — use error messages for rejected promises
+    const toolResults = [];
+    const activity = [];
+
+    settledResults.forEach((settled, index) => {
+      if (settled.status === 'fulfilled') {
+        toolResults.push(settled.value.message);
+        activity.push(settled.value.activity);
+        return;
+      }
+
+      const toolCall = toolCalls[index];
+      toolResults.push({
+        role: 'tool',
+        tool_call_id: toolCall.id,
+        content: JSON.stringify({ error: 'Tool execution failed unexpectedly.' }),
+      });
+      activity.push({
+        id: toolCall.id,
+        name: toolCall.function.name,
+        arguments: toolCall.function.arguments,
+        status: 'error',
+        durationMs: 0,
+        error: { message: 'Tool execution failed unexpectedly.' },
+      });
+    });
+
+    return { toolResults, activity };
+  }
+
+  /**
+   * Whether the executor classifies a tool as a write.
+   * Executors without isWriteTool() are treated as read-only.
+   *
+   * @param {string} toolName - The tool function name
+   * @returns {boolean}
+   * @private
+   */
+  _isWriteTool(toolName) {
+    return typeof this._toolExecutor.isWriteTool === 'function' && this._toolExecutor.isWriteTool(toolName);
+  }
+
+  /**
+   * How many items a tool result holds, as the tool's plugin counts them.
+   * Executors without resultCount() count array results only.
+   *
+   * @param {string} toolName - The tool function name
+   * @param {*} result - What the tool returned
+   * @returns {number|undefined}
+   * @private
+   */
+  _resultCount(toolName, result) {
+    if (typeof this._toolExecutor.resultCount === 'function') {
+      return this._toolExecutor.resultCount(toolName, result);
+    }
+    return Array.isArray(result) ? result.length : undefined;
+  }
+
+  /**
+   * Turn a write tool call into a pending action instead of executing it.
+   * The AI is told the change is awaiting approval so it can ask the user.
+   *
+   * @param {object} toolCall - The tool call from the assistant message
+   * @param {object} args - Parsed tool arguments
+   * @param {{ id: string, name: string }} record - Partial activity record
+   * @returns {Promise<{ message: object, activity: object }>} Tool message and activity record
+   * @private
+   */
+  async _proposeAction(toolCall, args, record) {
+    let proposal;
+    try {
+      proposal = await this._toolExecutor.proposeWrite(toolCall.function.name, args);
+    } catch (error) {
+      // Schema problems are listed so the AI can fix its next call
+      const result = { error: true, message: error.message };
+      if (error.errors) result.invalidArguments = error.errors;
+      return {
+        message: {
+          role: 'tool',
+          tool_call_id: toolCall.id,
+          content: JSON.stringify(result),
+        },
+        activity: { ...record, arguments: args, status: 'error', durationMs: 0, error: { message: error.message } },
+      };
+    }
+
+    const action = { id: crypto.randomUUID(), toolName: toolCall.function.name, arguments: args, ...proposal };
+    this._pendingActions.set(action.id, action);
+
+    const content = {
+      status: 'pending_confirmation',
+      actionId: action.id,
+      proposal,
+      message:
+        'This change has NOT been applied. The user has been shown it and must approve ' +
+        'or reject it in the interface.',
+    };
+
+    return {
+      message: { role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify(content) },
+      activity: { ...record, arguments: args, status: 'pending', durationMs: 0, actionId: action.id },
+    };
+  }
+}
+
+// ---------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------
+
+/**
+ * Render messages as plain text for the summarization request.
+ * Tool calls and results are flattened so no tool schema is needed.
+ *
+ * @param {string|null} previousSummary - The summary so far, folded into the new one
+ * @param {Array<object>} messages - The turns being summarized
+ * @returns {string} Transcript text
+ */
+function renderTranscript(previousSummary, messages) {
+  const lines = [];
+  if (previousSummary) lines.push(`Summary so far:\n${previousSummary}`, '');
+
+  lines.push('Conversation:');
+  for (const message of messages) {
+    if (message.role === 'user') {
+      lines.push(`User: ${message.content}`);
+    } else if (message.role === 'tool') {
+      const content = String(message.content);
+      const clipped = content.length > SUMMARY_TOOL_RESULT_CHARS
+        ? `${content.slice(0, SUMMARY_TOOL_RESULT_CHARS)}… (truncated)`
+        : content;
+      lines.push(`Tool result: ${clipped}`);
+    } else if (message.tool_calls && message.tool_calls.length > 0) {
+      for (const toolCall of message.tool_calls) {
+        lines.push(`Assistant called ${toolCall.function.name}(${toolCall.function.arguments})`);
+      }
+    } else if (message.content) {
+      lines.push(`Assistant: ${message.content}`);
+    }
+  }
 
-    this._history.push({ role: 'assistant', content: safetyMessage });
+  return lines.join('\n');
+}
 
-    return safetyMessage;
+/**
+ * Rebuild an activity record's outcome from a stored tool message.
+ *
+ * @param {string} content - The tool message content (JSON)
+ * @param {Function} countResult - (result) → number|undefined, see describeResult()
+ * @returns {{ status: string, resultCount?: number, error?: object }}
+ */
+function describeToolMessage(content, countResult) {
+  let result;
+  try {
+    result = JSON.parse(content);
+  } catch {
+    return { status: 'success' };
   }
+
+  if (result && result.status === 'pending_confirmation') return { status: 'pending' };
+  return describeResult(result, countResult);
+}
+
+/**
+ * Parse tool-call arguments for display, tolerating malformed JSON.
+ *
+ * @param {string} json - Arguments as sent by the model
+ * @returns {object} Parsed arguments, or {} if they are not valid JSON
+ */
+function parseArguments(json) {
+  try {
+    const args = JSON.parse(json || '{}');
+    return args && typeof args === 'object' ? args : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Summarize a ToolExecutor result for an activity record.
+ * Errors come back as data from ToolExecutor._formatError(); successful
+ * results are counted so the UI can say "42 rows" without the payload.
+ *
+ * @param {*} result - Value returned by ToolExecutor.execute()
+ * @param {Function} countResult - (result) → number|undefined: how many items
+ *   a successful result holds (the tool plugin's resultCount())
+ * @returns {{ status: string, resultCount?: number, error?: object }}
+ */
+function describeResult(result, countResult) {
+  if (result && result.error === true) {
+    const error = { message: result.message };
+    if (result.statusCode !== undefined) error.statusCode = result.statusCode;
+    return { status: 'error', error };
+  }
+
+  const count = countResult(result);
+  return typeof count === 'number' ? { status: 'success', resultCount: count } : { status: 'success' };
 }
 
 module.exports = { ChatEngine };
@@ -13,11 +13,15 @@
  * - Single Source of Truth: all component creation happens here
  */
 
-const OpenAI = require('openai');
-const { FlipletApiClient } = require('./fliplet-client');
+const { FlipletClientPool } = require('./fliplet-client-pool');
+const { createCredentialsProvider } = require('./fliplet-auth');
+const { createCassette } = require('./fliplet-cassette');
+const { ResponseCache } = require('./response-cache');
+const { ContentIndexPool } = require('./content-index');
 const { ToolExecutor } = require('./tool-executor');
 const { ChatEngine } = require('./chat-engine');
-const { tools } = require('./tools');
+const { createProvider } = require('./llm-providers');
+const { createToolRegistry } = require('./tools');
 
 // ---------------------------------------------------------------
 // Factory: wire up all components from config
@@ -29,28 +33,67 @@ const { tools } = require('./tools');
  * This is the composition root — the single place where dependencies
  * are assembled. Makes the app easy to test and modify.
  *
+ * The returned chatEngine queries the default app. `switchApp(appId)`
+ * wires a fresh conversation for another allowlisted app, reusing the
+ * provider and the pooled Fliplet clients.
+ *
  * @param {object} config - Validated config from loadConfig()
- * @returns {{ chatEngine: ChatEngine, flipletClient: FlipletApiClient, toolExecutor: ToolExecutor }}
+ * @returns {{ chatEngine: ChatEngine, flipletClient: FlipletApiClient, toolExecutor: ToolExecutor,
+ *   clientPool: FlipletClientPool, toolRegistry: ToolRegistry, contentIndexes: ContentIndexPool,
+ *   switchApp: Function, cassette: CassetteRecorder|CassettePlayer|null }}
+ * @throws {Error} If a tool plugin is malformed or a tool list names an unknown tool
  */
 function createApp(config) {
-  // 1. Create OpenAI client with the user's API key
-  const openai = new OpenAI({ apiKey: config.openaiApiKey });
+  // 1. Create the LLM provider selected in config (OpenAI by default)
+  const provider = createProvider(config);
 
-  // 2. Create Fliplet API client for HTTP calls
-  const flipletClient = new FlipletApiClient(config);
+  // 2. Create one Fliplet API client per app, sharing a cache of repeat reads
+  //    and a token that is renewed when Fliplet rejects it. With FLIPLET_CASSETTE
+  //    set, API traffic is replayed from (or recorded to) a cassette file
+  const cassette = createCassette(config);
+  const fetchFn = cassette ? cassette.fetch : undefined;
+  const clientPool = new FlipletClientPool(config, fetchFn, {
+    cache: new ResponseCache({ ttlMs: config.flipletCacheTtlMs }),
+    credentials: createCredentialsProvider(config, { fetchFn }),
+  });
 
-  // 3. Create tool executor to bridge AI calls → API client
-  const toolExecutor = new ToolExecutor(flipletClient);
+  // 3. Collect the tools: built-ins plus TOOL_PLUGINS_DIR plugins,
+  //    narrowed by TOOLS_ENABLED / TOOLS_DISABLED
+  const toolRegistry = createToolRegistry(config);
+  const tools = toolRegistry.definitions();
+  // One search index per app, shared by every conversation with it
+  const contentIndexes = new ContentIndexPool({ refreshIntervalMs: config.searchIndexRefreshMs });
 
-  // 4. Create chat engine — the conversation orchestrator
-  const chatEngine = new ChatEngine({
-    openai,
-    toolExecutor,
-    tools,
-    model: config.openaiModel,
-  });
+  /**
+   * Wire a conversation for one app.
+   *
+   * @param {string|null} appId - The app to query (null = the default app)
+   * @returns {{ chatEngine: ChatEngine, flipletClient: FlipletApiClient, toolExecutor: ToolExecutor }}
+   * @throws {Error} If the app is not on the allowlist
+   */
+  function switchApp(appId) {
+    // 4. Create tool executor to bridge AI calls → that app's API client
+    const flipletClient = clientPool.get(appId);
+    const toolExecutor = new ToolExecutor(flipletClient, {
+      apps: clientPool,
+      registry: toolRegistry,
+      contentIndexes,
+    });
+
+    // 5. Create chat engine — the conversation orchestrator
+    const chatEngine = new ChatEngine({
+      provider,
+      toolExecutor,
+      tools,
+      model: provider.model,
+      historyTokenBudget: config.historyTokenBudget,
+      summarizeAfterTokens: config.summarizeAfterTokens,
+    });
+
+    return { chatEngine, flipletClient, toolExecutor };
+  }
 
-  return { chatEngine, flipletClient, toolExecutor };
+  return { ...switchApp(null), clientPool, toolRegistry, contentIndexes, switchApp, cassette };
 }
 
 // ---------------------------------------------------------------
@@ -78,10 +121,62 @@ function formatWelcome(appId) {
     '  Commands:',
     '    exit / quit  — End the session',
     '    reset        — Clear conversation history',
+    '    /app         — List the apps you can switch to',
+    '    /app <id>    — Switch app (starts a new conversation)',
     '',
   ].join('\n');
 }
 
+/**
+ * Format the list of apps shown by the /app command.
+ *
+ * @param {Array<{ id: string, name: string|null, accessible?: boolean }>} apps - From FlipletClientPool.listApps()
+ * @param {string} currentAppId - The app the conversation is about
+ * @returns {string} Formatted multi-line list
+ */
+function formatApps(apps, currentAppId) {
+  const lines = ['', '  Apps:'];
+
+  for (const app of apps) {
+    const marker = app.id === currentAppId ? '*' : ' ';
+    const name = app.name || (app.accessible === false ? '(not visible to this token)' : '');
+    lines.push(`    ${marker} ${app.id}  ${name}`.trimEnd());
+  }
+
+  lines.push('', '  Switch with /app <id>.', '');
+  return lines.join('\n');
+}
+
+/**
+ * Format a proposed data change so the user can review the exact diff
+ * before approving it.
+ *
+ * @param {object} action - Pending action from ChatEngine.getPendingActions()
+ * @returns {string} Formatted multi-line description
+ */
+function formatPendingAction(action) {
+  const lines = ['', `  ✏️  Proposed change: ${action.summary}`];
+
+  // - current value, + new value (an update shows both for each column)
+  const before = action.before || {};
+  if (action.action === 'delete') {
+    for (const [column, value] of Object.entries(before)) {
+      lines.push(`      - ${column}: ${JSON.stringify(value)}`);
+    }
+  }
+  for (const [column, value] of Object.entries(action.changes || {})) {
+    if (column in before && JSON.stringify(before[column]) === JSON.stringify(value)) {
+      lines.push(`        ${column}: ${JSON.stringify(value)} (unchanged)`);
+      continue;
+    }
+    if (column in before) lines.push(`      - ${column}: ${JSON.stringify(before[column])}`);
+    lines.push(`      + ${column}: ${JSON.stringify(value)}`);
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
 /**
  * Format an error message for terminal display.
  *
@@ -92,4 +187,4 @@ function formatError(error) {
   return `\n  ❌ Error: ${error.message || 'An unknown error occurred'}\n`;
 }
 
-module.exports = { createApp, formatWelcome, formatError };
+module.exports = { createApp, formatWelcome, formatApps, formatPendingAction, formatError };
@@ -6,6 +6,17 @@
  */
 
 const path = require('path');
+const { MIN_JWT_SECRET_LENGTH } = require('./auth');
+const { CASSETTE_MODES } = require('./fliplet-cassette');
+
+// Supported values for LLM_PROVIDER
+const LLM_PROVIDERS = ['openai', 'anthropic', 'fake'];
+
+// Supported values for SESSION_STORE
+const SESSION_STORES = ['file', 'memory'];
+
+// Shortest API key accepted in AUTH_API_KEYS
+const MIN_API_KEY_LENGTH = 16;
 
 /**
  * Validated application configuration.
@@ -19,18 +30,61 @@ function loadConfig() {
   // already exist in process.env, so pre-set env vars take priority.
   require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
 
+  // FLIPLET_APP_ID is the default app; without it, the first of FLIPLET_APP_IDS is
+  const appIds = parseAppIds(process.env.FLIPLET_APP_IDS);
+  const defaultAppId = process.env.FLIPLET_APP_ID || appIds[0];
+
   const config = {
-    // OpenAI settings
+    // LLM settings — "openai" (incl. OpenAI-compatible servers), "anthropic",
+    // or "fake" (scripted replies from a scenario file, no API key)
+    llmProvider: (process.env.LLM_PROVIDER || 'openai').toLowerCase(),
     openaiApiKey: process.env.OPENAI_API_KEY,
     openaiModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    // e.g. http://localhost:11434/v1 for Ollama; the API key is optional when set
+    openaiBaseUrl: process.env.OPENAI_BASE_URL || undefined,
+    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+    anthropicModel: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    // Scenario for LLM_PROVIDER=fake (unset = fixtures/fake-llm/demo.json)
+    fakeLlmScenario: process.env.FAKE_LLM_SCENARIO || undefined,
+    // Estimated tokens of chat history sent per request (unset = half the model's context window)
+    historyTokenBudget: parseOptionalInt(process.env.HISTORY_TOKEN_BUDGET),
+    // Summarize older turns past this many history tokens (unset = 75% of the budget, 0 = never)
+    summarizeAfterTokens: parseOptionalInt(process.env.SUMMARIZE_AFTER_TOKENS),
 
     // Fliplet settings
     flipletApiToken: process.env.FLIPLET_API_TOKEN,
-    flipletAppId: process.env.FLIPLET_APP_ID,
+    // Login used to get a new token when Fliplet rejects the current one (see fliplet-auth.js)
+    flipletEmail: process.env.FLIPLET_EMAIL || undefined,
+    flipletPassword: process.env.FLIPLET_PASSWORD || undefined,
+    flipletCredentialsFile: process.env.FLIPLET_CREDENTIALS_FILE || undefined,
+    flipletAppId: defaultAppId,
+    // Every app sessions may pick, default first
+    flipletAppIds: [...new Set([defaultAppId, ...appIds].filter(Boolean))],
     flipletApiUrl: process.env.FLIPLET_API_URL || 'https://api.fliplet.com',
+    flipletMaxAttempts: parseOptionalInt(process.env.FLIPLET_MAX_ATTEMPTS) ?? 3,
+    flipletCacheTtlMs: parseCacheTtl(process.env.FLIPLET_CACHE_TTL),
+    // Replay recorded Fliplet API traffic from this file, or record to it (see fliplet-cassette.js)
+    flipletCassette: process.env.FLIPLET_CASSETTE ? path.resolve(process.env.FLIPLET_CASSETTE) : undefined,
+    flipletCassetteMode: (process.env.FLIPLET_CASSETTE_MODE || 'replay').toLowerCase(),
+
+    // Tools: extra plugin modules (see tool-registry.js) and which tools the AI may use
+    toolPluginsDir: process.env.TOOL_PLUGINS_DIR ? path.resolve(process.env.TOOL_PLUGINS_DIR) : undefined,
+    toolsEnabled: parseToolNames(process.env.TOOLS_ENABLED),
+    toolsDisabled: parseToolNames(process.env.TOOLS_DISABLED) || [],
+    // How often search_app_content's index is refreshed in the background (0 = only on request)
+    searchIndexRefreshMs: (parseOptionalInt(process.env.SEARCH_INDEX_REFRESH_MINUTES) ?? 15) * 60 * 1000,
 
     // Server settings
     port: parseInt(process.env.PORT, 10) || 3000,
+    // Where chat sessions are kept — "file" survives restarts, "memory" does not
+    sessionStore: (process.env.SESSION_STORE || 'file').toLowerCase(),
+    sessionStoreDir: process.env.SESSION_STORE_DIR || path.resolve(__dirname, '..', 'data', 'sessions'),
+
+    // Authentication — the server is open to anyone when neither is set
+    authApiKeys: parseApiKeys(process.env.AUTH_API_KEYS),
+    authJwtSecret: process.env.AUTH_JWT_SECRET || undefined,
+    authJwtIssuer: process.env.AUTH_JWT_ISSUER || undefined,
+    authJwtAudience: process.env.AUTH_JWT_AUDIENCE || undefined,
   };
 
   // Validate PORT is in valid range
@@ -38,8 +92,83 @@ function loadConfig() {
     throw new Error(`Invalid PORT value: "${process.env.PORT}". Must be between 1 and 65535.`);
   }
 
-  // Validate required fields
-  const required = ['openaiApiKey', 'flipletApiToken', 'flipletAppId'];
+  // Validate history budget if one was given
+  if (config.historyTokenBudget !== undefined && !(config.historyTokenBudget >= 1)) {
+    throw new Error(
+      `Invalid HISTORY_TOKEN_BUDGET value: "${process.env.HISTORY_TOKEN_BUDGET}". Must be a whole number of 1 or more.`
+    );
+  }
+
+  // Validate summary threshold if one was given
+  if (config.summarizeAfterTokens !== undefined && !(config.summarizeAfterTokens >= 0)) {
+    throw new Error(
+      `Invalid SUMMARIZE_AFTER_TOKENS value: "${process.env.SUMMARIZE_AFTER_TOKENS}". Must be a whole number of 0 or more.`
+    );
+  }
+
+  // Validate search index refresh interval
+  if (!(config.searchIndexRefreshMs >= 0)) {
+    throw new Error(
+      `Invalid SEARCH_INDEX_REFRESH_MINUTES value: "${process.env.SEARCH_INDEX_REFRESH_MINUTES}". Must be 0 or more.`
+    );
+  }
+
+  // Validate retry budget (1 disables retries)
+  if (!Number.isInteger(config.flipletMaxAttempts) || config.flipletMaxAttempts < 1) {
+    throw new Error(
+      `Invalid FLIPLET_MAX_ATTEMPTS value: "${process.env.FLIPLET_MAX_ATTEMPTS}". Must be 1 or more.`
+    );
+  }
+
+  // Validate session store
+  if (!SESSION_STORES.includes(config.sessionStore)) {
+    throw new Error(
+      `Invalid SESSION_STORE value: "${process.env.SESSION_STORE}". Must be one of: ${SESSION_STORES.join(', ')}.`
+    );
+  }
+
+  // Validate cassette mode
+  if (!CASSETTE_MODES.includes(config.flipletCassetteMode)) {
+    throw new Error(
+      `Invalid FLIPLET_CASSETTE_MODE value: "${process.env.FLIPLET_CASSETTE_MODE}". ` +
+        `Must be one of: ${CASSETTE_MODES.join(', ')}.`
+    );
+  }
+
+  // Validate JWT secret strength (API keys are validated while parsing)
+  if (config.authJwtSecret && config.authJwtSecret.length < MIN_JWT_SECRET_LENGTH) {
+    throw new Error(`Invalid AUTH_JWT_SECRET: must be at least ${MIN_JWT_SECRET_LENGTH} characters.`);
+  }
+
+  // Validate LLM provider and base URL
+  if (!LLM_PROVIDERS.includes(config.llmProvider)) {
+    throw new Error(
+      `Invalid LLM_PROVIDER value: "${process.env.LLM_PROVIDER}". Must be one of: ${LLM_PROVIDERS.join(', ')}.`
+    );
+  }
+  if (config.openaiBaseUrl) {
+    try {
+      new URL(config.openaiBaseUrl);
+    } catch {
+      throw new Error(`Invalid OPENAI_BASE_URL value: "${config.openaiBaseUrl}". Must be a valid URL.`);
+    }
+  }
+
+  // A password without an email (or vice versa) can never log in
+  if (Boolean(config.flipletEmail) !== Boolean(config.flipletPassword)) {
+    throw new Error('FLIPLET_EMAIL and FLIPLET_PASSWORD must be set together.');
+  }
+
+  // Validate required fields (the LLM key depends on the provider;
+  // local OpenAI-compatible servers and the fake provider don't need one;
+  // the Fliplet token is optional when the server can log in to get one)
+  const canLogin = Boolean(config.flipletEmail || config.flipletCredentialsFile);
+  const required = canLogin ? ['flipletAppId'] : ['flipletApiToken', 'flipletAppId'];
+  if (config.llmProvider === 'anthropic') {
+    required.unshift('anthropicApiKey');
+  } else if (config.llmProvider === 'openai' && !config.openaiBaseUrl) {
+    required.unshift('openaiApiKey');
+  }
   const missing = required.filter((key) => !config[key]);
 
   if (missing.length > 0) {
@@ -52,4 +181,126 @@ function loadConfig() {
   return Object.freeze(config); // Immutable config object
 }
 
+/**
+ * Parse an optional whole-number environment variable, keeping 0 as a real value.
+ *
+ * Only plain digits are accepted: parseInt() would read "3x" as 3 and
+ * "2.5e4" as 2, quietly loading a setting the user never asked for.
+ *
+ * @param {string|undefined} value - Raw environment variable
+ * @returns {number|undefined} The parsed number (NaN if malformed), or undefined when unset
+ */
+function parseOptionalInt(value) {
+  if (value === undefined || value.trim() === '') return undefined;
+  const trimmed = value.trim();
+  return /^\d+$/.test(trimmed) ? Number(trimmed) : NaN;
+}
+
+/**
+ * Parse FLIPLET_CACHE_TTL into per-endpoint TTLs in milliseconds.
+ *
+ * Accepts a single number of seconds ("60") applied to every endpoint,
+ * or comma-separated group=seconds pairs ("entries=15,media=300").
+ * Groups are default, dataSources, entries and media; 0 disables caching.
+ *
+ * @param {string|undefined} value - Raw environment variable
+ * @returns {object} TTL overrides keyed by group (empty when unset)
+ * @throws {Error} If the value is malformed
+ */
+function parseCacheTtl(value) {
+  if (!value || !value.trim()) return {};
+
+  const invalid = () =>
+    new Error(
+      `Invalid FLIPLET_CACHE_TTL value: "${value}". ` +
+        'Use seconds (e.g. 60) or group=seconds pairs (e.g. entries=15,media=300).'
+    );
+
+  // A bare number applies to every endpoint group
+  if (/^\s*\d+\s*$/.test(value)) {
+    const ms = Number(value) * 1000;
+    return { default: ms, dataSources: ms, entries: ms, media: ms };
+  }
+
+  const groups = ['default', 'dataSources', 'entries', 'media'];
+  const ttl = {};
+
+  for (const pair of value.split(',')) {
+    const [group, seconds] = pair.split('=').map((part) => part && part.trim());
+    if (!groups.includes(group) || !/^\d+$/.test(seconds || '')) throw invalid();
+    ttl[group] = Number(seconds) * 1000;
+  }
+
+  return ttl;
+}
+
+/**
+ * Parse FLIPLET_APP_IDS, the allowlist of apps sessions may pick.
+ *
+ * Format: comma-separated numeric app IDs ("123,456").
+ *
+ * @param {string|undefined} value - Raw environment variable
+ * @returns {string[]} App IDs (empty when unset)
+ * @throws {Error} If an ID is not a positive integer
+ */
+function parseAppIds(value) {
+  if (!value || !value.trim()) return [];
+
+  const ids = value.split(',').map((id) => id.trim());
+  if (ids.some((id) => !/^[1-9]\d*$/.test(id))) {
+    throw new Error(
+      `Invalid FLIPLET_APP_IDS value: "${value}". Use comma-separated numeric app IDs (e.g. 123,456).`
+    );
+  }
+
+  return ids;
+}
+
+/**
+ * Parse TOOLS_ENABLED / TOOLS_DISABLED, comma-separated tool names
+ * ("list_media,get_media_file"). Names are checked against the loaded
+ * tools when the registry is built.
+ *
+ * @param {string|undefined} value - Raw environment variable
+ * @returns {string[]|undefined} Tool names, or undefined when unset
+ */
+function parseToolNames(value) {
+  if (!value || !value.trim()) return undefined;
+  return [...new Set(value.split(',').map((name) => name.trim()).filter(Boolean))];
+}
+
+/**
+ * Parse AUTH_API_KEYS into per-user keys.
+ *
+ * Format: comma-separated user:key pairs ("alice:a-long-random-key,bob:another-random-key").
+ * The user ID is what sessions are bound to; a user may have several keys.
+ *
+ * @param {string|undefined} value - Raw environment variable
+ * @returns {Array<{ userId: string, key: string }>} Keys (empty when unset)
+ * @throws {Error} If a pair is malformed, a key is too short, or a key is repeated
+ */
+function parseApiKeys(value) {
+  if (!value || !value.trim()) return [];
+
+  const keys = [];
+  for (const pair of value.split(',')) {
+    const separator = pair.indexOf(':');
+    const userId = pair.slice(0, separator).trim();
+    const key = pair.slice(separator + 1).trim();
+
+    if (separator < 1 || !userId || key.length < MIN_API_KEY_LENGTH) {
+      throw new Error(
+        'Invalid AUTH_API_KEYS value. Use comma-separated user:key pairs ' +
+          `(e.g. alice:a-long-random-key), with keys of at least ${MIN_API_KEY_LENGTH} characters.`
+      );
+    }
+    if (keys.some((existing) => existing.key === key)) {
+      throw new Error(`Invalid AUTH_API_KEYS value: the key for "${userId}" is used more than once.`);
+    }
+    keys.push({ userId, key });
+  }
+
+  return keys;
+}
+
 module.exports = { loadConfig };
@@ -0,0 +1,381 @@
+/**
+ * App Content Index
+ *
+ * A full-text index (search-index.js) over everything an app holds: every
+ * entry of every data source, and the text of its media files (read with
+ * media-text.js). It answers "which entry mentions Acme Ltd?" in one call
+ * instead of the model paging through each data source.
+ *
+ * The index is built on first use and refreshed incrementally: a refresh
+ * reads the app again but only re-indexes entries whose values changed,
+ * only downloads media files that are new or changed, and drops what was
+ * deleted. ContentIndexPool keeps one index per app, shared by every
+ * session, and can refresh them on a schedule.
+ *
+ * A refresh belongs to the index, not to whoever asked for it: a caller
+ * that gives up (its tool call timed out) only stops waiting, and the run
+ * carries on for the next search. A run that fails part way keeps what it
+ * indexed, and later searches use that partial index while it is retried.
+ *
+ * Best practices applied:
+ * - Incremental Updates: signatures of indexed entries and files decide
+ *   what to re-index, so a refresh costs reads, not re-downloads
+ * - Single Flight: concurrent refreshes of one app share one run
+ * - Error Isolation: a media file that cannot be read is reported and
+ *   skipped; it does not stop the rest of the app being indexed
+ */
+
+const { SearchIndex } = require('./search-index');
+const { MAX_MEDIA_FILE_BYTES, detectFormat, extractText, chunkText, describeLocation } = require('./media-text');
+
+// Most entries indexed per app (across all data sources)
+const DEFAULT_MAX_ENTRIES = 50000;
+
+// Most media files read per app
+const DEFAULT_MAX_MEDIA_FILES = 500;
+
+// Entries read per request while indexing
+const ENTRIES_PAGE_SIZE = 500;
+
+class ContentIndex {
+  /**
+   * @param {FlipletApiClient} client - The app's API client
+   * @param {object} [options={}]
+   * @param {number} [options.maxEntries=50000] - Stop indexing entries past this many
+   * @param {number} [options.maxMediaFiles=500] - Stop reading media files past this many
+   * @param {Function} [options.now=Date.now] - Clock (replaced in tests)
+   */
+  constructor(client, options = {}) {
+    if (!client) {
+      throw new Error('ContentIndex requires a FlipletApiClient');
+    }
+
+    this.client = client;
+    this._maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this._maxMediaFiles = options.maxMediaFiles || DEFAULT_MAX_MEDIA_FILES;
+    this._now = options.now || Date.now;
+
+    this._index = new SearchIndex();
+    this._entrySignatures = new Map(); // document ID → data source name + indexed text
+    this._mediaFiles = new Map(); // file ID → { signature, documentIds }
+    this._refreshing = null;
+
+    this.refreshedAt = null;
+    this.lastError = null;
+    // True while the index holds what a failed run got through, but no run has finished
+    this._partial = false;
+    this._stats = { truncated: false, skippedFiles: [] };
+  }
+
+  /**
+   * Bring the index up to date with the app. Concurrent calls share one run.
+   *
+   * @param {object} [options={}]
+   * @param {AbortSignal} [options.signal] - Stops this caller waiting; the
+   *   run itself carries on for later searches
+   * @returns {Promise<object>} status() after the refresh
+   * @throws {Error} If listing data sources or media fails, or the signal fires
+   */
+  refresh({ signal } = {}) {
+    if (!this._refreshing) {
+      this._refreshing = this._refresh().finally(() => {
+        this._refreshing = null;
+      });
+      // Callers may all have stopped waiting; the error is kept on lastError
+      this._refreshing.catch(() => {});
+    }
+    return waitFor(this._refreshing, signal);
+  }
+
+  /**
+   * Search the index, building it first if it has never been built. If
+   * the last build failed part way, what it indexed is searched right away
+   * while another build runs.
+   *
+   * @param {string} query - Words to look for
+   * @param {object} [options={}]
+   * @param {number} [options.limit=10] - Most hits to return
+   * @param {string} [options.source='all'] - 'all', 'entries' or 'media'
+   * @param {number} [options.dataSourceId] - Only entries of this data source
+   * @param {AbortSignal} [options.signal] - Stops waiting for the first build
+   * @returns {Promise<{ total: number, hits: Array<object> }>} Ranked hits, each with
+   *   type, score, snippet and either dataSourceId / entryId or fileId / reference
+   */
+  async search(query, { limit = 10, source = 'all', dataSourceId, signal } = {}) {
+    if (this.refreshedAt === null) {
+      const building = this.refresh({ signal });
+      if (this._partial) building.catch(() => {});
+      else await building;
+    }
+
+    const filter = (meta) =>
+      (source === 'all' || (source === 'entries' ? meta.type === 'entry' : meta.type === 'media')) &&
+      (dataSourceId === undefined || (meta.type === 'entry' && meta.dataSourceId === dataSourceId));
+
+    const { total, hits } = this._index.search(query, { limit, filter });
+    return {
+      total,
+      hits: hits.map(({ meta, score, snippet }) => ({ ...meta, score: Math.round(score * 100) / 100, snippet })),
+    };
+  }
+
+  /**
+   * What is indexed and when it was last refreshed. `partial` means no
+   * build has finished yet and the index only holds what a failed one
+   * got through.
+   *
+   * @returns {{ entries: number, mediaFiles: number, refreshedAt: string|null, refreshing: boolean,
+   *   partial: boolean, truncated: boolean,
+   *   skippedFiles: Array<{ fileId: number, name: string, reason: string }> }}
+   */
+  status() {
+    return {
+      entries: this._entrySignatures.size,
+      mediaFiles: this._mediaFiles.size,
+      refreshedAt: this.refreshedAt === null ? null : new Date(this.refreshedAt).toISOString(),
+      refreshing: this._refreshing !== null,
+      partial: this._partial,
+      truncated: this._stats.truncated,
+      skippedFiles: this._stats.skippedFiles,
+    };
+  }
+
+  /**
+   * One refresh run: entries, then media.
+   * @private
+   */
+  async _refresh() {
+    try {
+      const entries = await this._refreshEntries();
+      const media = await this._refreshMedia();
+
+      this._stats = {
+        truncated: entries.truncated || media.truncated,
+        skippedFiles: media.skipped,
+      };
+      this.refreshedAt = this._now();
+      this._partial = false;
+      this.lastError = null;
+      return this.status();
+    } catch (error) {
+      this.lastError = error;
+      if (this.refreshedAt === null && this._index.size > 0) this._partial = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Index every entry of every data source, re-indexing only changed ones.
+   * @private
+   */
+  async _refreshEntries() {
+    const dataSources = await this.client.listDataSources();
+    const seen = new Set();
+    // Data sources read to the end — only these can have deleted entries dropped
+    const complete = new Set();
+    let count = 0;
+    let truncated = false;
+
+    for (const dataSource of dataSources) {
+      let finished = true;
+
+      pages: for await (const page of this.client.iterateDataSourceEntries(dataSource.id, { pageSize: ENTRIES_PAGE_SIZE })) {
+        for (const entry of page) {
+          if (count >= this._maxEntries) {
+            truncated = true;
+            finished = false;
+            break pages;
+          }
+          count++;
+
+          const id = `entry:${dataSource.id}:${entry.id}`;
+          const text = entryText(entry.data);
+          const signature = `${dataSource.name}\n${text}`;
+          seen.add(id);
+          if (this._entrySignatures.get(id) === signature) continue;
+
+          this._index.upsert(id, text, {
+            type: 'entry',
+            dataSourceId: dataSource.id,
+            dataSourceName: dataSource.name,
+            entryId: entry.id,
+          });
+          this._entrySignatures.set(id, signature);
+        }
+      }
+
+      if (finished) complete.add(dataSource.id);
+      if (truncated) break;
+    }
+
+    // Drop entries that were deleted, and data sources that are gone
+    const listed = new Set(dataSources.map((dataSource) => dataSource.id));
+    this._index.removeWhere((id, meta) => {
+      if (meta.type !== 'entry' || seen.has(id)) return false;
+      const stale = !listed.has(meta.dataSourceId) || complete.has(meta.dataSourceId);
+      if (stale) this._entrySignatures.delete(id);
+      return stale;
+    });
+
+    return { truncated };
+  }
+
+  /**
+   * Index the text of every readable media file, downloading only new or
+   * changed files.
+   * @private
+   */
+  async _refreshMedia() {
+    const { files, truncated: walkTruncated } = await this.client.walkMedia();
+    const seen = new Set();
+    const skipped = [];
+    let count = 0;
+    let truncated = walkTruncated;
+
+    for (const file of files) {
+      const format = detectFormat(file);
+      if (!format) continue;
+      if (typeof file.size === 'number' && file.size > MAX_MEDIA_FILE_BYTES) {
+        skipped.push({ fileId: file.id, name: file.name, reason: 'larger than 10 MB' });
+        continue;
+      }
+      if (count >= this._maxMediaFiles) {
+        truncated = true;
+        break;
+      }
+      count++;
+      seen.add(file.id);
+
+      // The URL is left out: CDN links can be re-signed on every listing
+      const signature = [file.updatedAt || file.createdAt, file.size, file.name].join('|');
+      const indexed = this._mediaFiles.get(file.id);
+      if (indexed && indexed.signature === signature) continue;
+
+      try {
+        const { data } = await this.client.downloadMediaFile(file, { maxBytes: MAX_MEDIA_FILE_BYTES });
+        const { sections } = await extractText(data, format);
+        this._removeMediaFile(file.id);
+
+        const documentIds = chunkText(sections, { format }).map((chunk, i) => {
+          const id = `media:${file.id}:${i}`;
+          this._index.upsert(id, chunk.text, {
+            type: 'media',
+            fileId: file.id,
+            fileName: file.name,
+            reference: describeLocation(chunk),
+          });
+          return id;
+        });
+        this._mediaFiles.set(file.id, { signature, documentIds });
+      } catch (error) {
+        // Keep whatever was indexed before; it is retried on the next refresh
+        skipped.push({ fileId: file.id, name: file.name, reason: error.message });
+      }
+    }
+
+    // Drop files that were deleted (unless the listing was cut short)
+    if (!truncated) {
+      for (const fileId of [...this._mediaFiles.keys()]) {
+        if (!seen.has(fileId)) this._removeMediaFile(fileId);
+      }
+    }
+
+    return { truncated, skipped };
+  }
+
+  /**
+   * Remove one media file's chunks from the index.
+   * @private
+   */
+  _removeMediaFile(fileId) {
+    const indexed = this._mediaFiles.get(fileId);
+    if (!indexed) return;
+    indexed.documentIds.forEach((id) => this._index.remove(id));
+    this._mediaFiles.delete(fileId);
+  }
+}
+
+/**
+ * One ContentIndex per app, shared by every session on the server.
+ */
+class ContentIndexPool {
+  /**
+   * @param {object} [options={}]
+   * @param {number} [options.refreshIntervalMs=0] - Refresh each index this often
+   *   once it has been built (0 = only on demand)
+   * @param {object} [options.indexOptions] - Passed to each ContentIndex
+   */
+  constructor(options = {}) {
+    this._refreshIntervalMs = options.refreshIntervalMs || 0;
+    this._indexOptions = options.indexOptions || {};
+    this._indexes = new Map(); // appId → ContentIndex
+    this._timers = [];
+  }
+
+  /**
+   * The index for a client's app, created on first use.
+   *
+   * @param {FlipletApiClient} client - The app's API client
+   * @returns {ContentIndex}
+   */
+  get(client) {
+    const appId = String(client.appId);
+    if (!this._indexes.has(appId)) {
+      const index = new ContentIndex(client, this._indexOptions);
+      this._indexes.set(appId, index);
+
+      if (this._refreshIntervalMs > 0) {
+        // Failures are kept on index.lastError; the next run tries again
+        const timer = setInterval(() => {
+          if (index.refreshedAt !== null || index.status().partial) index.refresh().catch(() => {});
+        }, this._refreshIntervalMs);
+        // Never keep the process alive just to refresh
+        timer.unref();
+        this._timers.push(timer);
+      }
+    }
+    return this._indexes.get(appId);
+  }
+
+  /**
+   * Stop scheduled refreshes.
+   */
+  close() {
+    this._timers.forEach((timer) => clearInterval(timer));
+    this._timers = [];
+  }
+}
+
+/**
+ * The indexed text of an entry: one "Column: value" line per non-empty column.
+ */
+function entryText(data) {
+  return Object.entries(data || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([column, value]) => `${column}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join('\n');
+}
+
+/**
+ * Settle with a promise, or reject as soon as the signal fires — without
+ * affecting the promise itself.
+ *
+ * @param {Promise<*>} promise - The work being waited for
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<*>}
+ */
+function waitFor(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const stop = () => reject(new Error('Stopped waiting for the app to be indexed; indexing carries on in the background.'));
+    if (signal.aborted) {
+      stop();
+      return;
+    }
+    signal.addEventListener('abort', stop, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', stop));
+  });
+}
+
+module.exports = { ContentIndex, ContentIndexPool };
@@ -0,0 +1,378 @@
+/**
+ * Evaluation Harness
+ *
+ * Replays a suite of golden questions through ChatEngine and scores the
+ * answers, so changes to the system prompt or tool descriptions can be
+ * judged by numbers rather than by feel. scripts/eval.js runs it against
+ * the mock Fliplet API (`npm run eval`) and writes the reports.
+ *
+ * Suite format (JSON, see fixtures/eval/golden.json):
+ *   {
+ *     "name": "golden",
+ *     "cases": [
+ *       {
+ *         "id": "engineering-headcount",
+ *         "question": "How many people work in Engineering?",   // or an array of turns
+ *         "appId": "123",                                      // optional, default app otherwise
+ *         "expect": {
+ *           "tools": ["get_data_source_entries"],             // must be called (name or { name, arguments })
+ *           "forbiddenTools": ["delete_data_source_entry"],    // must not be called
+ *           "contains": ["Alice Moreau"],                      // answer text, case-insensitive
+ *           "numbers": [3],                                    // numbers the answer must state
+ *           "excludes": ["Dana"]                               // must not appear
+ *         }
+ *       }
+ *     ]
+ *   }
+ *
+ * Each expectation is one check; a case scores the share of its checks
+ * that passed and passes when all of them do. The run's score is the mean
+ * case score.
+ *
+ * Best practices applied:
+ * - Separation: scoring and reporting are pure functions; running is
+ *   injected an engine factory, so tests use the scripted LLM
+ * - Reproducibility: reports record a fingerprint of the prompt and tools
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const EXPECTATION_KEYS = ['tools', 'forbiddenTools', 'contains', 'numbers', 'excludes'];
+
+/**
+ * Read and validate a suite file.
+ *
+ * @param {string} file - Path to the suite JSON
+ * @returns {{ name: string, cases: Array<object> }}
+ * @throws {Error} If the file is unreadable or a case is malformed
+ */
+function loadSuite(file) {
+  let suite;
+  try {
+    suite = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read eval suite ${file}: ${error.message}`);
+  }
+  if (!suite || !Array.isArray(suite.cases) || suite.cases.length === 0) {
+    throw new Error(`Eval suite ${file} must have a non-empty "cases" array`);
+  }
+
+  const ids = new Set();
+  suite.cases.forEach((testCase, index) => {
+    const where = `Eval suite ${file}, case ${testCase && testCase.id ? `"${testCase.id}"` : index + 1}`;
+    if (!testCase || typeof testCase.id !== 'string' || !testCase.id) {
+      throw new Error(`${where}: needs an "id"`);
+    }
+    if (ids.has(testCase.id)) throw new Error(`${where}: duplicate id`);
+    ids.add(testCase.id);
+
+    const turns = questionsOf(testCase);
+    if (turns.length === 0 || turns.some((q) => typeof q !== 'string' || !q.trim())) {
+      throw new Error(`${where}: "question" must be a string or a non-empty array of strings`);
+    }
+
+    const expect = testCase.expect || {};
+    const unknown = Object.keys(expect).filter((key) => !EXPECTATION_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${where}: unknown expectation ${unknown.join(', ')} (use ${EXPECTATION_KEYS.join(', ')})`);
+    }
+    if (EXPECTATION_KEYS.every((key) => !expect[key] || expect[key].length === 0)) {
+      throw new Error(`${where}: "expect" has nothing to check`);
+    }
+  });
+
+  return { name: suite.name || 'eval', cases: suite.cases };
+}
+
+/**
+ * The user turns of a case, in order.
+ *
+ * @param {{ question: string|string[] }} testCase
+ * @returns {string[]}
+ */
+function questionsOf(testCase) {
+  return Array.isArray(testCase.question) ? testCase.question : [testCase.question];
+}
+
+// ---------------------------------------------------------------
+// Scoring
+// ---------------------------------------------------------------
+
+/**
+ * Whether every key of `expected` is deeply present in `actual`
+ * (numbers and numeric strings compare by value).
+ */
+function partialMatch(actual, expected) {
+  if (expected === null || typeof expected !== 'object') {
+    // 42 and "42" are the same ID to the API
+    return actual === expected || (actual !== null && actual !== undefined && String(actual) === String(expected));
+  }
+  if (actual === null || typeof actual !== 'object') return false;
+  return Object.entries(expected).every(([key, value]) => partialMatch(actual[key], value));
+}
+
+/**
+ * Every number written in a text, with thousands separators removed
+ * ("1,200,000" → 1200000).
+ *
+ * @param {string} text
+ * @returns {number[]}
+ */
+function numbersIn(text) {
+  const tokens = text.match(/-?\d{1,3}(?:,\d{3})+(?:\.\d+)?|-?\d+(?:\.\d+)?/g) || [];
+  return tokens.map((token) => Number(token.replace(/,/g, '')));
+}
+
+/**
+ * Check an answer against a case's expectations.
+ *
+ * @param {object} expect - The case's "expect" block
+ * @param {{ answer: string, toolCalls: Array<{ name: string, arguments?: object }> }} outcome
+ * @returns {Array<{ type: string, expected: *, passed: boolean }>} One entry per check
+ */
+function checkAnswer(expect, { answer, toolCalls }) {
+  const text = String(answer || '');
+  const lower = text.toLowerCase();
+  const numbers = numbersIn(text);
+  const checks = [];
+
+  for (const tool of expect.tools || []) {
+    const { name, arguments: args } = typeof tool === 'string' ? { name: tool } : tool;
+    const passed = toolCalls.some((call) => call.name === name && (!args || partialMatch(call.arguments, args)));
+    checks.push({ type: 'tool', expected: tool, passed });
+  }
+  for (const name of expect.forbiddenTools || []) {
+    checks.push({ type: 'forbiddenTool', expected: name, passed: !toolCalls.some((call) => call.name === name) });
+  }
+  for (const fact of expect.contains || []) {
+    checks.push({ type: 'contains', expected: fact, passed: lower.includes(String(fact).toLowerCase()) });
+  }
+  for (const number of expect.numbers || []) {
+    checks.push({ type: 'number', expected: number, passed: numbers.includes(Number(number)) });
+  }
+  for (const phrase of expect.excludes || []) {
+    checks.push({ type: 'excludes', expected: phrase, passed: !lower.includes(String(phrase).toLowerCase()) });
+  }
+
+  return checks;
+}
+
+// ---------------------------------------------------------------
+// Running
+// ---------------------------------------------------------------
+
+/**
+ * Run one case in a fresh conversation.
+ *
+ * @param {object} testCase - Suite case
+ * @param {Function} createEngine - (appId) => ChatEngine
+ * @returns {Promise<object>} Case result
+ */
+async function runCase(testCase, createEngine) {
+  const startedAt = Date.now();
+  const toolCalls = [];
+  let answer = '';
+  let error = null;
+
+  try {
+    const engine = createEngine(testCase.appId || null);
+    for (const question of questionsOf(testCase)) {
+      answer = await engine.chat(question);
+      for (const call of engine.getLastToolActivity()) {
+        toolCalls.push({ name: call.name, arguments: call.arguments, status: call.status });
+      }
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  const checks = checkAnswer(testCase.expect, { answer, toolCalls });
+  // A crashed case scores zero whatever its partial answer happened to contain
+  const passedChecks = error ? 0 : checks.filter((check) => check.passed).length;
+
+  return {
+    id: testCase.id,
+    question: testCase.question,
+    answer,
+    toolCalls,
+    checks,
+    error,
+    score: checks.length > 0 ? passedChecks / checks.length : 0,
+    passed: !error && passedChecks === checks.length,
+    durationMs: Date.now() - startedAt,
+  };
+}
+
+/**
+ * Run every case of a suite, one after another.
+ *
+ * @param {object} options
+ * @param {{ name: string, cases: Array }} options.suite - Suite from loadSuite()
+ * @param {Function} options.createEngine - (appId) => ChatEngine, called once per case
+ * @param {Function} [options.onCase] - Called with each case result as it finishes
+ * @returns {Promise<{ cases: Array<object>, summary: object }>}
+ */
+async function runSuite({ suite, createEngine, onCase }) {
+  const cases = [];
+  for (const testCase of suite.cases) {
+    const result = await runCase(testCase, createEngine);
+    cases.push(result);
+    if (onCase) onCase(result);
+  }
+  return { cases, summary: summarize(cases) };
+}
+
+/**
+ * Totals for a run.
+ *
+ * @param {Array<object>} cases - Case results
+ * @returns {{ cases: number, passed: number, checks: number, checksPassed: number, score: number, durationMs: number }}
+ */
+function summarize(cases) {
+  const checks = cases.reduce((sum, c) => sum + c.checks.length, 0);
+  const checksPassed = cases.reduce((sum, c) => sum + (c.error ? 0 : c.checks.filter((check) => check.passed).length), 0);
+  const score = cases.length > 0 ? cases.reduce((sum, c) => sum + c.score, 0) / cases.length : 0;
+
+  return {
+    cases: cases.length,
+    passed: cases.filter((c) => c.passed).length,
+    checks,
+    checksPassed,
+    score: Math.round(score * 1000) / 1000,
+    durationMs: cases.reduce((sum, c) => sum + c.durationMs, 0),
+  };
+}
+
+/**
+ * A short fingerprint of what the model is told, so reports show whether
+ * the prompt or tool descriptions changed between runs.
+ *
+ * @param {{ content: string }} systemPrompt - From ChatEngine.getSystemPrompt()
+ * @param {Array} tools - Tool definitions
+ * @returns {string} 12 hex characters
+ */
+function fingerprint(systemPrompt, tools) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ systemPrompt: systemPrompt.content, tools }))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+// ---------------------------------------------------------------
+// Reporting
+// ---------------------------------------------------------------
+
+/**
+ * Compare a run with a baseline run, case by case.
+ *
+ * @param {object} report - The current report
+ * @param {object|null} baseline - A previous report, or null
+ * @returns {object|null} { baselineStartedAt, scoreDelta, promptChanged, regressions, improvements, added, removed }
+ */
+function compareReports(report, baseline) {
+  if (!baseline) return null;
+
+  const before = new Map(baseline.cases.map((c) => [c.id, c]));
+  const after = new Map(report.cases.map((c) => [c.id, c]));
+  const regressions = [];
+  const improvements = [];
+
+  for (const [id, current] of after) {
+    const previous = before.get(id);
+    if (!previous) continue;
+    const delta = Math.round((current.score - previous.score) * 1000) / 1000;
+    if (delta < 0) regressions.push({ id, before: previous.score, after: current.score });
+    if (delta > 0) improvements.push({ id, before: previous.score, after: current.score });
+  }
+
+  return {
+    baselineStartedAt: baseline.startedAt,
+    scoreDelta: Math.round((report.summary.score - baseline.summary.score) * 1000) / 1000,
+    promptChanged: Boolean(baseline.fingerprint && report.fingerprint !== baseline.fingerprint),
+    regressions,
+    improvements,
+    added: [...after.keys()].filter((id) => !before.has(id)),
+    removed: [...before.keys()].filter((id) => !after.has(id)),
+  };
+}
+
+/**
+ * Format a 0–1 score as a percentage.
+ */
+function percent(score) {
+  return `${Math.round(score * 1000) / 10}%`;
+}
+
+/**
+ * Escape text for a Markdown table cell.
+ */
+function cell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Render a report as Markdown.
+ *
+ * @param {object} report - Report with summary, cases and optional comparison
+ * @returns {string}
+ */
+function renderMarkdown(report) {
+  const { summary, comparison } = report;
+  const lines = [
+    `# Eval report: ${report.suite}`,
+    '',
+    `- Run: ${report.startedAt}`,
+    `- Model: ${report.provider} / ${report.model}`,
+    `- Prompt fingerprint: \`${report.fingerprint}\``,
+    `- Score: **${percent(summary.score)}** (${summary.passed}/${summary.cases} cases passed, ` +
+      `${summary.checksPassed}/${summary.checks} checks)`,
+  ];
+
+  if (comparison) {
+    const sign = comparison.scoreDelta > 0 ? '+' : '';
+    lines.push(
+      `- Baseline (${comparison.baselineStartedAt}): ${sign}${percent(comparison.scoreDelta)}` +
+        (comparison.promptChanged ? ', prompt or tools changed since' : '')
+    );
+  } else {
+    lines.push('- Baseline: none yet');
+  }
+
+  lines.push('', '| Case | Score | Result | Tools called | Failed checks |', '|------|-------|--------|--------------|---------------|');
+  for (const c of report.cases) {
+    const failed = c.error
+      ? `error: ${c.error}`
+      : c.checks.filter((check) => !check.passed).map((check) => `${check.type} ${JSON.stringify(check.expected)}`).join('; ');
+    const tools = [...new Set(c.toolCalls.map((call) => call.name))].join(', ');
+    lines.push(`| ${cell(c.id)} | ${percent(c.score)} | ${c.passed ? 'pass' : 'FAIL'} | ${cell(tools || '—')} | ${cell(failed || '—')} |`);
+  }
+
+  if (comparison && (comparison.regressions.length > 0 || comparison.improvements.length > 0)) {
+    lines.push('', '## Changes since baseline', '');
+    for (const r of comparison.regressions) lines.push(`- Regressed: ${r.id} (${percent(r.before)} → ${percent(r.after)})`);
+    for (const i of comparison.improvements) lines.push(`- Improved: ${i.id} (${percent(i.before)} → ${percent(i.after)})`);
+  }
+
+  const failures = report.cases.filter((c) => !c.passed);
+  if (failures.length > 0) {
+    lines.push('', '## Failed answers', '');
+    for (const c of failures) {
+      lines.push(`### ${c.id}`, '', `> ${questionsOf(c).join(' → ')}`, '', c.error ? `Error: ${c.error}` : c.answer || '(no answer)', '');
+    }
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+module.exports = {
+  loadSuite,
+  checkAnswer,
+  runCase,
+  runSuite,
+  summarize,
+  fingerprint,
+  compareReports,
+  renderMarkdown,
+};
@@ -0,0 +1,205 @@
+/**
+ * Fliplet Authentication
+ *
+ * Fliplet session tokens (from logging in) expire after a period of
+ * inactivity. Instead of someone running `npm run refresh-token` and
+ * restarting the server, FlipletApiClient asks a credentials provider
+ * for the token on every request; when the API answers 401 the provider
+ * logs in again and the request is retried once with the new token.
+ *
+ * One provider is shared by every client (and so every session and app),
+ * so a single login swaps the token for all of them at once.
+ *
+ * Login credentials come from FLIPLET_EMAIL / FLIPLET_PASSWORD or from a
+ * JSON credentials file ({ "email": ..., "password": ... }) named by
+ * FLIPLET_CREDENTIALS_FILE. The file is read at login time, so it can be
+ * rotated without a restart. Without either, the configured token is used
+ * as-is and a 401 is reported like any other API error.
+ *
+ * Best practices applied:
+ * - Single Flight: concurrent 401s trigger one login, and everyone waits for it
+ * - Dependency Injection: fetch and the file reader are injectable for testing
+ * - Least Exposure: passwords are read only when needed and never logged
+ */
+
+const fs = require('fs');
+
+const DEFAULT_API_URL = 'https://api.fliplet.com';
+
+/**
+ * Log in to Fliplet with an email and password.
+ * Shared by the credentials provider and scripts/refresh-token.js.
+ *
+ * @param {object} options
+ * @param {string} options.email - Fliplet account email
+ * @param {string} options.password - Fliplet account password
+ * @param {string} [options.apiUrl='https://api.fliplet.com'] - Fliplet API base URL
+ * @param {Function} [options.fetchFn=global.fetch] - Fetch implementation (injectable for testing)
+ * @returns {Promise<string>} The new session auth token
+ * @throws {Error} If the login is rejected or the response has no token
+ */
+async function loginToFliplet({ email, password, apiUrl = DEFAULT_API_URL, fetchFn = global.fetch }) {
+  const res = await fetchFn(`${apiUrl}/v1/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password }),
+  });
+
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(`Fliplet login failed: ${body.message || `status ${res.status}`}`);
+  }
+
+  const data = await res.json();
+  if (!data || !data.auth_token) {
+    throw new Error('Fliplet login failed: the response did not include an auth token');
+  }
+  return data.auth_token;
+}
+
+/**
+ * Holds the Fliplet API token shared by all clients and renews it by
+ * logging in again when the API rejects it.
+ */
+class FlipletCredentialsProvider {
+  /**
+   * Create a new credentials provider.
+   *
+   * @param {object} [options={}]
+   * @param {string} [options.token] - Initial token (logged in on first use when omitted)
+   * @param {string} [options.email] - Fliplet account email for re-authentication
+   * @param {string} [options.password] - Fliplet account password for re-authentication
+   * @param {string} [options.credentialsFile] - JSON file with { email, password },
+   *   used when email / password are not given
+   * @param {string} [options.apiUrl='https://api.fliplet.com'] - Fliplet API base URL
+   * @param {Function} [options.fetchFn] - Fetch implementation for logging in
+   * @param {Function} [options.readFile] - File reader (injectable for testing)
+   * @param {Function} [options.onRefresh] - Called with no arguments after each successful login
+   * @throws {Error} If there is neither a token nor a way to log in
+   */
+  constructor(options = {}) {
+    this._token = options.token || null;
+    this._email = options.email || null;
+    this._password = options.password || null;
+    this._credentialsFile = options.credentialsFile || null;
+    this._apiUrl = options.apiUrl || DEFAULT_API_URL;
+    this._fetch = options.fetchFn || global.fetch;
+    this._readFile = options.readFile || ((file) => fs.readFileSync(file, 'utf8'));
+    this._onRefresh = options.onRefresh || null;
+
+    if (!this._token && !this.canRefresh()) {
+      throw new Error('FlipletCredentialsProvider requires a token or login credentials');
+    }
+
+    // The login in progress, shared by every caller that needs it
+    this._pendingLogin = null;
+
+    // Number of successful logins (useful for monitoring and tests)
+    this.refreshCount = 0;
+  }
+
+  /**
+   * The token currently in use (null before the first login).
+   *
+   * @returns {string|null}
+   */
+  get current() {
+    return this._token;
+  }
+
+  /**
+   * Whether this provider can log in again when the token is rejected.
+   *
+   * @returns {boolean}
+   */
+  canRefresh() {
+    return Boolean((this._email && this._password) || this._credentialsFile);
+  }
+
+  /**
+   * Get a token to send, logging in first if there is none yet.
+   *
+   * @returns {Promise<string>}
+   * @throws {Error} If logging in fails
+   */
+  async getToken() {
+    return this._token || this.refresh(null);
+  }
+
+  /**
+   * Replace a token the API rejected.
+   *
+   * Pass the token that was rejected: if another request already replaced
+   * it, the new token is returned without logging in again. Concurrent
+   * calls share one login.
+   *
+   * @param {string|null} rejectedToken - The token the API answered 401 to
+   * @returns {Promise<string>} The token to retry with
+   * @throws {Error} If the provider cannot log in, or the login fails
+   */
+  async refresh(rejectedToken) {
+    if (this._token && this._token !== rejectedToken) return this._token;
+    if (!this.canRefresh()) {
+      throw new Error('The Fliplet API token was rejected and no login credentials are configured');
+    }
+
+    if (!this._pendingLogin) {
+      this._pendingLogin = this._login()
+        .then((token) => {
+          this._token = token;
+          this.refreshCount++;
+          if (this._onRefresh) this._onRefresh();
+          return token;
+        })
+        .finally(() => {
+          this._pendingLogin = null;
+        });
+    }
+    return this._pendingLogin;
+  }
+
+  /**
+   * Log in with the configured email / password or credentials file.
+   *
+   * @returns {Promise<string>} The new token
+   * @private
+   */
+  async _login() {
+    let { _email: email, _password: password } = this;
+
+    if (!(email && password)) {
+      let parsed;
+      try {
+        parsed = JSON.parse(this._readFile(this._credentialsFile));
+      } catch (error) {
+        throw new Error(`Could not read Fliplet credentials file ${this._credentialsFile}: ${error.message}`);
+      }
+      ({ email, password } = parsed || {});
+      if (!email || !password) {
+        throw new Error(`Fliplet credentials file ${this._credentialsFile} must contain "email" and "password"`);
+      }
+    }
+
+    return loginToFliplet({ email, password, apiUrl: this._apiUrl, fetchFn: this._fetch });
+  }
+}
+
+/**
+ * Build the credentials provider for the loaded config.
+ *
+ * @param {object} config - Config from loadConfig()
+ * @param {object} [options={}] - Extra provider options (e.g. fetchFn, onRefresh)
+ * @returns {FlipletCredentialsProvider}
+ */
+function createCredentialsProvider(config, options = {}) {
+  return new FlipletCredentialsProvider({
+    token: config.flipletApiToken,
+    email: config.flipletEmail,
+    password: config.flipletPassword,
+    credentialsFile: config.flipletCredentialsFile,
+    apiUrl: config.flipletApiUrl,
+    ...options,
+  });
+}
+
+module.exports = { loginToFliplet, FlipletCredentialsProvider, createCredentialsProvider };
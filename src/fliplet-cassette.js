@@ -0,0 +1,598 @@
+/**
+ * Fliplet API Cassettes
+ *
+ * Records real Fliplet API traffic to a JSON "cassette" file and plays it
+ * back later, so tests and offline CLI runs see exactly what the API
+ * returned — without writing fixtures by hand or calling Fliplet. Both
+ * sides are fetch implementations, injected wherever a fetchFn is taken
+ * (FlipletApiClient, FlipletClientPool, the login in fliplet-auth.js):
+ *
+ *   const recorder = new CassetteRecorder({ file: 'fixtures/cassettes/apps.json' });
+ *   const client = new FlipletApiClient(config, recorder.fetch);
+ *
+ *   const player = new CassettePlayer(readCassette('fixtures/cassettes/apps.json'));
+ *   const client = new FlipletApiClient(config, player.fetch);
+ *   ...
+ *   player.assertDone();
+ *
+ * Cassette format:
+ *
+ *   { "version": 1,
+ *     "interactions": [
+ *       { "request":  { "method": "GET", "url": "/v1/apps", "body": null },
+ *         "response": { "status": 200, "statusText": "OK",
+ *                       "headers": { "etag": "\"v1\"" }, "body": { "apps": [...] } } } ] }
+ *
+ * URLs are stored without the host, so a cassette recorded against
+ * api.fliplet.com replays against any FLIPLET_API_URL. Responses that are
+ * not JSON are stored as `"text"` instead of `"body"`, and binary ones
+ * (e.g. a downloaded PDF) as `"base64"`. A body the client stopped reading
+ * (e.g. a download over its size limit) is stored as far as it was read,
+ * with `"incomplete": true`, and replays as a stream that breaks off there.
+ *
+ * Replay matches on method, URL and JSON body. Each recorded interaction
+ * answers once, in recorded order, so a read before and after a write
+ * gets the right answer each time. A request with no unused match is
+ * rejected with a CassetteError — the cassette is out of date.
+ *
+ * Best practices applied:
+ * - Secret Hygiene: request headers (and so the Auth-token) are never
+ *   stored, token/password/secret fields are redacted from bodies, any
+ *   token seen in a request is scrubbed from everything recorded, and
+ *   login requests are stored without their email and password
+ * - Fail Fast: unmatched requests throw instead of reaching the network
+ * - Atomic Writes: the cassette is saved via a temp file + rename, at most
+ *   once a second while recording and again at exit, so an interrupted
+ *   recording is still valid JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CASSETTE_VERSION = 1;
+
+// Placeholder written in place of anything secret
+const REDACTED = '[REDACTED]';
+
+// Body fields whose values are never recorded (e.g. auth_token, password, client_secret)
+const SECRET_KEY_REGEX = /(^|[-_])(token|password|secret)$|^(authorization|api[-_]?key|cookie)$/i;
+
+// Requests whose whole body is credentials
+const LOGIN_PATH_REGEX = /^\/v1\/auth\//;
+
+// Response headers worth keeping (FlipletApiClient reads these)
+const RECORDED_HEADERS = ['content-type', 'etag', 'retry-after'];
+
+// How long a recorder lets new interactions wait before rewriting its file
+const DEFAULT_SAVE_DELAY_MS = 1000;
+
+// Cassette modes accepted in FLIPLET_CASSETTE_MODE
+const CASSETTE_MODES = ['replay', 'record'];
+
+/**
+ * Raised when a cassette cannot be read or a replayed request was not recorded.
+ */
+class CassetteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CassetteError';
+  }
+}
+
+// ---------------------------------------------------------------
+// Reading and writing cassettes
+// ---------------------------------------------------------------
+
+/**
+ * Read and validate a cassette file.
+ *
+ * @param {string} file - Path to the cassette
+ * @returns {{ version: number, interactions: Array }} The cassette
+ * @throws {CassetteError} If the file is missing, not JSON, or not a cassette
+ */
+function readCassette(file) {
+  let cassette;
+  try {
+    cassette = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new CassetteError(`Could not read cassette ${file}: ${error.message}`);
+  }
+
+  if (!cassette || !Array.isArray(cassette.interactions)) {
+    throw new CassetteError(`Cassette ${file} has no "interactions" array`);
+  }
+  if (cassette.version !== CASSETTE_VERSION) {
+    throw new CassetteError(`Cassette ${file} has unsupported version ${cassette.version} (expected ${CASSETTE_VERSION})`);
+  }
+  return cassette;
+}
+
+/**
+ * Write a cassette atomically (temp file + rename), creating its directory.
+ *
+ * @param {string} file - Path to the cassette
+ * @param {Array} interactions - Recorded interactions
+ */
+function writeCassette(file, interactions) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.tmp`;
+  const content = `${JSON.stringify({ version: CASSETTE_VERSION, interactions }, null, 2)}\n`;
+  try {
+    fs.writeFileSync(tempFile, content);
+    fs.renameSync(tempFile, file);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+}
+
+// ---------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------
+
+class CassetteRecorder {
+  /**
+   * Create a recorder around a real fetch.
+   *
+   * @param {object} [options={}]
+   * @param {Function} [options.fetchFn=global.fetch] - The fetch that reaches the API
+   * @param {string} [options.file] - Cassette to (over)write as interactions are recorded;
+   *   without one, interactions are only kept in memory
+   * @param {number} [options.saveDelayMs=1000] - How long new interactions may wait
+   *   before the file is rewritten (they are also written on save() and at exit)
+   */
+  constructor(options = {}) {
+    this._fetch = options.fetchFn || global.fetch;
+    this._file = options.file || null;
+    this._saveDelayMs = options.saveDelayMs ?? DEFAULT_SAVE_DELAY_MS;
+    this._saveTimer = null;
+    this._saveOnExit = () => this.save();
+    // One per request, in the order the responses arrived; see _toInteraction()
+    this._exchanges = [];
+    // Tokens seen in request headers or login responses, scrubbed wherever they appear
+    this._secrets = new Set();
+
+    // Bound so it can be passed around as a plain fetch function
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * The interactions recorded so far (redacted, as they are saved).
+   *
+   * @returns {Array}
+   */
+  get interactions() {
+    return structuredClone(this._exchanges.map((exchange) => this._toInteraction(exchange)));
+  }
+
+  /**
+   * Fetch through to the API and record the exchange. Failed connections
+   * are not recorded.
+   *
+   * The body is passed on as the caller reads it, so the caller's own size
+   * limit and cancellation still apply (downloadMediaFile() stops reading
+   * past maxBytes). A body the caller stops reading early is recorded as
+   * far as it got, marked `"incomplete"`.
+   *
+   * @param {string} url - Full request URL
+   * @param {object} [options={}] - fetch options
+   * @returns {Promise<Response>} An unread response streaming the API's body
+   */
+  async fetch(url, options = {}) {
+    const token = readRequestHeader(options.headers, 'auth-token');
+    if (token) this._secrets.add(token);
+
+    const response = await this._fetch(url, options);
+
+    const method = (options.method || 'GET').toUpperCase();
+    const relativeUrl = stripOrigin(url);
+    const requestBody = LOGIN_PATH_REGEX.test(relativeUrl) && options.body ? REDACTED : parseJson(options.body);
+
+    const headers = {};
+    for (const name of RECORDED_HEADERS) {
+      const value = readResponseHeader(response, name);
+      if (value) headers[name] = value;
+    }
+
+    const exchange = {
+      request: { method, url: relativeUrl, body: requestBody ?? null },
+      status: response.status,
+      statusText: response.statusText || '',
+      headers,
+      contentLength: readResponseHeader(response, 'content-length'),
+      chunks: [],
+      complete: false,
+      interaction: null,
+    };
+    this._exchanges.push(exchange);
+    this._scheduleSave();
+
+    // The caller sees the recorded headers plus the declared length, which
+    // downloadMediaFile() checks before reading anything
+    const clientHeaders = exchange.contentLength ? { ...headers, 'content-length': exchange.contentLength } : headers;
+
+    // 204/304s and test doubles without a stream are read in one go
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      const bytes = response.body === null ? Buffer.alloc(0) : Buffer.from(await response.arrayBuffer());
+      exchange.chunks.push(bytes);
+      this._complete(exchange);
+      return buildResponse(exchange.status, exchange.statusText, clientHeaders, bytes);
+    }
+
+    const reader = response.body.getReader();
+    const body = new ReadableStream({
+      pull: async (controller) => {
+        let result;
+        try {
+          result = await reader.read();
+        } catch (error) {
+          // Cut off mid-body (aborted or dropped): keep what arrived
+          this._scheduleSave();
+          controller.error(error);
+          return;
+        }
+        if (result.done) {
+          this._complete(exchange);
+          controller.close();
+        } else {
+          exchange.chunks.push(Buffer.from(result.value));
+          controller.enqueue(result.value);
+        }
+      },
+      cancel: (reason) => {
+        this._scheduleSave();
+        return reader.cancel(reason);
+      },
+    });
+    return new Response(body, { status: exchange.status, statusText: exchange.statusText, headers: clientHeaders });
+  }
+
+  /**
+   * Save the recorded interactions now.
+   *
+   * @param {string} [file] - Where to write (default: the recorder's file)
+   * @throws {Error} If there is nowhere to write
+   */
+  save(file = this._file) {
+    if (!file) throw new Error('CassetteRecorder.save() needs a file');
+    if (file === this._file) this._cancelScheduledSave();
+    writeCassette(file, this._exchanges.map((exchange) => this._toInteraction(exchange)));
+  }
+
+  /**
+   * Write the cassette file after saveDelayMs, unless a write is already due.
+   * Batching keeps a long recording from rewriting the whole file, and
+   * blocking the event loop, on every request.
+   *
+   * @private
+   */
+  _scheduleSave() {
+    if (!this._file || this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      try {
+        this.save();
+      } catch (error) {
+        console.error(`Could not save cassette ${this._file}:`, error.message);
+      }
+    }, this._saveDelayMs);
+    if (this._saveTimer.unref) this._saveTimer.unref();
+    // An unref'd timer does not keep the process alive, so write on the way out too
+    process.once('exit', this._saveOnExit);
+  }
+
+  /**
+   * @private
+   */
+  _cancelScheduledSave() {
+    if (!this._saveTimer) return;
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    process.removeListener('exit', this._saveOnExit);
+  }
+
+  /**
+   * Mark an exchange's body as read in full and learn any token it issued.
+   *
+   * @param {object} exchange
+   * @private
+   */
+  _complete(exchange) {
+    exchange.complete = true;
+    const body = parseJson(decodeUtf8(Buffer.concat(exchange.chunks)));
+    // Learn the new token before scrubbing, so it is not written anywhere else either
+    if (body && typeof body === 'object') collectSecrets(body, this._secrets);
+    this._scheduleSave();
+  }
+
+  /**
+   * The cassette form of an exchange. Finished exchanges are built once;
+   * unfinished ones store the bytes read so far as base64.
+   *
+   * @param {object} exchange
+   * @returns {object} A redacted interaction
+   * @private
+   */
+  _toInteraction(exchange) {
+    if (exchange.interaction) return exchange.interaction;
+
+    const bytes = Buffer.concat(exchange.chunks);
+    const response = { status: exchange.status, statusText: exchange.statusText, headers: exchange.headers };
+    if (!exchange.complete) {
+      if (exchange.contentLength) response.headers = { ...exchange.headers, 'content-length': exchange.contentLength };
+      response.base64 = bytes.toString('base64');
+      response.incomplete = true;
+      return this._scrub({ request: exchange.request, response });
+    }
+
+    const text = decodeUtf8(bytes);
+    const responseBody = parseJson(text);
+    if (bytes.length === 0) response.body = null;
+    else if (text === null) response.base64 = bytes.toString('base64');
+    else if (responseBody === undefined) response.text = text;
+    else response.body = responseBody;
+
+    exchange.interaction = this._scrub({ request: exchange.request, response });
+    // The bytes now live in the interaction
+    exchange.chunks = [];
+    return exchange.interaction;
+  }
+
+  /**
+   * Redact secret fields and known token values from an interaction.
+   *
+   * @param {*} value - Value to clean
+   * @returns {*} A redacted copy
+   * @private
+   */
+  _scrub(value) {
+    if (typeof value === 'string') {
+      let clean = value;
+      for (const secret of this._secrets) clean = clean.split(secret).join(REDACTED);
+      return clean;
+    }
+    if (Array.isArray(value)) return value.map((item) => this._scrub(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          SECRET_KEY_REGEX.test(key) && item !== null && typeof item !== 'object' ? REDACTED : this._scrub(item),
+        ])
+      );
+    }
+    return value;
+  }
+}
+
+// ---------------------------------------------------------------
+// Replay
+// ---------------------------------------------------------------
+
+class CassettePlayer {
+  /**
+   * Create a player that answers requests from a cassette.
+   *
+   * @param {{ interactions: Array }} cassette - From readCassette() (or built inline in a test)
+   */
+  constructor(cassette) {
+    if (!cassette || !Array.isArray(cassette.interactions)) {
+      throw new CassetteError('CassettePlayer requires a cassette with an "interactions" array');
+    }
+    this._interactions = cassette.interactions;
+    this._used = new Array(this._interactions.length).fill(false);
+    // "METHOD /url" of every request that had no recording
+    this.unmatched = [];
+
+    // Bound so it can be passed around as a plain fetch function
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Answer a request with the first unused interaction that matches it.
+   *
+   * @param {string} url - Full request URL
+   * @param {object} [options={}] - fetch options
+   * @returns {Promise<Response>} The recorded response
+   * @throws {CassetteError} If no unused interaction matches
+   */
+  async fetch(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const relativeUrl = stripOrigin(url);
+    const body = parseJson(options.body);
+
+    const index = this._interactions.findIndex(
+      ({ request }, i) =>
+        !this._used[i] &&
+        request.method === method &&
+        request.url === relativeUrl &&
+        (request.body === REDACTED || sameJson(request.body ?? undefined, body))
+    );
+
+    if (index === -1) {
+      const description = `${method} ${relativeUrl}`;
+      this.unmatched.push(description);
+      const detail = options.body ? ` with body ${options.body}` : '';
+      throw new CassetteError(`No recorded response for ${description}${detail} — re-record the cassette`);
+    }
+
+    this._used[index] = true;
+    const { status, statusText = '', headers = {}, body: recorded, text, base64, incomplete } = this._interactions[index].response;
+    let content;
+    if (base64 !== undefined) content = Buffer.from(base64, 'base64');
+    else if (text !== undefined) content = text;
+    else content = recorded === null || recorded === undefined ? '' : JSON.stringify(recorded);
+    if (incomplete) return buildBrokenResponse(status, statusText, headers, content);
+    return buildResponse(status, statusText, headers, content);
+  }
+
+  /**
+   * Recorded interactions no request has used yet.
+   *
+   * @returns {Array<{ method: string, url: string }>}
+   */
+  pending() {
+    return this._interactions
+      .filter((_, i) => !this._used[i])
+      .map(({ request }) => ({ method: request.method, url: request.url }));
+  }
+
+  /**
+   * Check that every request was recorded and every recording was used.
+   * Call at the end of a test: the client may have turned an unmatched
+   * request into an error value rather than a thrown error.
+   *
+   * @throws {CassetteError} Listing unmatched requests and unused interactions
+   */
+  assertDone() {
+    const problems = [
+      ...this.unmatched.map((request) => `not recorded: ${request}`),
+      ...this.pending().map(({ method, url }) => `never requested: ${method} ${url}`),
+    ];
+    if (problems.length > 0) {
+      throw new CassetteError(`Cassette does not match the requests made:\n  ${problems.join('\n  ')}`);
+    }
+  }
+}
+
+// ---------------------------------------------------------------
+// Config wiring
+// ---------------------------------------------------------------
+
+/**
+ * Build the recorder or player selected by FLIPLET_CASSETTE / FLIPLET_CASSETTE_MODE.
+ *
+ * @param {object} config - Config from loadConfig()
+ * @param {string} [config.flipletCassette] - Cassette path (unset = use the real API)
+ * @param {string} [config.flipletCassetteMode='replay'] - "replay" or "record"
+ * @param {object} [options={}]
+ * @param {Function} [options.fetchFn] - The fetch a recorder wraps (default global.fetch)
+ * @returns {CassetteRecorder|CassettePlayer|null} Null when no cassette is configured
+ * @throws {CassetteError} If a cassette to replay cannot be read
+ */
+function createCassette(config, options = {}) {
+  if (!config.flipletCassette) return null;
+  if (config.flipletCassetteMode === 'record') {
+    return new CassetteRecorder({ file: config.flipletCassette, fetchFn: options.fetchFn });
+  }
+  return new CassettePlayer(readCassette(config.flipletCassette));
+}
+
+// ---------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------
+
+/**
+ * Drop the scheme and host from a URL, keeping path and query.
+ */
+function stripOrigin(url) {
+  const parsed = new URL(url, 'http://cassette.invalid');
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+/**
+ * Parse a JSON string; undefined when it is absent or not JSON.
+ */
+function parseJson(text) {
+  if (typeof text !== 'string' || text === '') return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Decode UTF-8 text; null when the bytes are not valid UTF-8 (binary content).
+ */
+function decodeUtf8(bytes) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compare two JSON values regardless of key order.
+ */
+function sameJson(a, b) {
+  return canonicalJson(a) === canonicalJson(b);
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Read a header from fetch options, whatever case it was given in.
+ */
+function readRequestHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+/**
+ * Add the values of secret fields in a response body to the scrub list.
+ */
+function collectSecrets(value, secrets) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectSecrets(item, secrets));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if (SECRET_KEY_REGEX.test(key) && typeof item === 'string' && item) secrets.add(item);
+      else collectSecrets(item, secrets);
+    }
+  }
+}
+
+/**
+ * Build a fetch Response (204 and 304 cannot carry a body).
+ */
+function buildResponse(status, statusText, headers, content) {
+  const body = status === 204 || status === 304 || content.length === 0 ? null : content;
+  return new Response(body, { status, statusText, headers });
+}
+
+/**
+ * Build a Response whose body stops with an error after `content`, like
+ * the recorded one that was never read to the end.
+ */
+function buildBrokenResponse(status, statusText, headers, content) {
+  let sent = content.length === 0;
+  const body = new ReadableStream({
+    // Erroring straight away would drop the queued content, so break off on the next read
+    pull(controller) {
+      if (!sent) {
+        sent = true;
+        controller.enqueue(new Uint8Array(Buffer.from(content)));
+      } else {
+        controller.error(new CassetteError('The recorded response ends here; it was not read in full when recorded'));
+      }
+    },
+  });
+  return new Response(body, { status, statusText, headers });
+}
+
+/**
+ * Read a response header, tolerating test doubles without a headers object.
+ */
+function readResponseHeader(response, name) {
+  return (response.headers && response.headers.get && response.headers.get(name)) || null;
+}
+
+module.exports = {
+  CassetteRecorder,
+  CassettePlayer,
+  CassetteError,
+  readCassette,
+  writeCassette,
+  createCassette,
+  CASSETTE_MODES,
+  REDACTED,
+};
@@ -0,0 +1,97 @@
+/**
+ * Fliplet Client Pool
+ *
+ * One deployment can serve several Fliplet apps. Each FlipletApiClient is
+ * bound to a single app ID, so the pool keeps one client per app, created
+ * on first use and reused after that. Only apps on the configured
+ * allowlist (FLIPLET_APP_IDS) can be reached; the first one is the default
+ * for sessions that did not pick an app.
+ *
+ * Best practices applied:
+ * - Object Pool: clients are created lazily and shared across sessions
+ * - Allowlist: app IDs from users are checked against config, never trusted
+ * - Dependency Injection: fetch and the response cache are passed through to every client
+ */
+
+const { FlipletApiClient } = require('./fliplet-client');
+
+class FlipletClientPool {
+  /**
+   * Create a new client pool.
+   *
+   * @param {object} config - App configuration (from loadConfig())
+   * @param {string} config.flipletAppId - The default app
+   * @param {string[]} [config.flipletAppIds] - Every app that may be queried
+   *   (defaults to just the default app)
+   * @param {Function} [fetchFn] - Fetch implementation passed to each client
+   * @param {object} [options={}] - Passed to each FlipletApiClient (e.g. a shared cache)
+   * @throws {Error} If config is missing or has no default app
+   */
+  constructor(config, fetchFn, options = {}) {
+    if (!config || !config.flipletAppId) {
+      throw new Error('FlipletClientPool requires config.flipletAppId');
+    }
+
+    this._config = config;
+    this._fetch = fetchFn;
+    this._options = options;
+
+    this.defaultAppId = String(config.flipletAppId);
+    // Default app first, no duplicates
+    this.appIds = [...new Set([this.defaultAppId, ...(config.flipletAppIds || []).map(String)])];
+
+    // Map of appId → FlipletApiClient
+    this._clients = new Map();
+  }
+
+  /**
+   * Check whether an app is on the allowlist.
+   *
+   * @param {string|number} appId - The app ID to check
+   * @returns {boolean} True if sessions may use this app
+   */
+  has(appId) {
+    return this.appIds.includes(String(appId));
+  }
+
+  /**
+   * Get the client for an app, creating it on first use.
+   *
+   * @param {string|number|null} [appId=null] - The app to query (null = the default app)
+   * @returns {FlipletApiClient} A client bound to that app
+   * @throws {Error} If the app is not on the allowlist
+   */
+  get(appId = null) {
+    const id = appId === null || appId === undefined ? this.defaultAppId : String(appId);
+    if (!this.has(id)) {
+      throw new Error(`App ${id} is not enabled on this server`);
+    }
+
+    if (!this._clients.has(id)) {
+      const client = new FlipletApiClient({ ...this._config, flipletAppId: id }, this._fetch, this._options);
+      this._clients.set(id, client);
+    }
+    return this._clients.get(id);
+  }
+
+  /**
+   * List the allowlisted apps, with names for those the API token can see.
+   * Apps the token cannot see are still listed (as `accessible: false`)
+   * so a misconfigured allowlist is easy to spot.
+   *
+   * @returns {Promise<Array<{ id: string, name: string|null, accessible: boolean }>>}
+   *   Apps in allowlist order
+   * @throws {FlipletApiError} If the apps cannot be listed
+   */
+  async listApps() {
+    const visible = await this.get().listApps();
+    const byId = new Map((visible || []).map((app) => [String(app.id), app]));
+
+    return this.appIds.map((id) => {
+      const app = byId.get(id);
+      return { id, name: app ? app.name : null, accessible: Boolean(app) };
+    });
+  }
+}
+
+module.exports = { FlipletClientPool };
@@ -10,8 +10,44 @@
  * - DRY: shared _request() handles auth, headers, error parsing
  * - Fail Fast: validates required params before making HTTP calls
  * - Custom Error Class: FlipletApiError carries status + response body
+ * - Resilience: idempotent requests retry transient failures with
+ *   jittered exponential backoff, honoring Retry-After
+ * - Caching: an optional ResponseCache serves repeat reads and is
+ *   invalidated by every write
+ * - Self-healing Auth: with a credentials provider that can log in, a 401
+ *   renews the token (for every client sharing the provider) and the
+ *   request is retried once
  */
 
+const { FlipletCredentialsProvider } = require('./fliplet-auth');
+
+// Page size used by iterateDataSourceEntries() when none is given
+const DEFAULT_ENTRIES_PAGE_SIZE = 500;
+
+// Limits for walkMedia() when none are given
+const DEFAULT_WALK_MAX_DEPTH = 10;
+const DEFAULT_WALK_MAX_FOLDERS = 1000;
+const DEFAULT_WALK_MAX_FILES = 5000;
+const DEFAULT_WALK_CONCURRENCY = 4;
+
+// Retry policy for idempotent requests (GET and read-only queries)
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 10000;
+
+// Status codes that usually clear up on their own
+const RETRYABLE_STATUS_CODES = new Set([429, 502, 503, 504]);
+
+// Low-level socket errors worth another attempt (Node puts these on error.cause.code)
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+]);
+
 // ---------------------------------------------------------------
 // Custom error class for Fliplet API failures
 // ---------------------------------------------------------------
@@ -25,12 +61,16 @@ class FlipletApiError extends Error {
    * @param {string} message - Human-readable error description
    * @param {number} statusCode - HTTP status code (e.g. 401, 404, 500)
    * @param {object} responseBody - Parsed JSON body from the error response
+   * @param {number|null} [retryAfterMs=null] - Server-requested wait from the Retry-After header
    */
-  constructor(message, statusCode, responseBody) {
+  constructor(message, statusCode, responseBody, retryAfterMs = null) {
     super(message);
     this.name = 'FlipletApiError';
     this.statusCode = statusCode;
     this.responseBody = responseBody;
+    this.retryAfterMs = retryAfterMs;
+    // Number of attempts made before giving up (set by _request)
+    this.attempts = 1;
   }
 }
 
@@ -44,11 +84,16 @@ class FlipletApiClient {
    *
    * @param {object} config - App configuration (from loadConfig())
    * @param {string} config.flipletApiUrl - Base URL (e.g. https://api.fliplet.com)
-   * @param {string} config.flipletApiToken - Auth token for Fliplet API
+   * @param {string} [config.flipletApiToken] - Auth token for Fliplet API (required without options.credentials)
    * @param {string} config.flipletAppId - The Fliplet app ID to query
+   * @param {number} [config.flipletMaxAttempts=3] - Attempt budget for idempotent requests
    * @param {Function} [fetchFn=global.fetch] - Fetch implementation (injectable for testing)
+   * @param {object} [options={}] - Optional collaborators
+   * @param {ResponseCache} [options.cache] - Shared cache for idempotent reads (none by default)
+   * @param {FlipletCredentialsProvider} [options.credentials] - Supplies (and renews) the token;
+   *   defaults to the fixed config.flipletApiToken
    */
-  constructor(config, fetchFn) {
+  constructor(config, fetchFn, options = {}) {
     // Fail fast if config is missing or incomplete
     if (!config) {
       throw new Error('FlipletApiClient requires a config object');
@@ -56,7 +101,7 @@ class FlipletApiClient {
     if (!config.flipletApiUrl) {
       throw new Error('FlipletApiClient requires config.flipletApiUrl');
     }
-    if (!config.flipletApiToken) {
+    if (!config.flipletApiToken && !options.credentials) {
       throw new Error('FlipletApiClient requires config.flipletApiToken');
     }
     if (!config.flipletAppId) {
@@ -72,11 +117,37 @@ class FlipletApiClient {
 
     // Store config values as instance properties
     this.baseUrl = config.flipletApiUrl;
-    this.token = config.flipletApiToken;
     this.appId = config.flipletAppId;
 
+    // Where the token comes from — shared between clients when injected
+    this.credentials = options.credentials || new FlipletCredentialsProvider({ token: config.flipletApiToken });
+
+    // Validate the retry budget if one was given
+    const maxAttempts = config.flipletMaxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+      throw new Error(
+        `Invalid flipletMaxAttempts: "${config.flipletMaxAttempts}". Must be a positive integer.`
+      );
+    }
+    this.maxAttempts = maxAttempts;
+
     // Use injected fetch or fall back to global (Node 18+ built-in)
     this._fetch = fetchFn || global.fetch;
+
+    // Optional shared response cache (see response-cache.js)
+    this.cache = options.cache || null;
+
+    // Delay between retries (replaced in tests to avoid real waiting)
+    this._sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * The token currently sent with requests.
+   *
+   * @returns {string|null}
+   */
+  get token() {
+    return this.credentials.current;
   }
 
   // ---------------------------------------------------------------
@@ -86,13 +157,134 @@ class FlipletApiClient {
   /**
    * Make an authenticated HTTP request to the Fliplet API.
    *
+   * Idempotent requests (GET by default, or any call passing
+   * `idempotent: true`) are retried on 429/502/503/504, timeouts and
+   * connection resets. The wait before each retry is the server's
+   * Retry-After when present, otherwise jittered exponential backoff.
+   * Writes are never retried, so a change is never applied twice.
+   *
+   * With a cache attached, idempotent requests are served from it while
+   * fresh and revalidated by ETag once stale; writes invalidate the app.
+   *
    * @param {string} path - API path (e.g. '/v1/data-sources?appId=123')
    * @param {string} [method='GET'] - HTTP method
    * @param {object} [body=null] - Request body (will be JSON-stringified)
+   * @param {object} [options={}] - Retry options
+   * @param {boolean} [options.idempotent] - Safe to repeat (defaults to method === 'GET')
+   * @param {number} [options.maxAttempts] - Attempt budget for this call (defaults to the client's)
+   * @param {boolean} [options.revalidate] - Check a fresh cached copy with the API anyway
    * @returns {Promise<object>} Parsed JSON response
-   * @throws {FlipletApiError} If the response status is not OK (2xx)
+   * @throws {FlipletApiError} If the response status is not OK (2xx); `attempts` records how many were made
    */
-  async _request(path, method = 'GET', body = null) {
+  async _request(path, method = 'GET', body = null, options = {}) {
+    const idempotent = options.idempotent ?? method === 'GET';
+
+    // Writes bypass the cache, and drop it afterwards — even on failure,
+    // since a timed-out write may still have been applied
+    if (!idempotent) {
+      try {
+        return (await this._sendWithRetry(path, method, body, {}, 1)).data;
+      } finally {
+        if (this.cache) this.cache.invalidate(this.appId);
+      }
+    }
+
+    const maxAttempts = options.maxAttempts || this.maxAttempts;
+    if (!this.cache) {
+      return (await this._sendWithRetry(path, method, body, {}, maxAttempts)).data;
+    }
+
+    const key = this.cache.key(this.appId, method, path, body);
+    const cached = this.cache.lookup(key);
+
+    if (cached && cached.fresh && !options.revalidate) {
+      this.cache.record('hits');
+      return cached.data;
+    }
+
+    // Stale but has an ETag — ask the API whether it changed
+    const headers = cached ? { 'If-None-Match': cached.etag } : {};
+    const response = await this._sendWithRetry(path, method, body, headers, maxAttempts);
+
+    if (response.status === 304 && cached) {
+      this.cache.refresh(key, path);
+      this.cache.record('revalidated');
+      return cached.data;
+    }
+
+    this.cache.store(key, { appId: this.appId, path }, response.data, response.etag);
+    this.cache.record('misses');
+    return response.data;
+  }
+
+  /**
+   * Send a request, retrying transient failures up to maxAttempts.
+   *
+   * @param {string} path - API path
+   * @param {string} method - HTTP method
+   * @param {object|null} body - Request body
+   * @param {object} headers - Extra request headers
+   * @param {number} maxAttempts - Attempt budget (1 = no retries)
+   * @returns {Promise<{ status: number, data: object, etag: string|null }>} The response
+   * @throws {Error} The last attempt's error, with `attempts` set
+   * @private
+   */
+  async _sendWithRetry(path, method, body, headers, maxAttempts) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._sendAuthenticated(path, method, body, headers);
+      } catch (error) {
+        error.attempts = attempt;
+
+        const delay = attempt < maxAttempts ? retryDelay(error, attempt) : null;
+        if (delay === null) throw error;
+
+        await this._sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Send a request with the current token. If the API rejects the token
+   * (401) and the credentials provider can log in, the token is renewed
+   * and the request sent once more — a rejected request was not applied,
+   * so this is safe for writes too.
+   *
+   * @param {string} path - API path
+   * @param {string} method - HTTP method
+   * @param {object|null} body - Request body
+   * @param {object} headers - Extra request headers
+   * @returns {Promise<{ status: number, data: object, etag: string|null }>} The response
+   * @throws {FlipletApiError} If the request fails (including a second 401)
+   * @throws {Error} If logging in again fails
+   * @private
+   */
+  async _sendAuthenticated(path, method, body, headers) {
+    const token = await this.credentials.getToken();
+    try {
+      return await this._send(path, method, body, headers, token);
+    } catch (error) {
+      if (error.statusCode !== 401 || !this.credentials.canRefresh()) throw error;
+
+      const freshToken = await this.credentials.refresh(token);
+      return this._send(path, method, body, headers, freshToken);
+    }
+  }
+
+  /**
+   * Perform a single HTTP attempt for _request().
+   *
+   * @param {string} path - API path
+   * @param {string} method - HTTP method
+   * @param {object|null} body - Request body
+   * @param {object} [headers={}] - Extra request headers (e.g. If-None-Match)
+   * @param {string} [token=this.token] - Auth token to send
+   * @returns {Promise<{ status: number, data: object, etag: string|null }>} Status,
+   *   parsed JSON body ({} for 204, null for 304) and ETag header
+   * @throws {FlipletApiError} If the response status is not OK (2xx/304) or the request timed out
+   * @private
+   */
+  async _send(path, method, body, headers = {}, token = this.token) {
     // Build the full URL by combining base URL and path
     const url = `${this.baseUrl}${path}`;
 
@@ -104,8 +296,9 @@ class FlipletApiClient {
     const options = {
       method,
       headers: {
-        'Auth-token': this.token,
+        'Auth-token': token,
         'Content-Type': 'application/json',
+        ...headers,
       },
       signal: controller.signal,
     };
@@ -130,6 +323,18 @@ class FlipletApiClient {
 
     clearTimeout(timeout);
 
+    const etag = readHeader(response, 'etag');
+
+    // 204 No Content (e.g. a successful DELETE) has no body to parse
+    if (response.status === 204) {
+      return { status: 204, data: {}, etag };
+    }
+
+    // 304 Not Modified — the cached copy is still current
+    if (response.status === 304) {
+      return { status: 304, data: null, etag };
+    }
+
     // Parse response body (safely handle non-JSON responses like HTML error pages)
     let data;
     try {
@@ -138,7 +343,8 @@ class FlipletApiClient {
       throw new FlipletApiError(
         `Fliplet API returned non-JSON response: ${response.status} ${response.statusText} — ${url}`,
         response.status,
-        {}
+        {},
+        readRetryAfter(response)
       );
     }
 
@@ -147,11 +353,28 @@ class FlipletApiClient {
       throw new FlipletApiError(
         `Fliplet API error: ${response.status} ${response.statusText} — ${url}`,
         response.status,
-        data
+        data,
+        readRetryAfter(response)
       );
     }
 
-    return data;
+    return { status: response.status, data, etag };
+  }
+
+  // ---------------------------------------------------------------
+  // Public: Apps
+  // ---------------------------------------------------------------
+
+  /**
+   * List the apps the API token has access to (not only the configured one).
+   * Maps to tool: list_apps (via FlipletClientPool, which applies the allowlist)
+   *
+   * @returns {Promise<Array>} Array of app objects with id and name
+   */
+  async listApps() {
+    const data = await this._request('/v1/apps');
+    // Fliplet wraps result in { apps: [...] }
+    return data.apps;
   }
 
   // ---------------------------------------------------------------
@@ -191,7 +414,7 @@ class FlipletApiClient {
 
   /**
    * Query entries from a data source with optional filters.
-   * Maps to tool: get_data_source_entries
+   * Used by iterateDataSourceEntries(); the tool uses queryDataSourceEntries()
    *
    * @param {number} dataSourceId - The data source ID to query
    * @param {object} [options={}] - Query options
@@ -207,22 +430,203 @@ class FlipletApiClient {
       throw new Error('getDataSourceEntries() requires a dataSourceId');
     }
 
+    const data = await this._selectEntries(dataSourceId, options);
+
+    // Fliplet wraps result in { entries: [...] }
+    return data.entries;
+  }
+
+  /**
+   * Query one page of entries together with how many entries match in all.
+   * Maps to tool: get_data_source_entries
+   *
+   * Asks Fliplet to include pagination details, so the total arrives with
+   * the page instead of by reading every page.
+   *
+   * @param {number} dataSourceId - The data source ID to query
+   * @param {object} [options={}] - Query options
+   * @param {object} [options.where] - Filter conditions (MongoDB-style)
+   * @param {number} [options.limit] - Max entries to return
+   * @param {number} [options.offset] - Entries to skip (pagination)
+   * @returns {Promise<{ entries: Array, total: number|null }>} The page, and the number of
+   *   entries matching `where` (null if the API did not report it)
+   * @throws {Error} If dataSourceId is not provided
+   */
+  async queryDataSourceEntries(dataSourceId, options = {}) {
+    // Validate required parameter
+    if (dataSourceId === undefined || dataSourceId === null) {
+      throw new Error('queryDataSourceEntries() requires a dataSourceId');
+    }
+
+    const data = await this._selectEntries(dataSourceId, options, { includePagination: true });
+
+    // Fliplet adds { pagination: { total, ... } } next to the entries
+    const total = data.pagination && data.pagination.total;
+    return { entries: data.entries, total: Number.isInteger(total) ? total : null };
+  }
+
+  /**
+   * Send a select query to POST /v1/data-sources/:id/data/query.
+   *
+   * @param {number} dataSourceId - The data source ID to query
+   * @param {{ where?: object, limit?: number, offset?: number }} options - Query options
+   * @param {object} [extra={}] - Further body fields, e.g. { includePagination: true }
+   * @returns {Promise<object>} The response body
+   * @private
+   */
+  async _selectEntries(dataSourceId, options, extra = {}) {
     // Build the query body matching Fliplet's POST /data/query format
-    const body = { type: 'select' };
+    const body = { type: 'select', ...extra };
 
     // Only include optional fields if they were provided
     if (options.where) body.where = options.where;
     if (options.limit !== undefined) body.limit = options.limit;
     if (options.offset !== undefined) body.offset = options.offset;
 
-    const data = await this._request(
-      `/v1/data-sources/${dataSourceId}/data/query`,
-      'POST',
-      body
-    );
+    // A select query is read-only, so it's safe to retry like a GET
+    return this._request(`/v1/data-sources/${dataSourceId}/data/query`, 'POST', body, { idempotent: true });
+  }
 
-    // Fliplet wraps result in { entries: [...] }
-    return data.entries;
+  /**
+   * Get one entry of a data source, as the API has it now.
+   * Used by the write tools to show what a change would replace.
+   *
+   * A cached copy is always revalidated, so a proposed change is never
+   * compared against stale values.
+   *
+   * @param {number} dataSourceId - The data source ID
+   * @param {number} entryId - The entry ID
+   * @returns {Promise<object>} The entry ({ id, data, ... })
+   * @throws {Error} If dataSourceId or entryId is not provided
+   * @throws {FlipletApiError} 404 if there is no such entry
+   */
+  async getDataSourceEntry(dataSourceId, entryId) {
+    // Validate required parameters
+    if (dataSourceId === undefined || dataSourceId === null) {
+      throw new Error('getDataSourceEntry() requires a dataSourceId');
+    }
+    if (entryId === undefined || entryId === null) {
+      throw new Error('getDataSourceEntry() requires an entryId');
+    }
+
+    const data = await this._request(`/v1/data-sources/${dataSourceId}/data/${entryId}`, 'GET', null, {
+      revalidate: true,
+    });
+    // Fliplet wraps result in { entry: {...} }
+    return data.entry;
+  }
+
+  /**
+   * Page through every entry of a data source with limit/offset, one
+   * request per page, so large data sources never load in a single call.
+   * Iteration stops after the first page shorter than pageSize.
+   *
+   * @example
+   *   for await (const page of client.iterateDataSourceEntries(42, { pageSize: 200 })) {
+   *     process(page);
+   *   }
+   *
+   * @param {number} dataSourceId - The data source ID to query
+   * @param {object} [options={}] - Query options
+   * @param {object} [options.where] - Filter conditions (MongoDB-style)
+   * @param {number} [options.pageSize=500] - Entries per request
+   * @param {number} [options.offset=0] - Entries to skip before the first page
+   * @returns {AsyncGenerator<Array>} Yields one array of entries per page
+   * @throws {Error} If dataSourceId is not provided or pageSize is not positive
+   */
+  async *iterateDataSourceEntries(dataSourceId, options = {}) {
+    // Validate required parameter
+    if (dataSourceId === undefined || dataSourceId === null) {
+      throw new Error('iterateDataSourceEntries() requires a dataSourceId');
+    }
+
+    const pageSize = options.pageSize || DEFAULT_ENTRIES_PAGE_SIZE;
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new Error('iterateDataSourceEntries() requires a positive integer pageSize');
+    }
+
+    let offset = options.offset || 0;
+
+    for (;;) {
+      const page = await this.getDataSourceEntries(dataSourceId, {
+        where: options.where,
+        limit: pageSize,
+        offset,
+      });
+
+      if (page.length > 0) yield page;
+
+      // A short page means we've reached the end
+      if (page.length < pageSize) return;
+      offset += page.length;
+    }
+  }
+
+  /**
+   * Insert a new entry into a data source.
+   * Maps to tool: insert_data_source_entry (applied only after user confirmation)
+   *
+   * @param {number} dataSourceId - The data source ID
+   * @param {object} data - Column values for the new entry
+   * @returns {Promise<object>} The created entry
+   * @throws {Error} If dataSourceId or data is not provided
+   */
+  async insertDataSourceEntry(dataSourceId, data) {
+    // Validate required parameters
+    if (dataSourceId === undefined || dataSourceId === null) {
+      throw new Error('insertDataSourceEntry() requires a dataSourceId');
+    }
+    if (!data || typeof data !== 'object') {
+      throw new Error('insertDataSourceEntry() requires a data object');
+    }
+
+    return this._request(`/v1/data-sources/${dataSourceId}/data`, 'POST', data);
+  }
+
+  /**
+   * Update columns of an existing data source entry.
+   * Maps to tool: update_data_source_entry (applied only after user confirmation)
+   *
+   * @param {number} dataSourceId - The data source ID
+   * @param {number} entryId - The entry ID to update
+   * @param {object} data - Column values to change (other columns are kept)
+   * @returns {Promise<object>} The updated entry
+   * @throws {Error} If dataSourceId, entryId or data is not provided
+   */
+  async updateDataSourceEntry(dataSourceId, entryId, data) {
+    // Validate required parameters
+    if (dataSourceId === undefined || dataSourceId === null) {
+      throw new Error('updateDataSourceEntry() requires a dataSourceId');
+    }
+    if (entryId === undefined || entryId === null) {
+      throw new Error('updateDataSourceEntry() requires an entryId');
+    }
+    if (!data || typeof data !== 'object') {
+      throw new Error('updateDataSourceEntry() requires a data object');
+    }
+
+    return this._request(`/v1/data-sources/${dataSourceId}/data/${entryId}`, 'PUT', data);
+  }
+
+  /**
+   * Delete an entry from a data source.
+   * Maps to tool: delete_data_source_entry (applied only after user confirmation)
+   *
+   * @param {number} dataSourceId - The data source ID
+   * @param {number} entryId - The entry ID to delete
+   * @returns {Promise<object>} Fliplet's response (empty for 204)
+   * @throws {Error} If dataSourceId or entryId is not provided
+   */
+  async deleteDataSourceEntry(dataSourceId, entryId) {
+    // Validate required parameters
+    if (dataSourceId === undefined || dataSourceId === null) {
+      throw new Error('deleteDataSourceEntry() requires a dataSourceId');
+    }
+    if (entryId === undefined || entryId === null) {
+      throw new Error('deleteDataSourceEntry() requires an entryId');
+    }
+
+    return this._request(`/v1/data-sources/${dataSourceId}/data/${entryId}`, 'DELETE');
   }
 
   // ---------------------------------------------------------------
@@ -269,6 +673,290 @@ class FlipletApiClient {
     // Fliplet wraps result in { file: {...} }
     return data.file;
   }
+
+  /**
+   * List every folder and file under a folder, however deeply nested.
+   * Used by tools: get_media_tree, find_media_files (and the search index)
+   *
+   * Folders are listed level by level, a few at a time, with one
+   * listMedia() request per folder. Each folder and file gets a `path`
+   * relative to the starting folder (e.g. "Policies/HR/holiday-policy.txt")
+   * and the ID of the folder it was found in. Folders deeper than maxDepth
+   * are returned but not opened, and the walk stops once maxFolders or
+   * maxFiles is reached; either way `truncated` is set.
+   *
+   * @param {object} [options={}]
+   * @param {number} [options.folderId] - Folder to start from (default: the app's root)
+   * @param {number} [options.maxDepth=10] - Deepest folder level opened (0 = only the start folder)
+   * @param {number} [options.maxFolders=1000] - Stop after this many folders
+   * @param {number} [options.maxFiles=5000] - Stop after this many files
+   * @param {number} [options.concurrency=4] - Folders listed at the same time
+   * @param {AbortSignal} [options.signal] - Stops the walk between requests
+   * @returns {Promise<{ folders: Array, files: Array, truncated: boolean,
+   *   truncatedBy: 'maxDepth'|'maxFolders'|'maxFiles'|null }>} Folders and files in
+   *   breadth-first order, and which limit (if any) cut the walk short
+   * @throws {Error} If maxDepth is negative, a listing fails or the signal fires
+   */
+  async walkMedia(options = {}) {
+    const maxDepth = options.maxDepth ?? DEFAULT_WALK_MAX_DEPTH;
+    if (!Number.isInteger(maxDepth) || maxDepth < 0) {
+      throw new Error('walkMedia() requires a maxDepth of 0 or more');
+    }
+    const maxFolders = options.maxFolders || DEFAULT_WALK_MAX_FOLDERS;
+    const maxFiles = options.maxFiles || DEFAULT_WALK_MAX_FILES;
+    const concurrency = options.concurrency || DEFAULT_WALK_CONCURRENCY;
+    const { signal } = options;
+
+    const folders = [];
+    const files = [];
+    // Fliplet never returns a folder twice, but a cycle must not loop forever
+    const visited = new Set();
+    let truncatedBy = null;
+    let level = [{ id: options.folderId ?? null, path: '', depth: 0 }];
+
+    while (level.length > 0) {
+      const listings = await mapConcurrently(level, concurrency, (folder) => {
+        if (signal && signal.aborted) throw new Error('Media folder walk was cancelled');
+        return this.listMedia(folder.id ?? undefined);
+      });
+
+      const next = [];
+      for (const [i, folder] of level.entries()) {
+        const listing = listings[i];
+
+        for (const file of listing.files || []) {
+          if (files.length >= maxFiles) {
+            truncatedBy = 'maxFiles';
+            break;
+          }
+          files.push({ ...file, folderId: folder.id, path: joinPath(folder.path, file.name) });
+        }
+
+        for (const child of listing.folders || []) {
+          if (truncatedBy === 'maxFiles' || visited.has(child.id)) continue;
+          if (folders.length >= maxFolders) {
+            truncatedBy = 'maxFolders';
+            break;
+          }
+          visited.add(child.id);
+
+          const entry = { ...child, parentId: folder.id, path: joinPath(folder.path, child.name) };
+          folders.push(entry);
+          if (folder.depth < maxDepth) next.push({ id: child.id, path: entry.path, depth: folder.depth + 1 });
+          else truncatedBy = truncatedBy || 'maxDepth';
+        }
+      }
+
+      // Depth only stops folders being opened; the other limits end the walk
+      level = truncatedBy === 'maxFiles' || truncatedBy === 'maxFolders' ? [] : next;
+    }
+
+    return { folders, files, truncated: truncatedBy !== null, truncatedBy };
+  }
+
+  /**
+   * Download a media file's content.
+   * Used by tool: read_media_file
+   *
+   * The download stops as soon as it passes maxBytes, so an oversized or
+   * mislabelled file never has to fit in memory. The auth token is only
+   * sent when the file is served by the API itself, never to a CDN.
+   *
+   * @param {object} file - File metadata from getMediaFile() (needs `url`)
+   * @param {object} [options={}]
+   * @param {number} [options.maxBytes=Infinity] - Largest download accepted
+   * @param {AbortSignal} [options.signal] - Cancels the download
+   * @returns {Promise<{ data: Buffer, contentType: string|null }>} The file's bytes
+   * @throws {FlipletApiError} If the download fails, times out or is larger than maxBytes
+   */
+  async downloadMediaFile(file, options = {}) {
+    if (!file || !file.url) {
+      throw new Error('downloadMediaFile() requires a file with a url');
+    }
+    const { maxBytes = Infinity, signal } = options;
+
+    const url = new URL(file.url, this.baseUrl);
+    const headers = {};
+    if (url.origin === new URL(this.baseUrl).origin) {
+      headers['Auth-token'] = await this.credentials.getToken();
+    }
+
+    // Same 30-second limit as API requests, and the caller can cancel
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 30000);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await this._fetch(url.href, { method: 'GET', headers, signal: controller.signal });
+
+      if (!response.ok) {
+        throw new FlipletApiError(
+          `Media file download failed: ${response.status} ${response.statusText} — ${url.href}`,
+          response.status,
+          {}
+        );
+      }
+
+      const tooLarge = () =>
+        new FlipletApiError(`Media file is larger than the ${maxBytes}-byte download limit — ${url.href}`, 413, {});
+
+      const declaredLength = Number(readHeader(response, 'content-length'));
+      if (declaredLength > maxBytes) throw tooLarge();
+
+      const data = await readBody(response, maxBytes, tooLarge, controller);
+      return { data, contentType: readHeader(response, 'content-type') };
+    } catch (error) {
+      // Translate AbortError (while connecting or reading) into a clear message
+      if (error.name === 'AbortError') {
+        const reason = signal && signal.aborted ? 'was cancelled' : 'timed out after 30 seconds';
+        throw new FlipletApiError(`Media file download ${reason}`, 0, {});
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+// ---------------------------------------------------------------
+// Helpers: media walk
+// ---------------------------------------------------------------
+
+/**
+ * Run fn over items with at most `limit` calls in flight, keeping order.
+ *
+ * @param {Array} items - Inputs
+ * @param {number} limit - Most calls at once
+ * @param {Function} fn - async (item) → result
+ * @returns {Promise<Array>} Results, in the same order as items
+ */
+async function mapConcurrently(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * A media path one level below `parent` ("" is the starting folder).
+ */
+function joinPath(parent, name) {
+  return parent ? `${parent}/${name}` : name;
+}
+
+// ---------------------------------------------------------------
+// Helpers: downloads
+// ---------------------------------------------------------------
+
+/**
+ * Read a response body into a Buffer, giving up once it passes maxBytes.
+ *
+ * @param {Response} response - The fetch response
+ * @param {number} maxBytes - Largest body accepted
+ * @param {Function} tooLarge - Builds the error thrown past maxBytes
+ * @param {AbortController} controller - Aborted to drop the rest of the body
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(response, maxBytes, tooLarge, controller) {
+  // Test doubles and some fetch implementations have no stream
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length > maxBytes) throw tooLarge();
+    return data;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      controller.abort();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+// ---------------------------------------------------------------
+// Helpers: retry policy
+// ---------------------------------------------------------------
+
+/**
+ * Read a response header, tolerating responses without a headers object.
+ *
+ * @param {Response} response - The fetch response
+ * @param {string} name - Header name
+ * @returns {string|null} The header value, or null if absent
+ */
+function readHeader(response, name) {
+  return (response.headers && response.headers.get && response.headers.get(name)) || null;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds.
+ *
+ * @param {Response} response - The fetch response
+ * @returns {number|null} Milliseconds to wait, or null if absent or unparseable
+ */
+function readRetryAfter(response) {
+  const value = readHeader(response, 'retry-after');
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Decide whether a failed attempt should be retried, and after how long.
+ *
+ * @param {Error} error - The error thrown by the attempt
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @returns {number|null} Milliseconds to wait, or null to give up
+ */
+function retryDelay(error, attempt) {
+  if (!isRetryable(error)) return null;
+
+  // Honor the server's Retry-After, but don't hang a chat turn on a long one
+  if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+    return error.retryAfterMs <= RETRY_MAX_DELAY_MS ? error.retryAfterMs : null;
+  }
+
+  // "Full jitter" backoff: random wait up to base * 2^(attempt - 1)
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Check whether an error is transient (server overload, timeout, dropped connection).
+ *
+ * @param {Error} error - The error thrown by the attempt
+ * @returns {boolean} True if the request is worth repeating
+ */
+function isRetryable(error) {
+  if (error.name === 'FlipletApiError') {
+    // statusCode 0 is our own timeout
+    return error.statusCode === 0 || RETRYABLE_STATUS_CODES.has(error.statusCode);
+  }
+
+  // fetch rejects with a TypeError ("fetch failed") carrying the socket error as cause
+  const code = error.code || (error.cause && error.cause.code);
+  return RETRYABLE_NETWORK_CODES.has(code);
 }
 
 module.exports = { FlipletApiClient, FlipletApiError };
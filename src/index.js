@@ -12,7 +12,7 @@
 
 const readline = require('readline');
 const { loadConfig } = require('./config');
-const { createApp, formatWelcome, formatError } = require('./cli');
+const { createApp, formatWelcome, formatApps, formatPendingAction, formatError } = require('./cli');
 
 // ---------------------------------------------------------------
 // Main: start the interactive REPL
@@ -29,11 +29,25 @@ async function main() {
     process.exit(1);
   }
 
-  // 2. Wire up all components
-  const { chatEngine } = createApp(config);
+  // 2. Wire up all components (/app replaces the engine with one for another app)
+  let app;
+  try {
+    app = createApp(config);
+  } catch (err) {
+    // e.g. a FLIPLET_CASSETTE to replay that cannot be read
+    console.error(formatError(err));
+    process.exit(1);
+  }
+  const { clientPool, switchApp, cassette, ...defaultApp } = app;
+  let { chatEngine } = defaultApp;
+  let currentAppId = clientPool.defaultAppId;
 
   // 3. Show welcome message
-  console.log(formatWelcome(config.flipletAppId));
+  console.log(formatWelcome(currentAppId));
+  if (cassette) {
+    const action = config.flipletCassetteMode === 'record' ? 'Recording Fliplet API traffic to' : 'Replaying Fliplet API traffic from';
+    console.log(`  📼 ${action} ${config.flipletCassette}\n`);
+  }
 
   // 4. Create readline interface for interactive input
   const rl = readline.createInterface({
@@ -42,6 +56,9 @@ async function main() {
     prompt: '  You: ',
   });
 
+  // Ask a yes/no question on the same readline interface
+  const ask = (question) => new Promise((resolve) => rl.question(question, resolve));
+
   // 5. Show the initial prompt
   rl.prompt();
 
@@ -69,6 +86,28 @@ async function main() {
       return;
     }
 
+    // /app lists the allowlisted apps; /app <id> starts a conversation about another one
+    const appCommand = /^\/app(?:\s+(\S+))?$/i.exec(input);
+    if (appCommand) {
+      const appId = appCommand[1];
+      if (!appId) {
+        try {
+          console.log(formatApps(await clientPool.listApps(), currentAppId));
+        } catch {
+          // Names need the Fliplet API; the IDs alone are still useful
+          console.log(formatApps(clientPool.appIds.map((id) => ({ id, name: null })), currentAppId));
+        }
+      } else if (!clientPool.has(appId)) {
+        console.error(formatError(new Error(`App ${appId} is not enabled. Type /app to see the apps you can use.`)));
+      } else {
+        ({ chatEngine } = switchApp(appId));
+        currentAppId = String(appId);
+        console.log(`\n  🔀 Switched to app ${currentAppId}. Started a new conversation.\n`);
+      }
+      rl.prompt();
+      return;
+    }
+
     // Send to chat engine and display response
     try {
       // Show a thinking indicator
@@ -80,6 +119,16 @@ async function main() {
       process.stdout.clearLine(0);
       process.stdout.cursorTo(0);
       console.log(`\n  AI: ${response}\n`);
+
+      // Data changes are only applied after the user approves the exact diff
+      for (const action of chatEngine.getPendingActions()) {
+        console.log(formatPendingAction(action));
+        const answer = await ask('  Apply this change? (y/N) ');
+        const outcome = /^y(es)?$/i.test(answer.trim())
+          ? await chatEngine.confirmAction(action.id)
+          : chatEngine.rejectAction(action.id);
+        console.log(`\n  AI: ${outcome.message}\n`);
+      }
     } catch (err) {
       console.error(formatError(err));
     }
@@ -0,0 +1,893 @@
+/**
+ * LLM Providers
+ *
+ * Adapters that let ChatEngine talk to different model APIs through one
+ * small interface. The engine keeps history in OpenAI's chat format
+ * (role/content/tool_calls/tool messages); each provider translates that
+ * format, and tool definitions, to and from its own API.
+ *
+ * Provider interface:
+ *   provider.model                                — default model name (optional)
+ *   await provider.complete({ model, messages, tools })
+ *     → assistant message { role, content, tool_calls? }, or null if empty
+ *   yield* provider.stream({ model, messages, tools })
+ *     → yields { type: 'text', delta }; returns the assistant message or null
+ *
+ * Providers:
+ * - OpenAIProvider: OpenAI, or any OpenAI-compatible server (llama.cpp,
+ *   Ollama, vLLM, LM Studio) via a custom baseURL
+ * - AnthropicProvider: Anthropic Messages API (plain fetch, no SDK)
+ * - FakeProvider: scripted replies for tests and offline development
+ * - ScriptedProvider: replies chosen by scenario rules (LLM_PROVIDER=fake),
+ *   for running the whole stack offline
+ *
+ * Best practices applied:
+ * - Adapter Pattern: one interface, provider-specific translation inside
+ * - Dependency Injection: SDK clients and fetch are injectable for testing
+ * - Error Normalization: HTTP failures carry `.status` so the engine can
+ *   tell "overloaded, try again" apart from other failures
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OpenAI = require('openai');
+
+// Anthropic API defaults
+const ANTHROPIC_API_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_MAX_TOKENS = 4096;
+
+// Local OpenAI-compatible servers ignore the key, but the SDK insists on one
+const PLACEHOLDER_API_KEY = 'not-needed';
+
+// Scenario used by LLM_PROVIDER=fake when FAKE_LLM_SCENARIO is not set
+const DEFAULT_SCENARIO_FILE = path.resolve(__dirname, '..', 'fixtures', 'fake-llm', 'demo.json');
+
+// ---------------------------------------------------------------
+// Custom error class for provider HTTP failures
+// ---------------------------------------------------------------
+
+/**
+ * Represents an error response from an LLM provider's API.
+ * `status` follows the OpenAI SDK's APIError so ChatEngine treats both alike.
+ */
+class LlmProviderError extends Error {
+  /**
+   * @param {string} message - Human-readable error description
+   * @param {number} status - HTTP status code
+   * @param {object} [body] - Parsed error body, if any
+   */
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'LlmProviderError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// ---------------------------------------------------------------
+// OpenAI (and OpenAI-compatible servers)
+// ---------------------------------------------------------------
+
+class OpenAIProvider {
+  /**
+   * Create a provider backed by the OpenAI SDK.
+   *
+   * @param {object} options
+   * @param {object} options.client - OpenAI SDK client (or anything with chat.completions.create)
+   * @param {string} [options.model] - Default model name
+   * @throws {Error} If client is not provided
+   */
+  constructor({ client, model } = {}) {
+    if (!client) {
+      throw new Error('OpenAIProvider requires an OpenAI client');
+    }
+    this._client = client;
+    this.model = model;
+  }
+
+  /**
+   * Request a complete (non-streamed) completion.
+   *
+   * @param {{ model: string, messages: Array, tools: Array }} request
+   * @returns {Promise<object|null>} The assistant message, or null if no choices came back
+   */
+  async complete({ model, messages, tools }) {
+    const response = await this._client.chat.completions.create({
+      model,
+      messages,
+      tools: tools && tools.length > 0 ? tools : undefined,
+    });
+
+    if (!response.choices || response.choices.length === 0) return null;
+
+    // Extract the assistant's message from the response
+    return response.choices[0].message;
+  }
+
+  /**
+   * Request a streamed completion, yielding text deltas as they arrive
+   * and reassembling tool calls from their fragments.
+   *
+   * @param {{ model: string, messages: Array, tools: Array }} request
+   * @returns {AsyncGenerator<object, object|null>} Yields text events; returns the
+   *   assembled assistant message, or null if no choices came back
+   */
+  async *stream({ model, messages, tools }) {
+    const stream = await this._client.chat.completions.create({
+      model,
+      messages,
+      tools: tools && tools.length > 0 ? tools : undefined,
+      stream: true,
+    });
+
+    let content = '';
+    let sawChoice = false;
+    const toolCalls = [];
+
+    for await (const chunk of stream) {
+      const choice = chunk.choices && chunk.choices[0];
+      if (!choice) continue;
+      sawChoice = true;
+
+      const delta = choice.delta || {};
+
+      if (delta.content) {
+        content += delta.content;
+        yield { type: 'text', delta: delta.content };
+      }
+
+      // Tool calls arrive in fragments keyed by index — stitch them back together
+      for (const fragment of delta.tool_calls || []) {
+        if (!toolCalls[fragment.index]) {
+          toolCalls[fragment.index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+        }
+        const toolCall = toolCalls[fragment.index];
+        if (fragment.id) toolCall.id = fragment.id;
+        if (fragment.function && fragment.function.name) toolCall.function.name += fragment.function.name;
+        if (fragment.function && fragment.function.arguments) {
+          toolCall.function.arguments += fragment.function.arguments;
+        }
+      }
+    }
+
+    if (!sawChoice) return null;
+
+    return buildAssistantMessage(content, toolCalls.filter(Boolean));
+  }
+}
+
+// ---------------------------------------------------------------
+// Anthropic Messages API
+// ---------------------------------------------------------------
+
+class AnthropicProvider {
+  /**
+   * Create a provider for Anthropic's Messages API.
+   *
+   * @param {object} options
+   * @param {string} options.apiKey - Anthropic API key
+   * @param {string} [options.model] - Default model name
+   * @param {string} [options.baseUrl='https://api.anthropic.com'] - API base URL
+   * @param {number} [options.maxTokens=4096] - Max tokens per reply (required by the API)
+   * @param {Function} [options.fetchFn=global.fetch] - Fetch implementation (injectable for testing)
+   * @throws {Error} If apiKey is not provided
+   */
+  constructor({ apiKey, model, baseUrl, maxTokens, fetchFn } = {}) {
+    if (!apiKey) {
+      throw new Error('AnthropicProvider requires an apiKey');
+    }
+    this._apiKey = apiKey;
+    this.model = model;
+    this._baseUrl = (baseUrl || ANTHROPIC_API_URL).replace(/\/+$/, '');
+    this._maxTokens = maxTokens || ANTHROPIC_MAX_TOKENS;
+    this._fetch = fetchFn || global.fetch;
+  }
+
+  /**
+   * Request a complete (non-streamed) reply.
+   *
+   * @param {{ model: string, messages: Array, tools: Array }} request
+   * @returns {Promise<object|null>} The assistant message in OpenAI format, or null if empty
+   */
+  async complete({ model, messages, tools }) {
+    const response = await this._post(this._buildBody(model, messages, tools, false));
+    const data = await response.json();
+
+    if (!Array.isArray(data.content) || data.content.length === 0) return null;
+
+    let content = '';
+    const toolCalls = [];
+    for (const block of data.content) {
+      if (block.type === 'text') content += block.text;
+      if (block.type === 'tool_use') {
+        toolCalls.push({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+        });
+      }
+    }
+
+    return buildAssistantMessage(content, toolCalls);
+  }
+
+  /**
+   * Request a streamed reply over server-sent events.
+   *
+   * @param {{ model: string, messages: Array, tools: Array }} request
+   * @returns {AsyncGenerator<object, object|null>} Yields text events; returns the
+   *   assembled assistant message in OpenAI format, or null if nothing came back
+   */
+  async *stream({ model, messages, tools }) {
+    const response = await this._post(this._buildBody(model, messages, tools, true));
+
+    let content = '';
+    let sawBlock = false;
+    const toolBlocks = [];
+
+    for await (const event of readSseEvents(response.body)) {
+      if (event.type === 'error') {
+        const error = event.error || {};
+        throw new LlmProviderError(
+          `Anthropic stream error: ${error.message || 'unknown error'}`,
+          error.type === 'overloaded_error' ? 429 : 500,
+          event
+        );
+      }
+
+      if (event.type === 'content_block_start') {
+        sawBlock = true;
+        const block = event.content_block || {};
+        if (block.type === 'tool_use') {
+          toolBlocks[event.index] = { id: block.id, name: block.name, json: '' };
+        }
+      }
+
+      if (event.type === 'content_block_delta') {
+        const delta = event.delta || {};
+        if (delta.type === 'text_delta' && delta.text) {
+          content += delta.text;
+          yield { type: 'text', delta: delta.text };
+        }
+        if (delta.type === 'input_json_delta' && toolBlocks[event.index]) {
+          toolBlocks[event.index].json += delta.partial_json || '';
+        }
+      }
+    }
+
+    if (!sawBlock) return null;
+
+    const toolCalls = toolBlocks.filter(Boolean).map((block) => ({
+      id: block.id,
+      type: 'function',
+      function: { name: block.name, arguments: block.json || '{}' },
+    }));
+
+    return buildAssistantMessage(content, toolCalls);
+  }
+
+  /**
+   * Build a Messages API request body from OpenAI-format inputs.
+   *
+   * @param {string} model - Model name
+   * @param {Array} messages - OpenAI-format messages (system prompt included)
+   * @param {Array} tools - OpenAI-format tool definitions
+   * @param {boolean} stream - Whether to stream the reply
+   * @returns {object} Request body
+   * @private
+   */
+  _buildBody(model, messages, tools, stream) {
+    const { system, messages: anthropicMessages } = toAnthropicMessages(messages);
+
+    const body = {
+      model,
+      max_tokens: this._maxTokens,
+      messages: anthropicMessages,
+    };
+    if (system) body.system = system;
+    if (tools && tools.length > 0) body.tools = tools.map(toAnthropicTool);
+    if (stream) body.stream = true;
+
+    return body;
+  }
+
+  /**
+   * POST to the Messages endpoint.
+   *
+   * @param {object} body - Request body
+   * @returns {Promise<Response>} The successful response
+   * @throws {LlmProviderError} If the response status is not OK (2xx)
+   * @private
+   */
+  async _post(body) {
+    const response = await this._fetch(`${this._baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'x-api-key': this._apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      let errorBody = {};
+      try {
+        errorBody = await response.json();
+      } catch {
+        // Non-JSON error page — keep the status only
+      }
+      // 529 "overloaded" is Anthropic's equivalent of OpenAI's 429
+      const status = response.status === 529 ? 429 : response.status;
+      throw new LlmProviderError(`Anthropic API error: ${response.status}`, status, errorBody);
+    }
+
+    return response;
+  }
+}
+
+// ---------------------------------------------------------------
+// Fake provider (tests and offline development)
+// ---------------------------------------------------------------
+
+class FakeProvider {
+  /**
+   * Create a provider that replays scripted assistant replies in order.
+   * Each reply is an assistant message ({ content, tool_calls? }), an Error
+   * to throw, or null to simulate an empty response.
+   *
+   * @param {Array<object|Error|null>} [replies=[]] - Scripted replies
+   * @param {object} [options={}]
+   * @param {string} [options.model='fake-model'] - Default model name
+   */
+  constructor(replies = [], { model = 'fake-model' } = {}) {
+    this._replies = [...replies];
+    this.model = model;
+
+    // Every request received, for assertions
+    this.requests = [];
+  }
+
+  /**
+   * Build a scripted text reply.
+   *
+   * @param {string} content - Reply text
+   * @returns {object} Assistant message
+   */
+  static text(content) {
+    return { role: 'assistant', content };
+  }
+
+  /**
+   * Build a scripted tool-call reply. Calls get ids call_0, call_1, ...
+   *
+   * @param {Array<{ name: string, arguments?: object }>} calls - Tool calls to make
+   * @returns {object} Assistant message
+   */
+  static toolCalls(calls) {
+    return {
+      role: 'assistant',
+      content: null,
+      tool_calls: calls.map((call, index) => ({
+        id: `call_${index}`,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) },
+      })),
+    };
+  }
+
+  /**
+   * Queue more scripted replies.
+   *
+   * @param {...(object|Error|null)} replies - Replies to append
+   */
+  push(...replies) {
+    this._replies.push(...replies);
+  }
+
+  /**
+   * Return the next scripted reply.
+   *
+   * @param {{ model: string, messages: Array, tools: Array }} request
+   * @returns {Promise<object|null>} The assistant message
+   * @throws {Error} The scripted error, or if no replies are left
+   */
+  async complete(request) {
+    return this._next(request);
+  }
+
+  /**
+   * Return the next scripted reply, streaming its text as one delta.
+   *
+   * @param {{ model: string, messages: Array, tools: Array }} request
+   * @returns {AsyncGenerator<object, object|null>}
+   */
+  async *stream(request) {
+    const reply = this._next(request);
+    if (reply && reply.content) yield { type: 'text', delta: reply.content };
+    return reply;
+  }
+
+  /**
+   * Record the request and take the next reply off the script.
+   *
+   * @param {object} request - The request received
+   * @returns {object|null} The assistant message
+   * @private
+   */
+  _next(request) {
+    this.requests.push(request);
+
+    if (this._replies.length === 0) {
+      throw new Error('FakeProvider has no scripted reply left');
+    }
+
+    const reply = this._replies.shift();
+    if (reply instanceof Error) throw reply;
+    return reply && { ...reply };
+  }
+}
+
+// ---------------------------------------------------------------
+// Scripted provider (offline runs of the whole stack, end-to-end tests)
+// ---------------------------------------------------------------
+
+/**
+ * A FakeProvider whose replies come from a scenario instead of a queue:
+ * each request is answered by the first rule matching the conversation,
+ * so any number of sessions can run through it, in any order.
+ *
+ * Scenario format (JSON, see fixtures/fake-llm/demo.json):
+ *   {
+ *     "model": "scripted",                          // optional
+ *     "rules": [
+ *       { "user": "data sources",                    // the user's message contains this
+ *         "reply": { "toolCalls": [{ "name": "list_data_sources" }] } },
+ *       { "tool": "list_data_sources",               // answering this tool's result
+ *         "result": "Employees",                     // optional: the result contains this
+ *         "reply": { "text": "Found {{result.length}} data sources." } }
+ *     ],
+ *     "fallback": { "text": "..." }                 // optional: when nothing matches
+ *   }
+ *
+ * Rules with "tool" apply right after that tool ran; rules without it
+ * apply to a new user message. "user" and "result" match
+ * case-insensitively as substrings, or as regular expressions written
+ * "/pattern/flags". Replies may use {{user}}, {{match.N}} (a capture
+ * group of the user pattern) and {{result.path}} (a field of the tool's
+ * JSON result; "*" maps over a list, so {{result.*.name}} renders
+ * "a, b, c"). A tool argument that is exactly one placeholder takes the
+ * value as-is, with numeric captures turned into numbers.
+ */
+class ScriptedProvider extends FakeProvider {
+  /**
+   * Create a provider driven by a scenario.
+   *
+   * @param {{ model?: string, rules: Array<object>, fallback?: object }} scenario - Validated
+   *   scenario (see loadScenario())
+   */
+  constructor(scenario) {
+    super([], { model: scenario.model || 'scripted' });
+    this._rules = scenario.rules.map(compileRule);
+    this._fallback = scenario.fallback || {
+      text: "I'm a scripted assistant and have no reply for that. Try one of the questions in the scenario file.",
+    };
+  }
+
+  /**
+   * Answer a request from the scenario.
+   *
+   * @param {{ messages: Array, tools?: Array }} request
+   * @returns {object} The assistant message
+   * @private
+   */
+  _next(request) {
+    this.requests.push(request);
+
+    const messages = request.messages || [];
+    const turn = readTurn(messages);
+    // Summaries and other tool-less requests can only be answered with text
+    const canCallTools = Boolean(request.tools && request.tools.length > 0);
+
+    for (const rule of this._rules) {
+      if (rule.reply.toolCalls && !canCallTools) continue;
+      const context = matchRule(rule, turn);
+      if (context) return buildReply(rule.reply, context);
+    }
+    return buildReply(this._fallback, { user: turn.user, match: [], result: null });
+  }
+
+  /**
+   * Answer a request, streaming the text a few words at a time.
+   *
+   * @param {{ messages: Array, tools?: Array }} request
+   * @returns {AsyncGenerator<object, object>}
+   */
+  async *stream(request) {
+    const reply = this._next(request);
+    for (const delta of (reply.content || '').match(/\S+\s*|\s+/g) || []) {
+      yield { type: 'text', delta };
+    }
+    return reply;
+  }
+}
+
+/**
+ * Read and validate a scenario file.
+ *
+ * @param {string} file - Path to the scenario JSON
+ * @returns {{ model?: string, rules: Array<object>, fallback?: object }}
+ * @throws {Error} If the file is missing, not JSON, or a rule is malformed
+ */
+function loadScenario(file) {
+  let scenario;
+  try {
+    scenario = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read LLM scenario ${file}: ${error.message}`);
+  }
+  if (!scenario || !Array.isArray(scenario.rules)) {
+    throw new Error(`LLM scenario ${file} must have a "rules" array`);
+  }
+
+  scenario.rules.forEach((rule, index) => {
+    const where = `LLM scenario ${file}, rule ${index + 1}`;
+    const reply = rule && rule.reply;
+    if (!reply || (typeof reply.text !== 'string' && !Array.isArray(reply.toolCalls))) {
+      throw new Error(`${where}: "reply" needs "text" or "toolCalls"`);
+    }
+    if (rule.user === undefined && rule.tool === undefined) {
+      throw new Error(`${where}: give "user", "tool" or both`);
+    }
+    try {
+      compileRule(rule);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  });
+  return scenario;
+}
+
+/**
+ * Turn a scenario pattern into a RegExp: "/re/flags" as written,
+ * anything else as a case-insensitive substring.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function toPattern(pattern) {
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(pattern);
+  if (literal) return new RegExp(literal[1], literal[2]);
+  return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+/**
+ * Compile a rule's patterns once.
+ *
+ * @param {object} rule - Scenario rule
+ * @returns {object} The rule with RegExp `userPattern` / `resultPattern`
+ */
+function compileRule(rule) {
+  return {
+    ...rule,
+    userPattern: rule.user !== undefined ? toPattern(String(rule.user)) : null,
+    resultPattern: rule.result !== undefined ? toPattern(String(rule.result)) : null,
+  };
+}
+
+/**
+ * Summarize where the conversation is: the current user message and,
+ * when the request follows tool calls, their results by tool name.
+ *
+ * @param {Array} messages - OpenAI-format messages
+ * @returns {{ user: string, toolResults: Array<{ name: string, content: string }> }}
+ */
+function readTurn(messages) {
+  const lastUser = [...messages].reverse().find((m) => m.role === 'user');
+  const toolResults = [];
+
+  // Trailing tool messages answer the assistant message just before them
+  let index = messages.length - 1;
+  while (index >= 0 && messages[index].role === 'tool') index--;
+  const caller = messages[index];
+
+  for (const message of messages.slice(index + 1)) {
+    const call = ((caller && caller.tool_calls) || []).find((c) => c.id === message.tool_call_id);
+    toolResults.push({ name: call ? call.function.name : null, content: String(message.content) });
+  }
+
+  return { user: lastUser ? String(lastUser.content || '') : '', toolResults };
+}
+
+/**
+ * Check a rule against the turn.
+ *
+ * @returns {{ user: string, match: Array, result: * }|null} Template context, or null if no match
+ */
+function matchRule(rule, turn) {
+  const userMatch = rule.userPattern ? rule.userPattern.exec(turn.user) : [];
+  if (!userMatch) return null;
+
+  if (rule.tool === undefined) {
+    return turn.toolResults.length === 0 ? { user: turn.user, match: userMatch, result: null } : null;
+  }
+
+  const toolResult = turn.toolResults.find(
+    (r) => r.name === rule.tool && (!rule.resultPattern || rule.resultPattern.test(r.content))
+  );
+  if (!toolResult) return null;
+
+  let result;
+  try {
+    result = JSON.parse(toolResult.content);
+  } catch {
+    result = toolResult.content;
+  }
+  return { user: turn.user, match: userMatch, result };
+}
+
+/**
+ * Follow a key path into a value; "*" maps the rest of the path over an array.
+ *
+ * @param {*} value - Where to start
+ * @param {string[]} keys - e.g. ['entries', '*', 'data', 'Name']
+ * @returns {*} The value (undefined if absent)
+ */
+function resolvePath(value, keys) {
+  for (let index = 0; index < keys.length; index++) {
+    if (value === null || value === undefined) return undefined;
+    if (keys[index] === '*') {
+      return Array.isArray(value) ? value.map((item) => resolvePath(item, keys.slice(index + 1))) : undefined;
+    }
+    value = value[keys[index]];
+  }
+  return value;
+}
+
+/**
+ * Resolve one {{placeholder}} against the template context.
+ *
+ * @param {string} expression - e.g. "user", "match.1", "result.length", "result.*.name"
+ * @param {object} context - { user, match, result }
+ * @returns {*} The value (undefined if absent)
+ */
+function resolvePlaceholder(expression, context) {
+  const [root, ...keys] = expression.trim().split('.');
+  const value = resolvePath(context[root], keys);
+  if (root === 'match' && typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Render a resolved value inside text: lists of plain values as "a, b, c",
+ * other objects as JSON.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function renderValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value) && value.every((item) => item === null || typeof item !== 'object')) {
+    return value.filter((item) => item !== null && item !== undefined).join(', ');
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Fill {{placeholders}} in a template, or return the raw value when the
+ * template is exactly one placeholder.
+ *
+ * @param {*} template - String, or any JSON value containing strings
+ * @param {object} context - { user, match, result }
+ * @returns {*}
+ */
+function fillTemplate(template, context) {
+  if (typeof template === 'string') {
+    const whole = /^\{\{([^}]+)\}\}$/.exec(template);
+    if (whole) return resolvePlaceholder(whole[1], context);
+    return template.replace(/\{\{([^}]+)\}\}/g, (_, expression) => renderValue(resolvePlaceholder(expression, context)));
+  }
+  if (Array.isArray(template)) return template.map((item) => fillTemplate(item, context));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, fillTemplate(value, context)]));
+  }
+  return template;
+}
+
+/**
+ * Build the assistant message for a scenario reply.
+ *
+ * @param {{ text?: string, toolCalls?: Array }} reply - Scenario reply
+ * @param {object} context - Template context
+ * @returns {object} Assistant message
+ */
+function buildReply(reply, context) {
+  if (reply.toolCalls) {
+    const message = FakeProvider.toolCalls(
+      reply.toolCalls.map((call) => ({ name: call.name, arguments: fillTemplate(call.arguments || {}, context) }))
+    );
+    if (reply.text) message.content = fillTemplate(reply.text, context);
+    return message;
+  }
+  return FakeProvider.text(fillTemplate(reply.text, context));
+}
+
+// ---------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------
+
+/**
+ * Create the provider selected by config.llmProvider.
+ *
+ * @param {object} config - Validated config from loadConfig()
+ * @param {object} [deps={}] - Injectable dependencies (for testing)
+ * @param {Function} [deps.fetchFn] - Fetch implementation for HTTP providers
+ * @returns {OpenAIProvider|AnthropicProvider|ScriptedProvider} The provider, with its default model set
+ * @throws {Error} If the provider name is unknown
+ */
+function createProvider(config, deps = {}) {
+  const name = config.llmProvider || 'openai';
+
+  if (name === 'openai') {
+    const client = new OpenAI({
+      apiKey: config.openaiApiKey || PLACEHOLDER_API_KEY,
+      baseURL: config.openaiBaseUrl || undefined,
+    });
+    return new OpenAIProvider({ client, model: config.openaiModel });
+  }
+
+  if (name === 'anthropic') {
+    return new AnthropicProvider({
+      apiKey: config.anthropicApiKey,
+      model: config.anthropicModel,
+      fetchFn: deps.fetchFn,
+    });
+  }
+
+  if (name === 'fake') {
+    return new ScriptedProvider(loadScenario(config.fakeLlmScenario || DEFAULT_SCENARIO_FILE));
+  }
+
+  throw new Error(`Unknown LLM provider: "${name}". Use "openai", "anthropic" or "fake".`);
+}
+
+// ---------------------------------------------------------------
+// Helpers: format translation
+// ---------------------------------------------------------------
+
+/**
+ * Build an OpenAI-format assistant message.
+ *
+ * @param {string} content - Accumulated text
+ * @param {Array} toolCalls - OpenAI-format tool calls
+ * @returns {object} Assistant message
+ */
+function buildAssistantMessage(content, toolCalls) {
+  const message = { role: 'assistant', content: content || null };
+  if (toolCalls.length > 0) message.tool_calls = toolCalls;
+  return message;
+}
+
+/**
+ * Convert an OpenAI tool definition to Anthropic's format.
+ *
+ * @param {{ function: { name: string, description: string, parameters: object } }} tool
+ * @returns {{ name: string, description: string, input_schema: object }}
+ */
+function toAnthropicTool(tool) {
+  return {
+    name: tool.function.name,
+    description: tool.function.description,
+    input_schema: tool.function.parameters || { type: 'object', properties: {} },
+  };
+}
+
+/**
+ * Convert OpenAI-format messages to Anthropic's format.
+ *
+ * - system messages are joined into the top-level system prompt
+ * - assistant tool_calls become tool_use blocks
+ * - tool messages become tool_result blocks in a user message
+ * - consecutive messages with the same role are merged, since the
+ *   Messages API requires user and assistant turns to alternate
+ *
+ * @param {Array} messages - OpenAI-format messages
+ * @returns {{ system: string, messages: Array }} Anthropic system prompt and messages
+ */
+function toAnthropicMessages(messages) {
+  const system = [];
+  const converted = [];
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      system.push(message.content);
+      continue;
+    }
+
+    let role;
+    const blocks = [];
+
+    if (message.role === 'tool') {
+      role = 'user';
+      blocks.push({ type: 'tool_result', tool_use_id: message.tool_call_id, content: String(message.content) });
+    } else {
+      role = message.role;
+      if (message.content) blocks.push({ type: 'text', text: message.content });
+      for (const toolCall of message.tool_calls || []) {
+        blocks.push({
+          type: 'tool_use',
+          id: toolCall.id,
+          name: toolCall.function.name,
+          input: parseToolInput(toolCall.function.arguments),
+        });
+      }
+    }
+
+    if (blocks.length === 0) continue;
+
+    const previous = converted[converted.length - 1];
+    if (previous && previous.role === role) {
+      previous.content.push(...blocks);
+    } else {
+      converted.push({ role, content: blocks });
+    }
+  }
+
+  return { system: system.join('\n\n'), messages: converted };
+}
+
+/**
+ * Parse tool-call arguments for a tool_use block (Anthropic wants an object).
+ *
+ * @param {string} args - JSON-encoded arguments
+ * @returns {object} Parsed arguments, or {} if malformed
+ */
+function parseToolInput(args) {
+  try {
+    const parsed = JSON.parse(args || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Parse a server-sent event stream into JSON event objects.
+ *
+ * @param {AsyncIterable<Uint8Array|string>} body - Response body stream
+ * @returns {AsyncGenerator<object>} The parsed `data:` payload of each event
+ */
+async function* readSseEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = block
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trim())
+        .join('\n');
+
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+module.exports = {
+  OpenAIProvider,
+  AnthropicProvider,
+  FakeProvider,
+  ScriptedProvider,
+  LlmProviderError,
+  loadScenario,
+  createProvider,
+  toAnthropicMessages,
+};
@@ -0,0 +1,224 @@
+/**
+ * Media Text Extraction
+ *
+ * Turns a downloaded media file into numbered text the AI can quote:
+ * plain text, Markdown, CSV, JSON and PDF (via pdf-text.js). The text is
+ * split into chunks of whole lines, each remembering where it came from
+ * (page and line range), and chunks are ranked against a question with
+ * BM25 (search-index.js) so only the relevant excerpts are sent to the model.
+ *
+ * Everything runs locally — file contents are never sent to another service.
+ *
+ * Best practices applied:
+ * - Pure Functions: a Buffer in, plain objects out, no I/O
+ * - Single Responsibility: downloading is FlipletApiClient's job, choosing
+ *   what to return is the read_media_file tool's
+ * - Fail Fast: unsupported and binary files are rejected with a message
+ *   naming the formats that are supported
+ */
+
+const { extractPdfPages } = require('./pdf-text');
+const { SearchIndex } = require('./search-index');
+
+// Formats read_media_file can extract, by file extension
+const FORMAT_BY_EXTENSION = {
+  txt: 'text',
+  text: 'text',
+  log: 'text',
+  md: 'markdown',
+  markdown: 'markdown',
+  csv: 'csv',
+  json: 'json',
+  pdf: 'pdf',
+};
+
+// ...and by content type, for files without a recognised extension
+const FORMAT_BY_CONTENT_TYPE = {
+  'text/plain': 'text',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'application/json': 'json',
+  'application/pdf': 'pdf',
+};
+
+const SUPPORTED_FORMATS = ['text', 'markdown', 'csv', 'json', 'pdf'];
+
+// Largest media file downloaded for its text
+const MAX_MEDIA_FILE_BYTES = 10 * 1024 * 1024;
+
+// Text kept from one file; the rest is dropped (and reported as truncated)
+const MAX_EXTRACTED_CHARS = 1000000;
+
+// Target chunk size in characters (a chunk always holds whole lines)
+const DEFAULT_CHUNK_CHARS = 1500;
+
+// Lines longer than this are cut short so one line cannot make a huge chunk
+const MAX_LINE_CHARS = 2000;
+
+/**
+ * Work out which format a media file is in.
+ *
+ * @param {{ name?: string, contentType?: string }} file - File metadata
+ * @returns {string|null} One of SUPPORTED_FORMATS, or null if unsupported
+ */
+function detectFormat({ name, contentType } = {}) {
+  const extension = typeof name === 'string' && name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  if (FORMAT_BY_EXTENSION[extension]) return FORMAT_BY_EXTENSION[extension];
+
+  const type = typeof contentType === 'string' ? contentType.split(';')[0].trim().toLowerCase() : '';
+  if (FORMAT_BY_CONTENT_TYPE[type]) return FORMAT_BY_CONTENT_TYPE[type];
+  if (type.startsWith('text/')) return 'text';
+  if (type.endsWith('+json')) return 'json';
+  return null;
+}
+
+/**
+ * Extract a file's text, as lines grouped by page.
+ *
+ * Non-PDF files are one section with page null. JSON is re-indented so
+ * minified files still get useful line numbers; invalid JSON is kept as is.
+ *
+ * @param {Buffer} buffer - The file's bytes
+ * @param {string} format - One of SUPPORTED_FORMATS
+ * @param {object} [options={}]
+ * @param {AbortSignal} [options.signal] - Stops a PDF part way through
+ * @returns {Promise<{ sections: Array<{ page: number|null, lines: string[] }>, truncated: boolean }>}
+ * @throws {Error} If the format is unsupported or a text file is actually binary
+ * @throws {PdfTextError} If a PDF cannot be read
+ */
+async function extractText(buffer, format, { signal } = {}) {
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    throw new Error(`Unsupported format "${format}". Supported formats: ${SUPPORTED_FORMATS.join(', ')}.`);
+  }
+
+  let pages;
+  if (format === 'pdf') {
+    pages = await extractPdfPages(buffer, { signal });
+  } else {
+    // A NUL byte never appears in real text files
+    if (buffer.includes(0)) {
+      throw new Error(`The file does not look like ${format === 'text' ? 'a text' : `a ${format.toUpperCase()}`} file.`);
+    }
+    let text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    if (format === 'json') text = reindentJson(text);
+    pages = [{ page: null, text }];
+  }
+
+  let remaining = MAX_EXTRACTED_CHARS;
+  let truncated = false;
+  const sections = [];
+
+  for (const { page, text } of pages) {
+    if (remaining <= 0) {
+      truncated = true;
+      break;
+    }
+    const kept = text.length > remaining ? text.slice(0, remaining) : text;
+    truncated = truncated || kept.length < text.length;
+    remaining -= kept.length;
+    // A final newline ends the last line rather than starting an empty one
+    sections.push({ page, lines: kept.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n') });
+  }
+
+  return { sections, truncated };
+}
+
+/**
+ * Pretty-print JSON text, or return it unchanged if it does not parse.
+ */
+function reindentJson(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Split extracted text into chunks of whole lines.
+ *
+ * Line numbers count from 1 within each page (PDF) or the file. CSV
+ * chunks after the first repeat the header row so every excerpt can be
+ * read on its own; the repeated header is not part of the line range.
+ *
+ * @param {Array<{ page: number|null, lines: string[] }>} sections - From extractText()
+ * @param {object} [options={}]
+ * @param {string} [options.format] - 'csv' repeats the header row
+ * @param {number} [options.chunkChars=1500] - Target chunk size
+ * @returns {Array<{ page: number|null, startLine: number, endLine: number, text: string }>}
+ *   Chunks in document order (blank-only chunks are dropped)
+ */
+function chunkText(sections, { format, chunkChars = DEFAULT_CHUNK_CHARS } = {}) {
+  const chunks = [];
+  const header = format === 'csv' && sections.length > 0 ? sections[0].lines[0] : null;
+
+  for (const { page, lines } of sections) {
+    let current = [];
+    let size = 0;
+    let startLine = 1;
+
+    const flush = (endLine) => {
+      const text = current.join('\n');
+      if (text.trim()) {
+        const withHeader = header && startLine > 1 ? `${header}\n${text}` : text;
+        chunks.push({ page, startLine, endLine, text: withHeader });
+      }
+      current = [];
+      size = 0;
+      startLine = endLine + 1;
+    };
+
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.length > MAX_LINE_CHARS ? `${rawLine.slice(0, MAX_LINE_CHARS)}…` : rawLine;
+      if (size > 0 && size + line.length > chunkChars) flush(index);
+      current.push(line);
+      size += line.length + 1;
+    });
+    if (current.length > 0) flush(lines.length);
+  }
+
+  return chunks;
+}
+
+/**
+ * Rank chunks against a question with BM25, using a SearchIndex over
+ * just these chunks.
+ *
+ * @param {Array<{ text: string }>} chunks - From chunkText()
+ * @param {string} query - The question or keywords
+ * @returns {Array<{ chunk: object, score: number }>} Chunks sharing at least
+ *   one term with the query, best first (document order breaks ties)
+ */
+function rankChunks(chunks, query) {
+  const index = new SearchIndex();
+  chunks.forEach((chunk, i) => index.upsert(String(i), chunk.text, { index: i }));
+
+  return index
+    .search(query, { limit: chunks.length })
+    .hits.sort((a, b) => b.score - a.score || a.meta.index - b.meta.index)
+    .map(({ meta, score }) => ({ chunk: chunks[meta.index], score }));
+}
+
+/**
+ * Where a chunk came from, for the AI to cite ("page 2, lines 4-18").
+ *
+ * @param {{ page: number|null, startLine: number, endLine: number }} chunk
+ * @returns {string}
+ */
+function describeLocation({ page, startLine, endLine }) {
+  const lines = startLine === endLine ? `line ${startLine}` : `lines ${startLine}-${endLine}`;
+  return page ? `page ${page}, ${lines}` : lines;
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  MAX_MEDIA_FILE_BYTES,
+  MAX_EXTRACTED_CHARS,
+  detectFormat,
+  extractText,
+  chunkText,
+  rankChunks,
+  describeLocation,
+};
@@ -0,0 +1,472 @@
+/**
+ * Mock Fliplet API Server
+ *
+ * A stand-in for the Fliplet REST API, serving apps, data sources,
+ * entries and media from JSON fixture files. Lets developers run the
+ * chatbot and the UI without a Fliplet account (`npm run start:mock`)
+ * and lets tests exercise FlipletApiClient over real HTTP.
+ *
+ * Endpoints (the subset FlipletApiClient and scripts/refresh-token.js use):
+ *   POST   /v1/auth/login                         — { email, password } → { auth_token }
+ *   GET    /v1/user                               — The signed-in user
+ *   GET    /v1/apps                               — { apps }
+ *   GET    /v1/data-sources?appId=                — { dataSources } (without entries)
+ *   GET    /v1/data-sources/:id                   — { dataSource }
+ *   POST   /v1/data-sources/:id/data/query        — { type: 'select', where?, limit?, offset?, includePagination? }
+ *                                                    → { entries, pagination? }
+ *   GET    /v1/data-sources/:id/data/:entryId     — { entry }
+ *   POST   /v1/data-sources/:id/data              — Insert an entry
+ *   PUT    /v1/data-sources/:id/data/:entryId     — Update an entry's columns
+ *   DELETE /v1/data-sources/:id/data/:entryId     — Delete an entry (204)
+ *   GET    /v1/media?appId=&folderId=             — { folders, files } in one folder (root by default)
+ *   GET    /v1/media/files/:id                    — { file }
+ *   GET    /files/:id/:name                       — A file's content (no token, like a CDN)
+ *
+ * Fixtures (see fixtures/mock-fliplet/):
+ *   apps.json          — [{ id, name }]
+ *   data-sources.json  — [{ id, appId, name, columns, entries: [{ id, data }] }]
+ *   media.json         — { folders: [{ id, appId, name, parentId }], files: [{ id, appId, folderId, name, ... }] }
+ *   files/<id>/<name>  — Content of media file <id>; its `url` then points at this server
+ *
+ * Every /v1 route except login requires an Auth-token header holding the
+ * configured token or one issued by a login. Writes change an in-memory
+ * copy of the fixtures, never the files. `app.locals.fliplet` exposes the
+ * live state, e.g. `tokens.clear()` to make every token expire.
+ *
+ * Usage (the Fliplet API alone, e.g. for end-to-end tests):
+ *   node src/mock-fliplet-server.js
+ *   npm run mock:fliplet
+ *
+ * Best practices applied:
+ * - Separation: createMockFlipletServer() returns an Express app (no listen) for testability
+ * - Fidelity: responses use Fliplet's wrappers ({ dataSources }, { entries }, ...) and status codes
+ * - Isolation: each server works on its own copy of the fixtures
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const DEFAULT_FIXTURES_DIR = path.resolve(__dirname, '..', 'fixtures', 'mock-fliplet');
+const DEFAULT_TOKEN = 'mock-fliplet-token';
+const DEFAULT_PORT = 3100;
+
+/**
+ * Error for a request the mock cannot answer (sent as a 4xx JSON body).
+ */
+class MockRequestError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status to respond with
+   * @param {string} message - Error message
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'MockRequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Load fixtures from a directory. Missing files count as empty.
+ *
+ * @param {string} [dir] - Fixtures directory (default fixtures/mock-fliplet)
+ * @returns {{ apps: Array, dataSources: Array, media: { folders: Array, files: Array }, contents: object }}
+ *   `contents` maps a media file id to its content (a Buffer)
+ * @throws {Error} If a fixture file is not valid JSON
+ */
+function loadFixtures(dir = DEFAULT_FIXTURES_DIR) {
+  const read = (name, fallback) => {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) return fallback;
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid fixture ${file}: ${error.message}`);
+    }
+  };
+
+  const media = read('media.json', {});
+  const files = media.files || [];
+
+  const contents = {};
+  for (const file of files) {
+    const contentPath = path.join(dir, 'files', String(file.id), String(file.name));
+    if (fs.existsSync(contentPath)) contents[file.id] = fs.readFileSync(contentPath);
+  }
+
+  return {
+    apps: read('apps.json', []),
+    dataSources: read('data-sources.json', []),
+    media: { folders: media.folders || [], files },
+    contents,
+  };
+}
+
+// ---------------------------------------------------------------
+// Query semantics: where / limit / offset
+// ---------------------------------------------------------------
+
+/**
+ * Compare two values of the same type; null when they can't be ordered.
+ */
+function compare(a, b) {
+  if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string')) return null;
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
+}
+
+/**
+ * Equality with MongoDB's array rule: an array column matches if any item does.
+ */
+function equals(value, expected) {
+  if (Array.isArray(value) && !Array.isArray(expected)) return value.includes(expected);
+  return value === expected;
+}
+
+/**
+ * Whether a condition object uses operators ({ $gt: 3 }) rather than
+ * being a plain value to compare with.
+ */
+function isOperatorObject(condition) {
+  return (
+    condition !== null &&
+    typeof condition === 'object' &&
+    !Array.isArray(condition) &&
+    Object.keys(condition).length > 0 &&
+    Object.keys(condition).every((key) => key.startsWith('$'))
+  );
+}
+
+/**
+ * Apply one operator to a column value.
+ *
+ * @param {*} value - The entry's column value (undefined when absent)
+ * @param {string} operator - e.g. '$gte'
+ * @param {*} operand - The operator's argument
+ * @param {object} condition - The whole operator object (for $regex's $options)
+ * @returns {boolean}
+ * @throws {MockRequestError} On an unsupported operator or a malformed operand
+ */
+function applyOperator(value, operator, operand, condition) {
+  switch (operator) {
+    case '$eq':
+      return equals(value, operand);
+    case '$ne':
+      return !equals(value, operand);
+    case '$gt':
+      return compare(value, operand) > 0;
+    case '$gte': {
+      const order = compare(value, operand);
+      return order !== null && order >= 0;
+    }
+    case '$lt': {
+      const order = compare(value, operand);
+      return order !== null && order < 0;
+    }
+    case '$lte': {
+      const order = compare(value, operand);
+      return order !== null && order <= 0;
+    }
+    case '$in':
+    case '$nin': {
+      if (!Array.isArray(operand)) throw new MockRequestError(400, `${operator} needs an array`);
+      const found = operand.some((item) => equals(value, item));
+      return operator === '$in' ? found : !found;
+    }
+    case '$exists':
+      return (value !== undefined) === Boolean(operand);
+    case '$regex': {
+      let pattern;
+      try {
+        pattern = new RegExp(operand, condition.$options || '');
+      } catch (error) {
+        throw new MockRequestError(400, `Invalid $regex: ${error.message}`);
+      }
+      return typeof value === 'string' && pattern.test(value);
+    }
+    case '$options':
+      return true; // Read by $regex
+    case '$not':
+      return !matchesCondition(value, operand);
+    default:
+      throw new MockRequestError(400, `Unsupported operator ${operator}`);
+  }
+}
+
+/**
+ * Whether a column value satisfies a condition (a plain value or operators).
+ */
+function matchesCondition(value, condition) {
+  if (!isOperatorObject(condition)) return equals(value, condition);
+  return Object.entries(condition).every(([operator, operand]) =>
+    applyOperator(value, operator, operand, condition)
+  );
+}
+
+/**
+ * Whether an entry's data matches a MongoDB-style where clause.
+ * Supports $and / $or / $nor and, per column, $eq $ne $gt $gte $lt $lte
+ * $in $nin $exists $regex (with $options) and $not.
+ *
+ * @param {object} data - The entry's columns
+ * @param {object} where - Filter conditions
+ * @returns {boolean}
+ * @throws {MockRequestError} On an unsupported operator
+ */
+function matchesWhere(data, where) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and' || key === '$or' || key === '$nor') {
+      if (!Array.isArray(condition)) throw new MockRequestError(400, `${key} needs an array`);
+      const results = condition.map((clause) => matchesWhere(data, clause));
+      if (key === '$and') return results.every(Boolean);
+      return key === '$or' ? results.some(Boolean) : !results.some(Boolean);
+    }
+    if (key.startsWith('$')) throw new MockRequestError(400, `Unsupported operator ${key}`);
+    return matchesCondition(data[key], condition);
+  });
+}
+
+/**
+ * Read an optional non-negative integer from a query body.
+ */
+function readCount(body, name) {
+  const value = body[name];
+  if (value === undefined || value === null) return undefined;
+  if (!Number.isInteger(value) || value < 0) {
+    throw new MockRequestError(400, `${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+// ---------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------
+
+/**
+ * Create the mock Fliplet API.
+ *
+ * @param {object} [options={}]
+ * @param {object} [options.fixtures] - Fixtures as returned by loadFixtures() (default: the bundled ones)
+ * @param {string} [options.token='mock-fliplet-token'] - Token accepted from the start
+ * @param {{ email: string, password: string }} [options.account] - The only login accepted
+ *   (default: any non-empty email and password)
+ * @returns {express.Application} Express app (not yet listening); its live
+ *   state is `app.locals.fliplet` ({ apps, dataSources, media, tokens })
+ */
+function createMockFlipletServer(options = {}) {
+  const fixtures = options.fixtures || loadFixtures();
+  const { account } = options;
+
+  // Copy so writes never leak between servers (or into the caller's fixtures)
+  const state = {
+    ...structuredClone(fixtures),
+    tokens: new Set([options.token || DEFAULT_TOKEN]),
+  };
+  let loginCount = 0;
+
+  const app = express();
+  app.locals.fliplet = state;
+  app.use(express.json({ limit: '1mb' }));
+
+  const findDataSource = (id) => {
+    const dataSource = state.dataSources.find((ds) => String(ds.id) === String(id));
+    if (!dataSource) throw new MockRequestError(404, `Data source ${id} not found`);
+    if (!Array.isArray(dataSource.entries)) dataSource.entries = [];
+    return dataSource;
+  };
+
+  const findEntry = (dataSource, entryId) => {
+    const entry = dataSource.entries.find((e) => String(e.id) === String(entryId));
+    if (!entry) throw new MockRequestError(404, `Entry ${entryId} not found`);
+    return entry;
+  };
+
+  // Fliplet returns entries with their data source and timestamps
+  const toEntry = (dataSource, entry) => ({
+    id: entry.id,
+    dataSourceId: dataSource.id,
+    data: entry.data || {},
+    createdAt: entry.createdAt || dataSource.createdAt || null,
+    updatedAt: entry.updatedAt || entry.createdAt || dataSource.updatedAt || null,
+  });
+
+  const withoutEntries = ({ entries, ...dataSource }) => dataSource;
+
+  const sameApp = (item, appId) => appId === undefined || String(item.appId) === String(appId);
+
+  const contents = state.contents || {};
+
+  // Files with fixture content are downloaded from this server
+  const withUrl = (req, file) =>
+    contents[file.id]
+      ? { ...file, url: `${req.protocol}://${req.get('host')}/files/${file.id}/${encodeURIComponent(file.name)}` }
+      : file;
+
+  /**
+   * POST /v1/auth/login
+   * Issues a new token for a valid email and password.
+   */
+  app.post('/v1/auth/login', (req, res) => {
+    const { email, password } = req.body || {};
+    const valid = account
+      ? email === account.email && password === account.password
+      : Boolean(email && password);
+    if (!valid) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    const token = `mock-fliplet-token-${++loginCount}`;
+    state.tokens.add(token);
+    res.json({ auth_token: token });
+  });
+
+  // Everything else needs a valid token
+  app.use('/v1', (req, res, next) => {
+    if (!state.tokens.has(req.get('Auth-token'))) {
+      return res.status(401).json({ message: 'Invalid or expired auth token' });
+    }
+    next();
+  });
+
+  app.get('/v1/user', (_req, res) => {
+    res.json({ user: { id: 1, email: 'developer@example.com', fullName: 'Mock Developer' } });
+  });
+
+  app.get('/v1/apps', (_req, res) => {
+    res.json({ apps: state.apps });
+  });
+
+  app.get('/v1/data-sources', (req, res) => {
+    const dataSources = state.dataSources.filter((ds) => sameApp(ds, req.query.appId));
+    res.json({ dataSources: dataSources.map(withoutEntries) });
+  });
+
+  app.get('/v1/data-sources/:id', (req, res) => {
+    res.json({ dataSource: withoutEntries(findDataSource(req.params.id)) });
+  });
+
+  /**
+   * POST /v1/data-sources/:id/data/query
+   * Filters with `where`, then skips `offset` and returns up to `limit` entries,
+   * plus the number matching in all when `includePagination` is set.
+   */
+  app.post('/v1/data-sources/:id/data/query', (req, res) => {
+    const dataSource = findDataSource(req.params.id);
+    const body = req.body || {};
+    if (body.type !== undefined && body.type !== 'select') {
+      throw new MockRequestError(400, `Unsupported query type ${body.type}`);
+    }
+    if (body.where !== undefined && (body.where === null || typeof body.where !== 'object' || Array.isArray(body.where))) {
+      throw new MockRequestError(400, 'where must be an object');
+    }
+
+    const offset = readCount(body, 'offset') || 0;
+    const limit = readCount(body, 'limit');
+
+    const matching = dataSource.entries.filter((entry) => !body.where || matchesWhere(entry.data || {}, body.where));
+    const page = matching.slice(offset, limit === undefined ? undefined : offset + limit);
+    res.json({
+      entries: page.map((entry) => toEntry(dataSource, entry)),
+      ...(body.includePagination ? { pagination: { total: matching.length, offset, limit: limit ?? null } } : {}),
+    });
+  });
+
+  app.get('/v1/data-sources/:id/data/:entryId', (req, res) => {
+    const dataSource = findDataSource(req.params.id);
+    res.json({ entry: toEntry(dataSource, findEntry(dataSource, req.params.entryId)) });
+  });
+
+  app.post('/v1/data-sources/:id/data', (req, res) => {
+    const dataSource = findDataSource(req.params.id);
+    const now = new Date().toISOString();
+    const entry = {
+      id: dataSource.entries.reduce((max, e) => Math.max(max, Number(e.id) || 0), 0) + 1,
+      data: { ...req.body },
+      createdAt: now,
+      updatedAt: now,
+    };
+    dataSource.entries.push(entry);
+    res.status(201).json(toEntry(dataSource, entry));
+  });
+
+  app.put('/v1/data-sources/:id/data/:entryId', (req, res) => {
+    const dataSource = findDataSource(req.params.id);
+    const entry = findEntry(dataSource, req.params.entryId);
+    entry.data = { ...entry.data, ...req.body };
+    entry.updatedAt = new Date().toISOString();
+    res.json(toEntry(dataSource, entry));
+  });
+
+  app.delete('/v1/data-sources/:id/data/:entryId', (req, res) => {
+    const dataSource = findDataSource(req.params.id);
+    const entry = findEntry(dataSource, req.params.entryId);
+    dataSource.entries.splice(dataSource.entries.indexOf(entry), 1);
+    res.status(204).end();
+  });
+
+  /**
+   * GET /v1/media?appId=&folderId=
+   * The folders and files directly inside one folder (the root when omitted).
+   */
+  app.get('/v1/media', (req, res) => {
+    const { appId, folderId } = req.query;
+    const inFolder = (id) => (folderId === undefined ? id === null || id === undefined : String(id) === String(folderId));
+
+    res.json({
+      folders: state.media.folders.filter((f) => sameApp(f, appId) && inFolder(f.parentId)),
+      files: state.media.files.filter((f) => sameApp(f, appId) && inFolder(f.folderId)).map((f) => withUrl(req, f)),
+    });
+  });
+
+  app.get('/v1/media/files/:id', (req, res) => {
+    const file = state.media.files.find((f) => String(f.id) === req.params.id);
+    if (!file) throw new MockRequestError(404, `File ${req.params.id} not found`);
+    res.json({ file: withUrl(req, file) });
+  });
+
+  /**
+   * GET /files/:id/:name
+   * A media file's content. Public, like Fliplet's CDN URLs.
+   */
+  app.get('/files/:id/:name', (req, res) => {
+    const file = state.media.files.find((f) => String(f.id) === req.params.id && f.name === req.params.name);
+    if (!file || !contents[file.id]) throw new MockRequestError(404, `File ${req.params.id} not found`);
+    res.type(file.contentType || 'application/octet-stream').send(Buffer.from(contents[file.id]));
+  });
+
+  app.use((_req, res) => {
+    res.status(404).json({ message: 'Not found' });
+  });
+
+  // Errors in Fliplet's shape: { message }
+  app.use((err, _req, res, _next) => {
+    const status = err.statusCode || err.status || 500;
+    res.status(status).json({ message: status === 500 ? 'Internal server error' : err.message });
+  });
+
+  return app;
+}
+
+module.exports = {
+  createMockFlipletServer,
+  loadFixtures,
+  matchesWhere,
+  MockRequestError,
+  DEFAULT_TOKEN,
+  DEFAULT_PORT,
+};
+
+// ---------------------------------------------------------------
+// Standalone: serve the mock API only
+// ---------------------------------------------------------------
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_FLIPLET_PORT) || DEFAULT_PORT;
+  const fixtures = loadFixtures(process.env.MOCK_FLIPLET_FIXTURES || DEFAULT_FIXTURES_DIR);
+
+  createMockFlipletServer({ fixtures }).listen(port, () => {
+    console.log(`Mock Fliplet API running on http://localhost:${port}`);
+    console.log(`Auth-token: ${DEFAULT_TOKEN}`);
+    console.log(`Apps: ${fixtures.apps.map((a) => `${a.id} (${a.name})`).join(', ') || 'none'}`);
+  });
+}
@@ -0,0 +1,678 @@
+/**
+ * PDF Text Extraction
+ *
+ * Pulls the text out of a PDF, page by page, without any third-party
+ * library or service — files never leave the server. It deliberately
+ * reads only what typical documents (exported from Word, Google Docs,
+ * LaTeX, ...) use, each part covered by tests/pdf-text.test.js:
+ *
+ * - objects in the file body and in compressed object streams (PDF 1.5+),
+ *   later definitions replacing earlier ones (incremental updates)
+ * - uncompressed and FlateDecode content streams
+ * - the page tree from the document catalog, with inherited resources
+ * - Tj / TJ / ' / " text operators, with line breaks from Td / TD / Tm / T*
+ * - ToUnicode CMaps for fonts that have them (bfchar / bfrange),
+ *   otherwise single-byte Latin text
+ * - inline images, skipped
+ *
+ * Not supported — such text is missing or garbled, never an error:
+ *
+ * - text in form XObjects (Do), annotations and form fields
+ * - filters other than FlateDecode (LZW, ASCII85, RunLength, ...)
+ * - font encodings without a ToUnicode CMap (/Differences, Type 3 fonts)
+ * - layout: text comes in content-stream order, not by position on the page
+ *
+ * Objects are found by scanning for "N 0 obj" rather than through the
+ * xref table. Scanned PDFs (images of text) come back empty; encrypted
+ * PDFs, files without a page tree and files too damaged to parse are
+ * rejected with a PdfTextError.
+ *
+ * Parsing runs on the server's event loop, so it pauses between pages
+ * (and every few hundred objects) to let other requests through, and
+ * stops early once the caller's signal fires.
+ *
+ * Best practices applied:
+ * - Pure Functions: a Buffer in, plain objects out, no I/O
+ * - Defensive Parsing: a damaged object or stream is skipped instead of
+ *   failing the whole document, and anything else unexpected becomes a
+ *   PdfTextError rather than escaping as a TypeError
+ * - Bounded Work: decompressed stream data is capped per document, so a
+ *   small file cannot inflate into gigabytes
+ */
+
+const zlib = require('zlib');
+const { setImmediate: nextTick } = require('timers/promises');
+
+// TJ adjustments (thousandths of an em) this far left read as a word gap
+const TJ_SPACE_THRESHOLD = -200;
+
+// Decompressed stream data read from one document, in bytes
+const MAX_DECODED_BYTES = 64 * 1024 * 1024;
+
+// Objects parsed between pauses for the event loop
+const OBJECTS_PER_PAUSE = 250;
+
+/**
+ * Raised for PDFs whose text cannot be read at all.
+ */
+class PdfTextError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PdfTextError';
+  }
+}
+
+/**
+ * Extract the text of every page.
+ *
+ * @param {Buffer} buffer - The PDF file
+ * @param {object} [options={}]
+ * @param {AbortSignal} [options.signal] - Stops extraction at the next pause
+ * @param {number} [options.maxDecodedBytes=67108864] - Decompressed stream data allowed
+ * @returns {Promise<Array<{ page: number, text: string }>>} One item per page, in order
+ *   (text is '' for pages without extractable text)
+ * @throws {PdfTextError} If the file is not a PDF, is encrypted or decompresses
+ *   to more than maxDecodedBytes
+ */
+async function extractPdfPages(buffer, { signal, maxDecodedBytes = MAX_DECODED_BYTES } = {}) {
+  const source = buffer.toString('latin1');
+  if (!source.startsWith('%PDF-')) {
+    throw new PdfTextError('Not a PDF file (it does not start with %PDF-).');
+  }
+  if (/\/Encrypt\s+(\d+\s+\d+\s+R|<<)/.test(source)) {
+    throw new PdfTextError('The PDF is encrypted, so its text cannot be read.');
+  }
+
+  try {
+    // Shared by every stream decoded from this document
+    const budget = { remaining: maxDecodedBytes };
+    const objects = await parseObjects(source, budget, signal);
+    const pages = findPages(objects);
+
+    const result = [];
+    for (const [index, page] of pages.entries()) {
+      await pause(signal);
+      result.push({ page: index + 1, text: pageText(page, objects, budget) });
+    }
+    return result;
+  } catch (error) {
+    if (error instanceof PdfTextError || (signal && signal.aborted)) throw error;
+    throw new PdfTextError('The PDF is damaged, so its text cannot be read.');
+  }
+}
+
+/**
+ * Let other work on the event loop run, then stop if the signal fired.
+ *
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+async function pause(signal) {
+  await nextTick();
+  if (signal) signal.throwIfAborted();
+}
+
+// ---------------------------------------------------------------
+// Objects
+// ---------------------------------------------------------------
+
+/**
+ * Parse every indirect object, including those packed in object streams.
+ *
+ * @param {string} source - The PDF as a latin1 string (one char per byte)
+ * @param {{ remaining: number }} budget - Decompressed bytes left for this document
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Map<number, { dict: object|null, value: *, stream: string|null }>>} By object number
+ */
+async function parseObjects(source, budget, signal) {
+  const objects = new Map();
+  const header = /(\d+)\s+(\d+)\s+obj\b/g;
+  let parsed = 0;
+  let match;
+
+  while ((match = header.exec(source)) !== null) {
+    if (++parsed % OBJECTS_PER_PAUSE === 0) await pause(signal);
+    const start = match.index + match[0].length;
+    try {
+      const parser = new Parser(source, start);
+      const value = parser.readValue();
+      let stream = null;
+
+      // A stream follows its dictionary: "stream" EOL data EOL "endstream"
+      parser.skipWhitespace();
+      if (source.startsWith('stream', parser.pos)) {
+        let dataStart = parser.pos + 'stream'.length;
+        if (source[dataStart] === '\r') dataStart++;
+        if (source[dataStart] === '\n') dataStart++;
+        const length = typeof value.Length === 'number' ? value.Length : -1;
+        const end =
+          length >= 0 && source.startsWith('endstream', skipEol(source, dataStart + length))
+            ? dataStart + length
+            : source.indexOf('endstream', dataStart);
+        stream = source.slice(dataStart, end === -1 ? source.length : end);
+        header.lastIndex = end === -1 ? source.length : end;
+      } else {
+        header.lastIndex = parser.pos;
+      }
+
+      // Later definitions (incremental updates) replace earlier ones
+      objects.set(Number(match[1]), { value, stream });
+    } catch {
+      // Damaged object: skip it and keep reading
+    }
+  }
+
+  for (const object of [...objects.values()]) {
+    if (isDict(object.value) && object.value.Type === '/ObjStm' && object.stream !== null) {
+      await pause(signal);
+      unpackObjectStream(object, objects, budget);
+    }
+  }
+
+  return objects;
+}
+
+/**
+ * Add the objects packed in an object stream (unless defined directly).
+ */
+function unpackObjectStream(object, objects, budget) {
+  const data = decodeStream(object, budget);
+  if (data === null) return;
+
+  const count = object.value.N || 0;
+  const first = object.value.First || 0;
+  const header = new Parser(data, 0);
+  const entries = [];
+  try {
+    for (let i = 0; i < count; i++) {
+      entries.push([header.readValue(), header.readValue()]);
+    }
+  } catch {
+    // A damaged header: keep the entries read before it
+  }
+
+  for (const [number, offset] of entries) {
+    if (objects.has(number)) continue;
+    try {
+      objects.set(number, { value: new Parser(data, first + offset).readValue(), stream: null });
+    } catch {
+      // Skip damaged entries
+    }
+  }
+}
+
+/**
+ * Decoded stream data, or null for filters this module does not handle.
+ *
+ * @param {{ value: object, stream: string }} object - A stream object
+ * @param {{ remaining: number }} budget - Decompressed bytes left; reduced by this stream
+ * @returns {string|null} Latin1 string of the decoded bytes
+ * @throws {PdfTextError} If the stream would use up the rest of the budget
+ */
+function decodeStream(object, budget) {
+  const filters = [].concat(object.value.Filter || []);
+  let data = Buffer.from(object.stream, 'latin1');
+
+  for (const filter of filters) {
+    if (filter !== '/FlateDecode') return null;
+    data = inflate(data, budget);
+    if (data === null) return null;
+  }
+
+  return data.toString('latin1');
+}
+
+/**
+ * Inflate FlateDecode data without going over the document's budget.
+ *
+ * @param {Buffer} data - Compressed bytes
+ * @param {{ remaining: number }} budget - Decompressed bytes left
+ * @returns {Buffer|null} The inflated bytes, or null if the data is damaged
+ * @throws {PdfTextError} If the data inflates past the budget
+ */
+function inflate(data, budget) {
+  try {
+    const output = zlib.inflateSync(data, { maxOutputLength: Math.max(1, budget.remaining) });
+    budget.remaining -= output.length;
+    return output;
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new PdfTextError('The PDF expands to too much data to read; it may be damaged or deliberately oversized.');
+    }
+    return null;
+  }
+}
+
+/**
+ * Follow an indirect reference to its value.
+ */
+function resolve(value, objects) {
+  for (let depth = 0; isRef(value) && depth < 32; depth++) {
+    const object = objects.get(value.ref);
+    value = object ? object.value : null;
+  }
+  return value;
+}
+
+// ---------------------------------------------------------------
+// Pages
+// ---------------------------------------------------------------
+
+/**
+ * The page objects in reading order, each with its inherited resources,
+ * from the page tree under the document catalog.
+ *
+ * @returns {Array<{ dict: object, resources: object }>}
+ * @throws {PdfTextError} If there is no catalog (a damaged file)
+ */
+function findPages(objects) {
+  const catalog = [...objects.values()].find((object) => isDict(object.value) && object.value.Type === '/Catalog');
+  const pages = [];
+  const seen = new Set();
+
+  const walk = (node, inheritedResources, depth) => {
+    const dict = resolve(node, objects);
+    if (!isDict(dict) || depth > 64 || seen.has(dict)) return;
+    seen.add(dict);
+
+    const resources = resolve(dict.Resources, objects) || inheritedResources;
+    if (dict.Type === '/Pages' || Array.isArray(dict.Kids)) {
+      for (const kid of resolve(dict.Kids, objects) || []) walk(kid, resources, depth + 1);
+    } else {
+      pages.push({ dict, resources });
+    }
+  };
+
+  if (!catalog) throw new PdfTextError('The PDF has no page tree, so it may be damaged.');
+  walk(catalog.value.Pages, null, 0);
+  return pages;
+}
+
+/**
+ * The text of one page.
+ */
+function pageText({ dict, resources }, objects, budget) {
+  // Contents is one stream or an array of streams
+  const contents = [].concat(dict.Contents || []);
+  const content = contents
+    .map((ref) => (isRef(ref) ? objects.get(ref.ref) : null))
+    .filter((object) => object && object.stream !== null)
+    .map((object) => decodeStream(object, budget) || '')
+    .join('\n');
+
+  const fonts = loadFonts(resources, objects, budget);
+  return tidyText(runTextOperators(content, fonts));
+}
+
+/**
+ * Character maps for the page's fonts: font resource name → decode function.
+ */
+function loadFonts(resources, objects, budget) {
+  const fonts = new Map();
+  const fontDict = resolve(resources && resources.Font, objects);
+  if (!isDict(fontDict)) return fonts;
+
+  for (const [name, ref] of Object.entries(fontDict)) {
+    const font = resolve(ref, objects);
+    const toUnicode = isDict(font) && isRef(font.ToUnicode) ? objects.get(font.ToUnicode.ref) : null;
+    const cmap = toUnicode && toUnicode.stream !== null ? parseToUnicode(decodeStream(toUnicode, budget) || '') : null;
+    fonts.set(`/${name}`, cmap);
+  }
+
+  return fonts;
+}
+
+/**
+ * Parse a ToUnicode CMap into code → text, with the code width in bytes.
+ *
+ * @param {string} cmap - The decoded CMap program
+ * @returns {{ map: Map<number, string>, bytes: number }|null}
+ */
+function parseToUnicode(cmap) {
+  const map = new Map();
+  let bytes = 1;
+  const hex = (value) => parseInt(value, 16);
+  const unicode = (value) => {
+    let text = '';
+    for (let i = 0; i + 4 <= value.length; i += 4) text += String.fromCharCode(hex(value.slice(i, i + 4)));
+    return text || String.fromCharCode(hex(value));
+  };
+
+  const range = /begincodespacerange\s*<([0-9a-f]+)>/i.exec(cmap);
+  if (range) bytes = Math.max(1, Math.ceil(range[1].length / 2));
+
+  for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, code, text] of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      map.set(hex(code), unicode(text));
+    }
+  }
+
+  for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const pattern = /<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<([0-9a-f]+)>|\[([^\]]*)\])/gi;
+    for (const [, low, high, , start, list] of block[1].matchAll(pattern)) {
+      const from = hex(low);
+      const to = Math.min(hex(high), from + 0xffff);
+      if (start !== undefined) {
+        const base = unicode(start);
+        for (let code = from; code <= to; code++) {
+          map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - from));
+        }
+      } else {
+        [...list.matchAll(/<([0-9a-f]+)>/gi)].forEach(([, text], i) => map.set(from + i, unicode(text)));
+      }
+    }
+  }
+
+  return map.size > 0 ? { map, bytes } : null;
+}
+
+// ---------------------------------------------------------------
+// Content streams
+// ---------------------------------------------------------------
+
+/**
+ * Interpret the text-showing operators of a content stream.
+ *
+ * @param {string} content - Decoded content stream
+ * @param {Map<string, object|null>} fonts - From loadFonts()
+ * @returns {string} Text with line breaks where the text moves to a new line
+ */
+function runTextOperators(content, fonts) {
+  const parser = new Parser(content, 0);
+  const operands = [];
+  let cmap = null;
+  let text = '';
+  let lastY = null;
+
+  const show = (raw) => {
+    text += decodeString(raw, cmap);
+  };
+  const newLine = () => {
+    if (text && !text.endsWith('\n')) text += '\n';
+  };
+
+  for (;;) {
+    let token;
+    try {
+      token = parser.readToken();
+    } catch {
+      break;
+    }
+    if (token === null) break;
+    if (!token.operator) {
+      operands.push(token.value);
+      continue;
+    }
+
+    const args = operands.splice(0);
+    switch (token.operator) {
+      case 'Tf':
+        cmap = fonts.get(args[0]) || null;
+        break;
+      case 'Tj':
+        if (typeof args[0] === 'object' && args[0] !== null && 'string' in args[0]) show(args[0].string);
+        break;
+      case "'":
+      case '"':
+        newLine();
+        if (args.length > 0 && args[args.length - 1] && 'string' in args[args.length - 1]) {
+          show(args[args.length - 1].string);
+        }
+        break;
+      case 'TJ':
+        for (const part of Array.isArray(args[0]) ? args[0] : []) {
+          if (typeof part === 'number') {
+            if (part < TJ_SPACE_THRESHOLD && !/\s$/.test(text)) text += ' ';
+          } else if (part && 'string' in part) {
+            show(part.string);
+          }
+        }
+        break;
+      case 'Td':
+      case 'TD':
+        if (args[1]) newLine();
+        else if (args[0] > 0 && !/\s$/.test(text)) text += ' ';
+        break;
+      case 'Tm':
+        if (lastY !== null && args[5] !== lastY) newLine();
+        lastY = args[5];
+        break;
+      case 'T*':
+        newLine();
+        break;
+      case 'BT':
+        lastY = null;
+        break;
+      case 'ET':
+        newLine();
+        break;
+      case 'BI':
+        parser.skipInlineImage();
+        break;
+      default:
+        break;
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Turn the raw bytes of a PDF string into text through the font's CMap,
+ * or as Latin-1 when the font has none.
+ */
+function decodeString(raw, cmap) {
+  if (!cmap) return raw;
+
+  let text = '';
+  for (let i = 0; i + cmap.bytes <= raw.length; i += cmap.bytes) {
+    let code = 0;
+    for (let b = 0; b < cmap.bytes; b++) code = code * 256 + raw.charCodeAt(i + b);
+    text += cmap.map.has(code) ? cmap.map.get(code) : '';
+  }
+  return text;
+}
+
+/**
+ * Normalize whitespace line by line and drop empty lines.
+ */
+function tidyText(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/[\s\u0000]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+// ---------------------------------------------------------------
+// Tokenizer for PDF object syntax and content streams
+// ---------------------------------------------------------------
+
+const WHITESPACE = new Set(['\0', '\t', '\n', '\f', '\r', ' ']);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+class Parser {
+  constructor(source, pos) {
+    this.source = source;
+    this.pos = pos;
+  }
+
+  skipWhitespace() {
+    const { source } = this;
+    while (this.pos < source.length) {
+      const char = source[this.pos];
+      if (WHITESPACE.has(char)) {
+        this.pos++;
+      } else if (char === '%') {
+        while (this.pos < source.length && source[this.pos] !== '\n' && source[this.pos] !== '\r') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read one object value: number, name, string, array, dictionary,
+   * reference ("12 0 R"), boolean or null.
+   */
+  readValue() {
+    const token = this.readToken();
+    if (token === null) throw new Error('Unexpected end of data');
+    if (token.operator) {
+      if (token.operator === 'true' || token.operator === 'false') return token.operator === 'true';
+      if (token.operator === 'null') return null;
+      throw new Error(`Unexpected ${token.operator}`);
+    }
+    return token.value;
+  }
+
+  /**
+   * Read one token: { value } for operands, { operator } for keywords and
+   * operators, null at the end. Integers followed by "<int> R" become
+   * references.
+   */
+  readToken() {
+    this.skipWhitespace();
+    const { source } = this;
+    if (this.pos >= source.length) return null;
+
+    const char = source[this.pos];
+
+    if (char === '/') {
+      let end = this.pos + 1;
+      while (end < source.length && !WHITESPACE.has(source[end]) && !DELIMITERS.has(source[end])) end++;
+      const name = source.slice(this.pos, end);
+      this.pos = end;
+      return { value: name };
+    }
+
+    if (char === '(') return { value: { string: this.readLiteralString() } };
+
+    if (char === '<' && source[this.pos + 1] === '<') {
+      this.pos += 2;
+      const dict = {};
+      for (;;) {
+        this.skipWhitespace();
+        if (source.startsWith('>>', this.pos)) {
+          this.pos += 2;
+          return { value: dict };
+        }
+        const key = this.readToken();
+        if (key === null) throw new Error('Unterminated dictionary');
+        dict[String(key.value).slice(1)] = this.readValue();
+      }
+    }
+
+    if (char === '<') {
+      const end = source.indexOf('>', this.pos);
+      if (end === -1) throw new Error('Unterminated hex string');
+      let hex = source.slice(this.pos + 1, end).replace(/[^0-9a-f]/gi, '');
+      if (hex.length % 2) hex += '0';
+      this.pos = end + 1;
+      return { value: { string: Buffer.from(hex, 'hex').toString('latin1') } };
+    }
+
+    if (char === '[') {
+      this.pos++;
+      const items = [];
+      for (;;) {
+        this.skipWhitespace();
+        if (source[this.pos] === ']') {
+          this.pos++;
+          return { value: items };
+        }
+        if (this.pos >= source.length) throw new Error('Unterminated array');
+        items.push(this.readValue());
+      }
+    }
+
+    if (char === ']' || char === '>' || char === ')' || char === '{' || char === '}') {
+      this.pos++;
+      return { operator: char };
+    }
+
+    // Number or keyword / operator
+    let end = this.pos;
+    while (end < source.length && !WHITESPACE.has(source[end]) && !DELIMITERS.has(source[end])) end++;
+    if (end === this.pos) end++;
+    const word = source.slice(this.pos, end);
+    this.pos = end;
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      const number = Number(word);
+      // "12 0 R" is a reference to object 12
+      const reference = /^\s+(\d+)\s+R(?![^\s\0\/\[\]<>()%])/.exec(source.slice(this.pos, this.pos + 24));
+      if (Number.isInteger(number) && reference) {
+        this.pos += reference[0].length;
+        return { value: { ref: number } };
+      }
+      return { value: number };
+    }
+
+    return { operator: word };
+  }
+
+  /**
+   * Read a (literal string) with escapes and balanced parentheses.
+   */
+  readLiteralString() {
+    const { source } = this;
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+    let depth = 0;
+    let text = '';
+    this.pos++;
+
+    while (this.pos < source.length) {
+      const char = source[this.pos++];
+      if (char === '\\') {
+        const next = source[this.pos++];
+        if (next in escapes) {
+          text += escapes[next];
+        } else if (/[0-7]/.test(next)) {
+          let octal = next;
+          while (octal.length < 3 && /[0-7]/.test(source[this.pos])) octal += source[this.pos++];
+          text += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          if (source[this.pos] === '\n') this.pos++;
+        } else if (next !== '\n') {
+          text += next;
+        }
+      } else if (char === '(') {
+        depth++;
+        text += char;
+      } else if (char === ')') {
+        if (depth === 0) return text;
+        depth--;
+        text += char;
+      } else {
+        text += char;
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Skip inline image data (BI ... ID <binary> EI).
+   */
+  skipInlineImage() {
+    const data = this.source.indexOf('ID', this.pos);
+    const end = data === -1 ? -1 : this.source.indexOf('EI', data + 2);
+    this.pos = end === -1 ? this.source.length : end + 2;
+  }
+}
+
+function skipEol(source, pos) {
+  while (source[pos] === '\r' || source[pos] === '\n' || source[pos] === ' ') pos++;
+  return pos;
+}
+
+function isDict(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !('ref' in value) && !('string' in value);
+}
+
+function isRef(value) {
+  return value !== null && typeof value === 'object' && 'ref' in value;
+}
+
+module.exports = { extractPdfPages, PdfTextError };
@@ -0,0 +1,188 @@
+/**
+ * Response Cache
+ *
+ * In-process cache for Fliplet API reads, shared by every session so
+ * people asking about the same app within minutes reuse one response.
+ * FlipletApiClient consults it for idempotent requests only.
+ *
+ * Entries are keyed by app ID + method + path + query body. Each endpoint
+ * group (data sources, entries, media) has its own TTL. Once an entry
+ * expires it is revalidated with If-None-Match when the API gave an ETag,
+ * and any write to an app drops everything cached for that app.
+ *
+ * Best practices applied:
+ * - Single Responsibility: storage, freshness and stats only — no HTTP
+ * - Bounded Memory: oldest entries are evicted past maxEntries
+ * - Defensive Copies: cached values are cloned in and out
+ * - Observability: hit/miss/revalidation counts, globally and per tool call
+ */
+
+const { recordCallMetadata } = require('./call-context');
+
+// Default freshness per endpoint group, in milliseconds
+const DEFAULT_TTL_MS = Object.freeze({
+  default: 60 * 1000,
+  dataSources: 60 * 1000,
+  entries: 30 * 1000,
+  media: 5 * 60 * 1000,
+});
+
+// Maximum number of cached responses before the oldest is evicted
+const DEFAULT_MAX_ENTRIES = 500;
+
+// Path pattern → endpoint group (first match wins)
+const ENDPOINT_GROUPS = [
+  { pattern: /^\/v1\/data-sources\/[^/]+\/data/, group: 'entries' },
+  { pattern: /^\/v1\/data-sources/, group: 'dataSources' },
+  { pattern: /^\/v1\/media/, group: 'media' },
+];
+
+class ResponseCache {
+  /**
+   * Create a new ResponseCache.
+   *
+   * @param {object} [options={}] - Configuration options
+   * @param {object} [options.ttlMs] - TTL overrides per endpoint group:
+   *   { default, dataSources, entries, media }. A TTL of 0 disables caching for that group.
+   * @param {number} [options.maxEntries=500] - Maximum cached responses
+   * @param {Function} [options.now=Date.now] - Clock (injectable for testing)
+   */
+  constructor(options = {}) {
+    this._ttlMs = { ...DEFAULT_TTL_MS, ...options.ttlMs };
+    this._maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this._now = options.now || Date.now;
+
+    // key → { appId, data, etag, expiresAt }
+    this._entries = new Map();
+    this._stats = { hits: 0, misses: 0, revalidated: 0, invalidations: 0 };
+  }
+
+  /**
+   * Build the cache key for a request.
+   *
+   * @param {string} appId - The Fliplet app the request belongs to
+   * @param {string} method - HTTP method
+   * @param {string} path - API path including query string
+   * @param {object|null} body - Request body (e.g. a data query)
+   * @returns {string} Cache key
+   */
+  key(appId, method, path, body) {
+    return `${appId}|${method} ${path}|${body ? JSON.stringify(body) : ''}`;
+  }
+
+  /**
+   * Look up a cached response.
+   *
+   * @param {string} key - Cache key from key()
+   * @returns {{ fresh: boolean, data: *, etag: string|null }|null} The entry
+   *   (fresh, or stale but revalidatable via ETag), or null on a miss
+   */
+  lookup(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return null;
+
+    const fresh = this._now() < entry.expiresAt;
+
+    // A stale entry without an ETag can't be revalidated — treat as gone
+    if (!fresh && !entry.etag) {
+      this._entries.delete(key);
+      return null;
+    }
+
+    return { fresh, data: structuredClone(entry.data), etag: entry.etag };
+  }
+
+  /**
+   * Store a response.
+   *
+   * @param {string} key - Cache key from key()
+   * @param {object} meta - Where the response came from
+   * @param {string} meta.appId - The app it belongs to (for invalidation)
+   * @param {string} meta.path - API path (selects the TTL)
+   * @param {*} data - Parsed response body
+   * @param {string|null} [etag=null] - ETag header from the response
+   */
+  store(key, { appId, path }, data, etag = null) {
+    const ttl = this.ttlFor(path);
+    if (ttl <= 0) return;
+
+    // Re-insert so Map order tracks recency for eviction
+    this._entries.delete(key);
+    this._entries.set(key, {
+      appId: String(appId),
+      data: structuredClone(data),
+      etag,
+      expiresAt: this._now() + ttl,
+    });
+
+    while (this._entries.size > this._maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Mark a stale entry fresh again after a 304 Not Modified.
+   *
+   * @param {string} key - Cache key from key()
+   * @param {string} path - API path (selects the TTL)
+   */
+  refresh(key, path) {
+    const entry = this._entries.get(key);
+    if (entry) entry.expiresAt = this._now() + this.ttlFor(path);
+  }
+
+  /**
+   * Drop every cached response for an app (called after any write).
+   *
+   * @param {string} appId - The app whose data changed
+   */
+  invalidate(appId) {
+    for (const [key, entry] of this._entries) {
+      if (entry.appId === String(appId)) this._entries.delete(key);
+    }
+    this._stats.invalidations++;
+  }
+
+  /**
+   * Drop everything.
+   */
+  clear() {
+    this._entries.clear();
+  }
+
+  /**
+   * Count a lookup outcome, globally and for the current tool call.
+   *
+   * @param {'hits'|'misses'|'revalidated'} outcome - What happened
+   */
+  record(outcome) {
+    this._stats[outcome]++;
+    recordCallMetadata('cache', (stats = { hits: 0, misses: 0, revalidated: 0 }) => ({
+      ...stats,
+      [outcome]: stats[outcome] + 1,
+    }));
+  }
+
+  /**
+   * Get cumulative cache statistics.
+   *
+   * @returns {{ hits: number, misses: number, revalidated: number, invalidations: number, size: number }}
+   */
+  getStats() {
+    return { ...this._stats, size: this._entries.size };
+  }
+
+  /**
+   * Resolve the TTL for an API path.
+   *
+   * @param {string} path - API path
+   * @returns {number} TTL in milliseconds
+   */
+  ttlFor(path) {
+    const match = ENDPOINT_GROUPS.find(({ pattern }) => pattern.test(path));
+    const ttl = match ? this._ttlMs[match.group] : undefined;
+    return ttl ?? this._ttlMs.default;
+  }
+}
+
+module.exports = { ResponseCache };
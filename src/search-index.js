@@ -0,0 +1,218 @@
+/**
+ * Search Index
+ *
+ * An in-memory inverted index with BM25 ranking: term → the documents
+ * containing it and how often. Documents can be added, replaced and
+ * removed one at a time, so an index is kept current by re-indexing only
+ * what changed (see content-index.js) instead of rebuilding it.
+ *
+ * Every document and query goes through the same tokenize(), so a query
+ * matches the same words whether they were typed, stored in an entry or
+ * read from a PDF. media-text.js ranks a file's chunks with a throwaway
+ * SearchIndex, so excerpts and search hits are scored the same way.
+ *
+ * Best practices applied:
+ * - Single Responsibility: knows nothing about Fliplet, only documents
+ * - Incremental Updates: upsert() / remove() touch one document's postings
+ */
+
+// BM25 parameters (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Common English words that say nothing about what a passage is about
+const STOP_WORDS = new Set(
+  (
+    'a an and are as at be but by can do does for from has have how i if in into is it its ' +
+    'me my no not of on or our so than that the their them then there these they this to ' +
+    'us was we were what when where which who why will with you your'
+  ).split(' ')
+);
+
+// Snippets are cut to about this many characters around the best match
+const SNIPPET_CHARS = 200;
+
+class SearchIndex {
+  constructor() {
+    this._documents = new Map(); // id → { text, meta, terms, length }
+    this._postings = new Map(); // term → Map<id, frequency>
+    this._totalLength = 0;
+  }
+
+  /**
+   * Number of documents indexed.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this._documents.size;
+  }
+
+  /**
+   * Whether a document is indexed.
+   *
+   * @param {string} id - Document ID
+   * @returns {boolean}
+   */
+  has(id) {
+    return this._documents.has(id);
+  }
+
+  /**
+   * Add a document, or replace the one with the same ID.
+   *
+   * @param {string} id - Unique document ID
+   * @param {string} text - The text to index (also the source of snippets)
+   * @param {object} [meta={}] - Returned with every hit (e.g. { dataSourceId, entryId })
+   * @returns {SearchIndex} this, for chaining
+   */
+  upsert(id, text, meta = {}) {
+    this.remove(id);
+
+    const terms = tokenize(text);
+    const counts = new Map();
+    terms.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+
+    for (const [term, frequency] of counts) {
+      if (!this._postings.has(term)) this._postings.set(term, new Map());
+      this._postings.get(term).set(id, frequency);
+    }
+
+    this._documents.set(id, { text, meta, terms: [...counts.keys()], length: terms.length });
+    this._totalLength += terms.length;
+    return this;
+  }
+
+  /**
+   * Remove a document (no-op if it is not indexed).
+   *
+   * @param {string} id - Document ID
+   * @returns {boolean} True if a document was removed
+   */
+  remove(id) {
+    const document = this._documents.get(id);
+    if (!document) return false;
+
+    for (const term of document.terms) {
+      const posting = this._postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) this._postings.delete(term);
+    }
+
+    this._documents.delete(id);
+    this._totalLength -= document.length;
+    return true;
+  }
+
+  /**
+   * Remove every document whose ID passes a test.
+   *
+   * @param {Function} predicate - (id, meta) → boolean
+   * @returns {number} How many documents were removed
+   */
+  removeWhere(predicate) {
+    const ids = [...this._documents.entries()].filter(([id, doc]) => predicate(id, doc.meta)).map(([id]) => id);
+    ids.forEach((id) => this.remove(id));
+    return ids.length;
+  }
+
+  /**
+   * Find the documents matching a query, best first.
+   *
+   * @param {string} query - Words to look for
+   * @param {object} [options={}]
+   * @param {number} [options.limit=10] - Most hits to return
+   * @param {Function} [options.filter] - (meta) → boolean; only matching documents are ranked
+   * @returns {{ total: number, hits: Array<{ id: string, score: number, meta: object, snippet: string }> }}
+   *   `total` counts every matching document, not just those returned
+   */
+  search(query, { limit = 10, filter } = {}) {
+    const terms = [...new Set(tokenize(query))].filter((term) => this._postings.has(term));
+    if (terms.length === 0) return { total: 0, hits: [] };
+
+    const count = this._documents.size;
+    const averageLength = this._totalLength / count || 1;
+    const scores = new Map();
+
+    for (const term of terms) {
+      const posting = this._postings.get(term);
+      const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const [id, frequency] of posting) {
+        const document = this._documents.get(id);
+        if (filter && !filter(document.meta)) continue;
+
+        const norm = BM25_K1 * (1 - BM25_B + (BM25_B * document.length) / averageLength);
+        scores.set(id, (scores.get(id) || 0) + (idf * frequency * (BM25_K1 + 1)) / (frequency + norm));
+      }
+    }
+
+    const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+    const hits = ranked.slice(0, limit).map(([id, score]) => {
+      const { text, meta } = this._documents.get(id);
+      return { id, score, meta, snippet: makeSnippet(text, terms) };
+    });
+
+    return { total: ranked.length, hits };
+  }
+}
+
+/**
+ * Split text into lower-case search terms.
+ *
+ * Accents are folded ("café" → "cafe"), stop words and single letters
+ * dropped and a plural "s" removed, so "Refunds" matches "refund".
+ *
+ * @param {string} text - Any text
+ * @returns {string[]} Terms, in order (with repeats)
+ */
+function tokenize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    // Stray letters ("King's" → "king", "s") carry no meaning; numbers do
+    .filter((term) => (term.length > 1 || /\d/.test(term)) && !STOP_WORDS.has(term))
+    .map((term) => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+/**
+ * The part of a document that best shows why it matched: the line with
+ * the most query terms, cut to about SNIPPET_CHARS around the first one.
+ *
+ * @param {string} text - The document text
+ * @param {string[]} terms - Query terms found in the index
+ * @returns {string}
+ */
+function makeSnippet(text, terms) {
+  const wanted = new Set(terms);
+  const lines = text.split('\n').filter((line) => line.trim());
+  if (lines.length === 0) return '';
+
+  let best = lines[0];
+  let bestCount = 0;
+  for (const line of lines) {
+    const found = new Set(tokenize(line).filter((term) => wanted.has(term))).size;
+    if (found > bestCount) {
+      best = line;
+      bestCount = found;
+    }
+  }
+
+  const line = best.trim();
+  if (line.length <= SNIPPET_CHARS) return line;
+
+  // Centre the window on the first word that matched
+  const words = line.split(/(\s+)/);
+  let offset = 0;
+  for (const word of words) {
+    if (tokenize(word).some((term) => wanted.has(term))) break;
+    offset += word.length;
+  }
+  const start = Math.max(0, Math.min(offset - SNIPPET_CHARS / 4, line.length - SNIPPET_CHARS));
+  const snippet = line.slice(start, start + SNIPPET_CHARS).trim();
+  return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_CHARS < line.length ? '…' : ''}`;
+}
+
+module.exports = { SearchIndex, tokenize };
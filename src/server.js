@@ -5,9 +5,15 @@
  * Keeps API keys server-side — the frontend only sends messages.
  *
  * Endpoints:
- *   POST /api/chat    — Send a message, get AI response
- *   POST /api/reset   — Clear conversation history for a session
- *   GET  /api/health  — Health check
+ *   POST /api/chat         — Send a message, get AI response
+ *   POST /api/chat/stream  — Same, streamed as Server-Sent Events
+ *   POST /api/actions/:actionId/confirm — Apply a proposed data change
+ *   POST /api/actions/:actionId/reject  — Discard a proposed data change
+ *   GET  /api/sessions/:sessionId/history — Visible transcript of a session
+ *   POST /api/reset        — Clear conversation history for a session
+ *   GET  /api/auth/me      — Who the request is authenticated as
+ *   GET  /api/apps         — Fliplet apps a session can be bound to
+ *   GET  /api/health       — Health check (never requires auth)
  *
  * Best practices applied:
  * - Separation: createServer() returns an Express app (no listen) for testability
@@ -15,6 +21,9 @@
  * - Error Handling: centralized error middleware
  * - CORS: enabled for frontend cross-origin requests
  * - Session Management: per-session ChatEngine instances via SessionManager
+ * - Authentication: optional pluggable middleware (see auth.js); sessions are
+ *   bound to the authenticated user so IDs cannot be used across users
+ * - Allowlisting: a session's Fliplet app must be one the deployment enables
  */
 
 const express = require('express');
@@ -22,10 +31,14 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
+const { SessionAccessError } = require('./session-manager');
 
 // UUID v4 pattern for session ID validation
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
+// Cap message length to prevent excessive token usage
+const MAX_MESSAGE_LENGTH = 4000;
+
 // Control characters except newline (\n), carriage return (\r), and tab (\t)
 const CONTROL_CHAR_REGEX = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g;
 
@@ -37,9 +50,14 @@ const CONTROL_CHAR_REGEX = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g;
  *
  * @param {object} options - Server dependencies
  * @param {object} options.sessionManager - SessionManager instance
+ * @param {Function} [options.authenticate] - Auth middleware from createAuthMiddleware();
+ *   every route except /api/health requires it when given. Without it the
+ *   server is open and all sessions are anonymous.
+ * @param {object} [options.apps] - FlipletClientPool listing the apps sessions may pick;
+ *   without it every session uses the engine factory's default app
  * @returns {express.Application} Configured Express app (not yet listening)
  */
-function createServer({ sessionManager }) {
+function createServer({ sessionManager, authenticate, apps }) {
   const app = express();
 
   // ---------------------------------------------------------------
@@ -90,58 +108,330 @@ function createServer({ sessionManager }) {
     res.json({ status: 'ok' });
   });
 
+  // Everything below requires a signed-in user when auth is configured
+  if (authenticate) app.use('/api', authenticate);
+
+  /**
+   * The user a request's sessions belong to (null when auth is off).
+   *
+   * @param {express.Request} req - Incoming request
+   * @returns {string|null} User ID
+   */
+  const ownerOf = (req) => (req.user ? req.user.id : null);
+
+  /**
+   * The Fliplet app a session queries.
+   *
+   * @param {string} sessionId - The session identifier
+   * @returns {string|null} App ID (null when the server has no app pool)
+   */
+  const appOf = (sessionId) => sessionManager.getAppId(sessionId) ?? (apps ? apps.defaultAppId : null);
+
+  /**
+   * GET /api/auth/me
+   * Lets the UI check whether its stored credential is still accepted.
+   *
+   * Response:
+   *   { user: { id, method } | null }   (null when auth is off)
+   */
+  app.get('/api/auth/me', (req, res) => {
+    res.json({ user: req.user || null });
+  });
+
+  /**
+   * GET /api/apps
+   * The apps a new session can be bound to, for the UI's app switcher.
+   * Names come from the Fliplet API and are null when it cannot be reached.
+   *
+   * Response:
+   *   { defaultAppId: string|null, apps: [{ id, name }] }
+   */
+  app.get('/api/apps', async (req, res) => {
+    if (!apps) return res.json({ defaultAppId: null, apps: [] });
+
+    let list;
+    try {
+      list = (await apps.listApps()).map(({ id, name }) => ({ id, name }));
+    } catch (err) {
+      console.error(`[${req.id}] Could not list apps:`, err.message);
+      list = apps.appIds.map((id) => ({ id, name: null }));
+    }
+
+    res.json({ defaultAppId: apps.defaultAppId, apps: list });
+  });
+
+  /**
+   * Validate a chat request body and resolve its session.
+   * Sends a 4xx response and returns null when the input is invalid.
+   *
+   * @param {express.Request} req - Incoming request
+   * @param {express.Response} res - Outgoing response
+   * @returns {{ sessionId: string, appId: string|null, engine: object, message: string }|null}
+   */
+  function parseChatRequest(req, res) {
+    const { message, sessionId: requestedSessionId, appId: requestedAppId } = req.body;
+
+    // Validate message input
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      res.status(400).json({
+        error: 'A non-empty "message" string is required in the request body.',
+      });
+      return null;
+    }
+
+    // Cap message length to prevent excessive token usage
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      res.status(400).json({
+        error: `Message exceeds maximum length of ${MAX_MESSAGE_LENGTH} characters.`,
+      });
+      return null;
+    }
+
+    // Validate session ID format if provided (must be UUID v4)
+    if (requestedSessionId && !UUID_REGEX.test(requestedSessionId)) {
+      res.status(400).json({
+        error: 'Invalid sessionId format. Must be a valid UUID.',
+      });
+      return null;
+    }
+
+    // Validate the app selector if provided (must be on the allowlist)
+    const hasAppId = requestedAppId !== undefined && requestedAppId !== null;
+    const isAllowedApp =
+      ['string', 'number'].includes(typeof requestedAppId) && Boolean(apps) && apps.has(requestedAppId);
+    if (hasAppId && !isAllowedApp) {
+      res.status(400).json({
+        error: 'Unknown appId. Use GET /api/apps to list the apps this server can query.',
+      });
+      return null;
+    }
+
+    // Use provided session ID or generate a new one
+    const sessionId = requestedSessionId || sessionManager.generateId();
+
+    // Get (or create) the ChatEngine for this session — someone else's session looks like a missing one
+    let engine;
+    try {
+      engine = sessionManager.getOrCreate(sessionId, ownerOf(req), hasAppId ? String(requestedAppId) : null);
+    } catch (err) {
+      if (!(err instanceof SessionAccessError)) throw err;
+      res.status(404).json({ error: 'Session not found or expired.' });
+      return null;
+    }
+
+    // A session stays on the app it started with
+    const appId = appOf(sessionId);
+    if (hasAppId && String(requestedAppId) !== appId) {
+      res.status(409).json({
+        error: `This conversation is about app ${appId}. Start a new conversation to switch apps.`,
+      });
+      return null;
+    }
+
+    // Sanitize: strip control characters (keep newlines, tabs)
+    const sanitizedMessage = message.trim().replace(CONTROL_CHAR_REGEX, '');
+
+    return { sessionId, appId, engine, message: sanitizedMessage };
+  }
+
   /**
    * POST /api/chat
    * Send a user message and get the AI's response.
    *
    * Request body:
-   *   { message: string, sessionId?: string }
+   *   { message: string, sessionId?: string, appId?: string }
+   *
+   * `appId` picks the app a new session queries (see GET /api/apps); an
+   * existing session keeps its app, and asking for another one is a 409.
    *
    * Response:
-   *   { response: string, sessionId: string }
+   *   { response: string, sessionId: string, appId: string|null, toolCalls: Array, pendingActions: Array }
+   *
+   * `toolCalls` lists the lookups made for this answer (see
+   * ChatEngine.getLastToolActivity()) so the UI can show where it came from.
+   * `pendingActions` lists proposed data changes awaiting the user's approval.
    */
   app.post('/api/chat', async (req, res, next) => {
     try {
-      const { message, sessionId: requestedSessionId } = req.body;
+      const chatRequest = parseChatRequest(req, res);
+      if (!chatRequest) return;
 
-      // Validate message input
-      if (!message || typeof message !== 'string' || message.trim().length === 0) {
-        return res.status(400).json({
-          error: 'A non-empty "message" string is required in the request body.',
-        });
-      }
+      const { sessionId, appId, engine, message } = chatRequest;
 
-      // Cap message length to prevent excessive token usage
-      const MAX_MESSAGE_LENGTH = 4000;
-      if (message.length > MAX_MESSAGE_LENGTH) {
-        return res.status(400).json({
-          error: `Message exceeds maximum length of ${MAX_MESSAGE_LENGTH} characters.`,
-        });
-      }
+      // Send the message to the AI and await the response
+      const response = await engine.chat(message);
+
+      res.json({
+        response,
+        sessionId,
+        appId,
+        toolCalls: engine.getLastToolActivity(),
+        pendingActions: engine.getPendingActions(),
+      });
+    } catch (err) {
+      next(err); // Forward to error handling middleware
+    }
+  });
 
-      // Validate session ID format if provided (must be UUID v4)
-      if (requestedSessionId && !UUID_REGEX.test(requestedSessionId)) {
-        return res.status(400).json({
-          error: 'Invalid sessionId format. Must be a valid UUID.',
-        });
+  /**
+   * POST /api/chat/stream
+   * Server-Sent Events variant of POST /api/chat.
+   *
+   * Request body:
+   *   { message: string, sessionId?: string, appId?: string }
+   *
+   * Response (text/event-stream), one event per engine event:
+   *   event: session      data: { sessionId, appId }
+   *   event: text         data: { type, delta }
+   *   event: tool_call    data: { type, id, name, arguments }
+   *   event: tool_result  data: { type, id, name, arguments, status, durationMs, ... }
+   *   event: pending_action data: { type, action }
+   *   event: done         data: { type, response }
+   *   event: error        data: { error }   (only if the engine throws)
+   */
+  app.post('/api/chat/stream', async (req, res, next) => {
+    let chatRequest;
+    try {
+      chatRequest = parseChatRequest(req, res);
+    } catch (err) {
+      return next(err);
+    }
+    if (!chatRequest) return;
+
+    const { sessionId, appId, engine, message } = chatRequest;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    // Keep writing only while the client is listening. The engine always runs
+    // to completion so its history never ends up with unanswered tool calls.
+    const send = (event, data) => {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('session', { sessionId, appId });
+
+    try {
+      for await (const event of engine.chatStream(message)) {
+        send(event.type, event);
       }
+    } catch (err) {
+      // Headers are already sent, so report the failure in-band
+      console.error(`[${req.id}] Stream error:`, err.message, err.stack);
+      send('error', { error: 'An internal error occurred. Please try again.' });
+    }
 
-      // Use provided session ID or generate a new one
-      const sessionId = requestedSessionId || sessionManager.generateId();
+    res.end();
+  });
 
-      // Get (or create) the ChatEngine for this session
-      const engine = sessionManager.getOrCreate(sessionId);
+  /**
+   * Resolve the engine and pending action targeted by an action route.
+   * Sends an error response and returns null when either is missing.
+   *
+   * @param {express.Request} req - Incoming request
+   * @param {express.Response} res - Outgoing response
+   * @returns {object|null} The session's ChatEngine
+   */
+  function findActionEngine(req, res) {
+    const { sessionId } = req.body;
 
-      // Sanitize: strip control characters (keep newlines, tabs)
-      const sanitizedMessage = message.trim().replace(CONTROL_CHAR_REGEX, '');
+    if (!sessionId || typeof sessionId !== 'string' || !UUID_REGEX.test(sessionId)) {
+      res.status(400).json({ error: 'A valid "sessionId" is required in the request body.' });
+      return null;
+    }
 
-      // Send the message to the AI and await the response
-      const response = await engine.chat(sanitizedMessage);
+    if (!UUID_REGEX.test(req.params.actionId) || !sessionManager.has(sessionId, ownerOf(req))) {
+      res.status(404).json({ error: 'Action not found or already resolved.' });
+      return null;
+    }
 
-      res.json({ response, sessionId });
+    return sessionManager.getOrCreate(sessionId, ownerOf(req));
+  }
+
+  /**
+   * POST /api/actions/:actionId/confirm
+   * Apply a data change the AI proposed, after the user approved it.
+   *
+   * Request body:
+   *   { sessionId: string }
+   *
+   * Response:
+   *   { status: 'applied'|'failed'|'unknown', message: string, action: object }
+   */
+  app.post('/api/actions/:actionId/confirm', async (req, res, next) => {
+    try {
+      const engine = findActionEngine(req, res);
+      if (!engine) return;
+
+      const outcome = await engine.confirmAction(req.params.actionId);
+      if (!outcome) {
+        return res.status(404).json({ error: 'Action not found or already resolved.' });
+      }
+
+      res.json({ status: outcome.status, message: outcome.message, action: outcome.action });
     } catch (err) {
-      next(err); // Forward to error handling middleware
+      next(err);
+    }
+  });
+
+  /**
+   * POST /api/actions/:actionId/reject
+   * Discard a data change the AI proposed.
+   *
+   * Request body:
+   *   { sessionId: string }
+   *
+   * Response:
+   *   { status: 'rejected', message: string, action: object }
+   */
+  app.post('/api/actions/:actionId/reject', (req, res) => {
+    const engine = findActionEngine(req, res);
+    if (!engine) return;
+
+    const outcome = engine.rejectAction(req.params.actionId);
+    if (!outcome) {
+      return res.status(404).json({ error: 'Action not found or already resolved.' });
     }
+
+    res.json(outcome);
+  });
+
+  /**
+   * GET /api/sessions/:sessionId/history
+   * The conversation so far, so the UI can redraw it after a page reload.
+   * Tool messages are left out; the lookups behind each answer are attached
+   * to it as `toolCalls` (see ChatEngine.getTranscript()).
+   *
+   * Response:
+   *   { sessionId: string, appId: string|null, messages: Array, summary: string|null, pendingActions: Array }
+   *
+   * `summary` covers earlier turns that were condensed and are no longer in `messages`.
+   */
+  app.get('/api/sessions/:sessionId/history', (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!UUID_REGEX.test(sessionId)) {
+      return res.status(400).json({ error: 'Invalid sessionId format. Must be a valid UUID.' });
+    }
+
+    if (!sessionManager.has(sessionId, ownerOf(req))) {
+      return res.status(404).json({ error: 'Session not found or expired.' });
+    }
+
+    const engine = sessionManager.getOrCreate(sessionId, ownerOf(req));
+
+    res.json({
+      sessionId,
+      appId: appOf(sessionId),
+      messages: engine.getTranscript(),
+      summary: engine.getSummary(),
+      pendingActions: engine.getPendingActions(),
+    });
   });
 
   /**
@@ -165,8 +455,8 @@ function createServer({ sessionManager }) {
     }
 
     // Get the engine and reset its history
-    if (sessionManager.has(sessionId)) {
-      const engine = sessionManager.getOrCreate(sessionId);
+    if (sessionManager.has(sessionId, ownerOf(req))) {
+      const engine = sessionManager.getOrCreate(sessionId, ownerOf(req));
       engine.reset();
     }
 
@@ -4,8 +4,22 @@
  * Maintains per-session ChatEngine instances so multiple users
  * can chat concurrently without sharing conversation history.
  *
+ * With a session store (see session-store.js), conversations outlive the
+ * process: active sessions are written to the store periodically and on
+ * shutdown, and a session missing from memory (after a restart or an
+ * eviction) is rehydrated from the store the next time it is used.
+ *
+ * When the server authenticates users, each session is bound to the user
+ * who created it: another user presenting the same session ID is treated
+ * as if the session did not exist, so guessing a UUID reveals nothing.
+ *
+ * A session may also be bound to one Fliplet app (when the deployment
+ * serves several): the app is chosen when the session is created and
+ * passed to the engine factory, so switching apps means a new session.
+ *
  * Best practices applied:
  * - Factory Pattern: engine creation is delegated to an injectable factory
+ * - Strategy Pattern: persistence is delegated to an injectable store
  * - Encapsulation: sessions stored in a private Map
  * - Crypto-safe IDs: uses Node's crypto.randomUUID() for session IDs
  */
@@ -18,16 +32,37 @@ const DEFAULT_SESSION_TTL_MS = 30 * 60 * 1000;
 // Maximum number of concurrent sessions to prevent memory exhaustion
 const DEFAULT_MAX_SESSIONS = 100;
 
+// How often changed sessions are written to the store
+const DEFAULT_FLUSH_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Thrown when a session is requested by someone other than its owner.
+ */
+class SessionAccessError extends Error {
+  /**
+   * @param {string} sessionId - The session that was requested
+   */
+  constructor(sessionId) {
+    super(`Session ${sessionId} belongs to another user`);
+    this.name = 'SessionAccessError';
+    this.sessionId = sessionId;
+  }
+}
+
 class SessionManager {
   /**
    * Create a new SessionManager.
    *
    * @param {Function} engineFactory - Factory function that creates a new ChatEngine.
-   *   Called with no arguments, must return a ChatEngine-like object with
-   *   chat(), reset(), and getHistory() methods.
+   *   Called with the session's app ID (null for the default app), must return a ChatEngine-like object with
+   *   chat(), reset(), getHistory() and isBusy() methods — plus serialize() and
+   *   restore() when a store is used.
    * @param {object} [options={}] - Configuration options
    * @param {number} [options.sessionTtlMs=1800000] - Session TTL in milliseconds (default: 30 min)
-   * @param {number} [options.maxSessions=100] - Maximum concurrent sessions
+   * @param {number} [options.maxSessions=100] - Maximum concurrent sessions in memory
+   * @param {object} [options.store=null] - Session store for persistence
+   *   (e.g. FileSessionStore); sessions live in memory only when omitted
+   * @param {number} [options.flushIntervalMs=15000] - How often changed sessions are saved
    * @throws {Error} If engineFactory is not provided
    */
   constructor(engineFactory, options = {}) {
@@ -38,60 +73,180 @@ class SessionManager {
     this._factory = engineFactory;
     this._sessionTtlMs = options.sessionTtlMs || DEFAULT_SESSION_TTL_MS;
     this._maxSessions = options.maxSessions || DEFAULT_MAX_SESSIONS;
+    this._store = options.store || null;
 
-    // Map of sessionId → { engine, lastAccessed }
+    // Map of sessionId → { engine, ownerId, appId, createdAt, lastAccessed, dirty }
     this._sessions = new Map();
 
+    // Sessions evicted while their final save is still being written
+    // (sessionId → session), so they come back from memory, not a stale file
+    this._evicting = new Map();
+
     // Run cleanup every 5 minutes
     this._cleanupInterval = setInterval(() => this._evictExpired(), 5 * 60 * 1000);
     // Allow the Node process to exit even if the interval is still active
     if (this._cleanupInterval.unref) this._cleanupInterval.unref();
+
+    // Save changed sessions periodically so a crash loses little
+    this._flushInterval = null;
+    this._scheduledFlush = null;
+    if (this._store) {
+      this._flushInterval = setInterval(
+        () => this._flushOnSchedule(),
+        options.flushIntervalMs || DEFAULT_FLUSH_INTERVAL_MS
+      );
+      if (this._flushInterval.unref) this._flushInterval.unref();
+    }
   }
 
   /**
    * Get an existing session's engine or create a new one.
+   * A session that is not in memory but still in the store is restored
+   * from there, so the conversation picks up where it left off.
    *
    * @param {string} sessionId - The session identifier
+   * @param {string|null} [ownerId=null] - The authenticated user (null when auth is off);
+   *   a new session is bound to this user
+   * @param {string|null} [appId=null] - The app a new session queries (null = the default app);
+   *   ignored for existing sessions — see getAppId()
    * @returns {object} The ChatEngine instance for this session
+   * @throws {SessionAccessError} If the session belongs to a different user
    */
-  getOrCreate(sessionId) {
-    // Touch timestamp on access
+  getOrCreate(sessionId, ownerId = null, appId = null) {
+    // Touch timestamp on access; the caller is about to use it, so it may change
     if (this._sessions.has(sessionId)) {
       const session = this._sessions.get(sessionId);
+      if (session.ownerId !== ownerId) throw new SessionAccessError(sessionId);
       session.lastAccessed = Date.now();
+      session.dirty = true;
       return session.engine;
     }
 
+    // Still being saved after an eviction: the store may not have it yet
+    const evicted = this._evicting.get(sessionId);
+    if (evicted) {
+      if (evicted.ownerId !== ownerId) throw new SessionAccessError(sessionId);
+      if (this._sessions.size >= this._maxSessions) this._evictOldest();
+      this._evicting.delete(sessionId);
+      evicted.lastAccessed = Date.now();
+      evicted.dirty = true;
+      this._sessions.set(sessionId, evicted);
+      return evicted.engine;
+    }
+
+    const record = this._loadRecord(sessionId);
+    if (record && (record.ownerId ?? null) !== ownerId) throw new SessionAccessError(sessionId);
+
     // Evict oldest session if at capacity
     if (this._sessions.size >= this._maxSessions) {
       this._evictOldest();
     }
 
-    // Create a fresh ChatEngine for this session
-    const engine = this._factory();
-    this._sessions.set(sessionId, { engine, lastAccessed: Date.now() });
+    // Create a fresh ChatEngine for this session's app, rehydrated if it was stored
+    const sessionAppId = record ? record.appId ?? null : appId;
+    const engine = this._factory(sessionAppId);
+    let createdAt = Date.now();
+
+    if (record) {
+      try {
+        engine.restore(record.state);
+        createdAt = record.createdAt || createdAt;
+      } catch (error) {
+        console.error(`Could not restore session ${sessionId}:`, error.message);
+      }
+    }
+
+    this._sessions.set(sessionId, {
+      engine,
+      ownerId,
+      appId: sessionAppId,
+      createdAt,
+      lastAccessed: Date.now(),
+      dirty: true,
+    });
 
     return engine;
   }
 
   /**
-   * Check if a session exists.
+   * Check if a session exists for a user, in memory or in the store.
+   * Sessions owned by someone else count as not existing.
    *
    * @param {string} sessionId - The session identifier
-   * @returns {boolean} True if session exists
+   * @param {string|null} [ownerId=null] - The authenticated user (null when auth is off)
+   * @returns {boolean} True if session exists and belongs to ownerId
    */
-  has(sessionId) {
-    return this._sessions.has(sessionId);
+  has(sessionId, ownerId = null) {
+    const session = this._sessions.get(sessionId) || this._evicting.get(sessionId) || this._loadRecord(sessionId);
+    return Boolean(session) && (session.ownerId ?? null) === ownerId;
   }
 
   /**
-   * Destroy a session and free its resources.
+   * The app a session is bound to, in memory or in the store.
+   *
+   * @param {string} sessionId - The session identifier
+   * @returns {string|null} The app ID, or null for the default app (or an unknown session)
+   */
+  getAppId(sessionId) {
+    const session = this._sessions.get(sessionId) || this._evicting.get(sessionId) || this._loadRecord(sessionId);
+    return session ? session.appId ?? null : null;
+  }
+
+  /**
+   * Destroy a session and free its resources, including its stored copy.
    * Safe to call on non-existent sessions (no-op).
    *
    * @param {string} sessionId - The session identifier
    */
   destroy(sessionId) {
     this._sessions.delete(sessionId);
+    this._evicting.delete(sessionId);
+    if (this._store) {
+      this._store
+        .delete(sessionId)
+        .catch((error) => console.error(`Could not delete session ${sessionId}:`, error.message));
+    }
+  }
+
+  /**
+   * Write every session that changed since the last flush to the store.
+   * A session with a turn still in progress stays marked as changed, so
+   * the finished turn is saved on the next flush. Call this during
+   * graceful shutdown. Does nothing without a store.
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (!this._store) return;
+
+    for (const [id, session] of this._sessions) {
+      if (!session.dirty) continue;
+
+      // Cleared before saving so a touch during the write marks it again
+      session.dirty = session.engine.isBusy();
+      try {
+        await this._save(id, session);
+      } catch (error) {
+        session.dirty = true;
+        console.error(`Could not save session ${id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * The periodic flush. Skipped while the previous one is still writing,
+   * so slow storage never piles up overlapping flushes.
+   *
+   * @private
+   */
+  _flushOnSchedule() {
+    if (this._scheduledFlush) return;
+
+    this._scheduledFlush = this.flush()
+      .catch((error) => console.error('Session flush failed:', error.message))
+      .finally(() => {
+        this._scheduledFlush = null;
+      });
   }
 
   /**
@@ -114,37 +269,93 @@ class SessionManager {
         this._sessions.delete(id);
       }
     }
+
+    if (this._store) {
+      this._store
+        .prune(now - this._sessionTtlMs)
+        .catch((error) => console.error('Could not prune stored sessions:', error.message));
+    }
   }
 
   /**
-   * Evict the oldest (least recently accessed) session to make room.
+   * Evict the oldest (least recently accessed) idle session to make room.
+   * Sessions with a turn in progress are never evicted, so when every
+   * session is busy the manager briefly holds more than maxSessions.
+   * With a store, the session is saved first so it can be restored later;
+   * until that save finishes, getOrCreate() takes it back from memory.
    */
   _evictOldest() {
     let oldestId = null;
     let oldestTime = Infinity;
 
     for (const [id, session] of this._sessions) {
-      if (session.lastAccessed < oldestTime) {
+      if (session.lastAccessed < oldestTime && !session.engine.isBusy()) {
         oldestTime = session.lastAccessed;
         oldestId = id;
       }
     }
 
     if (oldestId) {
+      const session = this._sessions.get(oldestId);
       this._sessions.delete(oldestId);
+      if (this._store && session.dirty) {
+        this._evicting.set(oldestId, session);
+        this._save(oldestId, session)
+          .catch((error) => console.error(`Could not save session ${oldestId}:`, error.message))
+          .finally(() => {
+            if (this._evicting.get(oldestId) === session) this._evicting.delete(oldestId);
+          });
+      }
     }
   }
 
   /**
-   * Stop the periodic cleanup interval.
-   * Call this during graceful shutdown.
+   * Read a session's stored record, ignoring expired ones.
+   *
+   * @param {string} sessionId - The session identifier
+   * @returns {object|null} { state, ownerId, appId, createdAt, lastAccessed }, or null
+   * @private
+   */
+  _loadRecord(sessionId) {
+    if (!this._store) return null;
+
+    const record = this._store.load(sessionId);
+    if (!record || Date.now() - record.lastAccessed > this._sessionTtlMs) return null;
+    return record;
+  }
+
+  /**
+   * Write one session to the store.
+   *
+   * @param {string} sessionId - The session identifier
+   * @param {object} session - The in-memory session
+   * @returns {Promise<void>}
+   * @private
+   */
+  _save(sessionId, session) {
+    return this._store.save(sessionId, {
+      state: session.engine.serialize(),
+      ownerId: session.ownerId,
+      appId: session.appId,
+      createdAt: session.createdAt,
+      lastAccessed: session.lastAccessed,
+    });
+  }
+
+  /**
+   * Stop the periodic cleanup and flush intervals.
+   * Call this during graceful shutdown, followed by flush().
    */
   stopCleanup() {
     if (this._cleanupInterval) {
       clearInterval(this._cleanupInterval);
       this._cleanupInterval = null;
     }
+    if (this._flushInterval) {
+      clearInterval(this._flushInterval);
+      this._flushInterval = null;
+    }
   }
 }
 
-module.exports = { SessionManager };
+module.exports = { SessionManager, SessionAccessError };
@@ -0,0 +1,222 @@
+/**
+ * Session Stores
+ *
+ * Persistence backends for SessionManager, so conversations survive
+ * server restarts. A store keeps one record per session:
+ *
+ *   { state, ownerId, appId, createdAt, lastAccessed }
+ *
+ * where `state` is whatever ChatEngine.serialize() produced and `ownerId` is
+ * the user the session belongs to (null when the server runs without auth) and
+ * `appId` the Fliplet app it queries (null for the default app).
+ *
+ * Store interface:
+ *   load(sessionId)          → record or null (synchronous, so
+ *                              SessionManager.getOrCreate() can stay sync)
+ *   save(sessionId, record)  → Promise
+ *   delete(sessionId)        → Promise
+ *   prune(expiredBefore)     → Promise — drop records last accessed before
+ *                              this timestamp
+ *
+ * Stores:
+ * - MemorySessionStore: in-process only (tests, or when persistence is off)
+ * - FileSessionStore: one JSON file per session in a directory
+ *
+ * Best practices applied:
+ * - Strategy Pattern: SessionManager works with any store implementing the interface
+ * - Atomic Writes: files are written to a uniquely named temp file and
+ *   renamed into place, so a crash mid-write never leaves a truncated session
+ * - Ordered Writes: saves and deletes of one session run one after another,
+ *   so an older snapshot can never land on top of a newer one
+ * - Path Safety: session IDs are validated before becoming file names
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Session IDs become file names — allow only UUID-like characters
+const SAFE_ID_REGEX = /^[A-Za-z0-9-]{1,100}$/;
+
+// ---------------------------------------------------------------
+// In-memory store
+// ---------------------------------------------------------------
+
+class MemorySessionStore {
+  constructor() {
+    // sessionId → record (deep-copied in and out, like a real store)
+    this._records = new Map();
+  }
+
+  /**
+   * @param {string} sessionId - The session identifier
+   * @returns {object|null} The stored record, or null if none
+   */
+  load(sessionId) {
+    const record = this._records.get(sessionId);
+    return record ? structuredClone(record) : null;
+  }
+
+  /**
+   * @param {string} sessionId - The session identifier
+   * @param {object} record - { state, ownerId, appId, createdAt, lastAccessed }
+   */
+  async save(sessionId, record) {
+    this._records.set(sessionId, structuredClone(record));
+  }
+
+  /**
+   * @param {string} sessionId - The session identifier
+   */
+  async delete(sessionId) {
+    this._records.delete(sessionId);
+  }
+
+  /**
+   * @param {number} expiredBefore - Drop records last accessed before this time (ms)
+   */
+  async prune(expiredBefore) {
+    for (const [id, record] of this._records) {
+      if (record.lastAccessed < expiredBefore) this._records.delete(id);
+    }
+  }
+}
+
+// ---------------------------------------------------------------
+// File-backed store
+// ---------------------------------------------------------------
+
+class FileSessionStore {
+  /**
+   * Create a store that keeps each session in `<directory>/<sessionId>.json`.
+   * The directory is created if it does not exist.
+   *
+   * @param {object} options
+   * @param {string} options.directory - Where session files live
+   * @throws {Error} If directory is not provided
+   */
+  constructor({ directory } = {}) {
+    if (!directory) {
+      throw new Error('FileSessionStore requires a directory');
+    }
+    this._directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+
+    // sessionId → the last queued write for that session
+    this._queues = new Map();
+  }
+
+  /**
+   * Read a session record. Missing or unreadable files count as no session.
+   *
+   * @param {string} sessionId - The session identifier
+   * @returns {object|null} The stored record, or null if none
+   */
+  load(sessionId) {
+    const file = this._fileFor(sessionId);
+    if (!file) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read session file ${file}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write a session record atomically (temp file + rename). Writes to the
+   * same session are applied in the order they were called.
+   *
+   * @param {string} sessionId - The session identifier
+   * @param {object} record - { state, ownerId, appId, createdAt, lastAccessed }
+   * @throws {Error} If the session ID is not a safe file name
+   */
+  async save(sessionId, record) {
+    const file = this._fileFor(sessionId);
+    if (!file) throw new Error(`Invalid session ID for file store: "${sessionId}"`);
+
+    // Serialized now, so the file holds the record as it was at this call
+    const json = JSON.stringify(record);
+    await this._enqueue(sessionId, async () => {
+      const tempFile = `${file}.${crypto.randomUUID()}.tmp`;
+      try {
+        await fs.promises.writeFile(tempFile, json, { mode: 0o600 });
+        await fs.promises.rename(tempFile, file);
+      } catch (error) {
+        await fs.promises.rm(tempFile, { force: true });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Remove a session file, after any save still being written. Missing
+   * files are ignored.
+   *
+   * @param {string} sessionId - The session identifier
+   */
+  async delete(sessionId) {
+    const file = this._fileFor(sessionId);
+    if (!file) return;
+    await this._enqueue(sessionId, () => fs.promises.rm(file, { force: true }));
+  }
+
+  /**
+   * Remove every session last accessed before the given time.
+   *
+   * @param {number} expiredBefore - Cut-off timestamp (ms)
+   */
+  async prune(expiredBefore) {
+    const names = await fs.promises.readdir(this._directory);
+
+    for (const name of names.filter((n) => n.endsWith('.json'))) {
+      const sessionId = name.slice(0, -'.json'.length);
+      await this._enqueue(sessionId, async () => {
+        const record = this.load(sessionId);
+        if (!record || record.lastAccessed < expiredBefore) {
+          await fs.promises.rm(path.join(this._directory, name), { force: true });
+        }
+      });
+    }
+  }
+
+  /**
+   * Run a write for a session once the writes queued before it have
+   * finished (whether or not they failed).
+   *
+   * @param {string} sessionId - The session identifier
+   * @param {Function} write - Async function doing the write
+   * @returns {Promise<void>} Settles with the write
+   * @private
+   */
+  _enqueue(sessionId, write) {
+    const previous = this._queues.get(sessionId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(write);
+    this._queues.set(sessionId, run);
+
+    // Forget the queue once it drains, so idle sessions hold no memory
+    run
+      .catch(() => {})
+      .then(() => {
+        if (this._queues.get(sessionId) === run) this._queues.delete(sessionId);
+      });
+    return run;
+  }
+
+  /**
+   * Map a session ID to its file path.
+   *
+   * @param {string} sessionId - The session identifier
+   * @returns {string|null} The file path, or null if the ID is unsafe
+   * @private
+   */
+  _fileFor(sessionId) {
+    if (typeof sessionId !== 'string' || !SAFE_ID_REGEX.test(sessionId)) return null;
+    return path.join(this._directory, `${sessionId}.json`);
+  }
+}
+
+module.exports = { MemorySessionStore, FileSessionStore };
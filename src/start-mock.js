@@ -0,0 +1,51 @@
+/**
+ * Mock Mode Entry Point
+ *
+ * Starts the mock Fliplet API (see mock-fliplet-server.js) and then the
+ * chatbot server pointed at it, so the UI can be developed without a
+ * Fliplet account. The LLM settings still come from .env as usual, unless
+ * --fake-llm is given: then the scripted provider answers from its
+ * scenario file (LLM_PROVIDER=fake), so nothing needs an API key.
+ *
+ * The Fliplet settings are set here before start-server.js loads its
+ * config; dotenv never overrides variables that are already set, so
+ * the Fliplet values in .env are ignored in this mode.
+ *
+ * Usage:
+ *   node src/start-mock.js [--fake-llm]
+ *   npm run start:mock
+ *   npm run start:offline   (same as --fake-llm)
+ *
+ * Environment:
+ *   MOCK_FLIPLET_PORT     — Port for the mock API (default 3100)
+ *   MOCK_FLIPLET_FIXTURES — Fixtures directory (default fixtures/mock-fliplet)
+ */
+
+const { createMockFlipletServer, loadFixtures, DEFAULT_TOKEN, DEFAULT_PORT } = require('./mock-fliplet-server');
+
+const port = Number(process.env.MOCK_FLIPLET_PORT) || DEFAULT_PORT;
+const fixtures = loadFixtures(process.env.MOCK_FLIPLET_FIXTURES || undefined);
+const appIds = fixtures.apps.map((app) => String(app.id));
+
+if (appIds.length === 0) {
+  console.error('The mock fixtures define no apps — add at least one to apps.json.');
+  process.exit(1);
+}
+
+createMockFlipletServer({ fixtures }).listen(port, () => {
+  console.log(`Mock Fliplet API running on http://localhost:${port}`);
+
+  Object.assign(process.env, {
+    FLIPLET_API_URL: `http://localhost:${port}`,
+    FLIPLET_API_TOKEN: DEFAULT_TOKEN,
+    FLIPLET_APP_ID: appIds[0],
+    FLIPLET_APP_IDS: appIds.join(','),
+    // Empty (not unset) so real login credentials in .env are not sent to the mock
+    FLIPLET_EMAIL: '',
+    FLIPLET_PASSWORD: '',
+    FLIPLET_CREDENTIALS_FILE: '',
+  });
+  if (process.argv.includes('--fake-llm')) process.env.LLM_PROVIDER = 'fake';
+
+  require('./start-server');
+});
@@ -2,7 +2,9 @@
  * Server Entry Point
  *
  * Boots up the Express backend proxy on the configured port.
- * Wires together real dependencies: config, ChatEngine factory, SessionManager.
+ * Wires together real dependencies: config, the pool of per-app Fliplet clients,
+ * ChatEngine factory, SessionManager and the session store that lets
+ * conversations survive restarts.
  *
  * Usage:
  *   node src/start-server.js
@@ -11,12 +13,18 @@
 
 const { loadConfig } = require('./config');
 const { SessionManager } = require('./session-manager');
+const { FileSessionStore, MemorySessionStore } = require('./session-store');
 const { createServer } = require('./server');
-const OpenAI = require('openai');
-const { FlipletApiClient } = require('./fliplet-client');
+const { createAuthenticators, createAuthMiddleware } = require('./auth');
+const { FlipletClientPool } = require('./fliplet-client-pool');
+const { createCredentialsProvider } = require('./fliplet-auth');
+const { createCassette } = require('./fliplet-cassette');
+const { ResponseCache } = require('./response-cache');
+const { ContentIndexPool } = require('./content-index');
 const { ToolExecutor } = require('./tool-executor');
 const { ChatEngine } = require('./chat-engine');
-const { tools } = require('./tools');
+const { createProvider } = require('./llm-providers');
+const { createToolRegistry } = require('./tools');
 
 // ---------------------------------------------------------------
 // Composition root — assemble real dependencies
@@ -25,22 +33,53 @@ const { tools } = require('./tools');
 const config = loadConfig();
 
 // Shared stateless clients (created once, reused across all sessions)
-const openai = new OpenAI({ apiKey: config.openaiApiKey });
-const flipletClient = new FlipletApiClient(config);
-const toolExecutor = new ToolExecutor(flipletClient);
+const provider = createProvider(config);
+const responseCache = new ResponseCache({ ttlMs: config.flipletCacheTtlMs });
+// Fliplet traffic replayed from (or recorded to) a cassette when FLIPLET_CASSETTE is set
+const cassette = createCassette(config);
+const fetchFn = cassette ? cassette.fetch : undefined;
+// One token for every app and session, renewed by logging in again when Fliplet rejects it
+const credentials = createCredentialsProvider(config, {
+  fetchFn,
+  onRefresh: () => console.log('Fliplet API token was rejected — logged in again and replaced it.'),
+});
+const clientPool = new FlipletClientPool(config, fetchFn, { cache: responseCache, credentials });
+// Built-in tools plus TOOL_PLUGINS_DIR plugins, narrowed by TOOLS_ENABLED / TOOLS_DISABLED
+const toolRegistry = createToolRegistry(config);
+const tools = toolRegistry.definitions();
+// search_app_content's index, one per app, refreshed every SEARCH_INDEX_REFRESH_MINUTES
+const contentIndexes = new ContentIndexPool({ refreshIntervalMs: config.searchIndexRefreshMs });
 
-/** Factory that creates a new ChatEngine for each session (only the engine is per-session) */
-function engineFactory() {
+/**
+ * Factory that creates a new ChatEngine for each session, querying the
+ * session's app (null = the default app). Clients are shared per app.
+ */
+function engineFactory(appId) {
   return new ChatEngine({
-    openai,
-    toolExecutor,
+    provider,
+    toolExecutor: new ToolExecutor(clientPool.get(appId), {
+      apps: clientPool,
+      registry: toolRegistry,
+      contentIndexes,
+    }),
     tools,
-    model: config.openaiModel,
+    model: provider.model,
+    historyTokenBudget: config.historyTokenBudget,
+    summarizeAfterTokens: config.summarizeAfterTokens,
   });
 }
 
-const sessionManager = new SessionManager(engineFactory);
-const app = createServer({ sessionManager });
+const sessionStore =
+  config.sessionStore === 'file'
+    ? new FileSessionStore({ directory: config.sessionStoreDir })
+    : new MemorySessionStore();
+
+const sessionManager = new SessionManager(engineFactory, { store: sessionStore });
+// Require sign-in when API keys or a JWT secret are configured
+const authenticators = createAuthenticators(config);
+const authenticate = authenticators.length > 0 ? createAuthMiddleware(authenticators) : undefined;
+
+const app = createServer({ sessionManager, authenticate, apps: clientPool });
 
 // ---------------------------------------------------------------
 // Start listening
@@ -51,16 +90,33 @@ const PORT = config.port || 3000;
 const server = app.listen(PORT, () => {
   console.log(`Fliplet AI Chatbot server running on http://localhost:${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/api/health`);
+  console.log(`Fliplet apps: ${clientPool.appIds.join(', ')} (default ${clientPool.defaultAppId})`);
+  console.log(`Tools: ${tools.map((tool) => tool.function.name).join(', ')}`);
+  if (cassette) {
+    const action = config.flipletCassetteMode === 'record' ? 'Recording Fliplet API traffic to' : 'Replaying Fliplet API traffic from';
+    console.log(`${action} ${config.flipletCassette}`);
+  }
+  if (!authenticate) {
+    console.warn('Authentication is OFF — anyone who can reach this port can use the chatbot. ' +
+      'Set AUTH_API_KEYS or AUTH_JWT_SECRET to require sign-in.');
+  }
 });
 
 // ---------------------------------------------------------------
-// Graceful shutdown — drain in-flight requests on SIGTERM / SIGINT
+// Graceful shutdown — drain in-flight requests on SIGTERM / SIGINT,
+// then save every session that changed since the last flush
 // ---------------------------------------------------------------
 
 function shutdown(signal) {
   console.log(`\n${signal} received — shutting down gracefully...`);
   sessionManager.stopCleanup();
-  server.close(() => {
+  contentIndexes.close();
+  server.close(async () => {
+    try {
+      await sessionManager.flush();
+    } catch (error) {
+      console.error('Could not save sessions:', error.message);
+    }
     console.log('Server closed. Goodbye!');
     process.exit(0);
   });
@@ -0,0 +1,138 @@
+/**
+ * Token Budget
+ *
+ * Estimates how many tokens a conversation costs and trims it to fit,
+ * one whole turn at a time. A turn is a user message plus everything
+ * that answered it (assistant tool calls, tool results, the final text),
+ * so trimming can never separate a tool result from the tool call it
+ * answers — OpenAI rejects requests where that happens.
+ *
+ * Best practices applied:
+ * - Pure Functions: no state, no I/O — easy to test in isolation
+ * - Conservative Estimates: ~4 characters per token plus per-message
+ *   overhead errs towards trimming a little early rather than too late
+ */
+
+// Rough characters-per-token ratio for English text and JSON
+const CHARS_PER_TOKEN = 4;
+
+// Fixed cost of each message (role, separators) in OpenAI's chat format
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Context window sizes (tokens) by model name prefix — longest prefix wins
+const CONTEXT_WINDOWS = {
+  'gpt-4o': 128000,
+  'gpt-4.1': 1000000,
+  'gpt-4-turbo': 128000,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385,
+  'o1': 200000,
+  'o3': 200000,
+  'o4': 200000,
+  'claude': 200000,
+};
+
+// Used for models not listed above
+const DEFAULT_CONTEXT_WINDOW = 16000;
+
+// Share of the context window given to history; the rest is left for the
+// system prompt, tool schemas, and the model's answer
+const HISTORY_SHARE = 0.5;
+
+/**
+ * Estimate the token cost of one chat message.
+ *
+ * @param {object} message - A chat message ({ role, content, tool_calls? })
+ * @returns {number} Estimated token count
+ */
+function estimateMessageTokens(message) {
+  let chars = 0;
+
+  if (typeof message.content === 'string') {
+    chars += message.content.length;
+  } else if (message.content) {
+    chars += JSON.stringify(message.content).length;
+  }
+
+  for (const toolCall of message.tool_calls || []) {
+    chars += toolCall.function.name.length + (toolCall.function.arguments || '').length;
+  }
+
+  return Math.ceil(chars / CHARS_PER_TOKEN) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Estimate the token cost of a list of messages.
+ *
+ * @param {Array<object>} messages - Chat messages
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(messages) {
+  return messages.reduce((total, message) => total + estimateMessageTokens(message), 0);
+}
+
+/**
+ * Default history budget for a model: half its context window.
+ *
+ * @param {string} model - Model name (e.g. 'gpt-4o-mini')
+ * @returns {number} Token budget for conversation history
+ */
+function historyBudgetForModel(model) {
+  const prefix = Object.keys(CONTEXT_WINDOWS)
+    .filter((name) => String(model).startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  const contextWindow = prefix ? CONTEXT_WINDOWS[prefix] : DEFAULT_CONTEXT_WINDOW;
+  return Math.floor(contextWindow * HISTORY_SHARE);
+}
+
+/**
+ * Split history into turns. Each turn starts at a user message; anything
+ * before the first user message forms its own leading group.
+ *
+ * @param {Array<object>} history - Conversation history
+ * @returns {Array<Array<object>>} Messages grouped by turn, oldest first
+ */
+function groupTurns(history) {
+  const turns = [];
+
+  for (const message of history) {
+    if (message.role === 'user' || turns.length === 0) {
+      turns.push([message]);
+    } else {
+      turns[turns.length - 1].push(message);
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Drop the oldest whole turns until history fits the token budget.
+ * The most recent turn is always kept, even if it alone is over budget,
+ * and the result always starts with a user message.
+ *
+ * @param {Array<object>} history - Conversation history
+ * @param {number} budget - Maximum estimated tokens
+ * @returns {Array<object>} Trimmed history (the same array if nothing was dropped)
+ */
+function trimToBudget(history, budget) {
+  const turns = groupTurns(history);
+
+  // A leading group without a user message (e.g. after an older trim) is never useful
+  if (turns.length > 1 && turns[0][0].role !== 'user') turns.shift();
+
+  const costs = turns.map(estimateTokens);
+  let total = costs.reduce((sum, cost) => sum + cost, 0);
+  let start = 0;
+
+  while (total > budget && start < turns.length - 1) {
+    total -= costs[start];
+    start++;
+  }
+
+  if (start === 0 && turns.flat().length === history.length) return history;
+  return turns.slice(start).flat();
+}
+
+module.exports = { estimateMessageTokens, estimateTokens, historyBudgetForModel, groupTurns, trimToBudget };
@@ -1,51 +1,126 @@
 /**
  * Tool Executor
  *
- * Bridges AI tool calls to FlipletApiClient methods.
- * When the AI decides to call a tool, this class:
- * 1. Looks up the tool name in a dispatch map
- * 2. Extracts and forwards the correct arguments
- * 3. Returns the result (or a structured error) to feed back to the AI
+ * Runs AI tool calls. When the AI decides to call a tool, this class:
+ * 1. Looks up the tool's plugin in the ToolRegistry
+ * 2. Validates the arguments against the plugin's schema
+ * 3. Runs the plugin's handler against this app's FlipletApiClient,
+ *    stopping it if it outlives the plugin's timeout
+ * 4. Returns the result (or a structured error) to feed back to the AI
  *
  * Best practices applied:
- * - Strategy Pattern: dispatch map instead of long if/else chains
+ * - Strategy Pattern: tools are plugins looked up by name, not if/else chains
  * - Error Boundary: catches API errors and returns them as data
  *   (so the AI can read the error and adjust its approach)
- * - Single Responsibility: only maps names → calls, no HTTP logic
+ * - Single Responsibility: only runs tools, no HTTP or tool-specific logic
+ * - Validate at the Boundary: arguments are checked (and safely coerced)
+ *   against the tool's JSON Schema before any handler runs, and problems go
+ *   back to the AI as a structured error it can correct
+ *
+ * Write tools have handlers like any other tool, but ChatEngine only runs
+ * them once the user has approved the proposal built by proposeWrite().
+ *
+ * An executor is bound to one app (its client's). Disabled tools are
+ * unknown to it, exactly as if they had never been registered.
  */
 
+const { builtinRegistry } = require('./tools');
+const { validateArguments, ToolArgumentsError } = require('./tool-schema');
+
 class ToolExecutor {
   /**
    * Create a new ToolExecutor.
    *
    * @param {object} client - An instance of FlipletApiClient
+   * @param {object} [options={}] - Optional collaborators
+   * @param {FlipletClientPool} [options.apps] - Pool whose allowlist list_apps reports;
+   *   without it list_apps returns every app the client's token can see
+   * @param {ToolRegistry} [options.registry] - The tools this executor may run
+   *   (default: the built-in tools, all enabled)
+   * @param {ContentIndexPool} [options.contentIndexes] - Shared search indexes for
+   *   search_app_content (default: one private to the tool)
    * @throws {Error} If client is not provided
    */
-  constructor(client) {
+  constructor(client, options = {}) {
     if (!client) {
       throw new Error('ToolExecutor requires a FlipletApiClient');
     }
 
     // Store client reference for method calls
     this.client = client;
+    this._apps = options.apps || null;
+    this._registry = options.registry || builtinRegistry;
+    this._contentIndexes = options.contentIndexes || null;
+  }
 
-    // Dispatch map: tool name → handler function
-    // Each handler receives parsed arguments and returns the API result
-    this._handlers = {
-      list_data_sources: () => this.client.listDataSources(),
+  /**
+   * Check whether a tool modifies data and so must be confirmed by the user.
+   *
+   * @param {string} toolName - The tool function name
+   * @returns {boolean} True for write tools
+   */
+  isWriteTool(toolName) {
+    return this._registry.isWriteTool(toolName);
+  }
 
-      get_data_source: (args) => this.client.getDataSource(args.dataSourceId),
+  /**
+   * How many items a tool's result holds, for activity records ("42 rows").
+   * Uses the plugin's resultCount() if it declares one; otherwise an array
+   * counts its items and anything else has no count. A count is only
+   * decoration, so a resultCount() that throws gives no count.
+   *
+   * @param {string} toolName - The tool function name
+   * @param {*} result - A successful result from execute()
+   * @returns {number|undefined}
+   */
+  resultCount(toolName, result) {
+    const tool = this._registry.get(toolName);
+    if (!tool || !tool.resultCount) return Array.isArray(result) ? result.length : undefined;
 
-      get_data_source_entries: (args) => {
-        // Separate dataSourceId from the rest (which are query options)
-        const { dataSourceId, ...options } = args;
-        return this.client.getDataSourceEntries(dataSourceId, options);
-      },
+    try {
+      return tool.resultCount(result);
+    } catch {
+      return undefined;
+    }
+  }
 
-      list_media: (args) => this.client.listMedia(args.folderId),
+  /**
+   * Describe the exact change a write tool call would make, without making it.
+   * The plugin may read the app (e.g. the entry an update would change).
+   *
+   * @param {string} toolName - A write tool name (e.g. 'update_data_source_entry')
+   * @param {object} args - The parsed arguments from the AI's tool call
+   * @returns {Promise<{ action: string, summary: string }>} The plugin's description of
+   *   the change, e.g. { action, dataSourceId, entryId?, before?, changes?, summary }
+   * @throws {Error} If the tool is not an enabled write tool, or the change can't be made
+   *   (e.g. the entry doesn't exist)
+   * @throws {ToolArgumentsError} If the arguments do not match the tool's schema
+   */
+  async proposeWrite(toolName, args) {
+    if (!this.isWriteTool(toolName)) {
+      throw new Error(`Not a write tool: ${toolName}`);
+    }
 
-      get_media_file: (args) => this.client.getMediaFile(args.fileId),
-    };
+    const validated = this.validate(toolName, args);
+    return this._registry.get(toolName).propose(validated, { client: this.client, apps: this._apps });
+  }
+
+  /**
+   * Check tool call arguments against the tool's parameter schema.
+   *
+   * @param {string} toolName - The tool function name
+   * @param {object} args - The parsed arguments from the AI's tool call
+   * @returns {object} The arguments with safe coercions applied (e.g. "12" → 12);
+   *   unchanged for unknown tools
+   * @throws {ToolArgumentsError} Listing every argument that is wrong
+   */
+  validate(toolName, args) {
+    const tool = this._registry.get(toolName);
+    if (!tool) return args;
+
+    const { value, errors } = validateArguments(tool.parameters, args ?? {});
+    if (errors.length > 0) throw new ToolArgumentsError(toolName, errors);
+    return value;
   }
 
   /**
@@ -53,31 +128,82 @@ class ToolExecutor {
    *
    * Returns the API result on success, or a structured error object
    * on failure. Never throws — errors are returned as data so the AI
-   * can read them and decide how to proceed.
+   * can read them and decide how to proceed. Arguments that do not match
+   * the tool's schema come back as an error listing `invalidArguments`.
    *
    * @param {string} toolName - The tool function name (e.g. 'list_data_sources')
    * @param {object} args - The parsed arguments from the AI's tool call
    * @returns {Promise<object>} The API result or an error object
-   * @throws {Error} Only if tool name is unknown (programmer error, not API error)
+   * @throws {Error} Only if tool name is unknown or disabled (programmer error, not API error)
    */
   async execute(toolName, args) {
-    // Look up the handler for this tool name
-    const handler = this._handlers[toolName];
+    // Look up the plugin for this tool name
+    const tool = this._registry.get(toolName);
 
     // Unknown tool = programmer error, throw immediately
-    if (!handler) {
+    if (!tool) {
       throw new Error(`Unknown tool: ${toolName}`);
     }
 
     try {
-      // Execute the handler and return the API result
-      return await handler(args);
+      // Validate first, so bad arguments never reach the Fliplet API
+      return await this._runHandler(tool, this.validate(toolName, args));
     } catch (error) {
       // Catch API errors and return as structured data for the AI
       return this._formatError(error);
     }
   }
 
+  /**
+   * Run a plugin's handler, giving up once its timeout passes. The handler's
+   * signal is aborted at that point so long-running tools can stop early.
+   * Write tools are the exception: their request may already have reached
+   * Fliplet, so the signal is left alone and the error (marked
+   * `outcomeUnknown`) says the change may still be applied.
+   *
+   * @param {object} tool - The plugin from the registry
+   * @param {object} args - Validated arguments
+   * @returns {Promise<*>} The handler's result
+   * @throws {Error} The handler's error, or a timeout error
+   * @private
+   */
+  async _runHandler(tool, args) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        if (tool.write) {
+          const error = new Error(
+            `${tool.name} did not finish within ${formatSeconds(tool.timeoutMs)}. ` +
+              'The change may still be applied; check the entry before trying again.'
+          );
+          error.outcomeUnknown = true;
+          reject(error);
+          return;
+        }
+        controller.abort();
+        reject(
+          new Error(
+            `${tool.name} did not finish within ${formatSeconds(tool.timeoutMs)} and was stopped. ` +
+              'Try a narrower request.'
+          )
+        );
+      }, tool.timeoutMs);
+    });
+
+    const context = {
+      client: this.client,
+      apps: this._apps,
+      contentIndexes: this._contentIndexes,
+      signal: controller.signal,
+    };
+    try {
+      return await Promise.race([tool.handler(args, context), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /**
    * Convert an error into a structured object the AI can understand.
    *
@@ -91,14 +217,36 @@ class ToolExecutor {
       message: error.message,
     };
 
+    // Which arguments to fix, so the AI can correct its next call
+    if (error instanceof ToolArgumentsError) {
+      result.invalidArguments = error.errors;
+    }
+
     // Include extra info if it's a Fliplet API error
     if (error.name === 'FlipletApiError') {
       result.statusCode = error.statusCode;
       result.details = error.responseBody;
     }
 
+    // Tell the AI the request was already retried, so it doesn't just try again
+    if (error.attempts > 1) {
+      result.attempts = error.attempts;
+    }
+
+    // A write that timed out may still land, so it must not be retried blindly
+    if (error.outcomeUnknown) {
+      result.outcomeUnknown = true;
+    }
+
     return result;
   }
 }
 
+/**
+ * Format a timeout for the AI, e.g. 60000 → "60s", 1500 → "1.5s".
+ */
+function formatSeconds(ms) {
+  return `${Math.round(ms / 100) / 10}s`;
+}
+
 module.exports = { ToolExecutor };
@@ -0,0 +1,275 @@
+/**
+ * Tool Registry
+ *
+ * Holds every tool the AI can call. Each tool is a plugin: one object
+ * declaring its JSON Schema, handler, read/write classification and
+ * timeout in one place, so adding a tool no longer means editing the
+ * definitions, the executor and the API client in lockstep.
+ *
+ * A plugin looks like:
+ *
+ *   module.exports = {
+ *     name: 'count_files',                 // snake_case, unique
+ *     description: 'What it does and when the AI should use it.',
+ *     parameters: { type: 'object', properties: { ... }, required: [...] },
+ *     timeoutMs: 30000,                    // optional (default 60s)
+ *     handler: async (args, { client, apps, contentIndexes, signal }) => result,
+ *     // Optional: how many items a result holds, shown to users as e.g. "42 rows"
+ *     // (without it, array results count their items)
+ *     resultCount: (result) => result.files.length,
+ *     // Write tools only: describe the change for the user to approve
+ *     write: true,
+ *     propose: async (args, { client, apps }) => ({ action, summary, ... }),
+ *   };
+ *
+ * A plugin module may also export an array of plugins. Handlers get
+ * arguments already validated against `parameters`, the app's
+ * FlipletApiClient, the client pool (or null), the search index pool (or
+ * null, see content-index.js) and an AbortSignal that fires when the tool
+ * runs past its timeout. propose() gets the same arguments and the app's
+ * client and pool, so it can read what the change would replace.
+ *
+ * Deployments load extra plugins from a directory (TOOL_PLUGINS_DIR) and
+ * choose which tools the AI sees with enable / disable lists.
+ *
+ * Best practices applied:
+ * - Open/Closed: new tools are added as modules, not by editing the executor
+ * - Fail Fast: malformed plugins and unknown tool names stop startup with a
+ *   message naming the file or setting to fix
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// How long a tool may run before it is stopped, unless it declares its own
+const DEFAULT_TOOL_TIMEOUT_MS = 60000;
+
+// Tool names the OpenAI and Anthropic APIs accept
+const TOOL_NAME_REGEX = /^[a-z][a-z0-9_]{0,63}$/;
+
+// Files in a plugins directory that are loaded
+const PLUGIN_FILE_REGEX = /^[^._].*\.c?js$/;
+
+class ToolRegistry {
+  constructor() {
+    this._plugins = new Map(); // name → normalized plugin
+    this._enabled = null; // null = every registered tool
+    this._disabled = new Set();
+  }
+
+  /**
+   * Add a tool plugin.
+   *
+   * @param {object} plugin - See the module comment for the shape
+   * @param {string} [source='built-in'] - Where it came from, for error messages
+   * @returns {ToolRegistry} this, for chaining
+   * @throws {Error} If the plugin is malformed or its name is already taken
+   */
+  register(plugin, source = 'built-in') {
+    const tool = normalizePlugin(plugin, source);
+    const existing = this._plugins.get(tool.name);
+    if (existing) {
+      throw new Error(`Tool "${tool.name}" from ${source} is already registered by ${existing.source}.`);
+    }
+    this._plugins.set(tool.name, tool);
+    return this;
+  }
+
+  /**
+   * Add every plugin exported by a module (one plugin or an array).
+   *
+   * @param {object|Array} exported - The module's exports
+   * @param {string} [source='built-in'] - Where they came from, for error messages
+   * @returns {ToolRegistry} this, for chaining
+   */
+  registerAll(exported, source = 'built-in') {
+    const plugins = Array.isArray(exported) ? exported : [exported];
+    plugins.forEach((plugin) => this.register(plugin, source));
+    return this;
+  }
+
+  /**
+   * Load every .js / .cjs file in a directory as a plugin module, in
+   * file name order. Files starting with "." or "_" are skipped, so
+   * plugins can share helpers.
+   *
+   * @param {string} directory - Absolute path of the plugins directory
+   * @returns {ToolRegistry} this, for chaining
+   * @throws {Error} If the directory cannot be read or a plugin fails to load
+   */
+  loadDirectory(directory) {
+    let files;
+    try {
+      files = fs.readdirSync(directory).filter((file) => PLUGIN_FILE_REGEX.test(file)).sort();
+    } catch (error) {
+      throw new Error(`Could not read tool plugins directory ${directory}: ${error.message}`);
+    }
+
+    for (const file of files) {
+      const fullPath = path.join(directory, file);
+      let exported;
+      try {
+        exported = require(fullPath);
+      } catch (error) {
+        throw new Error(`Could not load tool plugin ${fullPath}: ${error.message}`);
+      }
+      this.registerAll(exported, fullPath);
+    }
+
+    return this;
+  }
+
+  /**
+   * Choose which registered tools are offered to the AI and may run.
+   *
+   * @param {object} [selection={}]
+   * @param {string[]} [selection.enabled] - Only these tools (unset = all)
+   * @param {string[]} [selection.disabled] - Never these tools
+   * @returns {ToolRegistry} this, for chaining
+   * @throws {Error} If a list names a tool that is not registered
+   */
+  select({ enabled, disabled = [] } = {}) {
+    for (const [setting, names] of [['enabled', enabled || []], ['disabled', disabled]]) {
+      const unknown = names.filter((name) => !this._plugins.has(name));
+      if (unknown.length > 0) {
+        throw new Error(
+          `Unknown tool${unknown.length > 1 ? 's' : ''} in the ${setting} list: ${unknown.join(', ')}. ` +
+            `Available tools: ${this.names().join(', ')}.`
+        );
+      }
+    }
+
+    this._enabled = enabled ? new Set(enabled) : null;
+    this._disabled = new Set(disabled);
+    return this;
+  }
+
+  /**
+   * Names of every registered tool, enabled or not, in registration order.
+   *
+   * @returns {string[]}
+   */
+  names() {
+    return [...this._plugins.keys()];
+  }
+
+  /**
+   * Whether a registered tool is currently enabled.
+   *
+   * @param {string} name - The tool name
+   * @returns {boolean}
+   */
+  isEnabled(name) {
+    return (
+      this._plugins.has(name) && (!this._enabled || this._enabled.has(name)) && !this._disabled.has(name)
+    );
+  }
+
+  /**
+   * Look up an enabled tool.
+   *
+   * @param {string} name - The tool name
+   * @returns {object|undefined} The normalized plugin, or undefined if unknown or disabled
+   */
+  get(name) {
+    return this.isEnabled(name) ? this._plugins.get(name) : undefined;
+  }
+
+  /**
+   * Every enabled tool, in registration order.
+   *
+   * @returns {object[]} Normalized plugins
+   */
+  list() {
+    return this.names().filter((name) => this.isEnabled(name)).map((name) => this._plugins.get(name));
+  }
+
+  /**
+   * Check whether an enabled tool modifies data (and so needs user confirmation).
+   *
+   * @param {string} name - The tool name
+   * @returns {boolean}
+   */
+  isWriteTool(name) {
+    const tool = this.get(name);
+    return Boolean(tool && tool.write);
+  }
+
+  /**
+   * An enabled tool in OpenAI function-calling format.
+   *
+   * @param {string} name - The tool name
+   * @returns {object|undefined} { type: 'function', function: { name, description, parameters } }
+   */
+  getDefinition(name) {
+    const tool = this.get(name);
+    return tool ? toDefinition(tool) : undefined;
+  }
+
+  /**
+   * Every enabled tool in OpenAI function-calling format, for ChatEngine.
+   *
+   * @returns {object[]}
+   */
+  definitions() {
+    return this.list().map(toDefinition);
+  }
+}
+
+/**
+ * Check a plugin's shape and fill in defaults.
+ *
+ * @param {object} plugin - The plugin as exported
+ * @param {string} source - Where it came from, for error messages
+ * @returns {object} A frozen copy with `write`, `timeoutMs` and `source` set
+ * @throws {Error} Naming the plugin and the field to fix
+ */
+function normalizePlugin(plugin, source) {
+  const fail = (problem) => {
+    const label = plugin && typeof plugin.name === 'string' ? `Tool plugin "${plugin.name}"` : 'Tool plugin';
+    return new Error(`${label} from ${source} ${problem}.`);
+  };
+
+  if (!plugin || typeof plugin !== 'object') throw fail('must export an object or an array of objects');
+  if (typeof plugin.name !== 'string' || !TOOL_NAME_REGEX.test(plugin.name)) {
+    throw fail('needs a snake_case "name" of at most 64 characters');
+  }
+  if (typeof plugin.description !== 'string' || !plugin.description.trim()) {
+    throw fail('needs a "description" telling the AI when to use it');
+  }
+  const { parameters } = plugin;
+  if (!parameters || parameters.type !== 'object' || typeof parameters.properties !== 'object') {
+    throw fail('needs "parameters": a JSON Schema with type "object" and "properties"');
+  }
+  if (typeof plugin.handler !== 'function') throw fail('needs a "handler" function');
+  if (plugin.write && typeof plugin.propose !== 'function') {
+    throw fail('is a write tool, so it needs a "propose" function describing the change');
+  }
+  if (plugin.timeoutMs !== undefined && !(Number.isFinite(plugin.timeoutMs) && plugin.timeoutMs > 0)) {
+    throw fail('has an invalid "timeoutMs": use a positive number of milliseconds');
+  }
+  if (plugin.resultCount !== undefined && typeof plugin.resultCount !== 'function') {
+    throw fail('has a "resultCount" that is not a function');
+  }
+
+  return Object.freeze({
+    name: plugin.name,
+    description: plugin.description,
+    parameters,
+    write: Boolean(plugin.write),
+    timeoutMs: plugin.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS,
+    handler: plugin.handler,
+    propose: plugin.propose,
+    resultCount: plugin.resultCount,
+    source,
+  });
+}
+
+/**
+ * A plugin in OpenAI function-calling format.
+ */
+function toDefinition({ name, description, parameters }) {
+  return { type: 'function', function: { name, description, parameters } };
+}
+
+module.exports = { ToolRegistry, DEFAULT_TOOL_TIMEOUT_MS };
@@ -0,0 +1,244 @@
+/**
+ * Tool Argument Validation
+ *
+ * Checks the arguments a model produced for a tool call against the
+ * JSON Schema `parameters` declared in tools.js, before anything reaches
+ * FlipletApiClient. Models get types wrong in predictable ways ("12" for
+ * 12, a lone string where a list is expected), so safe coercions are
+ * applied first; whatever is still wrong comes back as a list of
+ * problems the model can fix on its next attempt.
+ *
+ * Supported keywords: type, properties, required, additionalProperties,
+ * items, enum, minimum, maximum, minLength, maxLength, minItems, maxItems,
+ * minProperties. Anything else is ignored.
+ *
+ * Coercions (only when the schema asks for the target type):
+ * - numeric strings → numbers ("12" → 12; integers must be whole)
+ * - "true" / "false" → booleans
+ * - a JSON object string → object (models sometimes stringify `where`)
+ * - a single value → one-item array
+ * - an enum value in the wrong case → the declared spelling
+ * - null for an optional property → the property is dropped
+ *
+ * Best practices applied:
+ * - Pure Functions: validation never mutates the model's arguments
+ * - Actionable Errors: every problem names the argument and what was expected
+ * - Custom Error Class: ToolArgumentsError carries the structured problem list
+ */
+
+// Numeric strings accepted for number / integer parameters
+const NUMERIC_STRING_REGEX = /^\s*-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i;
+
+/**
+ * Raised when a tool call's arguments do not match the tool's schema.
+ * `errors` lists each problem as { path, message }.
+ */
+class ToolArgumentsError extends Error {
+  /**
+   * @param {string} toolName - The tool that was called
+   * @param {Array<{ path: string, message: string }>} errors - What is wrong
+   */
+  constructor(toolName, errors) {
+    const problems = errors.map((error) => `${error.path} ${error.message}`).join('; ');
+    super(`Invalid arguments for ${toolName}: ${problems}. Fix the arguments and call the tool again.`);
+    this.name = 'ToolArgumentsError';
+    this.toolName = toolName;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate (and safely coerce) a value against a JSON Schema.
+ *
+ * @param {object} schema - JSON Schema, e.g. a tool's `parameters`
+ * @param {*} value - The value to check
+ * @returns {{ value: *, errors: Array<{ path: string, message: string }> }} The coerced
+ *   value and every problem found (empty when valid)
+ */
+function validateArguments(schema, value) {
+  const errors = [];
+  const coerced = check(schema, value, '', errors);
+  return { value: coerced, errors };
+}
+
+/**
+ * Validate one value, recording problems under its path.
+ *
+ * @returns {*} The coerced value
+ */
+function check(schema, raw, path, errors) {
+  if (!schema || typeof schema !== 'object') return raw;
+
+  const value = coerce(schema, raw);
+  const at = path || 'arguments';
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({ path: at, message: `must be ${describeType(schema.type)} (got ${describeValue(value)})` });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')} (got ${describeValue(value)})` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be at least ${schema.minimum} (got ${value})` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be at most ${schema.maximum} (got ${value})` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${plural(schema.minItems, 'item')}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${plural(schema.maxItems, 'item')}` });
+    }
+    return schema.items ? value.map((item, i) => check(schema.items, item, `${at}[${i}]`, errors)) : value;
+  }
+
+  if (isPlainObject(value) && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    return checkObject(schema, value, path, errors);
+  }
+
+  if (isPlainObject(value) && schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+    errors.push({ path: at, message: `must have at least ${plural(schema.minProperties, 'property', 'properties')}` });
+  }
+
+  return value;
+}
+
+/**
+ * Validate an object's properties.
+ *
+ * @returns {object} A copy with coerced property values
+ */
+function checkObject(schema, value, path, errors) {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const join = (key) => (path ? `${path}.${key}` : key);
+  const result = {};
+
+  for (const [key, item] of Object.entries(value)) {
+    // Models often send null for "not given"
+    if (item === null && !required.includes(key)) continue;
+
+    if (properties[key]) {
+      result[key] = check(properties[key], item, join(key), errors);
+    } else if (schema.additionalProperties === false) {
+      const known = Object.keys(properties);
+      const hint = known.length > 0 ? `expected one of: ${known.join(', ')}` : 'this tool takes no arguments';
+      errors.push({ path: join(key), message: `is not a known argument (${hint})` });
+    } else if (isPlainObject(schema.additionalProperties)) {
+      result[key] = check(schema.additionalProperties, item, join(key), errors);
+    } else {
+      result[key] = item;
+    }
+  }
+
+  for (const key of required) {
+    if (result[key] === undefined || result[key] === null) {
+      if (!errors.some((error) => error.path === join(key))) {
+        errors.push({ path: join(key), message: 'is required' });
+      }
+    }
+  }
+
+  if (schema.minProperties !== undefined && Object.keys(result).length < schema.minProperties) {
+    errors.push({
+      path: path || 'arguments',
+      message: `must have at least ${plural(schema.minProperties, 'property', 'properties')}`,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Apply the safe coercions listed at the top of this file.
+ */
+function coerce(schema, value) {
+  const type = schema.type;
+
+  if ((type === 'number' || type === 'integer') && typeof value === 'string' && NUMERIC_STRING_REGEX.test(value)) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (type === 'object' && typeof value === 'string' && value.trim().startsWith('{')) {
+    try {
+      const parsed = JSON.parse(value);
+      if (isPlainObject(parsed)) return parsed;
+    } catch {
+      // Not JSON — reported as the wrong type
+    }
+  }
+  if (type === 'array' && value !== undefined && value !== null && !Array.isArray(value)) {
+    return [value];
+  }
+  if (schema.enum && typeof value === 'string' && !schema.enum.includes(value)) {
+    const match = schema.enum.find((option) => typeof option === 'string' && option.toLowerCase() === value.toLowerCase());
+    if (match !== undefined) return match;
+  }
+  return value;
+}
+
+/**
+ * Whether a value has the JSON Schema type.
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeType(type) {
+  return { object: 'an object', array: 'an array', integer: 'a whole number', null: 'null' }[type] || `a ${type}`;
+}
+
+function describeValue(value) {
+  if (value === undefined) return 'nothing';
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'string') return `"${value.length > 40 ? `${value.slice(0, 40)}…` : value}"`;
+  if (typeof value === 'object') return 'an object';
+  return String(value);
+}
+
+function plural(count, singular, pluralForm = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+module.exports = { validateArguments, ToolArgumentsError };
@@ -15,6 +15,10 @@
  */
 
 const { ChatEngine } = require('../src/chat-engine');
+const { recordCallMetadata } = require('../src/call-context');
+const { FakeProvider } = require('../src/llm-providers');
+const { ToolArgumentsError } = require('../src/tool-schema');
+const { ToolExecutor } = require('../src/tool-executor');
 
 // ---------------------------------------------------------------
 // Helpers: create mock dependencies
@@ -43,6 +47,17 @@ function createMockExecutor() {
   };
 }
 
+/**
+ * A mock executor that counts results the way the built-in tool plugins do.
+ */
+function createCountingExecutor() {
+  const builtin = new ToolExecutor({ appId: '1' });
+  return {
+    ...createMockExecutor(),
+    resultCount: (toolName, result) => builtin.resultCount(toolName, result),
+  };
+}
+
 /**
  * Builds an OpenAI-style response with a text message (no tool calls).
  */
@@ -86,6 +101,29 @@ function toolCallResponse(toolCalls) {
   };
 }
 
+/**
+ * Builds an OpenAI-style stream: an async iterable of chunk objects.
+ * Each item in `deltas` becomes the `delta` of one chunk.
+ */
+function streamResponse(deltas) {
+  return {
+    async *[Symbol.asyncIterator]() {
+      for (const delta of deltas) {
+        yield { choices: [{ index: 0, delta }] };
+      }
+    },
+  };
+}
+
+/**
+ * Collects every event from a chatStream() iterator into an array.
+ */
+async function collect(iterator) {
+  const events = [];
+  for await (const event of iterator) events.push(event);
+  return events;
+}
+
 // ---------------------------------------------------------------
 // Tests
 // ---------------------------------------------------------------
@@ -196,6 +234,223 @@ describe('ChatEngine', () => {
       engine.reset();
       expect(engine.getHistory()).toEqual([]);
     });
+
+    test('should trim whole turns so tool results keep their tool calls', async () => {
+      // Each turn: one tool call with a large result, then a short answer
+      const mockCreate = jest.fn();
+      for (let i = 0; i < 6; i++) {
+        mockCreate
+          .mockResolvedValueOnce(toolCallResponse([{ name: 'list_data_sources', arguments: {} }]))
+          .mockResolvedValueOnce(textResponse(`Answer ${i}`));
+      }
+      const mockExecutor = createMockExecutor();
+      mockExecutor.execute.mockResolvedValue([{ notes: 'x'.repeat(2000) }]);
+
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: mockExecutor,
+        tools: [],
+        historyTokenBudget: 1500,
+        summarizeAfterTokens: 0,
+      });
+
+      for (let i = 0; i < 6; i++) await engine.chat(`Question ${i}`);
+
+      // Every request sent to OpenAI must pair each tool result with its call
+      for (const [request] of mockCreate.mock.calls) {
+        const history = request.messages.slice(1);
+        const callIds = new Set(history.flatMap((m) => (m.tool_calls || []).map((tc) => tc.id)));
+
+        expect(history[0].role).toBe('user');
+        for (const message of history.filter((m) => m.role === 'tool')) {
+          expect(callIds.has(message.tool_call_id)).toBe(true);
+        }
+      }
+
+      // Older turns were dropped, the latest survives intact
+      const history = engine.getHistory();
+      expect(history).not.toContainEqual({ role: 'user', content: 'Question 0' });
+      expect(history[history.length - 1]).toEqual({ role: 'assistant', content: 'Answer 5' });
+    });
+
+    test('should fold older turns into a summary once over the threshold', async () => {
+      const mockCreate = jest
+        .fn()
+        .mockResolvedValueOnce(textResponse('Data source 4412 has 3 active rows.'))
+        .mockResolvedValueOnce(textResponse('Filtered to Status=Active.'))
+        .mockResolvedValueOnce(textResponse('Second opinion.'))
+        // Summarization request, then the actual answer
+        .mockResolvedValueOnce(textResponse('- Looking at data source 4412, filtered to Status=Active'))
+        .mockResolvedValueOnce(textResponse('Still 3 rows.'));
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: createMockExecutor(),
+        tools: [],
+        summarizeAfterTokens: 40,
+      });
+
+      await engine.chat('Look at data source 4412 '.repeat(4));
+      await engine.chat('Filter it to Status=Active');
+      await engine.chat('Are you sure?');
+      await engine.chat('How many rows again?');
+
+      // The summarization call sees the older turns as a transcript, without tools
+      const summaryRequest = mockCreate.mock.calls[3][0];
+      expect(summaryRequest.tools).toBeUndefined();
+      expect(summaryRequest.messages[1].content).toContain('User: Look at data source 4412');
+
+      // The summary sits right after the system prompt on the next request
+      const answerRequest = mockCreate.mock.calls[4][0];
+      expect(answerRequest.messages[1]).toEqual({
+        role: 'system',
+        content: 'Summary of the earlier conversation:\n- Looking at data source 4412, filtered to Status=Active',
+      });
+
+      // The oldest turn is replaced by the summary; the two before the new question stay verbatim
+      const history = engine.getHistory();
+      expect(history[0].role).toBe('system');
+      expect(history.map((m) => m.content)).not.toContain('Look at data source 4412 '.repeat(4));
+      expect(history).toContainEqual({ role: 'user', content: 'Filter it to Status=Active' });
+      expect(history).toContainEqual({ role: 'user', content: 'Are you sure?' });
+      expect(history).toContainEqual({ role: 'user', content: 'How many rows again?' });
+      expect(engine.getSummary()).toBe('- Looking at data source 4412, filtered to Status=Active');
+    });
+
+    test('should include the previous summary when summarizing again', async () => {
+      const mockCreate = jest.fn().mockResolvedValue(textResponse('- earlier facts'));
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: createMockExecutor(),
+        tools: [],
+        summarizeAfterTokens: 1,
+      });
+
+      for (let i = 0; i < 5; i++) await engine.chat(`Question ${i}`);
+
+      const lastSummaryRequest = mockCreate.mock.calls
+        .map(([request]) => request)
+        .filter((request) => request.tools === undefined && request.messages[0].content.includes('condense'))
+        .pop();
+      expect(lastSummaryRequest.messages[1].content).toContain('Summary so far:\n- earlier facts');
+    });
+
+    test('should keep history unchanged if summarization fails', async () => {
+      const mockCreate = jest
+        .fn()
+        .mockResolvedValueOnce(textResponse('One.'))
+        .mockResolvedValueOnce(textResponse('Two.'))
+        .mockResolvedValueOnce(textResponse('Three.'))
+        .mockRejectedValueOnce(new Error('Summary failed'))
+        .mockResolvedValueOnce(textResponse('Four.'));
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: createMockExecutor(),
+        tools: [],
+        summarizeAfterTokens: 1,
+      });
+
+      await engine.chat('First');
+      await engine.chat('Second');
+      await engine.chat('Third');
+      const response = await engine.chat('Fourth');
+
+      expect(response).toBe('Four.');
+      expect(engine.getSummary()).toBeNull();
+      expect(engine.getHistory()).toContainEqual({ role: 'user', content: 'First' });
+    });
+
+    /**
+     * An engine with three answered turns whose next summarization
+     * request waits until the test releases it.
+     */
+    async function engineWithHeldSummary(summaryText) {
+      let releaseSummary;
+      const mockCreate = jest
+        .fn()
+        .mockResolvedValueOnce(textResponse('One.'))
+        .mockResolvedValueOnce(textResponse('Two.'))
+        .mockResolvedValueOnce(textResponse('Three.'))
+        .mockImplementationOnce(
+          () => new Promise((resolve) => {
+            releaseSummary = () => resolve(textResponse(summaryText));
+          })
+        )
+        .mockResolvedValue(textResponse('Later.'));
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: createMockExecutor(),
+        tools: [],
+        summarizeAfterTokens: 1,
+      });
+
+      await engine.chat('First');
+      await engine.chat('Second');
+      await engine.chat('Third');
+      const fourth = engine.chat('Fourth');
+      await new Promise((resolve) => setImmediate(resolve));
+
+      return { engine, fourth, release: () => releaseSummary() };
+    }
+
+    test('should keep messages added while the summary was being written', async () => {
+      const { engine, fourth, release } = await engineWithHeldSummary('- facts');
+
+      const meanwhile = engine.chat('Meanwhile');
+      await new Promise((resolve) => setImmediate(resolve));
+      release();
+      await Promise.all([fourth, meanwhile]);
+
+      const contents = engine.getHistory().map((m) => m.content);
+      expect(contents).not.toContain('First');
+      expect(contents).toEqual(expect.arrayContaining(['Third', 'Fourth', 'Meanwhile']));
+    });
+
+    test('should drop a summary that finishes after reset()', async () => {
+      const { engine, fourth, release } = await engineWithHeldSummary('- stale facts');
+
+      engine.reset();
+      release();
+      await fourth;
+
+      expect(engine.getSummary()).toBeNull();
+      expect(engine.getHistory()).toEqual([
+        { role: 'user', content: 'Fourth' },
+        { role: 'assistant', content: 'Later.' },
+      ]);
+    });
+
+    test('should clear the summary on reset', async () => {
+      const mockCreate = jest.fn().mockResolvedValue(textResponse('- facts'));
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: createMockExecutor(),
+        tools: [],
+        summarizeAfterTokens: 1,
+      });
+
+      for (let i = 0; i < 4; i++) await engine.chat(`Question ${i}`);
+      expect(engine.getSummary()).not.toBeNull();
+
+      engine.reset();
+
+      expect(engine.getSummary()).toBeNull();
+      expect(engine.getHistory()).toEqual([]);
+    });
+
+    test('should default the budget from the model context window', async () => {
+      const mockCreate = jest.fn().mockResolvedValue(textResponse('OK'));
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: createMockExecutor(),
+        tools: [],
+        model: 'gpt-4o-mini',
+      });
+
+      // 60 short turns is far below half of gpt-4o-mini's window — nothing trimmed
+      for (let i = 0; i < 60; i++) await engine.chat(`Question ${i}`);
+
+      expect(engine.getHistory()).toHaveLength(120);
+    });
   });
 
   // ---------------------------------------------------------------
@@ -462,4 +717,645 @@ describe('ChatEngine', () => {
       expect(result).toContain('error communicating with the AI service');
     });
   });
+
+  // ---------------------------------------------------------------
+  // Streaming
+  // ---------------------------------------------------------------
+
+  describe('chatStream()', () => {
+    test('should request a streamed completion and yield text deltas', async () => {
+      const mockCreate = jest.fn().mockResolvedValue(
+        streamResponse([{ role: 'assistant', content: 'There are ' }, { content: '3 data sources.' }])
+      );
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: createMockExecutor(),
+        tools: [],
+      });
+
+      const events = await collect(engine.chatStream('How many data sources?'));
+
+      expect(mockCreate.mock.calls[0][0].stream).toBe(true);
+      expect(events).toEqual([
+        { type: 'text', delta: 'There are ' },
+        { type: 'text', delta: '3 data sources.' },
+        { type: 'done', response: 'There are 3 data sources.' },
+      ]);
+      expect(engine.getHistory()).toContainEqual({
+        role: 'assistant',
+        content: 'There are 3 data sources.',
+      });
+    });
+
+    test('should reassemble fragmented tool calls and report their progress', async () => {
+      const mockCreate = jest
+        .fn()
+        .mockResolvedValueOnce(
+          streamResponse([
+            { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'get_data_source', arguments: '{"dataSo' } }] },
+            { tool_calls: [{ index: 0, function: { arguments: 'urceId":42}' } }] },
+          ])
+        )
+        .mockResolvedValueOnce(streamResponse([{ content: 'It is called Products.' }]));
+      const mockExecutor = createMockExecutor();
+      mockExecutor.execute.mockResolvedValue({ id: 42, name: 'Products' });
+
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: mockExecutor,
+        tools: [],
+      });
+
+      const events = await collect(engine.chatStream('What is data source 42?'));
+
+      expect(mockExecutor.execute).toHaveBeenCalledWith('get_data_source', { dataSourceId: 42 });
+      expect(events.map((e) => e.type)).toEqual(['tool_call', 'tool_result', 'text', 'done']);
+      expect(events[0]).toEqual({
+        type: 'tool_call',
+        id: 'call_1',
+        name: 'get_data_source',
+        arguments: '{"dataSourceId":42}',
+      });
+
+      // The reassembled tool call must be in history so OpenAI can match the result
+      const assistantToolMsg = engine.getHistory().find((m) => m.tool_calls);
+      expect(assistantToolMsg.tool_calls[0].id).toBe('call_1');
+      expect(engine.getHistory()).toContainEqual(
+        expect.objectContaining({ role: 'tool', tool_call_id: 'call_1' })
+      );
+    });
+
+    test('should finish with a user-friendly message if the stream fails', async () => {
+      const mockCreate = jest.fn().mockRejectedValue(new Error('Connection reset'));
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: createMockExecutor(),
+        tools: [],
+      });
+
+      const events = await collect(engine.chatStream('Hello'));
+
+      expect(events).toHaveLength(1);
+      expect(events[0].type).toBe('done');
+      expect(events[0].response).toContain('error communicating with the AI service');
+    });
+
+    test('should report an empty response when the stream has no choices', async () => {
+      const mockCreate = jest.fn().mockResolvedValue(streamResponse([]));
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: createMockExecutor(),
+        tools: [],
+      });
+
+      const events = await collect(engine.chatStream('Hello'));
+
+      expect(events).toEqual([
+        { type: 'done', response: 'The AI returned an empty response. Please try rephrasing your question.' },
+      ]);
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Tool-call activity
+  // ---------------------------------------------------------------
+
+  describe('tool-call activity', () => {
+    test('should record name, arguments, duration and row count for each call', async () => {
+      const mockCreate = jest
+        .fn()
+        .mockResolvedValueOnce(
+          toolCallResponse([
+            { name: 'get_data_source_entries', arguments: { dataSourceId: 123 } },
+            { name: 'list_media', arguments: {} },
+            { name: 'read_media_file', arguments: { fileId: 8, query: 'refunds' } },
+            { name: 'search_app_content', arguments: { query: 'Acme' } },
+            { name: 'find_media_files', arguments: { name: '*.pdf' } },
+            { name: 'get_media_tree', arguments: {} },
+          ])
+        )
+        .mockResolvedValueOnce(textResponse('Done.'));
+      const mockExecutor = createCountingExecutor();
+      mockExecutor.execute
+        .mockResolvedValueOnce({ entries: [{ id: 1 }, { id: 2 }], hasMore: false })
+        .mockResolvedValueOnce({ folders: [{ id: 7 }], files: [{ id: 8 }, { id: 9 }] })
+        .mockResolvedValueOnce({ fileId: 8, excerpts: [{ reference: 'page 2, lines 1-7' }, { reference: 'page 1, lines 3-4' }] })
+        .mockResolvedValueOnce({ query: 'Acme', totalHits: 4, hits: [{ type: 'entry', entryId: 1 }] })
+        .mockResolvedValueOnce({ totalMatches: 1, filesSearched: 9, matches: [{ id: 8 }] })
+        .mockResolvedValueOnce({ folderId: null, totalFolders: 2, totalFiles: 5, tree: { folders: [], files: [] } });
+
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: mockExecutor,
+        tools: [],
+      });
+
+      await engine.chat('Entries and files please');
+      const activity = engine.getLastToolActivity();
+
+      expect(activity).toEqual([
+        expect.objectContaining({
+          id: 'call_0',
+          name: 'get_data_source_entries',
+          arguments: { dataSourceId: 123 },
+          status: 'success',
+          resultCount: 2,
+        }),
+        expect.objectContaining({ id: 'call_1', name: 'list_media', status: 'success', resultCount: 3 }),
+        expect.objectContaining({ id: 'call_2', name: 'read_media_file', status: 'success', resultCount: 2 }),
+        expect.objectContaining({ id: 'call_3', name: 'search_app_content', status: 'success', resultCount: 1 }),
+        expect.objectContaining({ id: 'call_4', name: 'find_media_files', status: 'success', resultCount: 1 }),
+        expect.objectContaining({ id: 'call_5', name: 'get_media_tree', status: 'success', resultCount: 7 }),
+      ]);
+      expect(typeof activity[0].durationMs).toBe('number');
+    });
+
+    test('should count array results when the executor has no resultCount()', async () => {
+      const mockCreate = jest
+        .fn()
+        .mockResolvedValueOnce(toolCallResponse([
+          { name: 'list_data_sources', arguments: {} },
+          { name: 'get_data_source', arguments: { dataSourceId: 1 } },
+        ]))
+        .mockResolvedValueOnce(textResponse('Done.'));
+      const mockExecutor = createMockExecutor();
+      mockExecutor.execute.mockResolvedValueOnce([{ id: 1 }, { id: 2 }]).mockResolvedValueOnce({ id: 1 });
+      const engine = new ChatEngine({ openai: createMockOpenAI(mockCreate), toolExecutor: mockExecutor, tools: [] });
+
+      await engine.chat('Data sources please');
+
+      expect(engine.getLastToolActivity()[0].resultCount).toBe(2);
+      expect(engine.getLastToolActivity()[1]).not.toHaveProperty('resultCount');
+    });
+
+    test('should record errors returned by the ToolExecutor', async () => {
+      const mockCreate = jest
+        .fn()
+        .mockResolvedValueOnce(toolCallResponse([{ name: 'get_data_source', arguments: { dataSourceId: 999 } }]))
+        .mockResolvedValueOnce(textResponse('That data source does not exist.'));
+      const mockExecutor = createMockExecutor();
+      mockExecutor.execute.mockResolvedValue({
+        error: true,
+        message: 'Fliplet API error: 404 Not Found',
+        statusCode: 404,
+        details: {},
+      });
+
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: mockExecutor,
+        tools: [],
+      });
+
+      await engine.chat('Show data source 999');
+
+      expect(engine.getLastToolActivity()).toEqual([
+        expect.objectContaining({
+          name: 'get_data_source',
+          status: 'error',
+          error: { message: 'Fliplet API error: 404 Not Found', statusCode: 404 },
+        }),
+      ]);
+    });
+
+    test('should only cover the most recent message', async () => {
+      const mockCreate = jest
+        .fn()
+        .mockResolvedValueOnce(toolCallResponse([{ name: 'list_data_sources', arguments: {} }]))
+        .mockResolvedValueOnce(textResponse('Found them.'))
+        .mockResolvedValueOnce(textResponse('You are welcome.'));
+      const mockExecutor = createMockExecutor();
+      mockExecutor.execute.mockResolvedValue([]);
+
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: mockExecutor,
+        tools: [],
+      });
+
+      await engine.chat('List data sources');
+      expect(engine.getLastToolActivity()).toHaveLength(1);
+
+      await engine.chat('Thanks');
+      expect(engine.getLastToolActivity()).toEqual([]);
+    });
+
+    test('should include the activity record in streamed tool_result events', async () => {
+      const mockCreate = jest
+        .fn()
+        .mockResolvedValueOnce(streamResponse([
+          { tool_calls: [{ index: 0, id: 'call_0', function: { name: 'list_data_sources', arguments: '{}' } }] },
+        ]))
+        .mockResolvedValueOnce(streamResponse([{ content: 'Two.' }]));
+      const mockExecutor = createMockExecutor();
+      mockExecutor.execute.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: mockExecutor,
+        tools: [],
+      });
+
+      const events = await collect(engine.chatStream('How many data sources?'));
+      const resultEvent = events.find((e) => e.type === 'tool_result');
+
+      expect(resultEvent).toEqual(expect.objectContaining({
+        id: 'call_0',
+        name: 'list_data_sources',
+        arguments: {},
+        status: 'success',
+        resultCount: 2,
+      }));
+    });
+    test('should attach call metadata such as cache stats to each parallel call', async () => {
+      const mockCreate = jest
+        .fn()
+        .mockResolvedValueOnce(
+          toolCallResponse([
+            { name: 'list_data_sources', arguments: {} },
+            { name: 'list_media', arguments: {} },
+          ])
+        )
+        .mockResolvedValueOnce(textResponse('Done.'));
+      const mockExecutor = createMockExecutor();
+      mockExecutor.execute.mockImplementation(async (name) => {
+        // Simulate the response cache recording into the current call
+        recordCallMetadata('cache', () =>
+          name === 'list_data_sources'
+            ? { hits: 1, misses: 0, revalidated: 0 }
+            : { hits: 0, misses: 1, revalidated: 0 }
+        );
+        return [];
+      });
+
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: mockExecutor,
+        tools: [],
+      });
+
+      await engine.chat('Data sources and files');
+
+      const [dataSources, media] = engine.getLastToolActivity();
+      expect(dataSources.cache).toEqual({ hits: 1, misses: 0, revalidated: 0 });
+      expect(media.cache).toEqual({ hits: 0, misses: 1, revalidated: 0 });
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Write tools: propose, then confirm
+  // ---------------------------------------------------------------
+
+  describe('pending actions', () => {
+    const UPDATE_ARGS = { dataSourceId: 10, entryId: 7, data: { Status: 'Inactive' } };
+
+    /**
+     * An executor that classifies update_data_source_entry as a write,
+     * like the real ToolExecutor does.
+     */
+    function createWriteAwareExecutor() {
+      const executor = createMockExecutor();
+      executor.isWriteTool = jest.fn((name) => name === 'update_data_source_entry');
+      executor.proposeWrite = jest.fn(() => ({
+        action: 'update',
+        dataSourceId: 10,
+        entryId: 7,
+        changes: { Status: 'Inactive' },
+        summary: 'Update entry 7 in data source 10',
+      }));
+      return executor;
+    }
+
+    async function engineWithProposal(executor) {
+      const mockCreate = jest
+        .fn()
+        .mockResolvedValueOnce(toolCallResponse([{ name: 'update_data_source_entry', arguments: UPDATE_ARGS }]))
+        .mockResolvedValueOnce(textResponse('I will set Status to Inactive once you approve.'));
+      const engine = new ChatEngine({
+        openai: createMockOpenAI(mockCreate),
+        toolExecutor: executor,
+        tools: [],
+      });
+      await engine.chat('Mark entry 7 inactive');
+      return { engine, mockCreate };
+    }
+
+    test('should not execute a write tool call, only propose it', async () => {
+      const executor = createWriteAwareExecutor();
+      const { engine, mockCreate } = await engineWithProposal(executor);
+
+      expect(executor.execute).not.toHaveBeenCalled();
+      expect(executor.proposeWrite).toHaveBeenCalledWith('update_data_source_entry', UPDATE_ARGS);
+
+      const pending = engine.getPendingActions();
+      expect(pending).toEqual([
+        expect.objectContaining({
+          toolName: 'update_data_source_entry',
+          arguments: UPDATE_ARGS,
+          changes: { Status: 'Inactive' },
+          summary: 'Update entry 7 in data source 10',
+        }),
+      ]);
+
+      // The AI is told the change is awaiting approval
+      const toolMessage = mockCreate.mock.calls[1][0].messages.find((m) => m.role === 'tool');
+      expect(JSON.parse(toolMessage.content)).toEqual(expect.objectContaining({
+        status: 'pending_confirmation',
+        actionId: pending[0].id,
+      }));
+      expect(engine.getLastToolActivity()[0]).toEqual(expect.objectContaining({
+        status: 'pending',
+        actionId: pending[0].id,
+      }));
+    });
+
+    test('confirmAction() should apply the change and record it in history', async () => {
+      const executor = createWriteAwareExecutor();
+      executor.execute.mockResolvedValue({ id: 7 });
+      const { engine } = await engineWithProposal(executor);
+      const [action] = engine.getPendingActions();
+
+      const outcome = await engine.confirmAction(action.id);
+
+      expect(executor.execute).toHaveBeenCalledWith('update_data_source_entry', UPDATE_ARGS);
+      expect(outcome.status).toBe('applied');
+      expect(engine.getPendingActions()).toEqual([]);
+      expect(engine.getHistory()).toContainEqual({
+        role: 'assistant',
+        content: 'Applied: Update entry 7 in data source 10.',
+      });
+
+      // A second confirmation is a no-op
+      expect(await engine.confirmAction(action.id)).toBeNull();
+      expect(executor.execute).toHaveBeenCalledTimes(1);
+    });
+
+    test('confirmAction() should report API failures', async () => {
+      const executor = createWriteAwareExecutor();
+      executor.execute.mockResolvedValue({ error: true, message: 'Fliplet API error: 403 Forbidden' });
+      const { engine } = await engineWithProposal(executor);
+
+      const outcome = await engine.confirmAction(engine.getPendingActions()[0].id);
+
+      expect(outcome.status).toBe('failed');
+      expect(outcome.message).toContain('403 Forbidden');
+    });
+
+    test('confirmAction() should not report a timed-out write as failed', async () => {
+      const executor = createWriteAwareExecutor();
+      executor.execute.mockResolvedValue({
+        error: true,
+        message: 'update_data_source_entry did not finish within 60s. The change may still be applied; check the entry before trying again.',
+        outcomeUnknown: true,
+      });
+      const { engine } = await engineWithProposal(executor);
+
+      const outcome = await engine.confirmAction(engine.getPendingActions()[0].id);
+
+      expect(outcome.status).toBe('unknown');
+      expect(outcome.message).toBe(
+        'Could not confirm: Update entry 7 in data source 10. update_data_source_entry did not finish within 60s. ' +
+          'The change may still be applied; check the entry before trying again.'
+      );
+    });
+
+    test('rejectAction() should discard the change without executing it', async () => {
+      const executor = createWriteAwareExecutor();
+      const { engine } = await engineWithProposal(executor);
+
+      const outcome = engine.rejectAction(engine.getPendingActions()[0].id);
+
+      expect(outcome.status).toBe('rejected');
+      expect(executor.execute).not.toHaveBeenCalled();
+      expect(engine.getPendingActions()).toEqual([]);
+    });
+
+    test('should discard unconfirmed proposals when a new message is sent', async () => {
+      const executor = createWriteAwareExecutor();
+      const { engine, mockCreate } = await engineWithProposal(executor);
+      mockCreate.mockResolvedValueOnce(textResponse('OK.'));
+
+      await engine.chat('Actually, never mind');
+
+      expect(engine.getPendingActions()).toEqual([]);
+    });
+
+    test('should return invalid proposals to the AI as errors', async () => {
+      const executor = createWriteAwareExecutor();
+      executor.proposeWrite.mockImplementation(() => {
+        throw new Error('update_data_source_entry requires an entryId');
+      });
+      const { engine, mockCreate } = await engineWithProposal(executor);
+
+      const toolMessage = mockCreate.mock.calls[1][0].messages.find((m) => m.role === 'tool');
+      expect(JSON.parse(toolMessage.content)).toEqual({
+        error: true,
+        message: 'update_data_source_entry requires an entryId',
+      });
+      expect(engine.getPendingActions()).toEqual([]);
+    });
+
+    test('should pass schema problems in a proposal back to the AI', async () => {
+      const executor = createWriteAwareExecutor();
+      executor.proposeWrite.mockImplementation((name) => {
+        throw new ToolArgumentsError(name, [{ path: 'entryId', message: 'must be a number (got "last")' }]);
+      });
+      const { mockCreate } = await engineWithProposal(executor);
+
+      const toolMessage = mockCreate.mock.calls[1][0].messages.find((m) => m.role === 'tool');
+      expect(JSON.parse(toolMessage.content)).toEqual({
+        error: true,
+        message:
+          'Invalid arguments for update_data_source_entry: entryId must be a number (got "last"). ' +
+          'Fix the arguments and call the tool again.',
+        invalidArguments: [{ path: 'entryId', message: 'must be a number (got "last")' }],
+      });
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Provider-agnostic: the same flows against a FakeProvider
+  // ---------------------------------------------------------------
+
+  describe('with an LLM provider', () => {
+    test('should use the provider model when none is given', () => {
+      const engine = new ChatEngine({
+        provider: new FakeProvider([], { model: 'local-llama' }),
+        toolExecutor: createMockExecutor(),
+        tools: [],
+      });
+
+      expect(engine.model).toBe('local-llama');
+    });
+
+    test('should run a tool call round trip through the provider', async () => {
+      const provider = new FakeProvider([
+        FakeProvider.toolCalls([{ name: 'get_data_source', arguments: { dataSourceId: 5 } }]),
+        FakeProvider.text('Data source 5 is called Users.'),
+      ]);
+      const mockExecutor = createMockExecutor();
+      mockExecutor.execute.mockResolvedValue({ id: 5, name: 'Users' });
+      const tools = [{ type: 'function', function: { name: 'get_data_source', parameters: {} } }];
+
+      const engine = new ChatEngine({ provider, toolExecutor: mockExecutor, tools, model: 'm' });
+      const response = await engine.chat('What is data source 5?');
+
+      expect(response).toBe('Data source 5 is called Users.');
+      expect(mockExecutor.execute).toHaveBeenCalledWith('get_data_source', { dataSourceId: 5 });
+      expect(provider.requests[0]).toEqual(expect.objectContaining({ model: 'm', tools }));
+      expect(provider.requests[1].messages).toContainEqual({
+        role: 'tool',
+        tool_call_id: 'call_0',
+        content: JSON.stringify({ id: 5, name: 'Users' }),
+      });
+    });
+
+    test('should stream through the provider', async () => {
+      const provider = new FakeProvider([FakeProvider.text('Streamed answer')]);
+      const engine = new ChatEngine({ provider, toolExecutor: createMockExecutor(), tools: [] });
+
+      const events = await collect(engine.chatStream('Hi'));
+
+      expect(events).toEqual([
+        { type: 'text', delta: 'Streamed answer' },
+        { type: 'done', response: 'Streamed answer' },
+      ]);
+    });
+
+    test('should translate provider rate limits into the overloaded message', async () => {
+      const overloaded = new Error('Overloaded');
+      overloaded.status = 429;
+      const engine = new ChatEngine({
+        provider: new FakeProvider([overloaded]),
+        toolExecutor: createMockExecutor(),
+        tools: [],
+      });
+
+      const response = await engine.chat('Hi');
+
+      expect(response).toContain('temporarily overloaded');
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Transcript (what the user saw)
+  // ---------------------------------------------------------------
+
+  describe('getTranscript()', () => {
+    test('should list questions and answers with the lookups behind each answer', async () => {
+      const mockExecutor = createCountingExecutor();
+      mockExecutor.execute
+        .mockResolvedValueOnce({ entries: [{ id: 1 }, { id: 2 }], total: 2, pageCount: 2 })
+        .mockResolvedValueOnce({ error: true, message: 'Not found', statusCode: 404 });
+      const provider = new FakeProvider([
+        FakeProvider.text('Hello!'),
+        FakeProvider.toolCalls([
+          { name: 'get_data_source_entries', arguments: { dataSourceId: 5 } },
+          { name: 'get_data_source', arguments: { dataSourceId: 9 } },
+        ]),
+        FakeProvider.text('Data source 5 has 2 rows; 9 does not exist.'),
+      ]);
+      const engine = new ChatEngine({ provider, toolExecutor: mockExecutor, tools: [] });
+
+      await engine.chat('Hi');
+      await engine.chat('Check 5 and 9');
+
+      expect(engine.getTranscript()).toEqual([
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello!' },
+        { role: 'user', content: 'Check 5 and 9' },
+        {
+          role: 'assistant',
+          content: 'Data source 5 has 2 rows; 9 does not exist.',
+          toolCalls: [
+            { id: 'call_0', name: 'get_data_source_entries', arguments: { dataSourceId: 5 }, status: 'success', resultCount: 2 },
+            {
+              id: 'call_1',
+              name: 'get_data_source',
+              arguments: { dataSourceId: 9 },
+              status: 'error',
+              error: { message: 'Not found', statusCode: 404 },
+            },
+          ],
+        },
+      ]);
+    });
+
+    test('should mark proposed writes as pending', async () => {
+      const executor = createMockExecutor();
+      executor.isWriteTool = () => true;
+      executor.proposeWrite = () => ({ action: 'delete', dataSourceId: 10, entryId: 7, summary: 'Delete entry 7' });
+      const provider = new FakeProvider([
+        FakeProvider.toolCalls([{ name: 'delete_data_source_entry', arguments: { dataSourceId: 10, entryId: 7 } }]),
+        FakeProvider.text('Approve to delete entry 7.'),
+      ]);
+      const engine = new ChatEngine({ provider, toolExecutor: executor, tools: [] });
+
+      await engine.chat('Delete entry 7');
+
+      expect(engine.getTranscript()[1].toolCalls).toEqual([
+        expect.objectContaining({ name: 'delete_data_source_entry', status: 'pending' }),
+      ]);
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Persistence (serialize / restore)
+  // ---------------------------------------------------------------
+
+  describe('persistence', () => {
+    test('should round-trip history and summary through serialize() and restore()', async () => {
+      const provider = new FakeProvider([FakeProvider.text('Hello!'), FakeProvider.text('Still here.')]);
+      const engine = new ChatEngine({ provider, toolExecutor: createMockExecutor(), tools: [] });
+      await engine.chat('Hi');
+
+      const state = JSON.parse(JSON.stringify({ ...engine.serialize(), summary: '- data source 4412 is Users' }));
+      const restored = new ChatEngine({ provider, toolExecutor: createMockExecutor(), tools: [] });
+      restored.restore(state);
+
+      expect(restored.getSummary()).toBe('- data source 4412 is Users');
+      expect(restored.serialize()).toEqual(state);
+
+      // The restored conversation carries on where it left off
+      await restored.chat('Are you there?');
+      expect(provider.requests[1].messages.map((m) => m.content)).toEqual(
+        expect.arrayContaining(['Hi', 'Hello!', 'Are you there?'])
+      );
+    });
+
+    test('should leave a turn still in progress out of the snapshot', async () => {
+      let release;
+      const mockExecutor = createMockExecutor();
+      mockExecutor.execute.mockReturnValue(new Promise((resolve) => { release = resolve; }));
+      const provider = new FakeProvider([
+        FakeProvider.text('First answer.'),
+        FakeProvider.toolCalls([{ name: 'get_data_sources', arguments: {} }]),
+        FakeProvider.text('Done.'),
+      ]);
+      const engine = new ChatEngine({ provider, toolExecutor: mockExecutor, tools: [] });
+      await engine.chat('First');
+
+      const pending = engine.chat('Second');
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(engine.isBusy()).toBe(true);
+      expect(engine.serialize().history).toEqual([
+        { role: 'user', content: 'First' },
+        { role: 'assistant', content: 'First answer.' },
+      ]);
+
+      release([]);
+      await pending;
+
+      expect(engine.isBusy()).toBe(false);
+      expect(engine.serialize().history).toHaveLength(6);
+    });
+
+    test('should reject a snapshot it does not understand', () => {
+      const engine = new ChatEngine({ provider: new FakeProvider([]), toolExecutor: createMockExecutor(), tools: [] });
+
+      expect(() => engine.restore({ version: 99, history: [] })).toThrow('Unsupported chat state');
+      expect(() => engine.restore(null)).toThrow('Unsupported chat state');
+    });
+  });
 });
@@ -6,7 +6,7 @@
  * but the wiring and formatting logic can be unit-tested.
  */
 
-const { createApp, formatWelcome, formatError } = require('../src/cli');
+const { createApp, formatWelcome, formatApps, formatPendingAction, formatError } = require('../src/cli');
 
 // ---------------------------------------------------------------
 // Mock dependencies
@@ -53,6 +53,99 @@ describe('CLI Module', () => {
       const app = createApp(config);
       expect(app.chatEngine.model).toBe('gpt-4o');
     });
+
+    test('should use the Anthropic model when that provider is selected', () => {
+      const config = {
+        ...createMockConfig(),
+        llmProvider: 'anthropic',
+        anthropicApiKey: 'sk-ant-test',
+        anthropicModel: 'claude-test',
+      };
+      const app = createApp(config);
+      expect(app.chatEngine.model).toBe('claude-test');
+    });
+
+    test('should query the default app first', () => {
+      const app = createApp(createMockConfig());
+      expect(app.flipletClient.appId).toBe('12345');
+    });
+
+    test('switchApp() should start a new conversation about another allowlisted app', () => {
+      const app = createApp({ ...createMockConfig(), flipletAppIds: ['12345', '67890'] });
+
+      const switched = app.switchApp('67890');
+
+      expect(switched.chatEngine).not.toBe(app.chatEngine);
+      expect(switched.flipletClient.appId).toBe('67890');
+    });
+
+    test('should share one search index pool across conversations', () => {
+      const app = createApp(createMockConfig());
+
+      expect(app.switchApp(null).toolExecutor._contentIndexes).toBe(app.contentIndexes);
+      expect(app.toolExecutor._contentIndexes).toBe(app.contentIndexes);
+    });
+
+    test('switchApp() should refuse apps outside the allowlist', () => {
+      const app = createApp(createMockConfig());
+      expect(() => app.switchApp('67890')).toThrow('not enabled');
+    });
+
+    test('should replay Fliplet traffic from FLIPLET_CASSETTE', async () => {
+      const app = createApp({
+        ...createMockConfig(),
+        flipletAppId: '123',
+        flipletCassette: `${__dirname}/../fixtures/cassettes/team-directory.json`,
+        flipletCassetteMode: 'replay',
+      });
+
+      expect(app.cassette).not.toBeNull();
+      const dataSources = await app.flipletClient.listDataSources();
+      expect(dataSources.map((ds) => ds.name)).toEqual(['Employees', 'Departments']);
+    });
+
+    test('should use the real API without a cassette', () => {
+      expect(createApp(createMockConfig()).cassette).toBeNull();
+    });
+
+    test('should load tool plugins and leave out disabled tools', () => {
+      const app = createApp({
+        ...createMockConfig(),
+        toolPluginsDir: `${__dirname}/../examples/tool-plugins`,
+        toolsDisabled: ['delete_data_source_entry'],
+      });
+
+      const names = app.toolRegistry.definitions().map((tool) => tool.function.name);
+      expect(names).toContain('get_app_overview');
+      expect(names).not.toContain('delete_data_source_entry');
+      expect(app.toolExecutor.isWriteTool('delete_data_source_entry')).toBe(false);
+    });
+
+    test('should refuse to start with an unknown tool in a tool list', () => {
+      expect(() => createApp({ ...createMockConfig(), toolsEnabled: ['list_media', 'list_files'] })).toThrow(
+        'Unknown tool in the enabled list: list_files'
+      );
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // formatApps
+  // ---------------------------------------------------------------
+
+  describe('formatApps()', () => {
+    test('should list every app and mark the current one', () => {
+      const output = formatApps(
+        [
+          { id: '12345', name: 'Directory', accessible: true },
+          { id: '67890', name: null, accessible: false },
+        ],
+        '12345'
+      );
+
+      expect(output).toContain('* 12345  Directory');
+      expect(output).toContain('  67890  (not visible to this token)');
+      expect(output).toContain('/app <id>');
+    });
   });
 
   // ---------------------------------------------------------------
@@ -72,6 +165,10 @@ describe('CLI Module', () => {
       expect(lower).toMatch(/exit|quit/);
     });
 
+    test('should mention the /app command', () => {
+      expect(formatWelcome('12345')).toContain('/app <id>');
+    });
+
     test('should be a non-empty string', () => {
       const msg = formatWelcome('99');
       expect(typeof msg).toBe('string');
@@ -79,6 +176,53 @@ describe('CLI Module', () => {
     });
   });
 
+  // ---------------------------------------------------------------
+  // formatPendingAction
+  // ---------------------------------------------------------------
+
+  describe('formatPendingAction()', () => {
+    test('should show the current and new value of every column an update sets', () => {
+      const output = formatPendingAction({
+        action: 'update',
+        dataSourceId: 10,
+        entryId: 7,
+        before: { Status: 'Active', Team: 'Red' },
+        changes: { Status: 'Inactive', Team: 'Red', Score: 3 },
+        summary: 'Update entry 7 in data source 10',
+      });
+
+      expect(output).toContain('Update entry 7 in data source 10');
+      expect(output).toContain('- Status: "Active"\n      + Status: "Inactive"');
+      expect(output).toContain('Team: "Red" (unchanged)');
+      expect(output).toContain('+ Score: 3');
+      expect(output).not.toContain('- Score');
+    });
+
+    test('should show the whole row a delete removes', () => {
+      const output = formatPendingAction({
+        action: 'delete',
+        dataSourceId: 10,
+        entryId: 7,
+        before: { Name: 'Jo', Status: 'Active' },
+        summary: 'Delete entry 7 from data source 10',
+      });
+
+      expect(output).toContain('- Name: "Jo"');
+      expect(output).toContain('- Status: "Active"');
+    });
+
+    test('should mark every column of an insert as new', () => {
+      const output = formatPendingAction({
+        action: 'insert',
+        dataSourceId: 10,
+        changes: { Name: 'Jo' },
+        summary: 'Insert a new entry into data source 10',
+      });
+
+      expect(output).toContain('+ Name: "Jo"');
+    });
+  });
+
   // ---------------------------------------------------------------
   // formatError
   // ---------------------------------------------------------------
@@ -50,6 +50,337 @@ describe('Config Loader', () => {
     // Assert — defaults should kick in
     expect(config.openaiModel).toBe('gpt-4o-mini');
     expect(config.flipletApiUrl).toBe('https://api.fliplet.com');
+    expect(config.flipletMaxAttempts).toBe(3);
+  });
+
+  test('should read FLIPLET_MAX_ATTEMPTS when set', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.FLIPLET_MAX_ATTEMPTS = '5';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.flipletMaxAttempts).toBe(5);
+  });
+
+  test('should throw when FLIPLET_MAX_ATTEMPTS is below 1', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.FLIPLET_MAX_ATTEMPTS = '-1';
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid FLIPLET_MAX_ATTEMPTS');
+  });
+
+  test.each(['0', 'abc', '3x', '2.5'])('should throw when FLIPLET_MAX_ATTEMPTS is "%s"', (value) => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.FLIPLET_MAX_ATTEMPTS = value;
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid FLIPLET_MAX_ATTEMPTS');
+  });
+
+  test('should parse FLIPLET_CACHE_TTL as seconds for every endpoint', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.FLIPLET_CACHE_TTL = '10';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.flipletCacheTtlMs).toEqual({
+      default: 10000,
+      dataSources: 10000,
+      entries: 10000,
+      media: 10000,
+    });
+  });
+
+  test('should parse FLIPLET_CACHE_TTL per endpoint group', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.FLIPLET_CACHE_TTL = 'entries=15, media=0';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.flipletCacheTtlMs).toEqual({ entries: 15000, media: 0 });
+  });
+
+  test('should throw on a malformed FLIPLET_CACHE_TTL', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.FLIPLET_CACHE_TTL = 'rows=ten';
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid FLIPLET_CACHE_TTL');
+  });
+
+  test('should read FLIPLET_CASSETTE, replaying by default', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.FLIPLET_CASSETTE = 'fixtures/cassettes/demo.json';
+    delete process.env.FLIPLET_CASSETTE_MODE;
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.flipletCassette).toBe(require('path').resolve('fixtures/cassettes/demo.json'));
+    expect(config.flipletCassetteMode).toBe('replay');
+  });
+
+  test('should read the tool plugins directory and enable / disable lists', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.TOOL_PLUGINS_DIR = 'plugins';
+    process.env.TOOLS_ENABLED = ' list_media, get_media_file ,,list_media';
+    delete process.env.TOOLS_DISABLED;
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.toolPluginsDir).toBe(require('path').resolve('plugins'));
+    expect(config.toolsEnabled).toEqual(['list_media', 'get_media_file']);
+    expect(config.toolsDisabled).toEqual([]);
+  });
+
+  test('should throw on an unknown FLIPLET_CASSETTE_MODE', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.FLIPLET_CASSETTE_MODE = 'rewind';
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid FLIPLET_CASSETTE_MODE');
+  });
+
+  test('should read HISTORY_TOKEN_BUDGET when set', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.HISTORY_TOKEN_BUDGET = '12000';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.historyTokenBudget).toBe(12000);
+  });
+
+  test('should throw on a negative HISTORY_TOKEN_BUDGET', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.HISTORY_TOKEN_BUDGET = '-5';
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid HISTORY_TOKEN_BUDGET');
+  });
+
+  test.each(['0', 'lots', '2.5e4', '4000 tokens'])('should throw when HISTORY_TOKEN_BUDGET is "%s"', (value) => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.HISTORY_TOKEN_BUDGET = value;
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid HISTORY_TOKEN_BUDGET');
+  });
+
+  test('should accept SUMMARIZE_AFTER_TOKENS=0 to disable summaries', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.SUMMARIZE_AFTER_TOKENS = '0';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.summarizeAfterTokens).toBe(0);
+  });
+
+  test('should read SEARCH_INDEX_REFRESH_MINUTES, defaulting to 15 minutes', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    delete process.env.SEARCH_INDEX_REFRESH_MINUTES;
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const defaults = loadConfig();
+    process.env.SEARCH_INDEX_REFRESH_MINUTES = '0';
+    const onDemand = loadConfig();
+
+    // Assert
+    expect(defaults.searchIndexRefreshMs).toBe(15 * 60 * 1000);
+    expect(onDemand.searchIndexRefreshMs).toBe(0);
+  });
+
+  test('should throw on a malformed SEARCH_INDEX_REFRESH_MINUTES', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.SEARCH_INDEX_REFRESH_MINUTES = 'hourly';
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid SEARCH_INDEX_REFRESH_MINUTES');
+  });
+
+  test.each(['lots', '1.5e4', '-1'])('should throw when SUMMARIZE_AFTER_TOKENS is "%s"', (value) => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.SUMMARIZE_AFTER_TOKENS = value;
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid SUMMARIZE_AFTER_TOKENS');
+  });
+
+  test('should default to the openai provider', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.llmProvider).toBe('openai');
+  });
+
+  test('should not require OPENAI_API_KEY when OPENAI_BASE_URL points at a local server', () => {
+    // Arrange — set to empty so dotenv won't override from .env
+    process.env.OPENAI_API_KEY = '';
+    process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.openaiBaseUrl).toBe('http://localhost:11434/v1');
+  });
+
+  test('should throw on an invalid OPENAI_BASE_URL', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.OPENAI_BASE_URL = 'not a url';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid OPENAI_BASE_URL');
+  });
+
+  test('should require ANTHROPIC_API_KEY for the anthropic provider', () => {
+    // Arrange — set to empty so dotenv won't override from .env
+    process.env.LLM_PROVIDER = 'anthropic';
+    process.env.ANTHROPIC_API_KEY = '';
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('anthropicApiKey');
+  });
+
+  test('should load the anthropic provider without an OpenAI key', () => {
+    // Arrange
+    process.env.LLM_PROVIDER = 'Anthropic';
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+    process.env.OPENAI_API_KEY = '';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.llmProvider).toBe('anthropic');
+    expect(config.anthropicApiKey).toBe('sk-ant-test');
+  });
+
+  test('should load the fake provider without any LLM key', () => {
+    // Arrange
+    process.env.LLM_PROVIDER = 'fake';
+    process.env.FAKE_LLM_SCENARIO = '/tmp/scenario.json';
+    process.env.OPENAI_API_KEY = '';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.llmProvider).toBe('fake');
+    expect(config.fakeLlmScenario).toBe('/tmp/scenario.json');
+  });
+
+  test('should throw on an unknown LLM_PROVIDER', () => {
+    // Arrange
+    process.env.LLM_PROVIDER = 'mystery';
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid LLM_PROVIDER');
   });
 
   test('should throw when OPENAI_API_KEY is missing', () => {
@@ -85,6 +416,179 @@ describe('Config Loader', () => {
     expect(() => loadConfig()).toThrow('Missing required environment variables');
   });
 
+  test('should default to a file session store under data/sessions', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.sessionStore).toBe('file');
+    expect(config.sessionStoreDir).toMatch(/data[\\/]sessions$/);
+  });
+
+  test('should throw on an unknown SESSION_STORE', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.SESSION_STORE = 'redis';
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid SESSION_STORE');
+  });
+
+  test('should parse AUTH_API_KEYS into per-user keys', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.AUTH_API_KEYS = 'alice:alice-key-0123456789, bob:bob-key-0123456789';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.authApiKeys).toEqual([
+      { userId: 'alice', key: 'alice-key-0123456789' },
+      { userId: 'bob', key: 'bob-key-0123456789' },
+    ]);
+  });
+
+  test('should throw on malformed or short AUTH_API_KEYS', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.AUTH_API_KEYS = 'alice:short';
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid AUTH_API_KEYS');
+  });
+
+  test('should throw on a short AUTH_JWT_SECRET', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.AUTH_JWT_SECRET = 'too-short';
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid AUTH_JWT_SECRET');
+  });
+
+  test('should allow only the default app when FLIPLET_APP_IDS is unset', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.FLIPLET_APP_IDS = '';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.flipletAppIds).toEqual(['123']);
+  });
+
+  test('should parse FLIPLET_APP_IDS with the default app first', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '456';
+    process.env.FLIPLET_APP_IDS = '123, 456,789';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.flipletAppId).toBe('456');
+    expect(config.flipletAppIds).toEqual(['456', '123', '789']);
+  });
+
+  test('should default to the first of FLIPLET_APP_IDS when FLIPLET_APP_ID is unset', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '';
+    process.env.FLIPLET_APP_IDS = '123,456';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.flipletAppId).toBe('123');
+    expect(config.flipletAppIds).toEqual(['123', '456']);
+  });
+
+  test('should throw on a non-numeric app ID in FLIPLET_APP_IDS', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.FLIPLET_APP_IDS = '123,abc';
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('Invalid FLIPLET_APP_IDS');
+  });
+
+  test('should not require FLIPLET_API_TOKEN when login credentials are set', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = '';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.FLIPLET_EMAIL = 'bot@example.com';
+    process.env.FLIPLET_PASSWORD = 'secret';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.flipletEmail).toBe('bot@example.com');
+    expect(config.flipletPassword).toBe('secret');
+  });
+
+  test('should accept a credentials file instead of a token', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = '';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.FLIPLET_CREDENTIALS_FILE = '/run/secrets/fliplet.json';
+
+    // Act
+    const { loadConfig } = require('../src/config');
+    const config = loadConfig();
+
+    // Assert
+    expect(config.flipletCredentialsFile).toBe('/run/secrets/fliplet.json');
+  });
+
+  test('should throw when FLIPLET_EMAIL is set without FLIPLET_PASSWORD', () => {
+    // Arrange
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.FLIPLET_API_TOKEN = 'test-token';
+    process.env.FLIPLET_APP_ID = '123';
+    process.env.FLIPLET_EMAIL = 'bot@example.com';
+    process.env.FLIPLET_PASSWORD = '';
+
+    // Act & Assert
+    const { loadConfig } = require('../src/config');
+    expect(() => loadConfig()).toThrow('FLIPLET_EMAIL and FLIPLET_PASSWORD');
+  });
+
   test('should return a frozen (immutable) config object', () => {
     // Arrange
     process.env.OPENAI_API_KEY = 'test-key';
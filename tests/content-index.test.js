@@ -0,0 +1,249 @@
+/**
+ * App Content Index — Unit Tests
+ *
+ * Building the index from a mocked FlipletApiClient, incremental
+ * refreshes (changed, deleted and unreadable entries and files),
+ * single-flight refreshes and the pool's scheduled refreshes.
+ */
+
+const { ContentIndex, ContentIndexPool } = require('../src/content-index');
+const { FlipletApiClient } = require('../src/fliplet-client');
+
+/**
+ * A client over an in-memory app that tests can change between refreshes.
+ */
+function createMockClient(appId = '123') {
+  const app = {
+    dataSources: [
+      { id: 10, name: 'Customers' },
+      { id: 11, name: 'Suppliers' },
+    ],
+    entries: {
+      10: [
+        { id: 1, data: { Company: 'Acme Ltd', City: 'London' } },
+        { id: 2, data: { Company: 'Initech', City: 'Leeds', Notes: '' } },
+      ],
+      11: [{ id: 5, data: { Company: 'Globex', Notes: 'Resells Acme parts' } }],
+    },
+    media: {
+      root: {
+        folders: [{ id: 70, name: 'Policies' }],
+        files: [
+          { id: 100, name: 'welcome.md', size: 40, updatedAt: '2026-01-01' },
+          { id: 101, name: 'logo.png', contentType: 'image/png', size: 500 },
+        ],
+      },
+      70: { folders: [], files: [{ id: 102, name: 'expenses.txt', size: 60, updatedAt: '2026-01-01' }] },
+    },
+    contents: {
+      100: 'Welcome to the Acme intranet.',
+      102: 'Expense claims\nReceipts are needed within 30 days.',
+    },
+  };
+
+  return {
+    app,
+    appId,
+    listDataSources: jest.fn(async () => app.dataSources),
+    iterateDataSourceEntries: jest.fn(async function* (dataSourceId) {
+      yield app.entries[dataSourceId] || [];
+    }),
+    listMedia: jest.fn(async (folderId) => app.media[folderId === undefined ? 'root' : folderId]),
+    // The real folder walk, over the mocked listMedia()
+    walkMedia: FlipletApiClient.prototype.walkMedia,
+    downloadMediaFile: jest.fn(async (file) => {
+      if (!(file.id in app.contents)) throw new Error('Media file download failed: 404 Not Found');
+      return { data: Buffer.from(app.contents[file.id]), contentType: 'text/plain' };
+    }),
+  };
+}
+
+describe('ContentIndex', () => {
+  let client;
+  let index;
+
+  beforeEach(() => {
+    client = createMockClient();
+    index = new ContentIndex(client, { now: () => Date.UTC(2026, 9, 18) });
+  });
+
+  test('should throw if no client is provided', () => {
+    expect(() => new ContentIndex()).toThrow('ContentIndex requires a FlipletApiClient');
+  });
+
+  test('should build the index on the first search', async () => {
+    const { total, hits } = await index.search('Acme');
+
+    expect(total).toBe(3);
+    expect(hits).toEqual(
+      expect.arrayContaining([
+        {
+          type: 'entry',
+          dataSourceId: 10,
+          dataSourceName: 'Customers',
+          entryId: 1,
+          score: expect.any(Number),
+          snippet: 'Company: Acme Ltd',
+        },
+        expect.objectContaining({ type: 'entry', dataSourceId: 11, entryId: 5, snippet: 'Notes: Resells Acme parts' }),
+        expect.objectContaining({ type: 'media', fileId: 100, fileName: 'welcome.md', reference: 'line 1' }),
+      ])
+    );
+    expect(index.status()).toEqual({
+      entries: 3,
+      mediaFiles: 2,
+      refreshedAt: '2026-10-18T00:00:00.000Z',
+      refreshing: false,
+      partial: false,
+      truncated: false,
+      skippedFiles: [],
+    });
+  });
+
+  test('should search files in subfolders and skip formats it cannot read', async () => {
+    const { hits } = await index.search('receipts');
+
+    expect(hits).toEqual([expect.objectContaining({ fileId: 102, reference: 'lines 1-2' })]);
+    expect(client.downloadMediaFile).toHaveBeenCalledTimes(2);
+    expect(client.listMedia).toHaveBeenCalledWith(70);
+  });
+
+  test('should narrow results by source and data source', async () => {
+    expect((await index.search('Acme', { source: 'media' })).hits.map((hit) => hit.fileId)).toEqual([100]);
+    expect((await index.search('Acme', { source: 'entries' })).total).toBe(2);
+    expect((await index.search('Acme', { dataSourceId: 11 })).hits.map((hit) => hit.entryId)).toEqual([5]);
+  });
+
+  test('should only re-index what changed on refresh', async () => {
+    await index.refresh();
+    client.app.entries[10][0].data.Company = 'Acme Holdings';
+    client.app.entries[10].pop();
+    client.app.contents[102] = 'Travel policy';
+    client.app.media[70].files[0].updatedAt = '2026-02-01';
+    client.downloadMediaFile.mockClear();
+
+    await index.refresh();
+
+    expect(client.downloadMediaFile).toHaveBeenCalledTimes(1);
+    expect(client.downloadMediaFile).toHaveBeenCalledWith(expect.objectContaining({ id: 102 }), expect.any(Object));
+    expect((await index.search('Holdings')).hits[0].entryId).toBe(1);
+    expect((await index.search('Initech')).total).toBe(0);
+    expect((await index.search('receipts')).total).toBe(0);
+    expect((await index.search('travel')).total).toBe(1);
+    expect(index.status().entries).toBe(2);
+  });
+
+  test('should drop data sources and files that were deleted', async () => {
+    await index.refresh();
+    client.app.dataSources.pop();
+    client.app.media.root.folders = [];
+
+    await index.refresh();
+
+    expect((await index.search('Globex')).total).toBe(0);
+    expect((await index.search('receipts')).total).toBe(0);
+    expect(index.status().mediaFiles).toBe(1);
+  });
+
+  test('should report files it cannot read and keep indexing the rest', async () => {
+    delete client.app.contents[100];
+    client.app.media[70].files.push({ id: 103, name: 'huge.csv', size: 50 * 1024 * 1024 });
+
+    await index.refresh();
+
+    expect(index.status().skippedFiles).toEqual([
+      { fileId: 100, name: 'welcome.md', reason: 'Media file download failed: 404 Not Found' },
+      { fileId: 103, name: 'huge.csv', reason: 'larger than 10 MB' },
+    ]);
+    expect((await index.search('receipts')).total).toBe(1);
+  });
+
+  test('should stop at maxEntries and report the index as truncated', async () => {
+    index = new ContentIndex(client, { maxEntries: 2 });
+    await index.refresh();
+
+    expect(index.status()).toMatchObject({ entries: 2, truncated: true });
+    expect((await index.search('Globex')).total).toBe(0);
+  });
+
+  test('should share one run between concurrent refreshes', async () => {
+    const [first, second] = await Promise.all([index.refresh(), index.refresh()]);
+
+    expect(first).toEqual(second);
+    expect(client.listDataSources).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep the error and stay unbuilt when a refresh fails', async () => {
+    client.listDataSources.mockRejectedValueOnce(new Error('Fliplet API error: 503'));
+
+    await expect(index.search('Acme')).rejects.toThrow('Fliplet API error: 503');
+    expect(index.lastError.message).toBe('Fliplet API error: 503');
+    expect(index.status().refreshedAt).toBeNull();
+
+    await expect(index.search('Acme')).resolves.toMatchObject({ total: 3 });
+    expect(index.lastError).toBeNull();
+  });
+
+  test('should stop waiting when the signal fires, but finish the run for later callers', async () => {
+    const controller = new AbortController();
+
+    const waiting = index.refresh({ signal: controller.signal });
+    controller.abort();
+
+    await expect(waiting).rejects.toThrow('Stopped waiting for the app to be indexed');
+    expect(index.status().refreshing).toBe(true);
+    await expect(index.search('Acme')).resolves.toMatchObject({ total: 3 });
+    expect(client.listDataSources).toHaveBeenCalledTimes(1);
+    expect(client.downloadMediaFile).toHaveBeenCalledTimes(2);
+  });
+
+  test('should search what a failed run indexed while the next run retries', async () => {
+    client.listMedia.mockRejectedValueOnce(new Error('Fliplet API error: 503'));
+
+    await expect(index.refresh()).rejects.toThrow('Fliplet API error: 503');
+    expect(index.status()).toMatchObject({ entries: 3, refreshedAt: null, partial: true });
+
+    // Entries are searchable straight away; the retry runs in the background
+    await expect(index.search('Globex')).resolves.toMatchObject({ total: 1 });
+    expect(index.status().refreshing).toBe(true);
+
+    await index.refresh();
+    expect(index.status()).toMatchObject({ mediaFiles: 2, partial: false, refreshedAt: '2026-10-18T00:00:00.000Z' });
+    expect((await index.search('receipts')).total).toBe(1);
+  });
+});
+
+describe('ContentIndexPool', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should keep one index per app', () => {
+    const pool = new ContentIndexPool();
+    const client = createMockClient('123');
+
+    expect(pool.get(client)).toBe(pool.get(createMockClient('123')));
+    expect(pool.get(createMockClient('456'))).not.toBe(pool.get(client));
+    expect(pool.get(client).client).toBe(client);
+  });
+
+  test('should refresh built indexes on a schedule until closed', async () => {
+    jest.useFakeTimers();
+    const pool = new ContentIndexPool({ refreshIntervalMs: 60000 });
+    const client = createMockClient();
+    const index = pool.get(client);
+
+    // Not built yet — nothing to refresh
+    jest.advanceTimersByTime(60000);
+    expect(client.listDataSources).not.toHaveBeenCalled();
+
+    await index.refresh();
+    jest.advanceTimersByTime(60000);
+    await index.refresh();
+    expect(client.listDataSources).toHaveBeenCalledTimes(2);
+
+    pool.close();
+    jest.advanceTimersByTime(60000);
+    expect(client.listDataSources).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Evaluation Harness — Unit Tests
+ *
+ * Covers scoring, suite validation, baseline comparison and reporting,
+ * plus one `npm run eval` run with the scripted LLM against the mock
+ * Fliplet API.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadSuite,
+  checkAnswer,
+  runSuite,
+  summarize,
+  fingerprint,
+  compareReports,
+  renderMarkdown,
+} = require('../src/eval-harness');
+const evalScript = require('../scripts/eval');
+
+/**
+ * A stand-in engine that answers from a map of question → { answer, toolCalls }.
+ */
+function scriptedEngine(replies) {
+  let last = [];
+  return {
+    chat: async (question) => {
+      const reply = replies[question];
+      if (!reply) throw new Error(`Unexpected question: ${question}`);
+      last = reply.toolCalls || [];
+      return reply.answer;
+    },
+    getLastToolActivity: () => last,
+  };
+}
+
+describe('Eval harness', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeJson = (name, value) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof value === 'string' ? value : JSON.stringify(value));
+    return file;
+  };
+
+  describe('checkAnswer()', () => {
+    const outcome = {
+      answer: 'There are **3** engineers: Alice, Bob and Grace. Budget: $1,200,000.',
+      toolCalls: [{ name: 'get_data_source_entries', arguments: { dataSourceId: 1, where: { Department: 'Engineering' } } }],
+    };
+
+    test('should produce one check per expectation', () => {
+      const checks = checkAnswer(
+        {
+          tools: ['get_data_source_entries', 'list_media'],
+          forbiddenTools: ['delete_data_source_entry'],
+          contains: ['alice', 'Dana'],
+          numbers: [3, 1200000, 4],
+          excludes: ['Dana'],
+        },
+        outcome
+      );
+
+      expect(checks.map((c) => [c.type, c.passed])).toEqual([
+        ['tool', true],
+        ['tool', false],
+        ['forbiddenTool', true],
+        ['contains', true],
+        ['contains', false],
+        ['number', true],
+        ['number', true],
+        ['number', false],
+        ['excludes', true],
+      ]);
+    });
+
+    test('should match tool arguments partially, with IDs as numbers or strings', () => {
+      const [byValue, wrong] = checkAnswer(
+        {
+          tools: [
+            { name: 'get_data_source_entries', arguments: { dataSourceId: '1', where: { Department: 'Engineering' } } },
+            { name: 'get_data_source_entries', arguments: { dataSourceId: 2 } },
+          ],
+        },
+        outcome
+      );
+
+      expect(byValue.passed).toBe(true);
+      expect(wrong.passed).toBe(false);
+    });
+
+    test('should not read digits inside other numbers as matches', () => {
+      const [check] = checkAnswer({ numbers: [20] }, { answer: 'Entry 2014', toolCalls: [] });
+
+      expect(check.passed).toBe(false);
+    });
+  });
+
+  describe('loadSuite()', () => {
+    test('should load the bundled golden suite', () => {
+      const suite = loadSuite(path.join(__dirname, '..', 'fixtures', 'eval', 'golden.json'));
+
+      expect(suite.name).toBe('golden');
+      expect(suite.cases.length).toBeGreaterThan(10);
+    });
+
+    test('should explain malformed suites', () => {
+      const load = (suite) => () => loadSuite(writeJson('suite.json', suite));
+      const expectOnly = (expect) => ({ cases: [{ id: 'a', question: 'q', expect }] });
+
+      expect(load('nope')).toThrow('Could not read eval suite');
+      expect(load({ cases: [] })).toThrow('non-empty "cases" array');
+      expect(load({ cases: [{ question: 'q', expect: { contains: ['x'] } }] })).toThrow('needs an "id"');
+      expect(load({ cases: [{ id: 'a', question: [], expect: { contains: ['x'] } }] })).toThrow('"question" must be');
+      expect(load(expectOnly({ mentions: ['x'] }))).toThrow('unknown expectation mentions');
+      expect(load(expectOnly({ contains: [] }))).toThrow('"expect" has nothing to check');
+      expect(
+        load({ cases: [{ id: 'a', question: 'q', expect: { contains: ['x'] } }, { id: 'a', question: 'q', expect: { contains: ['x'] } }] })
+      ).toThrow('duplicate id');
+    });
+  });
+
+  describe('runSuite()', () => {
+    test('should score each case in a fresh engine and total the run', async () => {
+      const replies = {
+        'How many?': { answer: 'There are 3.', toolCalls: [{ name: 'list_data_sources', status: 'success' }] },
+        'Who?': { answer: 'Alice' },
+        'And then?': { answer: 'Bob' },
+      };
+      const createEngine = jest.fn(() => scriptedEngine(replies));
+      const suite = {
+        name: 't',
+        cases: [
+          { id: 'count', question: 'How many?', expect: { tools: ['list_data_sources'], numbers: [3] } },
+          { id: 'turns', question: ['Who?', 'And then?'], appId: '456', expect: { contains: ['Bob'], excludes: ['Carol'] } },
+          { id: 'half', question: 'Who?', expect: { contains: ['Alice', 'Zed'] } },
+          { id: 'crash', question: 'Unknown', expect: { excludes: ['x'] } },
+        ],
+      };
+
+      const { cases, summary } = await runSuite({ suite, createEngine });
+
+      expect(createEngine).toHaveBeenCalledTimes(4);
+      expect(createEngine).toHaveBeenCalledWith('456');
+      expect(cases.map((c) => [c.id, c.score, c.passed])).toEqual([
+        ['count', 1, true],
+        ['turns', 1, true],
+        ['half', 0.5, false],
+        ['crash', 0, false],
+      ]);
+      expect(cases[3].error).toBe('Unexpected question: Unknown');
+      expect(summary).toMatchObject({ cases: 4, passed: 2, checks: 7, checksPassed: 5, score: 0.625 });
+    });
+  });
+
+  describe('reports', () => {
+    const caseResult = (id, score) => ({
+      id,
+      question: `${id}?`,
+      answer: `answer ${id}`,
+      toolCalls: [{ name: 'list_media' }],
+      checks: [{ type: 'contains', expected: 'x', passed: score === 1 }],
+      error: null,
+      score,
+      passed: score === 1,
+      durationMs: 5,
+    });
+    const report = (scores, extra = {}) => {
+      const cases = Object.entries(scores).map(([id, score]) => caseResult(id, score));
+      return { suite: 'golden', startedAt: 'now', provider: 'fake', model: 'm', fingerprint: 'abc', summary: summarize(cases), cases, ...extra };
+    };
+
+    test('should list regressions, improvements and prompt changes against the baseline', () => {
+      const comparison = compareReports(
+        report({ a: 1, b: 0, c: 1 }),
+        report({ a: 0, b: 1, d: 1 }, { startedAt: 'before', fingerprint: 'old' })
+      );
+
+      expect(comparison).toEqual({
+        baselineStartedAt: 'before',
+        scoreDelta: 0,
+        promptChanged: true,
+        regressions: [{ id: 'b', before: 1, after: 0 }],
+        improvements: [{ id: 'a', before: 0, after: 1 }],
+        added: ['c'],
+        removed: ['d'],
+      });
+      expect(compareReports(report({ a: 1 }), null)).toBeNull();
+    });
+
+    test('should render a Markdown summary with failures', () => {
+      const current = report({ a: 1, b: 0 });
+      current.comparison = compareReports(current, report({ a: 1, b: 1 }, { startedAt: 'before' }));
+
+      const markdown = renderMarkdown(current);
+
+      expect(markdown).toContain('Score: **50%** (1/2 cases passed, 1/2 checks)');
+      expect(markdown).toContain('Baseline (before): -50%');
+      expect(markdown).toContain('| b | 0% | FAIL | list_media | contains "x" |');
+      expect(markdown).toContain('- Regressed: b (100% → 0%)');
+      expect(markdown).toContain('### b');
+    });
+
+    test('should fingerprint the prompt and tools', () => {
+      const a = fingerprint({ content: 'prompt' }, [{ name: 't' }]);
+
+      expect(a).toMatch(/^[0-9a-f]{12}$/);
+      expect(fingerprint({ content: 'prompt!' }, [{ name: 't' }])).not.toBe(a);
+    });
+  });
+
+  describe('npm run eval', () => {
+    const loadConfig = (apiUrl, appId) => ({
+      llmProvider: 'fake',
+      flipletApiUrl: apiUrl,
+      flipletApiToken: 'mock-fliplet-token',
+      flipletAppId: appId,
+    });
+
+    test('should reject bad flags', () => {
+      expect(() => evalScript.parseArgs(['--fail-under', '2'])).toThrow('between 0 and 1');
+      expect(() => evalScript.parseArgs(['--case'])).toThrow('--case needs a value');
+      expect(() => evalScript.parseArgs(['--verbose'])).toThrow('Unknown option');
+    });
+
+    test('should write reports, save the first run as baseline and compare later runs with it', async () => {
+      const suite = writeJson('suite.json', {
+        name: 'mini',
+        cases: [
+          { id: 'sources', question: 'What data sources are there?', expect: { tools: ['list_data_sources'], contains: ['Employees'] } },
+          { id: 'unknown', question: 'Tell me a joke', expect: { contains: ['knock knock'] } },
+        ],
+      });
+      const out = path.join(dir, 'results');
+      const log = jest.fn();
+
+      const first = await evalScript.run({ argv: ['--suite', suite, '--out', out], loadConfig, log });
+      const second = await evalScript.run({ argv: ['--suite', suite, '--out', out, '--fail-under', '0.9'], loadConfig, log });
+
+      const latest = JSON.parse(fs.readFileSync(path.join(out, 'latest.json'), 'utf-8'));
+      expect(first).toBe(0);
+      expect(second).toBe(1);
+      expect(latest.summary).toMatchObject({ cases: 2, passed: 1, score: 0.5 });
+      expect(latest.comparison.scoreDelta).toBe(0);
+      expect(fs.readFileSync(path.join(out, 'latest.md'), 'utf-8')).toContain('# Eval report: mini');
+      expect(fs.readdirSync(out).filter((f) => f.startsWith('report-'))).toHaveLength(4);
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('Saved as the baseline'));
+    });
+
+    test('should refuse unknown cases', async () => {
+      const log = jest.fn();
+
+      const code = await evalScript.run({ argv: ['--case', 'nope', '--out', dir], loadConfig, log });
+
+      expect(code).toBe(2);
+      expect(log).toHaveBeenCalledWith('Error: no such case: nope');
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Fliplet Authentication — Unit Tests
+ *
+ * Covers logging in to Fliplet and the credentials provider that renews
+ * the shared API token. fetch and the file reader are mocked.
+ */
+
+const {
+  loginToFliplet,
+  FlipletCredentialsProvider,
+  createCredentialsProvider,
+} = require('../src/fliplet-auth');
+
+/**
+ * Creates a mock fetch Response with a JSON body.
+ */
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+  });
+}
+
+/**
+ * Creates a mock fetch that logs in with tokens fresh-1, fresh-2, ...
+ */
+function loginFetch() {
+  let count = 0;
+  return jest.fn(() => jsonResponse({ auth_token: `fresh-${++count}` }));
+}
+
+// ---------------------------------------------------------------
+// loginToFliplet()
+// ---------------------------------------------------------------
+
+describe('loginToFliplet', () => {
+  test('should POST the credentials and return the auth token', async () => {
+    const fetchFn = jest.fn(() => jsonResponse({ auth_token: 'eu--new-token' }));
+
+    const token = await loginToFliplet({
+      email: 'bot@example.com',
+      password: 'secret',
+      apiUrl: 'https://api.fliplet.test',
+      fetchFn,
+    });
+
+    expect(token).toBe('eu--new-token');
+    expect(fetchFn).toHaveBeenCalledWith('https://api.fliplet.test/v1/auth/login', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ email: 'bot@example.com', password: 'secret' }),
+    }));
+  });
+
+  test('should report why a login was rejected', async () => {
+    const fetchFn = jest.fn(() => jsonResponse({ message: 'Invalid email or password' }, 401));
+
+    await expect(loginToFliplet({ email: 'a', password: 'b', fetchFn })).rejects.toThrow(
+      'Fliplet login failed: Invalid email or password'
+    );
+  });
+
+  test('should fail when the response has no token', async () => {
+    const fetchFn = jest.fn(() => jsonResponse({}));
+
+    await expect(loginToFliplet({ email: 'a', password: 'b', fetchFn })).rejects.toThrow('did not include an auth token');
+  });
+});
+
+// ---------------------------------------------------------------
+// FlipletCredentialsProvider
+// ---------------------------------------------------------------
+
+describe('FlipletCredentialsProvider', () => {
+  test('should require a token or a way to log in', () => {
+    expect(() => new FlipletCredentialsProvider()).toThrow('requires a token or login credentials');
+  });
+
+  test('should hand out the configured token without logging in', async () => {
+    const fetchFn = loginFetch();
+    const credentials = new FlipletCredentialsProvider({ token: 'initial', email: 'a', password: 'b', fetchFn });
+
+    await expect(credentials.getToken()).resolves.toBe('initial');
+    expect(fetchFn).not.toHaveBeenCalled();
+  });
+
+  test('should log in on first use when there is no token yet', async () => {
+    const credentials = new FlipletCredentialsProvider({ email: 'a', password: 'b', fetchFn: loginFetch() });
+
+    await expect(credentials.getToken()).resolves.toBe('fresh-1');
+    expect(credentials.current).toBe('fresh-1');
+  });
+
+  test('should replace a rejected token', async () => {
+    const onRefresh = jest.fn();
+    const credentials = new FlipletCredentialsProvider({
+      token: 'expired',
+      email: 'a',
+      password: 'b',
+      fetchFn: loginFetch(),
+      onRefresh,
+    });
+
+    await expect(credentials.refresh('expired')).resolves.toBe('fresh-1');
+    expect(credentials.current).toBe('fresh-1');
+    expect(credentials.refreshCount).toBe(1);
+    expect(onRefresh).toHaveBeenCalledTimes(1);
+  });
+
+  test('should log in once for concurrent rejections of the same token', async () => {
+    const fetchFn = loginFetch();
+    const credentials = new FlipletCredentialsProvider({ token: 'expired', email: 'a', password: 'b', fetchFn });
+
+    const tokens = await Promise.all([
+      credentials.refresh('expired'),
+      credentials.refresh('expired'),
+      credentials.refresh('expired'),
+    ]);
+
+    expect(tokens).toEqual(['fresh-1', 'fresh-1', 'fresh-1']);
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not log in again for a token that was already replaced', async () => {
+    const fetchFn = loginFetch();
+    const credentials = new FlipletCredentialsProvider({ token: 'expired', email: 'a', password: 'b', fetchFn });
+    await credentials.refresh('expired');
+
+    await expect(credentials.refresh('expired')).resolves.toBe('fresh-1');
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  test('should read the credentials file at login time', async () => {
+    const fetchFn = loginFetch();
+    const readFile = jest.fn(() => JSON.stringify({ email: 'bot@example.com', password: 'from-file' }));
+    const credentials = new FlipletCredentialsProvider({
+      token: 'expired',
+      credentialsFile: '/run/secrets/fliplet.json',
+      fetchFn,
+      readFile,
+    });
+
+    expect(readFile).not.toHaveBeenCalled();
+    await credentials.refresh('expired');
+
+    expect(readFile).toHaveBeenCalledWith('/run/secrets/fliplet.json');
+    expect(JSON.parse(fetchFn.mock.calls[0][1].body)).toEqual({ email: 'bot@example.com', password: 'from-file' });
+  });
+
+  test('should explain an unreadable or incomplete credentials file', async () => {
+    const missing = new FlipletCredentialsProvider({
+      token: 'expired',
+      credentialsFile: '/nope.json',
+      readFile: () => {
+        throw new Error('ENOENT');
+      },
+    });
+    const incomplete = new FlipletCredentialsProvider({
+      token: 'expired',
+      credentialsFile: '/partial.json',
+      readFile: () => '{"email":"bot@example.com"}',
+    });
+
+    await expect(missing.refresh('expired')).rejects.toThrow('Could not read Fliplet credentials file /nope.json');
+    await expect(incomplete.refresh('expired')).rejects.toThrow('must contain "email" and "password"');
+  });
+
+  test('should refuse to refresh without login credentials', async () => {
+    const credentials = new FlipletCredentialsProvider({ token: 'expired' });
+
+    expect(credentials.canRefresh()).toBe(false);
+    await expect(credentials.refresh('expired')).rejects.toThrow('no login credentials are configured');
+  });
+
+  test('should allow another attempt after a failed login', async () => {
+    const fetchFn = jest
+      .fn()
+      .mockReturnValueOnce(jsonResponse({ message: 'Service unavailable' }, 503))
+      .mockReturnValueOnce(jsonResponse({ auth_token: 'fresh-2' }));
+    const credentials = new FlipletCredentialsProvider({ token: 'expired', email: 'a', password: 'b', fetchFn });
+
+    await expect(credentials.refresh('expired')).rejects.toThrow('Service unavailable');
+    await expect(credentials.refresh('expired')).resolves.toBe('fresh-2');
+  });
+});
+
+describe('createCredentialsProvider', () => {
+  test('should build a provider from config', () => {
+    const credentials = createCredentialsProvider({
+      flipletApiToken: 'token',
+      flipletEmail: 'bot@example.com',
+      flipletPassword: 'secret',
+      flipletApiUrl: 'https://api.fliplet.com',
+    });
+
+    expect(credentials.current).toBe('token');
+    expect(credentials.canRefresh()).toBe(true);
+  });
+});
@@ -0,0 +1,350 @@
+/**
+ * Fliplet API Cassettes — Unit Tests
+ *
+ * Recording (redaction, saved file, untouched responses), replay
+ * (matching, ordering, unmatched requests) and a round trip through
+ * FlipletApiClient against the mock Fliplet API over HTTP.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CassetteRecorder,
+  CassettePlayer,
+  CassetteError,
+  readCassette,
+  createCassette,
+  REDACTED,
+} = require('../src/fliplet-cassette');
+const { FlipletApiClient, FlipletApiError } = require('../src/fliplet-client');
+const { FlipletCredentialsProvider } = require('../src/fliplet-auth');
+const { createMockFlipletServer, loadFixtures } = require('../src/mock-fliplet-server');
+
+const TOKEN = 'secret-token-abc123';
+const CLIENT_CONFIG = { flipletApiUrl: 'https://api.fliplet.com', flipletApiToken: 't', flipletAppId: '123' };
+
+/**
+ * A fetch that answers every request with the given JSON body.
+ */
+function jsonFetch(body, status = 200, headers = {}) {
+  return jest.fn(async () => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers },
+  }));
+}
+
+/**
+ * A one-interaction cassette.
+ */
+function interaction(method, url, responseBody, { body = null, status = 200 } = {}) {
+  return { request: { method, url, body }, response: { status, statusText: 'OK', headers: {}, body: responseBody } };
+}
+
+describe('Fliplet API cassettes', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('CassetteRecorder', () => {
+    test('should record the exchange and hand back an unread response', async () => {
+      const fetchFn = jsonFetch({ apps: [{ id: 1 }] }, 200, { etag: '"v1"', 'x-powered-by': 'Express' });
+      const recorder = new CassetteRecorder({ fetchFn });
+
+      const response = await recorder.fetch('https://api.fliplet.com/v1/apps?x=1', { headers: { 'Auth-token': TOKEN } });
+
+      expect(await response.json()).toEqual({ apps: [{ id: 1 }] });
+      expect(response.headers.get('etag')).toBe('"v1"');
+      expect(recorder.interactions).toEqual([
+        {
+          request: { method: 'GET', url: '/v1/apps?x=1', body: null },
+          response: {
+            status: 200,
+            statusText: '',
+            headers: { 'content-type': 'application/json', etag: '"v1"' },
+            body: { apps: [{ id: 1 }] },
+          },
+        },
+      ]);
+    });
+
+    test('should keep tokens and credentials out of the cassette', async () => {
+      const fetchFn = jest
+        .fn()
+        .mockResolvedValueOnce(new Response(JSON.stringify({ auth_token: 'fresh-token-456' })))
+        .mockResolvedValueOnce(new Response(JSON.stringify({ note: `issued fresh-token-456 and ${TOKEN}`, user: { password: 'x' } })));
+      const recorder = new CassetteRecorder({ fetchFn });
+
+      const login = await recorder.fetch('https://api.fliplet.com/v1/auth/login', {
+        method: 'POST',
+        body: JSON.stringify({ email: 'me@example.com', password: 'hunter2' }),
+      });
+      await login.json();
+      const echo = await recorder.fetch(`https://api.fliplet.com/v1/echo?token=${TOKEN}`, { headers: { 'auth-token': TOKEN } });
+      await echo.json();
+
+      const saved = JSON.stringify(recorder.interactions);
+      expect(saved).not.toMatch(/hunter2|me@example\.com|fresh-token-456|secret-token-abc123/);
+      expect(recorder.interactions[0].request.body).toBe(REDACTED);
+      expect(recorder.interactions[1].request.url).toBe(`/v1/echo?token=${REDACTED}`);
+      expect(recorder.interactions[1].response.body.user.password).toBe(REDACTED);
+    });
+
+    test('should batch writes to the file, and write at once on save()', async () => {
+      const file = path.join(dir, 'nested', 'apps.json');
+      const recorder = new CassetteRecorder({ fetchFn: jsonFetch({ ok: true }), file, saveDelayMs: 20 });
+
+      await (await recorder.fetch('https://api.fliplet.com/v1/apps')).json();
+      await (await recorder.fetch('https://api.fliplet.com/v1/apps')).json();
+      expect(fs.existsSync(file)).toBe(false);
+
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      expect(readCassette(file).interactions).toHaveLength(2);
+      expect(fs.readdirSync(path.dirname(file))).toEqual(['apps.json']);
+
+      await (await recorder.fetch('https://api.fliplet.com/v1/apps')).json();
+      recorder.save();
+      expect(readCassette(file).interactions).toHaveLength(3);
+      expect(process.listeners('exit')).not.toContain(recorder._saveOnExit);
+    });
+
+    test('should let the client stop reading a download over its size limit', async () => {
+      const chunk = Buffer.alloc(1000, 'a');
+      let pulled = 0;
+      const fetchFn = jest.fn(async () => new Response(new ReadableStream({
+        pull(controller) {
+          pulled++;
+          controller.enqueue(new Uint8Array(chunk));
+          if (pulled === 50) controller.close();
+        },
+      })));
+      const recorder = new CassetteRecorder({ fetchFn });
+      const client = new FlipletApiClient(CLIENT_CONFIG, recorder.fetch);
+      const file = { url: 'https://cdn.fliplet.com/1002/huge.pdf' };
+
+      await expect(client.downloadMediaFile(file, { maxBytes: 2500 })).rejects.toMatchObject({ statusCode: 413 });
+      expect(pulled).toBeLessThan(50);
+
+      const [recorded] = recorder.interactions;
+      expect(recorded.response).toMatchObject({ status: 200, incomplete: true });
+      expect(Buffer.from(recorded.response.base64, 'base64').length).toBeLessThanOrEqual(4000);
+
+      // Replay breaks off at the same place, so the limit is hit again
+      const player = new CassettePlayer({ interactions: recorder.interactions });
+      const replayClient = new FlipletApiClient(CLIENT_CONFIG, player.fetch);
+      await expect(replayClient.downloadMediaFile(file, { maxBytes: 2500 })).rejects.toMatchObject({ statusCode: 413 });
+    });
+
+    test('should keep the declared length of a body the client never read', async () => {
+      const fetchFn = jest.fn(async () => new Response('x'.repeat(5000), { headers: { 'content-length': '5000' } }));
+      const recorder = new CassetteRecorder({ fetchFn });
+      const client = new FlipletApiClient(CLIENT_CONFIG, recorder.fetch);
+      const file = { url: 'https://cdn.fliplet.com/1002/huge.csv' };
+
+      await expect(client.downloadMediaFile(file, { maxBytes: 1000 })).rejects.toMatchObject({ statusCode: 413 });
+      expect(recorder.interactions[0].response).toMatchObject({
+        headers: { 'content-length': '5000' },
+        base64: '',
+        incomplete: true,
+      });
+
+      const player = new CassettePlayer({ interactions: recorder.interactions });
+      const replayClient = new FlipletApiClient(CLIENT_CONFIG, player.fetch);
+      await expect(replayClient.downloadMediaFile(file, { maxBytes: 1000 })).rejects.toMatchObject({ statusCode: 413 });
+    });
+
+    test('should store non-JSON bodies as text and empty bodies as null', async () => {
+      const fetchFn = jest
+        .fn()
+        .mockResolvedValueOnce(new Response('<html>Bad gateway</html>', { status: 502 }))
+        .mockResolvedValueOnce(new Response(null, { status: 204 }));
+      const recorder = new CassetteRecorder({ fetchFn });
+
+      await (await recorder.fetch('https://api.fliplet.com/v1/apps')).text();
+      await recorder.fetch('https://api.fliplet.com/v1/data-sources/1/data/5', { method: 'DELETE' });
+
+      const [gateway, deleted] = recorder.interactions;
+      expect(gateway.response).toMatchObject({ status: 502, text: '<html>Bad gateway</html>' });
+      expect(deleted.response).toMatchObject({ status: 204, body: null });
+    });
+
+    test('should store binary bodies as base64 and replay the same bytes', async () => {
+      const bytes = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x00, 0xff, 0xfe, 0x0a]);
+      const fetchFn = jest.fn(async () => new Response(bytes, { headers: { 'content-type': 'application/pdf' } }));
+      const recorder = new CassetteRecorder({ fetchFn });
+
+      const response = await recorder.fetch('https://cdn.fliplet.com/1002/policy.pdf');
+
+      expect(Buffer.from(await response.arrayBuffer())).toEqual(bytes);
+      expect(recorder.interactions[0].response).toMatchObject({ status: 200, base64: bytes.toString('base64') });
+
+      const player = new CassettePlayer({ interactions: recorder.interactions });
+      const replayed = await player.fetch('https://cdn.fliplet.com/1002/policy.pdf');
+      expect(Buffer.from(await replayed.arrayBuffer())).toEqual(bytes);
+      expect(replayed.headers.get('content-type')).toBe('application/pdf');
+    });
+
+    test('should not record failed connections', async () => {
+      const recorder = new CassetteRecorder({ fetchFn: jest.fn().mockRejectedValue(new TypeError('fetch failed')) });
+
+      await expect(recorder.fetch('https://api.fliplet.com/v1/apps')).rejects.toThrow('fetch failed');
+      expect(recorder.interactions).toEqual([]);
+    });
+  });
+
+  describe('CassettePlayer', () => {
+    test('should answer matching requests whatever the host', async () => {
+      const player = new CassettePlayer({ interactions: [interaction('GET', '/v1/apps', { apps: [] })] });
+
+      const response = await player.fetch('http://localhost:3100/v1/apps', { headers: { 'Auth-token': 'anything' } });
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ apps: [] });
+      expect(() => player.assertDone()).not.toThrow();
+    });
+
+    test('should match bodies regardless of key order', async () => {
+      const player = new CassettePlayer({
+        interactions: [interaction('POST', '/v1/q', { hit: true }, { body: { type: 'select', where: { a: 1 } } })],
+      });
+
+      const response = await player.fetch('https://api.fliplet.com/v1/q', {
+        method: 'POST',
+        body: JSON.stringify({ where: { a: 1 }, type: 'select' }),
+      });
+
+      expect(await response.json()).toEqual({ hit: true });
+    });
+
+    test('should use each recording once, in order', async () => {
+      const player = new CassettePlayer({
+        interactions: [
+          interaction('GET', '/v1/count', { count: 1 }),
+          interaction('POST', '/v1/add', { ok: true }, { body: { n: 1 } }),
+          interaction('GET', '/v1/count', { count: 2 }),
+        ],
+      });
+      const get = async () => (await player.fetch('https://api.fliplet.com/v1/count')).json();
+
+      expect(await get()).toEqual({ count: 1 });
+      await player.fetch('https://api.fliplet.com/v1/add', { method: 'POST', body: '{"n":1}' });
+      expect(await get()).toEqual({ count: 2 });
+      await expect(get()).rejects.toThrow('No recorded response for GET /v1/count');
+    });
+
+    test('should reject unrecorded requests and report them in assertDone()', async () => {
+      const player = new CassettePlayer({
+        interactions: [interaction('GET', '/v1/apps', { apps: [] }), interaction('GET', '/v1/media', {})],
+      });
+
+      await expect(
+        player.fetch('https://api.fliplet.com/v1/apps', { method: 'POST', body: '{"name":"x"}' })
+      ).rejects.toThrow(new CassetteError('No recorded response for POST /v1/apps with body {"name":"x"} — re-record the cassette'));
+
+      expect(player.unmatched).toEqual(['POST /v1/apps']);
+      expect(() => player.assertDone()).toThrow(
+        'Cassette does not match the requests made:\n  not recorded: POST /v1/apps\n' +
+          '  never requested: GET /v1/apps\n  never requested: GET /v1/media'
+      );
+    });
+
+    test('should replay text bodies, errors and 204s as the client saw them', async () => {
+      const player = new CassettePlayer({
+        interactions: [
+          { request: { method: 'GET', url: '/v1/apps', body: null }, response: { status: 502, text: '<html/>' } },
+          interaction('GET', '/v1/data-sources/9', { message: 'Not found' }, { status: 404 }),
+          { request: { method: 'DELETE', url: '/v1/data-sources/1/data/5', body: null }, response: { status: 204, body: null } },
+        ],
+      });
+      const client = new FlipletApiClient({ flipletApiUrl: 'https://api.fliplet.com', flipletApiToken: 't', flipletAppId: '1', flipletMaxAttempts: 1 }, player.fetch);
+
+      await expect(client.listApps()).rejects.toThrow('non-JSON response: 502');
+      await expect(client.getDataSource(9)).rejects.toMatchObject({ statusCode: 404, responseBody: { message: 'Not found' } });
+      await expect(client.deleteDataSourceEntry(1, 5)).resolves.toBeDefined();
+    });
+  });
+
+  describe('readCassette()', () => {
+    test('should explain unreadable cassettes', () => {
+      const write = (content) => {
+        const file = path.join(dir, 'c.json');
+        fs.writeFileSync(file, content);
+        return file;
+      };
+
+      expect(() => readCassette(path.join(dir, 'missing.json'))).toThrow(CassetteError);
+      expect(() => readCassette(write('{'))).toThrow('Could not read cassette');
+      expect(() => readCassette(write('{"version":1}'))).toThrow('no "interactions" array');
+      expect(() => readCassette(write('{"version":2,"interactions":[]}'))).toThrow('unsupported version 2');
+    });
+  });
+
+  describe('createCassette()', () => {
+    test('should follow FLIPLET_CASSETTE and FLIPLET_CASSETTE_MODE', () => {
+      const file = path.join(dir, 'c.json');
+      fs.writeFileSync(file, JSON.stringify({ version: 1, interactions: [] }));
+
+      expect(createCassette({})).toBeNull();
+      expect(createCassette({ flipletCassette: file, flipletCassetteMode: 'replay' })).toBeInstanceOf(CassettePlayer);
+      expect(createCassette({ flipletCassette: file, flipletCassetteMode: 'record' })).toBeInstanceOf(CassetteRecorder);
+      expect(() => createCassette({ flipletCassette: path.join(dir, 'none.json'), flipletCassetteMode: 'replay' })).toThrow(
+        'Could not read cassette'
+      );
+    });
+  });
+
+  describe('round trip over HTTP', () => {
+    let server;
+    let apiUrl;
+
+    beforeEach(async () => {
+      server = createMockFlipletServer({ fixtures: loadFixtures() }).listen(0, '127.0.0.1');
+      await new Promise((resolve) => server.once('listening', resolve));
+      apiUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    test('should replay a recorded session without the API', async () => {
+      const file = path.join(dir, 'session.json');
+      const session = async (client) => [
+        await client.listDataSources(),
+        await client.getDataSourceEntries(1, { where: { Department: 'Engineering' } }),
+        await client.getDataSource(99).catch((error) => error.statusCode),
+      ];
+
+      // Record: log in, then read through the mock API
+      const recorder = new CassetteRecorder({ file });
+      const credentials = new FlipletCredentialsProvider({ email: 'me@example.com', password: 'pw', apiUrl, fetchFn: recorder.fetch });
+      const recorded = await session(new FlipletApiClient({ flipletApiUrl: apiUrl, flipletAppId: '123' }, recorder.fetch, { credentials }));
+      recorder.save();
+
+      // Replay: same answers from the file, against a host that was never called
+      const player = new CassettePlayer(readCassette(file));
+      const replayed = await session(
+        new FlipletApiClient({ flipletApiUrl: 'https://api.fliplet.com', flipletApiToken: 'any', flipletAppId: '123' }, player.fetch)
+      );
+
+      expect(replayed).toEqual(recorded);
+      expect(recorded[2]).toBe(404);
+      expect(player.pending()).toEqual([{ method: 'POST', url: '/v1/auth/login' }]);
+      expect(fs.readFileSync(file, 'utf-8')).not.toContain('me@example.com');
+    });
+
+    test('should surface an unrecorded request as a failed call', async () => {
+      const player = new CassettePlayer({ interactions: [] });
+      const client = new FlipletApiClient({ flipletApiUrl: apiUrl, flipletApiToken: 't', flipletAppId: '123' }, player.fetch);
+
+      await expect(client.listMedia()).rejects.toThrow(CassetteError);
+      await expect(client.listMedia()).rejects.not.toBeInstanceOf(FlipletApiError);
+    });
+  });
+});
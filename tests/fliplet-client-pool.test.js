@@ -0,0 +1,99 @@
+/**
+ * Fliplet Client Pool — Unit Tests
+ *
+ * Verifies that the pool hands out one client per allowlisted app,
+ * refuses apps outside the allowlist, and lists apps with their names.
+ */
+
+const { FlipletClientPool } = require('../src/fliplet-client-pool');
+const { ResponseCache } = require('../src/response-cache');
+
+const TEST_CONFIG = Object.freeze({
+  flipletApiUrl: 'https://api.fliplet.com',
+  flipletApiToken: 'test-token-abc123',
+  flipletAppId: '123',
+  flipletAppIds: ['123', '456'],
+});
+
+/**
+ * Creates a mock fetch that answers every request with the given JSON body.
+ */
+function mockFetchReturning(body) {
+  return jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: { get: () => null },
+    json: () => Promise.resolve(body),
+  });
+}
+
+describe('FlipletClientPool', () => {
+  test('should require a default app', () => {
+    expect(() => new FlipletClientPool({})).toThrow('config.flipletAppId');
+  });
+
+  test('should allow only the default app when no allowlist is given', () => {
+    const pool = new FlipletClientPool({ ...TEST_CONFIG, flipletAppIds: undefined });
+
+    expect(pool.appIds).toEqual(['123']);
+  });
+
+  test('should put the default app first without duplicates', () => {
+    const pool = new FlipletClientPool({ ...TEST_CONFIG, flipletAppId: '456', flipletAppIds: ['123', '456'] });
+
+    expect(pool.defaultAppId).toBe('456');
+    expect(pool.appIds).toEqual(['456', '123']);
+  });
+
+  test('should check apps against the allowlist, accepting numbers', () => {
+    const pool = new FlipletClientPool(TEST_CONFIG);
+
+    expect(pool.has('456')).toBe(true);
+    expect(pool.has(456)).toBe(true);
+    expect(pool.has('999')).toBe(false);
+  });
+
+  test('should return a client bound to each app, reused across calls', () => {
+    const pool = new FlipletClientPool(TEST_CONFIG);
+
+    const client = pool.get('456');
+
+    expect(client.appId).toBe('456');
+    expect(pool.get(456)).toBe(client);
+    expect(pool.get().appId).toBe('123');
+  });
+
+  test('should refuse an app outside the allowlist', () => {
+    const pool = new FlipletClientPool(TEST_CONFIG);
+
+    expect(() => pool.get('999')).toThrow('App 999 is not enabled on this server');
+  });
+
+  test('should share the response cache between clients', () => {
+    const cache = new ResponseCache();
+    const pool = new FlipletClientPool(TEST_CONFIG, undefined, { cache });
+
+    expect(pool.get('123').cache).toBe(cache);
+    expect(pool.get('456').cache).toBe(cache);
+  });
+
+  test('should list allowlisted apps with names from the API', async () => {
+    const fetchFn = mockFetchReturning({
+      apps: [
+        { id: 456, name: 'Events' },
+        { id: 123, name: 'Directory' },
+        { id: 777, name: 'Not allowlisted' },
+      ],
+    });
+    const pool = new FlipletClientPool({ ...TEST_CONFIG, flipletAppIds: ['123', '456', '789'] }, fetchFn);
+
+    const apps = await pool.listApps();
+
+    expect(apps).toEqual([
+      { id: '123', name: 'Directory', accessible: true },
+      { id: '456', name: 'Events', accessible: true },
+      { id: '789', name: null, accessible: false },
+    ]);
+  });
+});
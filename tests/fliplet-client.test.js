@@ -14,6 +14,9 @@ const {
   FlipletApiClient,
   FlipletApiError,
 } = require('../src/fliplet-client');
+const { FlipletCredentialsProvider } = require('../src/fliplet-auth');
+const { ResponseCache } = require('../src/response-cache');
+const { CassettePlayer, readCassette } = require('../src/fliplet-cassette');
 
 // ---------------------------------------------------------------
 // Helpers — build a mock fetch response matching Fliplet's format
@@ -24,13 +27,15 @@ const {
  *
  * @param {object} body - The JSON body to return
  * @param {number} status - HTTP status code (default 200)
+ * @param {object} headers - Response headers, keyed by lower-case name
  * @returns {Promise<Response>} A resolved promise with a mock Response
  */
-function mockResponse(body, status = 200) {
+function mockResponse(body, status = 200, headers = {}) {
   return Promise.resolve({
     ok: status >= 200 && status < 300,
     status,
     statusText: status === 200 ? 'OK' : 'Error',
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
     json: () => Promise.resolve(body),
     text: () => Promise.resolve(JSON.stringify(body)),
   });
@@ -82,6 +87,12 @@ describe('FlipletApiClient', () => {
       const c = new FlipletApiClient(TEST_CONFIG);
       expect(c).toBeDefined();
     });
+
+    test('should throw if flipletMaxAttempts is not a positive integer', () => {
+      expect(
+        () => new FlipletApiClient({ ...TEST_CONFIG, flipletMaxAttempts: 0 }, mockFetch)
+      ).toThrow('Invalid flipletMaxAttempts');
+    });
   });
 
   // ---------------------------------------------------------------
@@ -170,6 +181,371 @@ describe('FlipletApiClient', () => {
     });
   });
 
+  // ---------------------------------------------------------------
+  // _request() retries
+  // ---------------------------------------------------------------
+
+  describe('_request() retries', () => {
+    let sleep;
+
+    beforeEach(() => {
+      // Record waits instead of actually sleeping
+      sleep = jest.fn().mockResolvedValue();
+      client._sleep = sleep;
+    });
+
+    test('should retry a GET on 503 and return the eventual success', async () => {
+      mockFetch
+        .mockReturnValueOnce(mockResponse({ error: 'Unavailable' }, 503))
+        .mockReturnValueOnce(mockResponse({ dataSources: [] }));
+
+      const result = await client._request('/v1/data-sources');
+
+      expect(result).toEqual({ dataSources: [] });
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+      expect(sleep).toHaveBeenCalledTimes(1);
+    });
+
+    test('should give up after the attempt budget and record the attempts', async () => {
+      mockFetch.mockReturnValue(mockResponse({ error: 'Bad Gateway' }, 502));
+
+      const error = await client._request('/v1/data-sources').catch((err) => err);
+
+      expect(error).toBeInstanceOf(FlipletApiError);
+      expect(error.statusCode).toBe(502);
+      expect(error.attempts).toBe(3);
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should honor a per-call attempt budget', async () => {
+      mockFetch.mockReturnValue(mockResponse({ error: 'Bad Gateway' }, 502));
+
+      const error = await client
+        ._request('/v1/data-sources', 'GET', null, { maxAttempts: 5 })
+        .catch((err) => err);
+
+      expect(error.attempts).toBe(5);
+      expect(mockFetch).toHaveBeenCalledTimes(5);
+    });
+
+    test('should use the configured attempt budget', async () => {
+      client = new FlipletApiClient({ ...TEST_CONFIG, flipletMaxAttempts: 1 }, mockFetch);
+      mockFetch.mockReturnValue(mockResponse({ error: 'Bad Gateway' }, 502));
+
+      await expect(client._request('/v1/data-sources')).rejects.toThrow(FlipletApiError);
+
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should wait for Retry-After seconds on 429', async () => {
+      mockFetch
+        .mockReturnValueOnce(mockResponse({ error: 'Too Many Requests' }, 429, { 'retry-after': '2' }))
+        .mockReturnValueOnce(mockResponse({}));
+
+      await client._request('/v1/data-sources');
+
+      expect(sleep).toHaveBeenCalledWith(2000);
+    });
+
+    test('should accept Retry-After as an HTTP date', async () => {
+      const inOneSecond = new Date(Date.now() + 1000).toUTCString();
+      mockFetch
+        .mockReturnValueOnce(mockResponse({}, 503, { 'retry-after': inOneSecond }))
+        .mockReturnValueOnce(mockResponse({}));
+
+      await client._request('/v1/data-sources');
+
+      const [delay] = sleep.mock.calls[0];
+      expect(delay).toBeGreaterThanOrEqual(0);
+      expect(delay).toBeLessThanOrEqual(1000);
+    });
+
+    test('should not retry when Retry-After is longer than the maximum wait', async () => {
+      mockFetch.mockReturnValue(mockResponse({}, 429, { 'retry-after': '3600' }));
+
+      const error = await client._request('/v1/data-sources').catch((err) => err);
+
+      expect(error.statusCode).toBe(429);
+      expect(error.attempts).toBe(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test('should back off with jitter that grows per attempt', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+      mockFetch.mockReturnValue(mockResponse({}, 503));
+
+      await client._request('/v1/data-sources').catch(() => {});
+
+      expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([500, 1000]);
+      Math.random.mockRestore();
+    });
+
+    test('should retry a connection reset', async () => {
+      const reset = new TypeError('fetch failed');
+      reset.cause = { code: 'ECONNRESET' };
+      mockFetch.mockRejectedValueOnce(reset).mockReturnValueOnce(mockResponse({ ok: true }));
+
+      const result = await client._request('/v1/data-sources');
+
+      expect(result).toEqual({ ok: true });
+    });
+
+    test('should retry a timed-out request', async () => {
+      const abort = new Error('aborted');
+      abort.name = 'AbortError';
+      mockFetch.mockRejectedValueOnce(abort).mockReturnValueOnce(mockResponse({}));
+
+      await client._request('/v1/data-sources');
+
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry client errors such as 404', async () => {
+      mockFetch.mockReturnValue(mockResponse({ error: 'Not Found' }, 404));
+
+      await expect(client._request('/v1/data-sources/1')).rejects.toThrow(FlipletApiError);
+
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not retry writes', async () => {
+      mockFetch.mockReturnValue(mockResponse({}, 503));
+
+      const error = await client
+        .insertDataSourceEntry(1, { Name: 'Jane' })
+        .catch((err) => err);
+
+      expect(error.attempts).toBe(1);
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should retry the read-only data query POST', async () => {
+      mockFetch
+        .mockReturnValueOnce(mockResponse({}, 503))
+        .mockReturnValueOnce(mockResponse({ entries: [{ id: 1 }] }));
+
+      const entries = await client.getDataSourceEntries(1);
+
+      expect(entries).toEqual([{ id: 1 }]);
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // _request() token refresh
+  // ---------------------------------------------------------------
+
+  describe('_request() token refresh', () => {
+    let credentials;
+
+    beforeEach(() => {
+      credentials = new FlipletCredentialsProvider({
+        token: 'expired-token',
+        email: 'bot@example.com',
+        password: 'secret',
+        fetchFn: jest.fn().mockResolvedValue({
+          ok: true,
+          status: 200,
+          json: () => Promise.resolve({ auth_token: 'fresh-token' }),
+        }),
+      });
+      client = new FlipletApiClient({ ...TEST_CONFIG, flipletApiToken: undefined }, mockFetch, { credentials });
+    });
+
+    test('should log in again on 401 and retry once with the new token', async () => {
+      mockFetch
+        .mockReturnValueOnce(mockResponse({ message: 'Unauthorized' }, 401))
+        .mockReturnValueOnce(mockResponse({ dataSources: [] }));
+
+      const result = await client._request('/v1/data-sources');
+
+      expect(result).toEqual({ dataSources: [] });
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+      expect(mockFetch.mock.calls[0][1].headers['Auth-token']).toBe('expired-token');
+      expect(mockFetch.mock.calls[1][1].headers['Auth-token']).toBe('fresh-token');
+      expect(client.token).toBe('fresh-token');
+    });
+
+    test('should retry a write after refreshing the token', async () => {
+      mockFetch
+        .mockReturnValueOnce(mockResponse({ message: 'Unauthorized' }, 401))
+        .mockReturnValueOnce(mockResponse({ id: 5 }));
+
+      const result = await client._request('/v1/data-sources/1/data', 'PUT', { Name: 'Ann' });
+
+      expect(result).toEqual({ id: 5 });
+      expect(mockFetch.mock.calls[1][1].body).toBe(JSON.stringify({ Name: 'Ann' }));
+    });
+
+    test('should report a 401 that persists after refreshing', async () => {
+      mockFetch.mockReturnValue(mockResponse({ message: 'Unauthorized' }, 401));
+
+      const error = await client._request('/v1/data-sources').catch((err) => err);
+
+      expect(error).toBeInstanceOf(FlipletApiError);
+      expect(error.statusCode).toBe(401);
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+      expect(credentials.refreshCount).toBe(1);
+    });
+
+    test('should not try to refresh without login credentials', async () => {
+      client = new FlipletApiClient(TEST_CONFIG, mockFetch);
+      mockFetch.mockReturnValue(mockResponse({ message: 'Unauthorized' }, 401));
+
+      const error = await client._request('/v1/data-sources').catch((err) => err);
+
+      expect(error.statusCode).toBe(401);
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should swap the token for every client sharing the provider', async () => {
+      const other = new FlipletApiClient({ ...TEST_CONFIG, flipletAppId: '8888' }, mockFetch, { credentials });
+      mockFetch
+        .mockReturnValueOnce(mockResponse({ message: 'Unauthorized' }, 401))
+        .mockReturnValue(mockResponse({ dataSources: [] }));
+
+      await client._request('/v1/data-sources');
+      await other._request('/v1/data-sources');
+
+      expect(mockFetch.mock.calls[2][1].headers['Auth-token']).toBe('fresh-token');
+      expect(credentials.refreshCount).toBe(1);
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // _request() caching
+  // ---------------------------------------------------------------
+
+  describe('_request() caching', () => {
+    let now;
+    let cache;
+
+    beforeEach(() => {
+      now = 0;
+      cache = new ResponseCache({ now: () => now });
+      client = new FlipletApiClient(TEST_CONFIG, mockFetch, { cache });
+    });
+
+    test('should serve a repeat read from the cache', async () => {
+      mockFetch.mockReturnValue(mockResponse({ dataSources: [{ id: 1 }] }));
+
+      await client.listDataSources();
+      const second = await client.listDataSources();
+
+      expect(second).toEqual([{ id: 1 }]);
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(cache.getStats()).toEqual(expect.objectContaining({ hits: 1, misses: 1 }));
+    });
+
+    test('should cache entry queries per query body', async () => {
+      mockFetch.mockReturnValue(mockResponse({ entries: [] }));
+
+      await client.getDataSourceEntries(1, { where: { Status: 'Active' } });
+      await client.getDataSourceEntries(1, { where: { Status: 'Active' } });
+      await client.getDataSourceEntries(1, { where: { Status: 'Closed' } });
+
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should refetch once the TTL has passed', async () => {
+      mockFetch.mockReturnValue(mockResponse({ dataSources: [] }));
+
+      await client.listDataSources();
+      now += 61 * 1000;
+      await client.listDataSources();
+
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should revalidate a stale entry with If-None-Match', async () => {
+      mockFetch
+        .mockReturnValueOnce(mockResponse({ dataSources: [{ id: 1 }] }, 200, { etag: '"v1"' }))
+        .mockReturnValueOnce(mockResponse(null, 304, { etag: '"v1"' }));
+
+      await client.listDataSources();
+      now += 61 * 1000;
+      const result = await client.listDataSources();
+
+      expect(mockFetch.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+      expect(result).toEqual([{ id: 1 }]);
+      expect(cache.getStats().revalidated).toBe(1);
+    });
+
+    test('should always revalidate a single entry read, even while fresh', async () => {
+      mockFetch
+        .mockReturnValueOnce(mockResponse({ entry: { id: 7, data: { Status: 'Active' } } }, 200, { etag: '"v1"' }))
+        .mockReturnValueOnce(mockResponse(null, 304, { etag: '"v1"' }));
+
+      await client.getDataSourceEntry(1, 7);
+      const result = await client.getDataSourceEntry(1, 7);
+
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+      expect(mockFetch.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+      expect(result).toEqual({ id: 7, data: { Status: 'Active' } });
+    });
+
+    test('should replace a stale entry when the ETag no longer matches', async () => {
+      mockFetch
+        .mockReturnValueOnce(mockResponse({ dataSources: [{ id: 1 }] }, 200, { etag: '"v1"' }))
+        .mockReturnValueOnce(mockResponse({ dataSources: [{ id: 2 }] }, 200, { etag: '"v2"' }));
+
+      await client.listDataSources();
+      now += 61 * 1000;
+      const result = await client.listDataSources();
+
+      expect(result).toEqual([{ id: 2 }]);
+    });
+
+    test('should invalidate the app after a write', async () => {
+      mockFetch.mockReturnValue(mockResponse({ entries: [] }));
+
+      await client.getDataSourceEntries(1);
+      await client.insertDataSourceEntry(1, { Name: 'Jane' });
+      await client.getDataSourceEntries(1);
+
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should invalidate the app even when a write fails', async () => {
+      mockFetch
+        .mockReturnValueOnce(mockResponse({ entries: [] }))
+        .mockReturnValueOnce(mockResponse({ error: 'Server Error' }, 500))
+        .mockReturnValueOnce(mockResponse({ entries: [] }));
+
+      await client.getDataSourceEntries(1);
+      await expect(client.deleteDataSourceEntry(1, 5)).rejects.toThrow(FlipletApiError);
+      await client.getDataSourceEntries(1);
+
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not cache error responses', async () => {
+      mockFetch
+        .mockReturnValueOnce(mockResponse({ error: 'Not Found' }, 404))
+        .mockReturnValueOnce(mockResponse({ dataSource: { id: 1 } }));
+
+      await expect(client.getDataSource(1)).rejects.toThrow(FlipletApiError);
+      const result = await client.getDataSource(1);
+
+      expect(result).toEqual({ id: 1 });
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // listApps()
+  // ---------------------------------------------------------------
+
+  describe('listApps()', () => {
+    test('should call GET /v1/apps and return the apps array', async () => {
+      mockFetch.mockReturnValue(mockResponse({ apps: [{ id: 9999, name: 'Directory' }] }));
+
+      const result = await client.listApps();
+
+      expect(mockFetch.mock.calls[0][0]).toBe('https://api.fliplet.com/v1/apps');
+      expect(result).toEqual([{ id: 9999, name: 'Directory' }]);
+    });
+  });
+
   // ---------------------------------------------------------------
   // listDataSources()
   // ---------------------------------------------------------------
@@ -304,6 +680,196 @@ describe('FlipletApiClient', () => {
     });
   });
 
+  // ---------------------------------------------------------------
+  // queryDataSourceEntries()
+  // ---------------------------------------------------------------
+
+  describe('queryDataSourceEntries()', () => {
+    test('should ask for pagination and return the page with the total', async () => {
+      mockFetch.mockReturnValue(
+        mockResponse({ entries: [{ id: 100 }, { id: 101 }], pagination: { total: 5230, offset: 0, limit: 2 } })
+      );
+
+      const result = await client.queryDataSourceEntries(1, { where: { Status: 'Active' }, limit: 2 });
+
+      expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({
+        type: 'select',
+        includePagination: true,
+        where: { Status: 'Active' },
+        limit: 2,
+      });
+      expect(result).toEqual({ entries: [{ id: 100 }, { id: 101 }], total: 5230 });
+    });
+
+    test('should return a null total when the response has none', async () => {
+      mockFetch.mockReturnValue(mockResponse({ entries: [{ id: 100 }] }));
+
+      expect(await client.queryDataSourceEntries(1)).toEqual({ entries: [{ id: 100 }], total: null });
+    });
+
+    test('should throw if dataSourceId is not provided', async () => {
+      await expect(client.queryDataSourceEntries()).rejects.toThrow('requires a dataSourceId');
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // iterateDataSourceEntries()
+  // ---------------------------------------------------------------
+
+  describe('iterateDataSourceEntries()', () => {
+    /**
+     * Drain an async iterator into an array of pages.
+     */
+    async function collectPages(iterator) {
+      const pages = [];
+      for await (const page of iterator) pages.push(page);
+      return pages;
+    }
+
+    test('should request pages until a short page is returned', async () => {
+      mockFetch
+        .mockReturnValueOnce(mockResponse({ entries: [{ id: 1 }, { id: 2 }] }))
+        .mockReturnValueOnce(mockResponse({ entries: [{ id: 3 }, { id: 4 }] }))
+        .mockReturnValueOnce(mockResponse({ entries: [{ id: 5 }] }));
+
+      const pages = await collectPages(client.iterateDataSourceEntries(1, { pageSize: 2 }));
+
+      expect(pages).toEqual([[{ id: 1 }, { id: 2 }], [{ id: 3 }, { id: 4 }], [{ id: 5 }]]);
+      const offsets = mockFetch.mock.calls.map(([, options]) => JSON.parse(options.body).offset);
+      expect(offsets).toEqual([0, 2, 4]);
+    });
+
+    test('should stop without yielding an empty final page', async () => {
+      mockFetch
+        .mockReturnValueOnce(mockResponse({ entries: [{ id: 1 }, { id: 2 }] }))
+        .mockReturnValueOnce(mockResponse({ entries: [] }));
+
+      const pages = await collectPages(client.iterateDataSourceEntries(1, { pageSize: 2 }));
+
+      expect(pages).toEqual([[{ id: 1 }, { id: 2 }]]);
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should pass the where clause and starting offset to every page', async () => {
+      mockFetch.mockReturnValue(mockResponse({ entries: [] }));
+
+      await collectPages(
+        client.iterateDataSourceEntries(1, { where: { Status: 'Active' }, offset: 40 })
+      );
+
+      const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+      expect(body.where).toEqual({ Status: 'Active' });
+      expect(body.offset).toBe(40);
+      expect(body.limit).toBe(500);
+    });
+
+    test('should not fetch further pages once the caller stops', async () => {
+      mockFetch.mockReturnValue(mockResponse({ entries: [{ id: 1 }, { id: 2 }] }));
+
+      for await (const page of client.iterateDataSourceEntries(1, { pageSize: 2 })) {
+        expect(page).toHaveLength(2);
+        break;
+      }
+
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should throw if dataSourceId is not provided', async () => {
+      await expect(collectPages(client.iterateDataSourceEntries())).rejects.toThrow(
+        'requires a dataSourceId'
+      );
+    });
+
+    test('should throw if pageSize is not a positive integer', async () => {
+      await expect(
+        collectPages(client.iterateDataSourceEntries(1, { pageSize: -5 }))
+      ).rejects.toThrow('positive integer pageSize');
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Data source writes
+  // ---------------------------------------------------------------
+
+  describe('getDataSourceEntry()', () => {
+    test('should GET /v1/data-sources/:id/data/:entryId and return the entry', async () => {
+      mockFetch.mockReturnValue(mockResponse({ entry: { id: 100, data: { Status: 'Active' } } }));
+
+      const result = await client.getDataSourceEntry(1, 100);
+
+      const [url, options] = mockFetch.mock.calls[0];
+      expect(url).toBe('https://api.fliplet.com/v1/data-sources/1/data/100');
+      expect(options.method).toBe('GET');
+      expect(result).toEqual({ id: 100, data: { Status: 'Active' } });
+    });
+
+    test('should throw if entryId is not provided', async () => {
+      await expect(client.getDataSourceEntry(1)).rejects.toThrow('requires an entryId');
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('insertDataSourceEntry()', () => {
+    test('should POST the data to /v1/data-sources/:id/data', async () => {
+      const created = { id: 500, data: { Name: 'Jane' } };
+      mockFetch.mockReturnValue(mockResponse(created));
+
+      const result = await client.insertDataSourceEntry(1, { Name: 'Jane' });
+
+      const [url, options] = mockFetch.mock.calls[0];
+      expect(url).toBe('https://api.fliplet.com/v1/data-sources/1/data');
+      expect(options.method).toBe('POST');
+      expect(JSON.parse(options.body)).toEqual({ Name: 'Jane' });
+      expect(result).toEqual(created);
+    });
+
+    test('should throw if data is not provided', async () => {
+      await expect(client.insertDataSourceEntry(1)).rejects.toThrow('requires a data object');
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateDataSourceEntry()', () => {
+    test('should PUT the changed columns to /v1/data-sources/:id/data/:entryId', async () => {
+      mockFetch.mockReturnValue(mockResponse({ id: 100, data: { Status: 'Inactive' } }));
+
+      await client.updateDataSourceEntry(1, 100, { Status: 'Inactive' });
+
+      const [url, options] = mockFetch.mock.calls[0];
+      expect(url).toBe('https://api.fliplet.com/v1/data-sources/1/data/100');
+      expect(options.method).toBe('PUT');
+      expect(JSON.parse(options.body)).toEqual({ Status: 'Inactive' });
+    });
+
+    test('should throw if entryId is not provided', async () => {
+      await expect(client.updateDataSourceEntry(1, undefined, { a: 1 })).rejects.toThrow('requires an entryId');
+    });
+  });
+
+  describe('deleteDataSourceEntry()', () => {
+    test('should DELETE /v1/data-sources/:id/data/:entryId', async () => {
+      mockFetch.mockReturnValue(Promise.resolve({
+        ok: true,
+        status: 204,
+        statusText: 'No Content',
+        json: () => Promise.reject(new SyntaxError('Unexpected end of JSON input')),
+      }));
+
+      const result = await client.deleteDataSourceEntry(1, 100);
+
+      const [url, options] = mockFetch.mock.calls[0];
+      expect(url).toBe('https://api.fliplet.com/v1/data-sources/1/data/100');
+      expect(options.method).toBe('DELETE');
+      expect(options.body).toBeUndefined();
+      // 204 No Content is a success, not a non-JSON error
+      expect(result).toEqual({});
+    });
+
+    test('should throw if entryId is not provided', async () => {
+      await expect(client.deleteDataSourceEntry(1)).rejects.toThrow('requires an entryId');
+    });
+  });
+
   // ---------------------------------------------------------------
   // listMedia()
   // ---------------------------------------------------------------
@@ -350,6 +916,100 @@ describe('FlipletApiClient', () => {
     });
   });
 
+  // ---------------------------------------------------------------
+  // walkMedia()
+  // ---------------------------------------------------------------
+
+  describe('walkMedia()', () => {
+    // root → Policies (10) → HR (11) → Archive (12); root → Images (20)
+    const TREE = {
+      root: { folders: [{ id: 10, name: 'Policies' }, { id: 20, name: 'Images' }], files: [{ id: 1, name: 'welcome.md' }] },
+      10: { folders: [{ id: 11, name: 'HR' }], files: [{ id: 2, name: 'conduct.pdf' }] },
+      11: { folders: [{ id: 12, name: 'Archive' }], files: [{ id: 3, name: 'holiday.txt' }] },
+      12: { folders: [], files: [{ id: 4, name: 'old.txt' }] },
+      20: { folders: [], files: [{ id: 5, name: 'logo.png' }, { id: 6, name: 'banner.png' }] },
+    };
+
+    beforeEach(() => {
+      mockFetch.mockImplementation(async (url) => {
+        const folderId = new URL(url).searchParams.get('folderId');
+        return mockResponse(TREE[folderId || 'root']);
+      });
+    });
+
+    test('should list every folder and file with its path and parent', async () => {
+      const result = await client.walkMedia();
+
+      expect(result.truncated).toBe(false);
+      expect(result.truncatedBy).toBeNull();
+      expect(result.folders.map((f) => [f.path, f.parentId])).toEqual([
+        ['Policies', null],
+        ['Images', null],
+        ['Policies/HR', 10],
+        ['Policies/HR/Archive', 11],
+      ]);
+      expect(result.files.map((f) => [f.path, f.folderId])).toEqual([
+        ['welcome.md', null],
+        ['Policies/conduct.pdf', 10],
+        ['Images/logo.png', 20],
+        ['Images/banner.png', 20],
+        ['Policies/HR/holiday.txt', 11],
+        ['Policies/HR/Archive/old.txt', 12],
+      ]);
+    });
+
+    test('should list at most `concurrency` folders at once', async () => {
+      let inFlight = 0;
+      let most = 0;
+      mockFetch.mockImplementation(async (url) => {
+        inFlight++;
+        most = Math.max(most, inFlight);
+        await new Promise((resolve) => setImmediate(resolve));
+        inFlight--;
+        return mockResponse({ folders: url.includes('folderId') ? [] : [1, 2, 3, 4, 5].map((id) => ({ id, name: `F${id}` })), files: [] });
+      });
+
+      const result = await client.walkMedia({ concurrency: 2 });
+
+      expect(result.folders).toHaveLength(5);
+      expect(mockFetch).toHaveBeenCalledTimes(6);
+      expect(most).toBe(2);
+    });
+
+    test('should return folders past maxDepth without opening them', async () => {
+      const result = await client.walkMedia({ maxDepth: 1 });
+
+      expect(result.folders.map((f) => f.path)).toEqual(['Policies', 'Images', 'Policies/HR']);
+      expect(result.files.map((f) => f.path)).not.toContain('Policies/HR/holiday.txt');
+      expect(result).toMatchObject({ truncated: true, truncatedBy: 'maxDepth' });
+    });
+
+    test('should stop once maxFiles is reached', async () => {
+      const result = await client.walkMedia({ maxFiles: 3 });
+
+      expect(result.files.map((f) => f.id)).toEqual([1, 2, 5]);
+      expect(result).toMatchObject({ truncated: true, truncatedBy: 'maxFiles' });
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should start from a folder with paths relative to it', async () => {
+      const result = await client.walkMedia({ folderId: 11 });
+
+      expect(mockFetch.mock.calls[0][0]).toContain('folderId=11');
+      expect(result.folders.map((f) => [f.path, f.parentId])).toEqual([['Archive', 11]]);
+      expect(result.files.map((f) => f.path)).toEqual(['holiday.txt', 'Archive/old.txt']);
+    });
+
+    test('should stop when the signal fires, and reject a negative maxDepth', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(client.walkMedia({ signal: controller.signal })).rejects.toThrow('Media folder walk was cancelled');
+      await expect(client.walkMedia({ maxDepth: -1 })).rejects.toThrow('requires a maxDepth of 0 or more');
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+
   // ---------------------------------------------------------------
   // getMediaFile()
   // ---------------------------------------------------------------
@@ -386,6 +1046,119 @@ describe('FlipletApiClient', () => {
       await expect(client.getMediaFile()).rejects.toThrow();
     });
   });
+
+  // ---------------------------------------------------------------
+  // downloadMediaFile()
+  // ---------------------------------------------------------------
+
+  describe('downloadMediaFile()', () => {
+    const CDN_FILE = { id: 20, name: 'notes.txt', url: 'https://cdn.fliplet.com/apps/9999/notes.txt' };
+
+    test('should download from the CDN without sending the token', async () => {
+      mockFetch.mockResolvedValue(new Response('Hello', { headers: { 'content-type': 'text/plain' } }));
+
+      const result = await client.downloadMediaFile(CDN_FILE);
+
+      const [url, options] = mockFetch.mock.calls[0];
+      expect(url).toBe('https://cdn.fliplet.com/apps/9999/notes.txt');
+      expect(options.headers).toEqual({});
+      expect(result.data.toString()).toBe('Hello');
+      expect(result.contentType).toBe('text/plain');
+    });
+
+    test('should send the token to files served by the API', async () => {
+      mockFetch.mockResolvedValue(new Response('Hello'));
+
+      await client.downloadMediaFile({ ...CDN_FILE, url: '/v1/media/files/20/contents' });
+
+      const [url, options] = mockFetch.mock.calls[0];
+      expect(url).toBe('https://api.fliplet.com/v1/media/files/20/contents');
+      expect(options.headers['Auth-token']).toBe('test-token-abc123');
+    });
+
+    test('should stop at maxBytes, whether or not the size is declared', async () => {
+      mockFetch
+        .mockResolvedValueOnce(new Response('x'.repeat(20), { headers: { 'content-length': '20' } }))
+        .mockResolvedValueOnce(new Response(new Blob(['x'.repeat(20)]).stream()));
+
+      await expect(client.downloadMediaFile(CDN_FILE, { maxBytes: 10 })).rejects.toMatchObject({
+        name: 'FlipletApiError',
+        statusCode: 413,
+        message: expect.stringContaining('larger than the 10-byte download limit'),
+      });
+      await expect(client.downloadMediaFile(CDN_FILE, { maxBytes: 10 })).rejects.toMatchObject({ statusCode: 413 });
+    });
+
+    test('should throw FlipletApiError for a failed download', async () => {
+      mockFetch.mockResolvedValue(new Response('Gone', { status: 404, statusText: 'Not Found' }));
+
+      await expect(client.downloadMediaFile(CDN_FILE)).rejects.toMatchObject({
+        name: 'FlipletApiError',
+        statusCode: 404,
+        message: 'Media file download failed: 404 Not Found — https://cdn.fliplet.com/apps/9999/notes.txt',
+      });
+    });
+
+    test('should report a cancelled download', async () => {
+      const controller = new AbortController();
+      mockFetch.mockImplementation(
+        (url, options) =>
+          new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+          })
+      );
+
+      const download = client.downloadMediaFile(CDN_FILE, { signal: controller.signal });
+      controller.abort();
+
+      await expect(download).rejects.toThrow('Media file download was cancelled');
+    });
+
+    test('should throw if the file has no url', async () => {
+      await expect(client.downloadMediaFile({ id: 20 })).rejects.toThrow('downloadMediaFile() requires a file with a url');
+    });
+  });
+});
+
+// ---------------------------------------------------------------
+// Recorded API traffic — real response shapes from a cassette
+// (record a new one with FLIPLET_CASSETTE_MODE=record, see the README)
+// ---------------------------------------------------------------
+
+describe('FlipletApiClient against a recorded cassette', () => {
+  let player;
+  let client;
+
+  beforeEach(() => {
+    player = new CassettePlayer(readCassette(`${__dirname}/../fixtures/cassettes/team-directory.json`));
+    const credentials = new FlipletCredentialsProvider({
+      email: 'demo@example.com',
+      password: 'demo-password',
+      fetchFn: player.fetch,
+    });
+    client = new FlipletApiClient({ ...TEST_CONFIG, flipletAppId: '123' }, player.fetch, { credentials });
+  });
+
+  test('should replay a session of reads and writes', async () => {
+    const dataSources = await client.listDataSources();
+    const entries = await client.getDataSourceEntries(1, { where: { Department: 'Engineering' } });
+    const inserted = await client.insertDataSourceEntry(3, { Title: 'Hackathon', Date: '2024-09-12' });
+    const missing = await client.getDataSource(99).catch((error) => error);
+    const media = await client.listMedia();
+
+    expect(dataSources.map((ds) => ds.name)).toEqual(['Employees', 'Departments']);
+    expect(entries.every((entry) => entry.data.Department === 'Engineering')).toBe(true);
+    expect(inserted).toMatchObject({ id: 304, data: { Title: 'Hackathon' } });
+    expect(missing).toMatchObject({ name: 'FlipletApiError', statusCode: 404 });
+    expect(media.folders.length).toBeGreaterThan(0);
+    player.assertDone();
+  });
+
+  test('should fail on a request the cassette does not have', async () => {
+    await client.listDataSources();
+
+    await expect(client.listApps()).rejects.toThrow('No recorded response for GET /v1/apps');
+  });
 });
 
 // ---------------------------------------------------------------
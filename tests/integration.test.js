@@ -13,6 +13,12 @@ const { ChatEngine } = require('../src/chat-engine');
 const { FlipletApiClient } = require('../src/fliplet-client');
 const { ToolExecutor } = require('../src/tool-executor');
 const { tools } = require('../src/tools');
+const request = require('supertest');
+const { createServer } = require('../src/server');
+const { SessionManager } = require('../src/session-manager');
+const { FlipletClientPool } = require('../src/fliplet-client-pool');
+const { createProvider } = require('../src/llm-providers');
+const { createMockFlipletServer, DEFAULT_TOKEN } = require('../src/mock-fliplet-server');
 
 // ---------------------------------------------------------------
 // Helpers: mock HTTP and OpenAI
@@ -188,11 +194,12 @@ describe('Integration: Query Data Source Entries', () => {
     expect(answer).toBe('Found 2 entries: Alice and Bob.');
     expect(mockFetch).toHaveBeenCalledTimes(1);
 
-    // Verify the POST body included limit
+    // Verify the POST body included the limit, plus one to detect a next page
     const fetchCall = mockFetch.mock.calls[0];
     const body = JSON.parse(fetchCall[1].body);
     expect(body.type).toBe('select');
-    expect(body.limit).toBe(2);
+    expect(body.limit).toBe(3);
+    expect(body.includePagination).toBe(true);
   });
 });
 
@@ -418,3 +425,110 @@ describe('Integration: Multi-Turn Conversation', () => {
     expect(userMessages).toHaveLength(2);
   });
 });
+
+// ---------------------------------------------------------------
+// Integration test: write tools need user confirmation
+// ---------------------------------------------------------------
+
+describe('Integration: Confirmed Data Changes', () => {
+  test('should only send the update to Fliplet after the user confirms', async () => {
+    const mockFetch = createMockFlipletFetch({
+      '/v1/data-sources/1/data/7': { entry: { id: 7, data: { Name: 'Jo', Status: 'Active' } } },
+    });
+
+    const mockOpenAI = createMockOpenAI([
+      toolCallResponse([{
+        name: 'update_data_source_entry',
+        arguments: { dataSourceId: 1, entryId: 7, data: { Status: 'Inactive' } },
+      }]),
+      textResponse('I will set Status to Inactive on entry 7. Please approve the change.'),
+    ]);
+
+    const client = new FlipletApiClient(TEST_CONFIG, mockFetch);
+    const executor = new ToolExecutor(client);
+    const engine = new ChatEngine({
+      openai: mockOpenAI,
+      toolExecutor: executor,
+      tools,
+      model: TEST_CONFIG.openaiModel,
+    });
+
+    await engine.chat('Mark entry 7 in data source 1 as inactive');
+
+    // Proposal only — the current entry was read, nothing written yet
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(mockFetch.mock.calls[0][1].method).toBe('GET');
+    const [action] = engine.getPendingActions();
+    expect(action.before).toEqual({ Status: 'Active' });
+    expect(action.changes).toEqual({ Status: 'Inactive' });
+
+    const outcome = await engine.confirmAction(action.id);
+
+    expect(outcome.status).toBe('applied');
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+    const [url, options] = mockFetch.mock.calls[1];
+    expect(url).toBe('https://api.fliplet.com/v1/data-sources/1/data/7');
+    expect(options.method).toBe('PUT');
+    expect(JSON.parse(options.body)).toEqual({ Status: 'Inactive' });
+  });
+});
+
+// ---------------------------------------------------------------
+// Integration test: the whole stack offline — HTTP API, scripted
+// LLM (bundled demo scenario) and the mock Fliplet API over HTTP
+// ---------------------------------------------------------------
+
+describe('Integration: Offline Stack', () => {
+  let flipletServer;
+  let sessionManager;
+  let app;
+
+  beforeAll(async () => {
+    flipletServer = await new Promise((resolve) => {
+      const listening = createMockFlipletServer().listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    const provider = createProvider({ llmProvider: 'fake' });
+    const clientPool = new FlipletClientPool({
+      flipletApiUrl: `http://127.0.0.1:${flipletServer.address().port}`,
+      flipletApiToken: DEFAULT_TOKEN,
+      flipletAppId: '123',
+      flipletAppIds: ['123', '456'],
+    });
+    sessionManager = new SessionManager((appId) => new ChatEngine({
+      provider,
+      toolExecutor: new ToolExecutor(clientPool.get(appId), { apps: clientPool }),
+      tools,
+      model: provider.model,
+    }));
+    app = createServer({ sessionManager, apps: clientPool });
+  });
+
+  afterAll(() => {
+    sessionManager.stopCleanup();
+    return new Promise((resolve) => flipletServer.close(resolve));
+  });
+
+  test('should answer from the fixtures through the chat API', async () => {
+    const res = await request(app).post('/api/chat').send({ message: 'What data sources are there?' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.response).toBe('This app has 2 data sources: Employees, Departments.');
+  });
+
+  test('should filter entries across turns of one session', async () => {
+    const first = await request(app).post('/api/chat').send({ message: 'Who works in Engineering?' });
+    const second = await request(app)
+      .post('/api/chat')
+      .send({ message: 'Who works in Design?', sessionId: first.body.sessionId });
+
+    expect(first.body.response).toBe('I found 3: Alice Moreau, Bob Okafor, Grace Lindqvist.');
+    expect(second.body.response).toBe('I found 2: Chen Wei, Hiro Tanaka.');
+  });
+
+  test("should query the session's own app", async () => {
+    const res = await request(app).post('/api/chat').send({ message: 'What data sources are there?', appId: '456' });
+
+    expect(res.body.response).toBe('This app has 1 data sources: Events.');
+  });
+});
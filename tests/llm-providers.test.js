@@ -0,0 +1,500 @@
+/**
+ * LLM Providers — Unit Tests
+ *
+ * Verifies each provider honours the shared interface (complete/stream
+ * returning OpenAI-format assistant messages) and that the Anthropic
+ * adapter translates messages, tools and tool calls both ways.
+ * No network: the OpenAI SDK client and fetch are mocked.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  OpenAIProvider,
+  AnthropicProvider,
+  FakeProvider,
+  ScriptedProvider,
+  loadScenario,
+  LlmProviderError,
+  createProvider,
+  toAnthropicMessages,
+} = require('../src/llm-providers');
+
+// ---------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------
+
+/** An OpenAI-format tool definition */
+const TOOL = {
+  type: 'function',
+  function: {
+    name: 'get_data_source',
+    description: 'Get a data source',
+    parameters: { type: 'object', properties: { dataSourceId: { type: 'number' } } },
+  },
+};
+
+/**
+ * Drain a provider stream, returning the yielded events and the return value.
+ */
+async function drain(generator) {
+  const events = [];
+  let result = await generator.next();
+  while (!result.done) {
+    events.push(result.value);
+    result = await generator.next();
+  }
+  return { events, message: result.value };
+}
+
+/**
+ * Creates a mock fetch Response for the Anthropic API.
+ */
+function anthropicResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+  });
+}
+
+/**
+ * Creates a mock streamed fetch Response from a list of SSE events.
+ */
+function anthropicStream(events) {
+  const text = events.map((event) => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join('');
+  // Split mid-event to exercise buffering across chunks
+  const encoder = new TextEncoder();
+  const chunks = [text.slice(0, 37), text.slice(37)].map((part) => encoder.encode(part));
+  return Promise.resolve({
+    ok: true,
+    status: 200,
+    body: {
+      async *[Symbol.asyncIterator]() {
+        yield* chunks;
+      },
+    },
+  });
+}
+
+describe('LLM Providers', () => {
+  // ---------------------------------------------------------------
+  // OpenAIProvider
+  // ---------------------------------------------------------------
+
+  describe('OpenAIProvider', () => {
+    test('should throw if no client is given', () => {
+      expect(() => new OpenAIProvider({})).toThrow('OpenAIProvider requires an OpenAI client');
+    });
+
+    test('should pass model, messages and tools to chat.completions.create', async () => {
+      const create = jest.fn().mockResolvedValue({
+        choices: [{ message: { role: 'assistant', content: 'Hi' } }],
+      });
+      const provider = new OpenAIProvider({ client: { chat: { completions: { create } } } });
+
+      const message = await provider.complete({ model: 'gpt-4o', messages: [], tools: [TOOL] });
+
+      expect(create).toHaveBeenCalledWith({ model: 'gpt-4o', messages: [], tools: [TOOL] });
+      expect(message).toEqual({ role: 'assistant', content: 'Hi' });
+    });
+
+    test('should omit tools when none are given', async () => {
+      const create = jest.fn().mockResolvedValue({ choices: [] });
+      const provider = new OpenAIProvider({ client: { chat: { completions: { create } } } });
+
+      const message = await provider.complete({ model: 'm', messages: [], tools: [] });
+
+      expect(create.mock.calls[0][0].tools).toBeUndefined();
+      expect(message).toBeNull();
+    });
+
+    test('should stream text and reassemble tool-call fragments', async () => {
+      const chunks = [
+        { choices: [{ delta: { content: 'Look' } }] },
+        { choices: [{ delta: { content: 'ing' } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_a', function: { name: 'get_data_source', arguments: '{"dataSo' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'urceId":1}' } }] } }] },
+      ];
+      const create = jest.fn().mockResolvedValue({
+        async *[Symbol.asyncIterator]() {
+          yield* chunks;
+        },
+      });
+      const provider = new OpenAIProvider({ client: { chat: { completions: { create } } } });
+
+      const { events, message } = await drain(provider.stream({ model: 'm', messages: [], tools: [TOOL] }));
+
+      expect(create.mock.calls[0][0].stream).toBe(true);
+      expect(events).toEqual([{ type: 'text', delta: 'Look' }, { type: 'text', delta: 'ing' }]);
+      expect(message).toEqual({
+        role: 'assistant',
+        content: 'Looking',
+        tool_calls: [{ id: 'call_a', type: 'function', function: { name: 'get_data_source', arguments: '{"dataSourceId":1}' } }],
+      });
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Anthropic message translation
+  // ---------------------------------------------------------------
+
+  describe('toAnthropicMessages()', () => {
+    test('should move system messages to the top-level system prompt', () => {
+      const { system, messages } = toAnthropicMessages([
+        { role: 'system', content: 'You are helpful.' },
+        { role: 'system', content: 'Summary: data source 4412.' },
+        { role: 'user', content: 'Hi' },
+      ]);
+
+      expect(system).toBe('You are helpful.\n\nSummary: data source 4412.');
+      expect(messages).toEqual([{ role: 'user', content: [{ type: 'text', text: 'Hi' }] }]);
+    });
+
+    test('should translate tool calls and results into tool_use / tool_result blocks', () => {
+      const { messages } = toAnthropicMessages([
+        { role: 'user', content: 'Show 1 and 2' },
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [
+            { id: 'call_0', type: 'function', function: { name: 'get_data_source', arguments: '{"dataSourceId":1}' } },
+            { id: 'call_1', type: 'function', function: { name: 'get_data_source', arguments: '{"dataSourceId":2}' } },
+          ],
+        },
+        { role: 'tool', tool_call_id: 'call_0', content: '{"id":1}' },
+        { role: 'tool', tool_call_id: 'call_1', content: '{"id":2}' },
+        { role: 'assistant', content: 'Here they are.' },
+      ]);
+
+      expect(messages).toEqual([
+        { role: 'user', content: [{ type: 'text', text: 'Show 1 and 2' }] },
+        {
+          role: 'assistant',
+          content: [
+            { type: 'tool_use', id: 'call_0', name: 'get_data_source', input: { dataSourceId: 1 } },
+            { type: 'tool_use', id: 'call_1', name: 'get_data_source', input: { dataSourceId: 2 } },
+          ],
+        },
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', tool_use_id: 'call_0', content: '{"id":1}' },
+            { type: 'tool_result', tool_use_id: 'call_1', content: '{"id":2}' },
+          ],
+        },
+        { role: 'assistant', content: [{ type: 'text', text: 'Here they are.' }] },
+      ]);
+    });
+
+    test('should merge consecutive messages with the same role', () => {
+      const { messages } = toAnthropicMessages([
+        { role: 'user', content: 'Delete entry 9' },
+        { role: 'assistant', content: 'Please approve.' },
+        { role: 'assistant', content: 'Applied: delete entry 9.' },
+      ]);
+
+      expect(messages[1]).toEqual({
+        role: 'assistant',
+        content: [
+          { type: 'text', text: 'Please approve.' },
+          { type: 'text', text: 'Applied: delete entry 9.' },
+        ],
+      });
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // AnthropicProvider
+  // ---------------------------------------------------------------
+
+  describe('AnthropicProvider', () => {
+    test('should throw if no apiKey is given', () => {
+      expect(() => new AnthropicProvider({})).toThrow('AnthropicProvider requires an apiKey');
+    });
+
+    test('should POST a Messages API request with translated tools', async () => {
+      const fetchFn = jest.fn().mockReturnValue(anthropicResponse({ content: [{ type: 'text', text: 'Hello' }] }));
+      const provider = new AnthropicProvider({ apiKey: 'sk-ant', fetchFn });
+
+      const message = await provider.complete({
+        model: 'claude-test',
+        messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }],
+        tools: [TOOL],
+      });
+
+      const [url, options] = fetchFn.mock.calls[0];
+      const body = JSON.parse(options.body);
+      expect(url).toBe('https://api.anthropic.com/v1/messages');
+      expect(options.headers['x-api-key']).toBe('sk-ant');
+      expect(options.headers['anthropic-version']).toBe('2023-06-01');
+      expect(body).toEqual(expect.objectContaining({ model: 'claude-test', system: 'Be brief.', max_tokens: 4096 }));
+      expect(body.tools).toEqual([
+        { name: 'get_data_source', description: 'Get a data source', input_schema: TOOL.function.parameters },
+      ]);
+      expect(message).toEqual({ role: 'assistant', content: 'Hello' });
+    });
+
+    test('should turn tool_use blocks into OpenAI-format tool calls', async () => {
+      const fetchFn = jest.fn().mockReturnValue(anthropicResponse({
+        content: [
+          { type: 'text', text: 'Checking.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'get_data_source', input: { dataSourceId: 7 } },
+        ],
+      }));
+      const provider = new AnthropicProvider({ apiKey: 'k', fetchFn });
+
+      const message = await provider.complete({ model: 'm', messages: [{ role: 'user', content: 'x' }], tools: [] });
+
+      expect(message).toEqual({
+        role: 'assistant',
+        content: 'Checking.',
+        tool_calls: [
+          { id: 'toolu_1', type: 'function', function: { name: 'get_data_source', arguments: '{"dataSourceId":7}' } },
+        ],
+      });
+    });
+
+    test('should throw LlmProviderError with the status, mapping 529 to 429', async () => {
+      const fetchFn = jest.fn().mockReturnValue(anthropicResponse({ error: { type: 'overloaded_error' } }, 529));
+      const provider = new AnthropicProvider({ apiKey: 'k', fetchFn });
+
+      const error = await provider.complete({ model: 'm', messages: [], tools: [] }).catch((err) => err);
+
+      expect(error).toBeInstanceOf(LlmProviderError);
+      expect(error.status).toBe(429);
+    });
+
+    test('should stream text deltas and assemble streamed tool input', async () => {
+      const fetchFn = jest.fn().mockReturnValue(anthropicStream([
+        { type: 'message_start', message: {} },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'One ' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'moment.' } },
+        { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_9', name: 'get_data_source' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"dataSourceId":' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '9}' } },
+        { type: 'message_stop' },
+      ]));
+      const provider = new AnthropicProvider({ apiKey: 'k', fetchFn });
+
+      const { events, message } = await drain(provider.stream({ model: 'm', messages: [], tools: [TOOL] }));
+
+      expect(JSON.parse(fetchFn.mock.calls[0][1].body).stream).toBe(true);
+      expect(events).toEqual([{ type: 'text', delta: 'One ' }, { type: 'text', delta: 'moment.' }]);
+      expect(message).toEqual({
+        role: 'assistant',
+        content: 'One moment.',
+        tool_calls: [{ id: 'toolu_9', type: 'function', function: { name: 'get_data_source', arguments: '{"dataSourceId":9}' } }],
+      });
+    });
+
+    test('should throw on an error event mid-stream', async () => {
+      const fetchFn = jest.fn().mockReturnValue(anthropicStream([
+        { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } },
+      ]));
+      const provider = new AnthropicProvider({ apiKey: 'k', fetchFn });
+
+      await expect(drain(provider.stream({ model: 'm', messages: [], tools: [] }))).rejects.toMatchObject({
+        status: 429,
+      });
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // FakeProvider
+  // ---------------------------------------------------------------
+
+  describe('FakeProvider', () => {
+    test('should replay scripted replies in order and record requests', async () => {
+      const provider = new FakeProvider([FakeProvider.text('one'), FakeProvider.text('two')]);
+
+      expect(await provider.complete({ messages: ['a'] })).toEqual({ role: 'assistant', content: 'one' });
+      expect(await provider.complete({ messages: ['b'] })).toEqual({ role: 'assistant', content: 'two' });
+      expect(provider.requests.map((r) => r.messages[0])).toEqual(['a', 'b']);
+    });
+
+    test('should build tool-call replies with sequential ids', () => {
+      expect(FakeProvider.toolCalls([{ name: 'list_media' }]).tool_calls).toEqual([
+        { id: 'call_0', type: 'function', function: { name: 'list_media', arguments: '{}' } },
+      ]);
+    });
+
+    test('should throw scripted errors and when the script runs out', async () => {
+      const provider = new FakeProvider([new Error('boom')]);
+
+      await expect(provider.complete({})).rejects.toThrow('boom');
+      await expect(provider.complete({})).rejects.toThrow('no scripted reply left');
+    });
+
+    test('should stream the reply text as one delta', async () => {
+      const provider = new FakeProvider([FakeProvider.text('streamed')]);
+
+      const { events, message } = await drain(provider.stream({}));
+
+      expect(events).toEqual([{ type: 'text', delta: 'streamed' }]);
+      expect(message.content).toBe('streamed');
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // ScriptedProvider
+  // ---------------------------------------------------------------
+
+  describe('ScriptedProvider', () => {
+    const SCENARIO = {
+      rules: [
+        { user: '/entries of data source (\\d+)/i', reply: { toolCalls: [{ name: 'get_data_source_entries', arguments: { dataSourceId: '{{match.1}}' } }] } },
+        { user: 'data sources', reply: { toolCalls: [{ name: 'list_data_sources' }] } },
+        { tool: 'list_data_sources', result: '/^\\[\\]$/', reply: { text: 'There are none.' } },
+        { tool: 'list_data_sources', reply: { text: 'Found {{result.length}}: {{result.*.name}}.' } },
+        { user: 'hello', reply: { text: 'Hi! You said "{{user}}".' } },
+      ],
+      fallback: { text: 'No idea.' },
+    };
+    const tools = [TOOL];
+
+    /** Conversation where list_data_sources just returned `result` */
+    function afterTool(result) {
+      return [
+        { role: 'user', content: 'What data sources are there?' },
+        FakeProvider.toolCalls([{ name: 'list_data_sources' }]),
+        { role: 'tool', tool_call_id: 'call_0', content: JSON.stringify(result) },
+      ];
+    }
+
+    test('should answer a user message from the first matching rule', async () => {
+      const provider = new ScriptedProvider(SCENARIO);
+
+      const reply = await provider.complete({ messages: [{ role: 'user', content: 'Which data sources exist?' }], tools });
+
+      expect(reply.tool_calls[0].function.name).toBe('list_data_sources');
+    });
+
+    test('should fill tool arguments from capture groups, keeping numbers numeric', async () => {
+      const provider = new ScriptedProvider(SCENARIO);
+
+      const reply = await provider.complete({ messages: [{ role: 'user', content: 'Show entries of data source 42' }], tools });
+
+      expect(JSON.parse(reply.tool_calls[0].function.arguments)).toEqual({ dataSourceId: 42 });
+    });
+
+    test('should answer a tool result from rules for that tool', async () => {
+      const provider = new ScriptedProvider(SCENARIO);
+
+      const found = await provider.complete({ messages: afterTool([{ name: 'Users' }, { name: 'Orders' }]), tools });
+      const empty = await provider.complete({ messages: afterTool([]), tools });
+
+      expect(found.content).toBe('Found 2: Users, Orders.');
+      expect(empty.content).toBe('There are none.');
+    });
+
+    test('should not apply user rules after a tool result', async () => {
+      const provider = new ScriptedProvider({ rules: [SCENARIO.rules[1]], fallback: { text: 'Done.' } });
+
+      const reply = await provider.complete({ messages: afterTool([]), tools });
+
+      expect(reply).toEqual({ role: 'assistant', content: 'Done.' });
+    });
+
+    test('should skip tool-calling rules when no tools are offered', async () => {
+      const provider = new ScriptedProvider(SCENARIO);
+
+      const reply = await provider.complete({ messages: [{ role: 'user', content: 'Summarize the data sources' }], tools: [] });
+
+      expect(reply.content).toBe('No idea.');
+    });
+
+    test('should stream text in word-sized deltas and record requests', async () => {
+      const provider = new ScriptedProvider(SCENARIO);
+
+      const { events, message } = await drain(provider.stream({ messages: [{ role: 'user', content: 'hello there' }], tools }));
+
+      expect(events.map((e) => e.delta).join('')).toBe('Hi! You said "hello there".');
+      expect(events.length).toBeGreaterThan(1);
+      expect(message.content).toBe('Hi! You said "hello there".');
+      expect(provider.requests).toHaveLength(1);
+    });
+  });
+
+  describe('loadScenario()', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const write = (scenario) => {
+      const file = path.join(dir, 'scenario.json');
+      fs.writeFileSync(file, typeof scenario === 'string' ? scenario : JSON.stringify(scenario));
+      return file;
+    };
+
+    test('should load the bundled demo scenario', () => {
+      const provider = createProvider({ llmProvider: 'fake' });
+
+      expect(provider).toBeInstanceOf(ScriptedProvider);
+      expect(provider.model).toBe('scripted-demo');
+    });
+
+    test('should load a scenario named in config', () => {
+      const file = write({ model: 'mine', rules: [{ user: 'x', reply: { text: 'y' } }] });
+
+      expect(createProvider({ llmProvider: 'fake', fakeLlmScenario: file }).model).toBe('mine');
+    });
+
+    test('should explain malformed scenarios', () => {
+      expect(() => loadScenario(path.join(dir, 'missing.json'))).toThrow('Could not read LLM scenario');
+      expect(() => loadScenario(write('{"rules": 1}'))).toThrow('must have a "rules" array');
+      expect(() => loadScenario(write({ rules: [{ user: 'x', reply: {} }] }))).toThrow('rule 1: "reply" needs "text" or "toolCalls"');
+      expect(() => loadScenario(write({ rules: [{ reply: { text: 'y' } }] }))).toThrow('give "user", "tool" or both');
+      expect(() => loadScenario(write({ rules: [{ user: '/(/', reply: { text: 'y' } }] }))).toThrow('rule 1: Invalid regular expression');
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // createProvider()
+  // ---------------------------------------------------------------
+
+  describe('createProvider()', () => {
+    test('should create an OpenAI provider by default with the configured model', () => {
+      const provider = createProvider({ openaiApiKey: 'sk', openaiModel: 'gpt-4o' });
+
+      expect(provider).toBeInstanceOf(OpenAIProvider);
+      expect(provider.model).toBe('gpt-4o');
+    });
+
+    test('should point the OpenAI client at a custom base URL', () => {
+      const provider = createProvider({
+        openaiBaseUrl: 'http://localhost:11434/v1',
+        openaiModel: 'llama3.1',
+      });
+
+      expect(provider._client.baseURL).toBe('http://localhost:11434/v1');
+    });
+
+    test('should create an Anthropic provider', () => {
+      const provider = createProvider({
+        llmProvider: 'anthropic',
+        anthropicApiKey: 'sk-ant',
+        anthropicModel: 'claude-test',
+      });
+
+      expect(provider).toBeInstanceOf(AnthropicProvider);
+      expect(provider.model).toBe('claude-test');
+    });
+
+    test('should create the scripted provider for "fake"', () => {
+      expect(createProvider({ llmProvider: 'fake' })).toBeInstanceOf(ScriptedProvider);
+    });
+
+    test('should reject an unknown provider', () => {
+      expect(() => createProvider({ llmProvider: 'mystery' })).toThrow('Unknown LLM provider');
+    });
+  });
+});
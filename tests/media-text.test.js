@@ -0,0 +1,115 @@
+/**
+ * Media Text Extraction — Unit Tests
+ *
+ * Format detection, text extraction per format, chunking with line
+ * references, tokenizing and BM25 ranking.
+ */
+
+const {
+  detectFormat,
+  extractText,
+  chunkText,
+  rankChunks,
+  describeLocation,
+} = require('../src/media-text');
+
+describe('detectFormat()', () => {
+  test.each([
+    [{ name: 'notes.TXT' }, 'text'],
+    [{ name: 'README.md', contentType: 'application/octet-stream' }, 'markdown'],
+    [{ name: 'offices.csv' }, 'csv'],
+    [{ name: 'agenda', contentType: 'application/json; charset=utf-8' }, 'json'],
+    [{ name: 'policy', contentType: 'application/pdf' }, 'pdf'],
+    [{ name: 'page', contentType: 'text/html' }, 'text'],
+    [{ name: 'manifest', contentType: 'application/ld+json' }, 'json'],
+    [{ name: 'logo.png', contentType: 'image/png' }, null],
+    [{}, null],
+  ])('%j → %s', (file, format) => {
+    expect(detectFormat(file)).toBe(format);
+  });
+});
+
+describe('extractText()', () => {
+  test('should split text into lines, ignoring a BOM and the final newline', async () => {
+    const { sections, truncated } = await extractText(Buffer.from('\uFEFFOne\r\nTwo\n'), 'text');
+
+    expect(sections).toEqual([{ page: null, lines: ['One', 'Two'] }]);
+    expect(truncated).toBe(false);
+  });
+
+  test('should re-indent JSON and keep invalid JSON as it is', async () => {
+    expect((await extractText(Buffer.from('{"a":[1]}'), 'json')).sections[0].lines).toEqual(['{', '  "a": [', '    1', '  ]', '}']);
+    expect((await extractText(Buffer.from('{"a":'), 'json')).sections[0].lines).toEqual(['{"a":']);
+  });
+
+  test('should reject binary content and unknown formats', async () => {
+    await expect(extractText(Buffer.from([0x89, 0x50, 0x00, 0x47]), 'csv')).rejects.toThrow('The file does not look like a CSV file.');
+    await expect(extractText(Buffer.from('x'), 'docx')).rejects.toThrow('Unsupported format "docx"');
+  });
+});
+
+describe('chunkText()', () => {
+  const lines = (count, prefix = 'line') => Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}`);
+
+  test('should keep whole lines and number them per page', () => {
+    const chunks = chunkText(
+      [
+        { page: 1, lines: lines(5) },
+        { page: 2, lines: ['', 'only line'] },
+      ],
+      { chunkChars: 15 }
+    );
+
+    expect(chunks.map(({ page, startLine, endLine }) => [page, startLine, endLine])).toEqual([
+      [1, 1, 2],
+      [1, 3, 4],
+      [1, 5, 5],
+      [2, 1, 2],
+    ]);
+    expect(chunks[0].text).toBe('line 1\nline 2');
+  });
+
+  test('should repeat the CSV header in later chunks', () => {
+    const chunks = chunkText([{ page: null, lines: ['Name,Office', ...lines(4, 'Ann,London')] }], { format: 'csv', chunkChars: 30 });
+
+    expect(chunks[0].text).toBe('Name,Office\nAnn,London 1');
+    expect(chunks[1]).toEqual({ page: null, startLine: 3, endLine: 4, text: 'Name,Office\nAnn,London 2\nAnn,London 3' });
+  });
+
+  test('should drop chunks that are only blank lines', () => {
+    expect(chunkText([{ page: 1, lines: ['', '  '] }])).toEqual([]);
+  });
+});
+
+describe('rankChunks()', () => {
+  const chunks = [
+    { text: 'Annual leave is 25 days.' },
+    { text: 'Refund requests need a receipt within 30 days.' },
+    { text: 'Refunds are paid monthly. Refund questions go to finance.' },
+  ];
+
+  test('should rank the best matching chunks first and drop the rest', () => {
+    const ranked = rankChunks(chunks, 'How are refunds paid?');
+
+    expect(ranked.map((result) => result.chunk)).toEqual([chunks[2], chunks[1]]);
+    expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+  });
+
+  test('should keep document order between chunks that score the same', () => {
+    const tied = [{ text: 'Leave policy' }, { text: 'Refund policy' }, { text: 'Travel policy' }];
+
+    expect(rankChunks(tied, 'policy').map((result) => result.chunk)).toEqual(tied);
+  });
+
+  test('should return nothing for a query with no useful terms', () => {
+    expect(rankChunks(chunks, 'what is the')).toEqual([]);
+    expect(rankChunks([], 'refund')).toEqual([]);
+  });
+});
+
+describe('describeLocation()', () => {
+  test('should name the page and line range', () => {
+    expect(describeLocation({ page: 2, startLine: 4, endLine: 18 })).toBe('page 2, lines 4-18');
+    expect(describeLocation({ page: null, startLine: 7, endLine: 7 })).toBe('line 7');
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Mock Fliplet API Server — Tests
+ *
+ * Checks the mock's endpoints with supertest, then drives the real
+ * FlipletApiClient and ToolExecutor against it over HTTP (end to end,
+ * no stubbed fetch).
+ */
+
+const request = require('supertest');
+const {
+  createMockFlipletServer,
+  loadFixtures,
+  matchesWhere,
+  DEFAULT_TOKEN,
+} = require('../src/mock-fliplet-server');
+const { FlipletApiClient } = require('../src/fliplet-client');
+const { FlipletCredentialsProvider } = require('../src/fliplet-auth');
+const { ToolExecutor } = require('../src/tool-executor');
+const { ContentIndexPool } = require('../src/content-index');
+
+const FIXTURES = Object.freeze({
+  apps: [{ id: 1, name: 'Directory' }, { id: 2, name: 'Other' }],
+  dataSources: [
+    {
+      id: 10,
+      appId: 1,
+      name: 'People',
+      columns: ['Name', 'Age', 'Team'],
+      entries: [
+        { id: 1, data: { Name: 'Ann', Age: 31, Team: 'Red' } },
+        { id: 2, data: { Name: 'Ben', Age: 25, Team: 'Blue' } },
+        { id: 3, data: { Name: 'Cat', Age: 42, Team: 'Red' } },
+        { id: 4, data: { Name: 'Dan', Age: 37 } },
+      ],
+    },
+    { id: 20, appId: 2, name: 'Elsewhere', columns: [], entries: [] },
+  ],
+  media: {
+    folders: [
+      { id: 100, appId: 1, name: 'Docs', parentId: null },
+      { id: 101, appId: 1, name: 'Old', parentId: 100 },
+    ],
+    files: [
+      { id: 500, appId: 1, folderId: null, name: 'readme.md', contentType: 'text/markdown' },
+      { id: 501, appId: 1, folderId: 100, name: 'guide.pdf' },
+      { id: 502, appId: 2, folderId: null, name: 'other.txt' },
+    ],
+  },
+  contents: {
+    500: Buffer.from('# Readme\n\nTeams meet on Mondays.\nRed team owns billing.\n'),
+  },
+});
+
+describe('matchesWhere', () => {
+  const data = { Name: 'Ann', Age: 31, Tags: ['admin', 'staff'] };
+
+  test.each([
+    [{ Name: 'Ann' }, true],
+    [{ Name: 'ann' }, false],
+    [{ Age: { $gte: 30, $lt: 40 } }, true],
+    [{ Age: { $gt: '30' } }, false],
+    [{ Name: { $in: ['Ann', 'Ben'] } }, true],
+    [{ Name: { $nin: ['Ann'] } }, false],
+    [{ Tags: 'admin' }, true],
+    [{ Team: { $exists: false } }, true],
+    [{ Name: { $regex: '^a', $options: 'i' } }, true],
+    [{ Name: { $not: { $eq: 'Ann' } } }, false],
+    [{ $or: [{ Name: 'Ben' }, { Age: 31 }] }, true],
+    [{ $and: [{ Name: 'Ann' }, { Age: 30 }] }, false],
+    [{ $nor: [{ Name: 'Ben' }] }, true],
+  ])('%j → %s', (where, expected) => {
+    expect(matchesWhere(data, where)).toBe(expected);
+  });
+
+  test('should reject unsupported operators', () => {
+    expect(() => matchesWhere(data, { Name: { $near: 1 } })).toThrow('Unsupported operator $near');
+  });
+});
+
+describe('loadFixtures', () => {
+  test('should load the bundled fixtures', () => {
+    const fixtures = loadFixtures();
+
+    expect(fixtures.apps.length).toBeGreaterThan(0);
+    expect(fixtures.dataSources.length).toBeGreaterThan(0);
+    expect(fixtures.media.files.length).toBeGreaterThan(0);
+    expect(fixtures.contents[1003].toString('utf-8')).toContain('25 days of paid annual leave');
+    expect(fixtures.contents[1005]).toBeUndefined();
+  });
+
+  test('should treat missing files as empty', () => {
+    expect(loadFixtures('/nonexistent')).toEqual({ apps: [], dataSources: [], media: { folders: [], files: [] }, contents: {} });
+  });
+});
+
+describe('createMockFlipletServer', () => {
+  let app;
+  const auth = { 'Auth-token': DEFAULT_TOKEN };
+
+  beforeEach(() => {
+    app = createMockFlipletServer({ fixtures: FIXTURES });
+  });
+
+  test('should require a valid token', async () => {
+    const res = await request(app).get('/v1/apps').set('Auth-token', 'wrong');
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toMatch(/auth token/);
+  });
+
+  test('should issue a working token on login', async () => {
+    const login = await request(app).post('/v1/auth/login').send({ email: 'a@b.c', password: 'x' });
+    const res = await request(app).get('/v1/user').set('Auth-token', login.body.auth_token);
+
+    expect(login.status).toBe(200);
+    expect(res.status).toBe(200);
+  });
+
+  test('should only accept the configured account when one is given', async () => {
+    app = createMockFlipletServer({ fixtures: FIXTURES, account: { email: 'a@b.c', password: 'right' } });
+
+    const res = await request(app).post('/v1/auth/login').send({ email: 'a@b.c', password: 'wrong' });
+
+    expect(res.status).toBe(401);
+  });
+
+  test("should list an app's data sources without their entries", async () => {
+    const res = await request(app).get('/v1/data-sources?appId=1').set(auth);
+
+    expect(res.body.dataSources).toEqual([{ id: 10, appId: 1, name: 'People', columns: ['Name', 'Age', 'Team'] }]);
+  });
+
+  test('should 404 an unknown data source', async () => {
+    const res = await request(app).get('/v1/data-sources/99').set(auth);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Data source 99 not found');
+  });
+
+  test('should filter, then apply offset and limit', async () => {
+    const res = await request(app)
+      .post('/v1/data-sources/10/data/query')
+      .set(auth)
+      .send({ type: 'select', where: { Age: { $gt: 26 } }, offset: 1, limit: 1 });
+
+    expect(res.body.entries.map((e) => e.data.Name)).toEqual(['Cat']);
+    expect(res.body.entries[0]).toMatchObject({ id: 3, dataSourceId: 10 });
+  });
+
+  test('should report how many entries match when asked for pagination', async () => {
+    const res = await request(app)
+      .post('/v1/data-sources/10/data/query')
+      .set(auth)
+      .send({ type: 'select', where: { Age: { $gt: 26 } }, limit: 1, includePagination: true });
+    const plain = await request(app).post('/v1/data-sources/10/data/query').set(auth).send({ limit: 1 });
+
+    expect(res.body.entries).toHaveLength(1);
+    expect(res.body.pagination).toEqual({ total: 3, offset: 0, limit: 1 });
+    expect(plain.body).not.toHaveProperty('pagination');
+  });
+
+  test('should reject a bad query with 400', async () => {
+    const badLimit = await request(app).post('/v1/data-sources/10/data/query').set(auth).send({ limit: -1 });
+    const badOperator = await request(app)
+      .post('/v1/data-sources/10/data/query')
+      .set(auth)
+      .send({ where: { Age: { $between: [1, 2] } } });
+
+    expect(badLimit.status).toBe(400);
+    expect(badOperator.status).toBe(400);
+    expect(badOperator.body.message).toBe('Unsupported operator $between');
+  });
+
+  test('should return a single entry, or 404 if it does not exist', async () => {
+    const found = await request(app).get('/v1/data-sources/10/data/2').set(auth);
+    const missing = await request(app).get('/v1/data-sources/10/data/99').set(auth);
+
+    expect(found.body.entry).toMatchObject({ id: 2, data: { Name: 'Ben', Age: 25, Team: 'Blue' } });
+    expect(missing.status).toBe(404);
+  });
+
+  test('should apply writes in memory only', async () => {
+    const inserted = await request(app).post('/v1/data-sources/10/data').set(auth).send({ Name: 'Eve' });
+    await request(app).put('/v1/data-sources/10/data/1').set(auth).send({ Team: 'Green' });
+    const deleted = await request(app).delete('/v1/data-sources/10/data/2').set(auth);
+    const res = await request(app).post('/v1/data-sources/10/data/query').set(auth).send({});
+
+    expect(inserted.body).toMatchObject({ id: 5, data: { Name: 'Eve' } });
+    expect(deleted.status).toBe(204);
+    expect(res.body.entries.map((e) => e.data.Name)).toEqual(['Ann', 'Cat', 'Dan', 'Eve']);
+    expect(res.body.entries[0].data).toEqual({ Name: 'Ann', Age: 31, Team: 'Green' });
+    expect(FIXTURES.dataSources[0].entries).toHaveLength(4);
+  });
+
+  test('should list one media folder at a time', async () => {
+    const root = await request(app).get('/v1/media?appId=1').set(auth);
+    const docs = await request(app).get('/v1/media?appId=1&folderId=100').set(auth);
+
+    expect(root.body.folders.map((f) => f.name)).toEqual(['Docs']);
+    expect(root.body.files.map((f) => f.name)).toEqual(['readme.md']);
+    expect(docs.body.folders.map((f) => f.name)).toEqual(['Old']);
+    expect(docs.body.files.map((f) => f.name)).toEqual(['guide.pdf']);
+  });
+
+  test('should return a media file by id', async () => {
+    const found = await request(app).get('/v1/media/files/501').set(auth);
+    const missing = await request(app).get('/v1/media/files/999').set(auth);
+
+    expect(found.body.file.name).toBe('guide.pdf');
+    expect(missing.status).toBe(404);
+  });
+
+  test('should serve file contents without a token and point URLs at them', async () => {
+    const root = await request(app).get('/v1/media?appId=1').set(auth);
+    const url = new URL(root.body.files[0].url);
+
+    const res = await request(app).get(url.pathname);
+    const missing = await request(app).get('/files/501/guide.pdf');
+
+    expect(url.pathname).toBe('/files/500/readme.md');
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('Red team owns billing.');
+    expect(missing.status).toBe(404);
+  });
+});
+
+// ---------------------------------------------------------------
+// End to end: the real client over HTTP
+// ---------------------------------------------------------------
+
+describe('FlipletApiClient against the mock server', () => {
+  let mock;
+  let server;
+  let config;
+
+  beforeAll(async () => {
+    mock = createMockFlipletServer({ fixtures: FIXTURES });
+    server = await new Promise((resolve) => {
+      const listening = mock.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    config = {
+      flipletApiUrl: `http://127.0.0.1:${server.address().port}`,
+      flipletApiToken: DEFAULT_TOKEN,
+      flipletAppId: '1',
+    };
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  test('should page through entries with the tool executor', async () => {
+    const executor = new ToolExecutor(new FlipletApiClient(config));
+
+    const first = await executor.execute('get_data_source_entries', { dataSourceId: 10, where: { Team: 'Red' }, limit: 1 });
+    const second = await executor.execute('get_data_source_entries', { dataSourceId: 10, cursor: first.nextCursor });
+
+    expect(first.entries.map((e) => e.data.Name)).toEqual(['Ann']);
+    expect(second.entries.map((e) => e.data.Name)).toEqual(['Cat']);
+  });
+
+  test('should browse media and data sources', async () => {
+    const client = new FlipletApiClient(config);
+
+    expect((await client.listDataSources()).map((ds) => ds.name)).toEqual(['People']);
+    expect((await client.listMedia(100)).files.map((f) => f.name)).toEqual(['guide.pdf']);
+    expect((await client.getMediaFile(500)).name).toBe('readme.md');
+  });
+
+  test('should read a media file with the tool executor', async () => {
+    const executor = new ToolExecutor(new FlipletApiClient(config));
+
+    const result = await executor.execute('read_media_file', { fileId: 500, query: 'who owns billing' });
+
+    expect(result.format).toBe('markdown');
+    expect(result.excerpts[0]).toMatchObject({ reference: 'lines 1-4', text: expect.stringContaining('Red team owns billing.') });
+  });
+
+  test('should walk nested media folders with the tool executor', async () => {
+    const executor = new ToolExecutor(new FlipletApiClient(config));
+
+    const tree = await executor.execute('get_media_tree', {});
+    const found = await executor.execute('find_media_files', { name: '*.pdf' });
+
+    expect(tree.tree.folders).toEqual([{ id: 100, name: 'Docs', folders: [{ id: 101, name: 'Old' }], files: [expect.objectContaining({ id: 501 })] }]);
+    expect(found.matches).toEqual([expect.objectContaining({ id: 501, path: 'Docs/guide.pdf', folderId: 100 })]);
+  });
+
+  test('should search entries and media text with the tool executor', async () => {
+    const executor = new ToolExecutor(new FlipletApiClient(config), { contentIndexes: new ContentIndexPool() });
+
+    const result = await executor.execute('search_app_content', { query: 'red team' });
+
+    expect(result.hits.map((hit) => hit.entryId || hit.fileId)).toEqual(expect.arrayContaining([1, 3, 500]));
+    expect(result.hits.find((hit) => hit.fileId === 500).snippet).toBe('Red team owns billing.');
+    expect(result.index).toMatchObject({ entries: 4, mediaFiles: 1, skippedFiles: [expect.objectContaining({ fileId: 501 })] });
+  });
+
+  test('should log in again when the token expires', async () => {
+    const credentials = new FlipletCredentialsProvider({
+      token: DEFAULT_TOKEN,
+      email: 'bot@example.com',
+      password: 'secret',
+      apiUrl: config.flipletApiUrl,
+    });
+    const client = new FlipletApiClient({ ...config, flipletApiToken: undefined }, undefined, { credentials });
+    mock.locals.fliplet.tokens.delete(DEFAULT_TOKEN);
+
+    const apps = await client.listApps();
+
+    expect(apps.map((a) => a.name)).toEqual(['Directory', 'Other']);
+    expect(credentials.refreshCount).toBe(1);
+  });
+});
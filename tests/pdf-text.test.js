@@ -0,0 +1,248 @@
+/**
+ * PDF Text Extraction — Unit Tests
+ *
+ * Builds small PDFs in memory (plain and compressed content streams,
+ * object streams, ToUnicode fonts, nested page trees, incremental
+ * updates) and checks the text comes back page by page, in reading
+ * order; damaged files must fail with a PdfTextError.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { extractPdfPages, PdfTextError } = require('../src/pdf-text');
+
+/**
+ * Assemble a PDF from object bodies (object 1 is the first item).
+ * A body is a string, or { dict, stream, compress? } for a stream object.
+ */
+function buildPdf(bodies) {
+  let pdf = '%PDF-1.7\n';
+  const offsets = [];
+
+  bodies.forEach((body, i) => {
+    offsets.push(pdf.length);
+    if (typeof body === 'string') {
+      pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return;
+    }
+    const data = body.compress ? zlib.deflateSync(Buffer.from(body.stream, 'latin1')).toString('latin1') : body.stream;
+    const filter = body.compress ? ' /Filter /FlateDecode' : '';
+    pdf += `${i + 1} 0 obj\n<< ${body.dict || ''} /Length ${data.length}${filter} >>\nstream\n${data}\nendstream\nendobj\n`;
+  });
+
+  const xref = pdf.length;
+  pdf += `xref\n0 ${bodies.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${bodies.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+const FONT = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+
+describe('extractPdfPages()', () => {
+  test('should read text operators page by page', async () => {
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 /Resources << /Font << /F1 ${FONT} >> >> >>`,
+      '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+      '<< /Type /Page /Parent 2 0 R /Contents [6 0 R 7 0 R] >>',
+      { stream: 'BT /F1 12 Tf 72 720 Td (Expense policy) Tj 0 -14 Td [(Receipts) -250 (within) -250 (30 days)] TJ ET' },
+      { stream: 'BT /F1 12 Tf 14 TL 72 720 Td (First line) Tj T* (Second \\(line\\)) Tj ET', compress: true },
+      { stream: 'BT /F1 12 Tf (Third line) \' ET', compress: true },
+    ]);
+
+    expect(await extractPdfPages(pdf)).toEqual([
+      { page: 1, text: 'Expense policy\nReceipts within 30 days' },
+      { page: 2, text: 'First line\nSecond (line)\nThird line' },
+    ]);
+  });
+
+  test('should follow the page tree order rather than object order', async () => {
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [4 0 R 3 0 R] /Count 2 /Resources << /Font << /F1 ${FONT} >> >> >>`,
+      '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+      '<< /Type /Pages /Parent 2 0 R /Kids [6 0 R] /Count 1 >>',
+      { stream: 'BT /F1 12 Tf (Second) Tj ET' },
+      '<< /Type /Page /Parent 4 0 R /Contents 7 0 R >>',
+      { stream: 'BT /F1 12 Tf (First) Tj ET' },
+    ]);
+
+    expect((await extractPdfPages(pdf)).map((page) => page.text)).toEqual(['First', 'Second']);
+  });
+
+  test('should map glyphs through a ToUnicode CMap', async () => {
+    const cmap = [
+      'begincmap',
+      '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+      '2 beginbfchar <0001> <0048> <0002> <00E9> endbfchar',
+      '1 beginbfrange <0003> <0004> <006C> endbfrange',
+      'endcmap',
+    ].join('\n');
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 4 0 R >> >> /Contents 6 0 R >>',
+      '<< /Type /Font /Subtype /Type0 /BaseFont /Custom /ToUnicode 5 0 R >>',
+      { stream: cmap, compress: true },
+      // H é l l — then m via the range (0004 → 006D)
+      { stream: 'BT /F1 12 Tf <0001000200030003> Tj <0004> Tj ET' },
+    ]);
+
+    expect(await extractPdfPages(pdf)).toEqual([{ page: 1, text: 'Héllm' }]);
+  });
+
+  test('should read objects packed in an object stream', async () => {
+    const packed = ['<< /Type /Pages /Kids [3 0 R] /Count 1 >>', `<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 ${FONT} >> >> /Contents 4 0 R >>`];
+    const header = `2 0 3 ${packed[0].length + 1} `;
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      { stream: 'placeholder' },
+      { stream: 'placeholder' },
+      { stream: 'BT /F1 12 Tf (Packed page) Tj ET', compress: true },
+      { dict: `/Type /ObjStm /N 2 /First ${header.length}`, stream: `${header}${packed.join('\n')}`, compress: true },
+    ]).toString('latin1')
+      // Drop the placeholders so objects 2 and 3 only exist in the object stream
+      .replace(/2 0 obj[\s\S]*?endobj\n3 0 obj[\s\S]*?endobj\n/, '');
+
+    expect(await extractPdfPages(Buffer.from(pdf, 'latin1'))).toEqual([{ page: 1, text: 'Packed page' }]);
+  });
+
+  test('should break lines on Tm and " and decode octal escapes', async () => {
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /Font << /F1 ${FONT} >> >> >>`,
+      '<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>',
+      {
+        stream:
+          'BT /F1 12 Tf 1 0 0 1 72 720 Tm (Caf\\351) Tj 1 0 0 1 140 720 Tm (menu) Tj ' +
+          '1 0 0 1 72 700 Tm (Opening hours) Tj 0 0 (9 to 5) " ET',
+      },
+    ]);
+
+    expect(await extractPdfPages(pdf)).toEqual([{ page: 1, text: 'Cafémenu\nOpening hours\n9 to 5' }]);
+  });
+
+  test('should map bfrange arrays and skip inline images', async () => {
+    const cmap = [
+      '1 begincodespacerange <00> <FF> endcodespacerange',
+      '1 beginbfrange <01> <03> [<0041> <0042> <0043>] endbfrange',
+    ].join('\n');
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 4 0 R >> >> /Contents 6 0 R >>',
+      '<< /Type /Font /Subtype /Type0 /BaseFont /Custom /ToUnicode 5 0 R >>',
+      { stream: cmap },
+      // The image data would read as a string operand and a Tj if it were not skipped
+      { stream: 'BT /F1 12 Tf <010203> Tj ET BI /W 2 /H 1 /BPC 8 /CS /G ID (\x01\x02) Tj EI BT /F1 12 Tf <03> Tj ET' },
+    ]);
+
+    expect(await extractPdfPages(pdf)).toEqual([{ page: 1, text: 'ABC\nC' }]);
+  });
+
+  test('should use the last definition of an object updated incrementally', async () => {
+    const original = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /Font << /F1 ${FONT} >> >> >>`,
+      '<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>',
+      { stream: 'BT /F1 12 Tf (Draft) Tj ET' },
+    ]).toString('latin1');
+    const update = '4 0 obj\n<< /Length 25 >>\nstream\nBT /F1 12 Tf (Final) Tj ET\nendstream\nendobj\n';
+
+    expect(await extractPdfPages(Buffer.from(original + update, 'latin1'))).toEqual([{ page: 1, text: 'Final' }]);
+  });
+
+  test('should return empty text for pages without text', async () => {
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>',
+      { stream: 'q 100 0 0 100 0 0 cm /Im1 Do Q' },
+    ]);
+
+    expect(await extractPdfPages(pdf)).toEqual([{ page: 1, text: '' }]);
+  });
+
+  test('should reject files that are not PDFs, encrypted PDFs and PDFs without a page tree', async () => {
+    const encrypted = Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R /Encrypt 2 0 R >>\n');
+    const noCatalog = buildPdf(['<< /Type /Page /Contents 2 0 R >>', { stream: 'BT (Orphan) Tj ET' }]);
+
+    await expect(extractPdfPages(Buffer.from('Hello'))).rejects.toThrow(PdfTextError);
+    await expect(extractPdfPages(Buffer.from('Hello'))).rejects.toThrow('Not a PDF file');
+    await expect(extractPdfPages(encrypted)).rejects.toThrow('The PDF is encrypted');
+    await expect(extractPdfPages(noCatalog)).rejects.toThrow('The PDF has no page tree');
+  });
+
+  test('should reject a PDF whose streams inflate past the budget', async () => {
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 /Resources << /Font << /F1 ${FONT} >> >> >>`,
+      '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 6 0 R >>',
+      { stream: `BT /F1 12 Tf (First) Tj ET ${' '.repeat(600)}`, compress: true },
+      { stream: `BT /F1 12 Tf (Second) Tj ET ${' '.repeat(600)}`, compress: true },
+    ]);
+
+    await expect(extractPdfPages(pdf, { maxDecodedBytes: 1000 })).rejects.toThrow(
+      'The PDF expands to too much data to read'
+    );
+    await expect(extractPdfPages(pdf, { maxDecodedBytes: 2000 })).resolves.toHaveLength(2);
+  });
+
+  test('should let other work run between pages and stop when the signal fires', async () => {
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 /Resources << /Font << /F1 ${FONT} >> >> >>`,
+      '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+      { stream: 'BT /F1 12 Tf (Page) Tj ET' },
+    ]);
+    const controller = new AbortController();
+
+    const extraction = extractPdfPages(pdf, { signal: controller.signal });
+    setImmediate(() => controller.abort(new Error('Stopped')));
+
+    await expect(extraction).rejects.toThrow('Stopped');
+  });
+
+  // Damaged and hostile files: every mutation must end in pages or a
+  // PdfTextError, never another exception or a hang
+  test('should survive truncated and corrupted files', async () => {
+    const file = path.join(__dirname, '..', 'fixtures', 'mock-fliplet', 'files', '1002', 'code-of-conduct.pdf');
+    const original = fs.readFileSync(file);
+    // Deterministic pseudo-random numbers, so a failure can be reproduced
+    let seed = 42;
+    const random = (max) => {
+      seed = (seed * 1103515245 + 12345) % 2 ** 31;
+      return seed % max;
+    };
+
+    const mutations = [];
+    for (let i = 0; i < 60; i++) {
+      mutations.push(original.subarray(0, random(original.length)));
+      const flipped = Buffer.from(original);
+      for (let j = 0; j < 8; j++) flipped[random(flipped.length)] = random(256);
+      mutations.push(flipped);
+    }
+    // Structural edge cases: unterminated values and self-referencing trees
+    mutations.push(Buffer.from('%PDF-1.7\n1 0 obj\n<< /Type /Catalog /Pages 1 0 R /Kids [1 0 R] >>\nendobj\n'));
+    mutations.push(Buffer.from('%PDF-1.7\n1 0 obj\n<< /Type /Catalog /Pages [ (unterminated\nendobj\n'));
+    mutations.push(Buffer.from('%PDF-1.7\n1 0 obj\n<< /Type /ObjStm /N 99999 /First 0 /Length 3 >>\nstream\nabc\nendstream\nendobj\n'));
+
+    for (const mutation of mutations) {
+      const outcome = await extractPdfPages(mutation).catch((error) => error);
+      if (outcome instanceof Error) expect(outcome).toBeInstanceOf(PdfTextError);
+      else expect(Array.isArray(outcome)).toBe(true);
+    }
+  });
+
+  test('should read the bundled mock fixture', async () => {
+    const file = path.join(__dirname, '..', 'fixtures', 'mock-fliplet', 'files', '1002', 'code-of-conduct.pdf');
+    const pages = await extractPdfPages(fs.readFileSync(file));
+
+    expect(pages).toHaveLength(3);
+    expect(pages[1].text).toContain('submit itemised receipts within 30 days');
+  });
+});
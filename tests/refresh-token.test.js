@@ -0,0 +1,221 @@
+/**
+ * Token Refresh Script — Unit Tests
+ *
+ * Runs scripts/refresh-token.js in-process with a mocked fetch, piped
+ * stdin and a temporary .env file, so nothing reaches Fliplet.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, PassThrough } = require('stream');
+const {
+  parseArgs,
+  setEnvToken,
+  writeFileAtomic,
+  run,
+} = require('../scripts/refresh-token');
+
+/**
+ * Creates a mock fetch that accepts any login and verifies the token.
+ */
+function mockFliplet({ loginStatus = 200 } = {}) {
+  return jest.fn((url) => {
+    if (url.endsWith('/v1/auth/login')) {
+      return Promise.resolve({
+        ok: loginStatus === 200,
+        status: loginStatus,
+        json: () =>
+          Promise.resolve(loginStatus === 200 ? { auth_token: 'eu--fresh-token' } : { message: 'Invalid credentials' }),
+      });
+    }
+    return Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ user: { fullName: 'Bot User' } }),
+    });
+  });
+}
+
+/**
+ * Creates stdin / stdout / stderr streams, with stdin piped (not a TTY).
+ */
+function pipedIo(input = '') {
+  const io = { stdin: Readable.from([input]), stdout: new PassThrough(), stderr: new PassThrough() };
+  io.output = () => (io.stdout.read() || '').toString();
+  io.errors = () => (io.stderr.read() || '').toString();
+  return io;
+}
+
+const ENV_CONTENT = `# Fliplet settings
+# FLIPLET_API_TOKEN=commented-out-example
+FLIPLET_API_TOKEN=old-token
+FLIPLET_APP_ID=123
+`;
+
+describe('refresh-token script', () => {
+  let dir;
+  let envPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'refresh-token-'));
+    envPath = path.join(dir, '.env');
+    fs.writeFileSync(envPath, ENV_CONTENT, { mode: 0o600 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseArgs()', () => {
+    test('should read the flags', () => {
+      expect(parseArgs(['--dry-run', '--print'])).toEqual({ dryRun: true, print: true, help: false });
+      expect(parseArgs([])).toEqual({ dryRun: false, print: false, help: false });
+    });
+
+    test('should reject unknown flags', () => {
+      expect(() => parseArgs(['--force'])).toThrow('Unknown option: --force');
+    });
+  });
+
+  describe('setEnvToken()', () => {
+    test('should replace only the active token line', () => {
+      expect(setEnvToken(ENV_CONTENT, 'new-token')).toBe(`# Fliplet settings
+# FLIPLET_API_TOKEN=commented-out-example
+FLIPLET_API_TOKEN=new-token
+FLIPLET_APP_ID=123
+`);
+    });
+
+    test('should keep an export prefix and take tokens literally', () => {
+      expect(setEnvToken('export FLIPLET_API_TOKEN=old\n', 'a$&b')).toBe('export FLIPLET_API_TOKEN=a$&b\n');
+    });
+
+    test('should append the token when there is none', () => {
+      expect(setEnvToken('FLIPLET_APP_ID=123', 'new-token')).toBe('FLIPLET_APP_ID=123\nFLIPLET_API_TOKEN=new-token\n');
+      expect(setEnvToken('', 'new-token')).toBe('FLIPLET_API_TOKEN=new-token\n');
+    });
+  });
+
+  describe('writeFileAtomic()', () => {
+    test('should replace the file, keep its permissions and leave no temp file', () => {
+      writeFileAtomic(envPath, 'NEW=1\n');
+
+      expect(fs.readFileSync(envPath, 'utf-8')).toBe('NEW=1\n');
+      expect(fs.statSync(envPath).mode & 0o777).toBe(0o600);
+      expect(fs.readdirSync(dir)).toEqual(['.env']);
+    });
+
+    test('should leave the original untouched when the write fails', () => {
+      const failingFs = { ...fs, renameSync: () => { throw new Error('EXDEV'); } };
+
+      expect(() => writeFileAtomic(envPath, 'NEW=1\n', failingFs)).toThrow('EXDEV');
+      expect(fs.readFileSync(envPath, 'utf-8')).toBe(ENV_CONTENT);
+      expect(fs.readdirSync(dir)).toEqual(['.env']);
+    });
+  });
+
+  describe('run()', () => {
+    test('should log in with env credentials and update .env', async () => {
+      const fetchFn = mockFliplet();
+      const io = pipedIo();
+
+      const code = await run({
+        argv: [],
+        env: { FLIPLET_EMAIL: 'bot@example.com', FLIPLET_PASSWORD: 'secret' },
+        envPath,
+        fetchFn,
+        io,
+      });
+
+      expect(code).toBe(0);
+      expect(fs.readFileSync(envPath, 'utf-8')).toBe(setEnvToken(ENV_CONTENT, 'eu--fresh-token'));
+      expect(fetchFn).toHaveBeenCalledWith('https://api.fliplet.com/v1/auth/login', expect.any(Object));
+      expect(io.output()).toContain('Authenticated as: Bot User');
+    });
+
+    test('should read credentials from piped stdin', async () => {
+      const fetchFn = mockFliplet();
+
+      const code = await run({ argv: [], env: {}, envPath, fetchFn, io: pipedIo('bot@example.com\nsecret\n') });
+
+      expect(code).toBe(0);
+      expect(JSON.parse(fetchFn.mock.calls[0][1].body)).toEqual({ email: 'bot@example.com', password: 'secret' });
+    });
+
+    test('should honor FLIPLET_API_URL from the environment or .env', async () => {
+      fs.appendFileSync(envPath, 'FLIPLET_API_URL=https://eu.fliplet.test/\n');
+      const fetchFn = mockFliplet();
+
+      await run({ argv: [], env: {}, envPath, fetchFn, io: pipedIo('bot@example.com\nsecret\n') });
+      await run({
+        argv: ['--dry-run'],
+        env: { FLIPLET_API_URL: 'https://us.fliplet.test' },
+        envPath,
+        fetchFn,
+        io: pipedIo('bot@example.com\nsecret\n'),
+      });
+
+      expect(fetchFn.mock.calls[0][0]).toBe('https://eu.fliplet.test/v1/auth/login');
+      expect(fetchFn.mock.calls[2][0]).toBe('https://us.fliplet.test/v1/auth/login');
+    });
+
+    test('should leave .env alone on --dry-run', async () => {
+      const io = pipedIo('bot@example.com\nsecret\n');
+
+      const code = await run({ argv: ['--dry-run'], env: {}, envPath, fetchFn: mockFliplet(), io });
+
+      expect(code).toBe(0);
+      expect(fs.readFileSync(envPath, 'utf-8')).toBe(ENV_CONTENT);
+      expect(io.output()).toContain('Dry run');
+    });
+
+    test('should write only the token to stdout on --print', async () => {
+      const io = pipedIo('bot@example.com\nsecret\n');
+
+      const code = await run({ argv: ['--print'], env: {}, envPath, fetchFn: mockFliplet(), io });
+
+      expect(code).toBe(0);
+      expect(io.output()).toBe('eu--fresh-token\n');
+      expect(io.errors()).toContain('Authenticating');
+      expect(fs.readFileSync(envPath, 'utf-8')).toBe(ENV_CONTENT);
+    });
+
+    test('should fail without credentials', async () => {
+      const io = pipedIo('');
+
+      const code = await run({ argv: [], env: {}, envPath, fetchFn: mockFliplet(), io });
+
+      expect(code).toBe(1);
+      expect(io.errors()).toContain('Missing Fliplet credentials');
+    });
+
+    test('should fail and keep .env when the login is rejected', async () => {
+      const io = pipedIo('bot@example.com\nwrong\n');
+
+      const code = await run({ argv: [], env: {}, envPath, fetchFn: mockFliplet({ loginStatus: 401 }), io });
+
+      expect(code).toBe(1);
+      expect(io.errors()).toContain('Invalid credentials');
+      expect(fs.readFileSync(envPath, 'utf-8')).toBe(ENV_CONTENT);
+    });
+
+    test('should report a missing .env file', async () => {
+      const io = pipedIo('bot@example.com\nsecret\n');
+
+      const code = await run({ argv: [], env: {}, envPath: path.join(dir, 'missing.env'), fetchFn: mockFliplet(), io });
+
+      expect(code).toBe(1);
+      expect(io.errors()).toContain('.env file not found');
+    });
+
+    test('should print usage on an unknown flag', async () => {
+      const io = pipedIo();
+
+      const code = await run({ argv: ['--nope'], env: {}, envPath, fetchFn: mockFliplet(), io });
+
+      expect(code).toBe(2);
+      expect(io.errors()).toContain('Usage:');
+    });
+  });
+});
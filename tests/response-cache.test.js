@@ -0,0 +1,162 @@
+/**
+ * Response Cache — Unit Tests
+ *
+ * Verifies keying, per-endpoint TTLs, ETag revalidation bookkeeping,
+ * per-app invalidation, eviction and per-call stats. Uses an injected
+ * clock so no test waits on real time.
+ */
+
+const { ResponseCache } = require('../src/response-cache');
+const { runWithCallContext } = require('../src/call-context');
+
+describe('ResponseCache', () => {
+  let now;
+  let cache;
+
+  beforeEach(() => {
+    now = 1000;
+    cache = new ResponseCache({ now: () => now });
+  });
+
+  // ---------------------------------------------------------------
+  // key()
+  // ---------------------------------------------------------------
+
+  describe('key()', () => {
+    test('should differ by app, path and query body', () => {
+      const base = cache.key('1', 'POST', '/v1/data-sources/5/data/query', { where: { a: 1 } });
+
+      expect(cache.key('2', 'POST', '/v1/data-sources/5/data/query', { where: { a: 1 } })).not.toBe(base);
+      expect(cache.key('1', 'POST', '/v1/data-sources/6/data/query', { where: { a: 1 } })).not.toBe(base);
+      expect(cache.key('1', 'POST', '/v1/data-sources/5/data/query', { where: { a: 2 } })).not.toBe(base);
+      expect(cache.key('1', 'POST', '/v1/data-sources/5/data/query', { where: { a: 1 } })).toBe(base);
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // lookup() / store()
+  // ---------------------------------------------------------------
+
+  describe('lookup() and store()', () => {
+    test('should return null for an unknown key', () => {
+      expect(cache.lookup('missing')).toBeNull();
+    });
+
+    test('should return a fresh entry within its TTL', () => {
+      cache.store('k', { appId: '1', path: '/v1/data-sources' }, { dataSources: [] });
+
+      expect(cache.lookup('k')).toEqual({ fresh: true, data: { dataSources: [] }, etag: null });
+    });
+
+    test('should drop an expired entry that has no ETag', () => {
+      cache.store('k', { appId: '1', path: '/v1/data-sources' }, {});
+      now += 60 * 1000;
+
+      expect(cache.lookup('k')).toBeNull();
+    });
+
+    test('should keep an expired entry with an ETag for revalidation', () => {
+      cache.store('k', { appId: '1', path: '/v1/data-sources' }, { x: 1 }, '"v1"');
+      now += 60 * 1000;
+
+      expect(cache.lookup('k')).toEqual({ fresh: false, data: { x: 1 }, etag: '"v1"' });
+    });
+
+    test('should make an entry fresh again after refresh()', () => {
+      cache.store('k', { appId: '1', path: '/v1/data-sources' }, {}, '"v1"');
+      now += 60 * 1000;
+
+      cache.refresh('k', '/v1/data-sources');
+
+      expect(cache.lookup('k').fresh).toBe(true);
+    });
+
+    test('should return copies so callers cannot mutate the cache', () => {
+      cache.store('k', { appId: '1', path: '/v1/data-sources' }, { list: [1] });
+
+      cache.lookup('k').data.list.push(2);
+
+      expect(cache.lookup('k').data).toEqual({ list: [1] });
+    });
+
+    test('should evict the oldest entry past maxEntries', () => {
+      cache = new ResponseCache({ maxEntries: 2, now: () => now });
+      cache.store('a', { appId: '1', path: '/v1/media' }, 1);
+      cache.store('b', { appId: '1', path: '/v1/media' }, 2);
+      cache.store('c', { appId: '1', path: '/v1/media' }, 3);
+
+      expect(cache.lookup('a')).toBeNull();
+      expect(cache.lookup('c').data).toBe(3);
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // TTLs
+  // ---------------------------------------------------------------
+
+  describe('ttlFor()', () => {
+    test('should pick the TTL for each endpoint group', () => {
+      cache = new ResponseCache({ ttlMs: { dataSources: 1, entries: 2, media: 3, default: 4 } });
+
+      expect(cache.ttlFor('/v1/data-sources?appId=1')).toBe(1);
+      expect(cache.ttlFor('/v1/data-sources/5')).toBe(1);
+      expect(cache.ttlFor('/v1/data-sources/5/data/query')).toBe(2);
+      expect(cache.ttlFor('/v1/media/files/9')).toBe(3);
+      expect(cache.ttlFor('/v1/apps')).toBe(4);
+    });
+
+    test('should not store anything for a group with TTL 0', () => {
+      cache = new ResponseCache({ ttlMs: { entries: 0 }, now: () => now });
+
+      cache.store('k', { appId: '1', path: '/v1/data-sources/5/data/query' }, []);
+
+      expect(cache.lookup('k')).toBeNull();
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // invalidate()
+  // ---------------------------------------------------------------
+
+  describe('invalidate()', () => {
+    test('should drop only the entries for the given app', () => {
+      cache.store('a', { appId: '1', path: '/v1/data-sources' }, 'one');
+      cache.store('b', { appId: '2', path: '/v1/data-sources' }, 'two');
+
+      cache.invalidate('1');
+
+      expect(cache.lookup('a')).toBeNull();
+      expect(cache.lookup('b').data).toBe('two');
+      expect(cache.getStats().invalidations).toBe(1);
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // record() / getStats()
+  // ---------------------------------------------------------------
+
+  describe('record()', () => {
+    test('should count outcomes globally', () => {
+      cache.record('hits');
+      cache.record('hits');
+      cache.record('misses');
+
+      expect(cache.getStats()).toEqual({ hits: 2, misses: 1, revalidated: 0, invalidations: 0, size: 0 });
+    });
+
+    test('should count outcomes for the current call context only', async () => {
+      const [first, second] = await Promise.all([
+        runWithCallContext(async () => {
+          cache.record('hits');
+          cache.record('misses');
+        }),
+        runWithCallContext(async () => {
+          cache.record('revalidated');
+        }),
+      ]);
+
+      expect(first.metadata.cache).toEqual({ hits: 1, misses: 1, revalidated: 0 });
+      expect(second.metadata.cache).toEqual({ hits: 0, misses: 0, revalidated: 1 });
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Search Index — Unit Tests
+ *
+ * Tokenizing, BM25 ranking, replacing and removing documents, filters
+ * and snippets.
+ */
+
+const { SearchIndex, tokenize } = require('../src/search-index');
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex()
+      .upsert('a', 'Company: Acme Ltd\nCity: London', { entryId: 1 })
+      .upsert('b', 'Company: Globex\nNotes: supplier to Acme', { entryId: 2 })
+      .upsert('c', 'Company: Initech\nCity: Leeds', { entryId: 3 });
+  });
+
+  test('should rank documents by how well they match', () => {
+    const { total, hits } = index.search('Acme London');
+
+    expect(total).toBe(2);
+    expect(hits.map((hit) => hit.id)).toEqual(['a', 'b']);
+    expect(hits[0].meta).toEqual({ entryId: 1 });
+    expect(hits[0].score).toBeGreaterThan(hits[1].score);
+  });
+
+  test('should count every match but return at most `limit` hits', () => {
+    const { total, hits } = index.search('company', { limit: 1 });
+
+    expect(total).toBe(3);
+    expect(hits).toHaveLength(1);
+  });
+
+  test('should only rank documents passing the filter', () => {
+    const { total, hits } = index.search('Acme', { filter: (meta) => meta.entryId !== 1 });
+
+    expect(total).toBe(1);
+    expect(hits[0].id).toBe('b');
+  });
+
+  test('should replace a document on upsert and forget it on remove', () => {
+    index.upsert('a', 'Company: Umbrella', { entryId: 1 });
+
+    expect(index.size).toBe(3);
+    expect(index.search('London').total).toBe(0);
+    expect(index.search('Umbrella').hits[0].id).toBe('a');
+
+    expect(index.remove('a')).toBe(true);
+    expect(index.remove('a')).toBe(false);
+    expect(index.has('a')).toBe(false);
+    expect(index.search('Umbrella').total).toBe(0);
+  });
+
+  test('should remove every document passing a test', () => {
+    expect(index.removeWhere((id, meta) => meta.entryId > 1)).toBe(2);
+    expect(index.size).toBe(1);
+    expect(index.search('Acme').hits.map((hit) => hit.id)).toEqual(['a']);
+  });
+
+  test('should return nothing for unknown words and stop words', () => {
+    expect(index.search('Hooli')).toEqual({ total: 0, hits: [] });
+    expect(index.search('the and')).toEqual({ total: 0, hits: [] });
+  });
+
+  test('should use the best matching line as the snippet, cut around the match', () => {
+    const long = `${'Lorem ipsum dolor sit amet. '.repeat(20)}Invoice for Acme Ltd. ${'More filler text. '.repeat(20)}`;
+    index.upsert('d', `Title: Report\n${long}`);
+
+    expect(index.search('Acme London').hits[0].snippet).toBe('Company: Acme Ltd');
+
+    const { snippet } = index.search('invoice').hits[0];
+    expect(snippet).toContain('Invoice for Acme Ltd.');
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet.length).toBeLessThanOrEqual(202);
+  });
+});
+
+describe('tokenize()', () => {
+  test('should lower-case, fold accents, drop stop words, single letters and plural s', () => {
+    expect(tokenize('The Café refunds ALL expenses; address: 1 King’s Cross')).toEqual([
+      'cafe',
+      'refund',
+      'all',
+      'expense',
+      'address',
+      '1',
+      'king',
+      'cross',
+    ]);
+  });
+});
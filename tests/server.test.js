@@ -6,15 +6,22 @@
  *
  * Endpoints:
  *   POST /api/chat    — Send a message, get AI response
+ *   POST /api/chat/stream — Same, streamed as Server-Sent Events
+ *   GET  /api/sessions/:sessionId/history — Visible transcript of a session
  *   POST /api/reset   — Clear conversation history for a session
+ *   GET  /api/auth/me — Who the request is authenticated as
+ *   GET  /api/apps    — Apps a session can be bound to
  *   GET  /api/health  — Health check
  */
 
 const request = require('supertest');
 const { createServer } = require('../src/server');
+const { createApiKeyAuthenticator, createAuthMiddleware } = require('../src/auth');
+const { SessionAccessError } = require('../src/session-manager');
 
 // Valid UUID v4 for tests
 const TEST_SESSION_ID = '550e8400-e29b-41d4-a716-446655440000';
+const TEST_ACTION_ID = '6fa459ea-ee8a-4ca4-894e-db77e160355e';
 
 // ---------------------------------------------------------------
 // Mock ChatEngine factory
@@ -23,8 +30,15 @@ const TEST_SESSION_ID = '550e8400-e29b-41d4-a716-446655440000';
 function createMockChatEngine() {
   return {
     chat: jest.fn(),
+    chatStream: jest.fn(),
+    getLastToolActivity: jest.fn().mockReturnValue([]),
+    getPendingActions: jest.fn().mockReturnValue([]),
+    confirmAction: jest.fn(),
+    rejectAction: jest.fn(),
     reset: jest.fn(),
     getHistory: jest.fn().mockReturnValue([]),
+    getTranscript: jest.fn().mockReturnValue([]),
+    getSummary: jest.fn().mockReturnValue(null),
   };
 }
 
@@ -37,10 +51,33 @@ function createMockSessionManager(mockEngine) {
     getOrCreate: jest.fn().mockReturnValue(mockEngine),
     destroy: jest.fn(),
     has: jest.fn().mockReturnValue(true),
+    getAppId: jest.fn().mockReturnValue(null),
     generateId: jest.fn().mockReturnValue('auto-generated-id'),
   };
 }
 
+/**
+ * Builds an async iterator that yields the given engine events.
+ */
+async function* eventStream(events) {
+  for (const event of events) yield event;
+}
+
+/**
+ * Parses a Server-Sent Events body into [{ event, data }] pairs.
+ */
+function parseSse(text) {
+  return text
+    .split('\n\n')
+    .filter(Boolean)
+    .map((block) => {
+      const lines = block.split('\n');
+      const event = lines.find((l) => l.startsWith('event: ')).slice(7);
+      const data = JSON.parse(lines.find((l) => l.startsWith('data: ')).slice(6));
+      return { event, data };
+    });
+}
+
 // ---------------------------------------------------------------
 // Tests
 // ---------------------------------------------------------------
@@ -99,6 +136,26 @@ describe('Backend Proxy Server', () => {
       expect(res.body.sessionId.length).toBeGreaterThan(0);
     });
 
+    test('should return the tool-call activity behind the answer', async () => {
+      const activity = [{
+        id: 'call_0',
+        name: 'get_data_source_entries',
+        arguments: { dataSourceId: 123 },
+        status: 'success',
+        durationMs: 310,
+        resultCount: 42,
+      }];
+      mockEngine.chat.mockResolvedValue('There are 42 entries.');
+      mockEngine.getLastToolActivity.mockReturnValue(activity);
+
+      const res = await request(app)
+        .post('/api/chat')
+        .send({ message: 'How many entries?', sessionId: TEST_SESSION_ID });
+
+      expect(res.status).toBe(200);
+      expect(res.body.toolCalls).toEqual(activity);
+    });
+
     test('should return 400 if message is missing', async () => {
       const res = await request(app)
         .post('/api/chat')
@@ -158,10 +215,191 @@ describe('Backend Proxy Server', () => {
     });
   });
 
+  // ---------------------------------------------------------------
+  // POST /api/chat/stream
+  // ---------------------------------------------------------------
+
+  describe('POST /api/chat/stream', () => {
+    test('should stream engine events as Server-Sent Events', async () => {
+      mockEngine.chatStream.mockReturnValue(eventStream([
+        { type: 'tool_call', id: 'call_0', name: 'list_data_sources', arguments: '{}' },
+        { type: 'tool_result', id: 'call_0', name: 'list_data_sources' },
+        { type: 'text', delta: 'There are ' },
+        { type: 'text', delta: '3 data sources.' },
+        { type: 'done', response: 'There are 3 data sources.' },
+      ]));
+
+      const res = await request(app)
+        .post('/api/chat/stream')
+        .send({ message: 'How many data sources?', sessionId: TEST_SESSION_ID });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('text/event-stream');
+      expect(mockEngine.chatStream).toHaveBeenCalledWith('How many data sources?');
+
+      const events = parseSse(res.text);
+      expect(events.map((e) => e.event)).toEqual([
+        'session', 'tool_call', 'tool_result', 'text', 'text', 'done',
+      ]);
+      expect(events[0].data).toEqual({ sessionId: TEST_SESSION_ID, appId: null });
+      expect(events[5].data.response).toBe('There are 3 data sources.');
+    });
+
+    test('should validate the request like POST /api/chat', async () => {
+      const res = await request(app)
+        .post('/api/chat/stream')
+        .send({ message: '   ' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('message');
+      expect(mockEngine.chatStream).not.toHaveBeenCalled();
+    });
+
+    test('should send a generic error event if the engine throws mid-stream', async () => {
+      mockEngine.chatStream.mockReturnValue((async function* failing() {
+        yield { type: 'text', delta: 'Partial' };
+        throw new Error('boom');
+      })());
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const res = await request(app)
+        .post('/api/chat/stream')
+        .send({ message: 'Hello', sessionId: TEST_SESSION_ID });
+
+      const events = parseSse(res.text);
+      expect(events[events.length - 1]).toEqual({
+        event: 'error',
+        data: { error: 'An internal error occurred. Please try again.' },
+      });
+      consoleSpy.mockRestore();
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // POST /api/actions/:actionId/confirm|reject
+  // ---------------------------------------------------------------
+
+  describe('pending action routes', () => {
+    const ACTION = { id: TEST_ACTION_ID, summary: 'Update entry 7 in data source 10' };
+
+    test('should return pending actions with the chat response', async () => {
+      mockEngine.chat.mockResolvedValue('Please approve the change.');
+      mockEngine.getPendingActions.mockReturnValue([ACTION]);
+
+      const res = await request(app)
+        .post('/api/chat')
+        .send({ message: 'Mark entry 7 inactive', sessionId: TEST_SESSION_ID });
+
+      expect(res.body.pendingActions).toEqual([ACTION]);
+    });
+
+    test('should apply a confirmed action', async () => {
+      mockEngine.confirmAction.mockResolvedValue({
+        status: 'applied',
+        message: 'Applied: Update entry 7 in data source 10.',
+        action: ACTION,
+        result: { id: 7 },
+      });
+
+      const res = await request(app)
+        .post(`/api/actions/${TEST_ACTION_ID}/confirm`)
+        .send({ sessionId: TEST_SESSION_ID });
+
+      expect(res.status).toBe(200);
+      expect(mockEngine.confirmAction).toHaveBeenCalledWith(TEST_ACTION_ID);
+      expect(res.body).toEqual({
+        status: 'applied',
+        message: 'Applied: Update entry 7 in data source 10.',
+        action: ACTION,
+      });
+    });
+
+    test('should discard a rejected action', async () => {
+      mockEngine.rejectAction.mockReturnValue({ status: 'rejected', message: 'Cancelled.', action: ACTION });
+
+      const res = await request(app)
+        .post(`/api/actions/${TEST_ACTION_ID}/reject`)
+        .send({ sessionId: TEST_SESSION_ID });
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('rejected');
+    });
+
+    test('should return 404 for unknown actions', async () => {
+      mockEngine.confirmAction.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post(`/api/actions/${TEST_ACTION_ID}/confirm`)
+        .send({ sessionId: TEST_SESSION_ID });
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toContain('Action not found');
+    });
+
+    test('should return 404 when the session does not exist', async () => {
+      mockSessionManager.has.mockReturnValue(false);
+
+      const res = await request(app)
+        .post(`/api/actions/${TEST_ACTION_ID}/confirm`)
+        .send({ sessionId: TEST_SESSION_ID });
+
+      expect(res.status).toBe(404);
+      expect(mockEngine.confirmAction).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 without a valid sessionId', async () => {
+      const res = await request(app)
+        .post(`/api/actions/${TEST_ACTION_ID}/reject`)
+        .send({ sessionId: 'nope' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
   // ---------------------------------------------------------------
   // POST /api/reset
   // ---------------------------------------------------------------
 
+  describe('GET /api/sessions/:sessionId/history', () => {
+    test('should return the transcript, summary and pending actions', async () => {
+      const messages = [
+        { role: 'user', content: 'How many users?' },
+        { role: 'assistant', content: 'There are 42.', toolCalls: [{ id: 'call_0', name: 'get_data_source_entries' }] },
+      ];
+      mockEngine.getTranscript.mockReturnValue(messages);
+      mockEngine.getSummary.mockReturnValue('- data source 4412 is Users');
+      mockEngine.getPendingActions.mockReturnValue([{ id: TEST_ACTION_ID }]);
+
+      const res = await request(app).get(`/api/sessions/${TEST_SESSION_ID}/history`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        sessionId: TEST_SESSION_ID,
+        appId: null,
+        messages,
+        summary: '- data source 4412 is Users',
+        pendingActions: [{ id: TEST_ACTION_ID }],
+      });
+      expect(mockSessionManager.getOrCreate).toHaveBeenCalledWith(TEST_SESSION_ID, null);
+    });
+
+    test('should return 404 for an unknown or expired session', async () => {
+      mockSessionManager.has.mockReturnValue(false);
+
+      const res = await request(app).get(`/api/sessions/${TEST_SESSION_ID}/history`);
+
+      expect(res.status).toBe(404);
+      expect(mockSessionManager.getOrCreate).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for a malformed session ID', async () => {
+      const res = await request(app).get('/api/sessions/not-a-uuid/history');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('sessionId');
+    });
+  });
+
   describe('POST /api/reset', () => {
     test('should reset the chat engine for the given session', async () => {
       const res = await request(app)
@@ -183,6 +421,183 @@ describe('Backend Proxy Server', () => {
     });
   });
 
+  // ---------------------------------------------------------------
+  // Several apps
+  // ---------------------------------------------------------------
+
+  describe('with several apps', () => {
+    let apps;
+
+    beforeEach(() => {
+      apps = {
+        defaultAppId: '123',
+        appIds: ['123', '456'],
+        has: (id) => ['123', '456'].includes(String(id)),
+        listApps: jest.fn().mockResolvedValue([
+          { id: '123', name: 'Directory', accessible: true },
+          { id: '456', name: 'Events', accessible: true },
+        ]),
+      };
+      app = createServer({ sessionManager: mockSessionManager, apps });
+    });
+
+    test('should list the apps a session can use', async () => {
+      const res = await request(app).get('/api/apps');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        defaultAppId: '123',
+        apps: [{ id: '123', name: 'Directory' }, { id: '456', name: 'Events' }],
+      });
+    });
+
+    test('should still list app IDs when Fliplet cannot be reached', async () => {
+      apps.listApps.mockRejectedValue(new Error('Fliplet API error: 503'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const res = await request(app).get('/api/apps');
+
+      expect(res.body.apps).toEqual([{ id: '123', name: null }, { id: '456', name: null }]);
+      consoleSpy.mockRestore();
+    });
+
+    test('should create a new session for the requested app', async () => {
+      mockEngine.chat.mockResolvedValue('Hello!');
+      mockSessionManager.getAppId.mockReturnValue('456');
+
+      const res = await request(app)
+        .post('/api/chat')
+        .send({ message: 'Hi', sessionId: TEST_SESSION_ID, appId: '456' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.appId).toBe('456');
+      expect(mockSessionManager.getOrCreate).toHaveBeenCalledWith(TEST_SESSION_ID, null, '456');
+    });
+
+    test('should report the default app for sessions that did not pick one', async () => {
+      mockEngine.chat.mockResolvedValue('Hello!');
+
+      const res = await request(app).post('/api/chat').send({ message: 'Hi' });
+
+      expect(res.body.appId).toBe('123');
+    });
+
+    test('should reject an app that is not on the allowlist', async () => {
+      const res = await request(app)
+        .post('/api/chat')
+        .send({ message: 'Hi', appId: '999' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Unknown appId');
+      expect(mockSessionManager.getOrCreate).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to move an existing session to another app', async () => {
+      mockSessionManager.getAppId.mockReturnValue('456');
+
+      const res = await request(app)
+        .post('/api/chat/stream')
+        .send({ message: 'Hi', sessionId: TEST_SESSION_ID, appId: '123' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toContain('Start a new conversation');
+      expect(mockEngine.chatStream).not.toHaveBeenCalled();
+    });
+
+    test('should include the app in the session history', async () => {
+      mockSessionManager.getAppId.mockReturnValue('456');
+
+      const res = await request(app).get(`/api/sessions/${TEST_SESSION_ID}/history`);
+
+      expect(res.body.appId).toBe('456');
+    });
+  });
+
+  describe('without an app pool', () => {
+    test('should list no apps', async () => {
+      const res = await request(app).get('/api/apps');
+
+      expect(res.body).toEqual({ defaultAppId: null, apps: [] });
+    });
+
+    test('should reject any appId', async () => {
+      const res = await request(app).post('/api/chat').send({ message: 'Hi', appId: '123' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Authentication
+  // ---------------------------------------------------------------
+
+  describe('with authentication', () => {
+    const ALICE_KEY = 'alice-key-0123456789';
+
+    beforeEach(() => {
+      const authenticate = createAuthMiddleware([
+        createApiKeyAuthenticator({ keys: [{ userId: 'alice', key: ALICE_KEY }] }),
+      ]);
+      app = createServer({ sessionManager: mockSessionManager, authenticate });
+    });
+
+    test('should keep the health check public', async () => {
+      const res = await request(app).get('/api/health');
+
+      expect(res.status).toBe(200);
+    });
+
+    test('should reject requests without a credential', async () => {
+      const res = await request(app).post('/api/chat').send({ message: 'Hello' });
+
+      expect(res.status).toBe(401);
+      expect(res.headers['www-authenticate']).toBe('Bearer');
+      expect(mockEngine.chat).not.toHaveBeenCalled();
+    });
+
+    test('should report the signed-in user', async () => {
+      const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${ALICE_KEY}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ user: { id: 'alice', method: 'api_key' } });
+    });
+
+    test('should bind sessions to the signed-in user', async () => {
+      mockEngine.chat.mockResolvedValue('Hi Alice');
+
+      await request(app)
+        .post('/api/chat')
+        .set('X-API-Key', ALICE_KEY)
+        .send({ message: 'Hello', sessionId: TEST_SESSION_ID });
+      await request(app)
+        .get(`/api/sessions/${TEST_SESSION_ID}/history`)
+        .set('X-API-Key', ALICE_KEY);
+
+      expect(mockSessionManager.getOrCreate).toHaveBeenCalledWith(TEST_SESSION_ID, 'alice');
+      expect(mockSessionManager.has).toHaveBeenCalledWith(TEST_SESSION_ID, 'alice');
+    });
+
+    test("should answer 404 for another user's session", async () => {
+      mockSessionManager.getOrCreate.mockImplementation((sessionId) => {
+        throw new SessionAccessError(sessionId);
+      });
+
+      const res = await request(app)
+        .post('/api/chat')
+        .set('X-API-Key', ALICE_KEY)
+        .send({ message: 'Hello', sessionId: TEST_SESSION_ID });
+
+      expect(res.status).toBe(404);
+      expect(mockEngine.chat).not.toHaveBeenCalled();
+    });
+  });
+
+  test('GET /api/auth/me should report no user when auth is off', async () => {
+    const res = await request(app).get('/api/auth/me');
+
+    expect(res.body).toEqual({ user: null });
+  });
+
   // ---------------------------------------------------------------
   // CORS
   // ---------------------------------------------------------------
@@ -6,7 +6,8 @@
  * sharing conversation history.
  */
 
-const { SessionManager } = require('../src/session-manager');
+const { SessionManager, SessionAccessError } = require('../src/session-manager');
+const { MemorySessionStore } = require('../src/session-store');
 
 // ---------------------------------------------------------------
 // Mock factory function
@@ -17,6 +18,30 @@ function mockEngineFactory() {
     chat: jest.fn(),
     reset: jest.fn(),
     getHistory: jest.fn().mockReturnValue([]),
+    isBusy: () => false,
+  };
+}
+
+/**
+ * An engine whose state is a plain list of messages, so persistence
+ * can be checked without a real ChatEngine.
+ */
+function persistableEngineFactory() {
+  let history = [];
+  let busy = false;
+  return {
+    chat: jest.fn(async (message) => {
+      history.push(message);
+    }),
+    getHistory: () => [...history],
+    serialize: () => ({ version: 1, history: [...history] }),
+    restore: jest.fn((state) => {
+      history = [...state.history];
+    }),
+    isBusy: () => busy,
+    setBusy: (value) => {
+      busy = value;
+    },
   };
 }
 
@@ -89,4 +114,263 @@ describe('SessionManager', () => {
     const ids = new Set(Array.from({ length: 100 }, () => manager.generateId()));
     expect(ids.size).toBe(100);
   });
+
+  // ---------------------------------------------------------------
+  // Ownership
+  // ---------------------------------------------------------------
+
+  describe('session owners', () => {
+    test('should give the owner back their session', () => {
+      const engine = manager.getOrCreate('session-1', 'alice');
+
+      expect(manager.getOrCreate('session-1', 'alice')).toBe(engine);
+      expect(manager.has('session-1', 'alice')).toBe(true);
+    });
+
+    test('should refuse another user the same session ID', () => {
+      manager.getOrCreate('session-1', 'alice');
+
+      expect(() => manager.getOrCreate('session-1', 'mallory')).toThrow(SessionAccessError);
+      expect(() => manager.getOrCreate('session-1')).toThrow(SessionAccessError);
+      expect(manager.has('session-1', 'mallory')).toBe(false);
+    });
+
+    test('should keep the owner of a stored session', async () => {
+      const store = new MemorySessionStore();
+      const first = new SessionManager(persistableEngineFactory, { store });
+      first.getOrCreate('session-1', 'alice');
+      await first.flush();
+      first.stopCleanup();
+
+      const restarted = new SessionManager(persistableEngineFactory, { store });
+      expect(restarted.has('session-1', 'alice')).toBe(true);
+      expect(() => restarted.getOrCreate('session-1', 'mallory')).toThrow(SessionAccessError);
+      restarted.stopCleanup();
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Apps
+  // ---------------------------------------------------------------
+
+  describe('session apps', () => {
+    test('should create the engine for the requested app', () => {
+      const factory = jest.fn(mockEngineFactory);
+      const apps = new SessionManager(factory);
+
+      apps.getOrCreate('session-1', null, '456');
+
+      expect(factory).toHaveBeenCalledWith('456');
+      expect(apps.getAppId('session-1')).toBe('456');
+      apps.stopCleanup();
+    });
+
+    test('should use the default app (null) when none is requested', () => {
+      manager.getOrCreate('session-1');
+
+      expect(manager.getAppId('session-1')).toBeNull();
+    });
+
+    test('should keep an existing session on its app', () => {
+      manager.getOrCreate('session-1', null, '456');
+      manager.getOrCreate('session-1', null, '789');
+
+      expect(manager.getAppId('session-1')).toBe('456');
+    });
+
+    test('should restore a stored session for its app', async () => {
+      const store = new MemorySessionStore();
+      const first = new SessionManager(persistableEngineFactory, { store });
+      first.getOrCreate('session-1', null, '456');
+      await first.flush();
+      first.stopCleanup();
+
+      const factory = jest.fn(persistableEngineFactory);
+      const restarted = new SessionManager(factory, { store });
+      expect(restarted.getAppId('session-1')).toBe('456');
+      restarted.getOrCreate('session-1');
+      expect(factory).toHaveBeenCalledWith('456');
+      restarted.stopCleanup();
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Persistence
+  // ---------------------------------------------------------------
+
+  describe('with a session store', () => {
+    let store;
+    let persistent;
+
+    beforeEach(() => {
+      store = new MemorySessionStore();
+      persistent = new SessionManager(persistableEngineFactory, { store });
+    });
+
+    afterEach(() => {
+      persistent.stopCleanup();
+    });
+
+    test('should restore a flushed session in a new manager (i.e. after a restart)', async () => {
+      await persistent.getOrCreate('session-1').chat('Hello');
+      await persistent.flush();
+
+      const restarted = new SessionManager(persistableEngineFactory, { store });
+      expect(restarted.has('session-1')).toBe(true);
+
+      const engine = restarted.getOrCreate('session-1');
+      expect(engine.restore).toHaveBeenCalledTimes(1);
+      expect(engine.getHistory()).toEqual(['Hello']);
+      restarted.stopCleanup();
+    });
+
+    test('should only write sessions that changed since the last flush', async () => {
+      const save = jest.spyOn(store, 'save');
+      persistent.getOrCreate('session-1');
+      persistent.getOrCreate('session-2');
+
+      await persistent.flush();
+      await persistent.flush();
+      persistent.getOrCreate('session-2');
+      await persistent.flush();
+
+      expect(save.mock.calls.map(([id]) => id)).toEqual(['session-1', 'session-2', 'session-2']);
+    });
+
+    test('should keep a busy session marked as changed until its turn finishes', async () => {
+      const save = jest.spyOn(store, 'save');
+      const engine = persistent.getOrCreate('session-1');
+      engine.setBusy(true);
+
+      await persistent.flush();
+      engine.setBusy(false);
+      await persistent.flush();
+      await persistent.flush();
+
+      expect(save).toHaveBeenCalledTimes(2);
+    });
+
+    test('should skip a scheduled flush while the previous one is still writing', async () => {
+      jest.useFakeTimers();
+      let finishSave;
+      const save = jest.spyOn(store, 'save').mockImplementation(
+        () => new Promise((resolve) => {
+          finishSave = resolve;
+        })
+      );
+      const scheduled = new SessionManager(persistableEngineFactory, { store, flushIntervalMs: 1000 });
+      scheduled.getOrCreate('session-1');
+
+      jest.advanceTimersByTime(1000);
+      scheduled.getOrCreate('session-1');
+      jest.advanceTimersByTime(1000);
+      expect(save).toHaveBeenCalledTimes(1);
+
+      finishSave();
+      await Promise.resolve();
+      await Promise.resolve();
+      await Promise.resolve();
+      jest.advanceTimersByTime(1000);
+      expect(save).toHaveBeenCalledTimes(2);
+
+      scheduled.stopCleanup();
+      jest.useRealTimers();
+    });
+
+    test('should not restore a stored session past its TTL', async () => {
+      await store.save('session-1', {
+        state: { version: 1, history: ['Old'] },
+        createdAt: 0,
+        lastAccessed: Date.now() - 60 * 60 * 1000,
+      });
+
+      expect(persistent.has('session-1')).toBe(false);
+      expect(persistent.getOrCreate('session-1').restore).not.toHaveBeenCalled();
+    });
+
+    test('should save an evicted session so it can come back', async () => {
+      const small = new SessionManager(persistableEngineFactory, { store, maxSessions: 1 });
+      await small.getOrCreate('session-1').chat('Remember me');
+      small.getOrCreate('session-2');
+      await Promise.resolve();
+
+      expect(small.getOrCreate('session-1').getHistory()).toEqual(['Remember me']);
+      small.stopCleanup();
+    });
+
+    test('should never evict a session with a turn in progress', async () => {
+      const small = new SessionManager(persistableEngineFactory, { store, maxSessions: 2 });
+      const busy = small.getOrCreate('session-1');
+      busy.setBusy(true);
+      small.getOrCreate('session-2');
+
+      small.getOrCreate('session-3');
+
+      expect(small.getOrCreate('session-1')).toBe(busy);
+      expect(small.has('session-3')).toBe(true);
+      small.stopCleanup();
+    });
+
+    test('should keep every session while all of them are busy', () => {
+      const small = new SessionManager(persistableEngineFactory, { store, maxSessions: 1 });
+      const busy = small.getOrCreate('session-1');
+      busy.setBusy(true);
+
+      small.getOrCreate('session-2');
+
+      expect(small.getOrCreate('session-1')).toBe(busy);
+      small.stopCleanup();
+    });
+
+    test('should take an evicted session back from memory while its save is pending', async () => {
+      let finishSave;
+      jest.spyOn(store, 'save').mockImplementationOnce(
+        (id, record) => new Promise((resolve) => {
+          finishSave = () => resolve(MemorySessionStore.prototype.save.call(store, id, record));
+        })
+      );
+      const load = jest.spyOn(store, 'load');
+      const small = new SessionManager(persistableEngineFactory, { store, maxSessions: 1 });
+      const engine = small.getOrCreate('session-1');
+      await engine.chat('Remember me');
+      small.getOrCreate('session-2');
+      load.mockClear();
+
+      expect(small.has('session-1')).toBe(true);
+      expect(small.getOrCreate('session-1')).toBe(engine);
+      expect(load).not.toHaveBeenCalled();
+
+      finishSave();
+      await Promise.resolve();
+      expect(small.getOrCreate('session-1').getHistory()).toEqual(['Remember me']);
+      small.stopCleanup();
+    });
+
+    test('destroy() should remove the stored copy too', async () => {
+      persistent.getOrCreate('session-1');
+      await persistent.flush();
+
+      persistent.destroy('session-1');
+      await Promise.resolve();
+
+      expect(store.load('session-1')).toBeNull();
+      expect(persistent.has('session-1')).toBe(false);
+    });
+
+    test('should start fresh if a stored session cannot be restored', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const factory = () => ({
+        ...persistableEngineFactory(),
+        restore: () => {
+          throw new Error('Unsupported chat state');
+        },
+      });
+      await store.save('session-1', { state: { version: 99 }, createdAt: 0, lastAccessed: Date.now() });
+
+      const manager = new SessionManager(factory, { store });
+      expect(() => manager.getOrCreate('session-1')).not.toThrow();
+      manager.stopCleanup();
+      console.error.mockRestore();
+    });
+  });
 });
@@ -0,0 +1,162 @@
+/**
+ * Session Stores — Unit Tests
+ *
+ * Both stores share one interface: load() is synchronous, save(),
+ * delete() and prune() are async. The file store is exercised against
+ * a throwaway directory under the OS temp dir.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemorySessionStore, FileSessionStore } = require('../src/session-store');
+
+const RECORD = {
+  state: { version: 1, history: [{ role: 'user', content: 'Hi' }], summary: null },
+  createdAt: 1000,
+  lastAccessed: 2000,
+};
+
+// ---------------------------------------------------------------
+// Shared behavior
+// ---------------------------------------------------------------
+
+describe.each([
+  ['MemorySessionStore', () => new MemorySessionStore()],
+  ['FileSessionStore', () => new FileSessionStore({ directory: fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-')) })],
+])('%s', (_name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  test('should return null for an unknown session', () => {
+    expect(store.load('unknown')).toBeNull();
+  });
+
+  test('should load what was saved', async () => {
+    await store.save('session-1', RECORD);
+    expect(store.load('session-1')).toEqual(RECORD);
+  });
+
+  test('should not share objects with the caller', async () => {
+    const record = structuredClone(RECORD);
+    await store.save('session-1', record);
+    record.state.history.push({ role: 'user', content: 'Changed later' });
+
+    const loaded = store.load('session-1');
+    loaded.state.history.length = 0;
+
+    expect(store.load('session-1')).toEqual(RECORD);
+  });
+
+  test('should delete a session', async () => {
+    await store.save('session-1', RECORD);
+    await store.delete('session-1');
+    expect(store.load('session-1')).toBeNull();
+  });
+
+  test('should prune sessions last accessed before the cut-off', async () => {
+    await store.save('old', { ...RECORD, lastAccessed: 100 });
+    await store.save('recent', { ...RECORD, lastAccessed: 5000 });
+
+    await store.prune(1000);
+
+    expect(store.load('old')).toBeNull();
+    expect(store.load('recent')).not.toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------
+// File store specifics
+// ---------------------------------------------------------------
+
+describe('FileSessionStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-')), 'nested');
+    store = new FileSessionStore({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(directory), { recursive: true, force: true });
+  });
+
+  test('should throw if no directory is provided', () => {
+    expect(() => new FileSessionStore()).toThrow('requires a directory');
+  });
+
+  test('should create the directory and write one file per session', async () => {
+    await store.save('session-1', RECORD);
+
+    expect(fs.readdirSync(directory)).toEqual(['session-1.json']);
+  });
+
+  test('should survive a new store instance (i.e. a restart)', async () => {
+    await store.save('session-1', RECORD);
+
+    const reopened = new FileSessionStore({ directory });
+    expect(reopened.load('session-1')).toEqual(RECORD);
+  });
+
+  test('should treat a corrupt file as no session', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fs.writeFileSync(path.join(directory, 'session-1.json'), '{ not json');
+
+    expect(store.load('session-1')).toBeNull();
+    console.error.mockRestore();
+  });
+
+  test('should refuse session IDs that are not safe file names', async () => {
+    await expect(store.save('../escape', RECORD)).rejects.toThrow('Invalid session ID');
+    expect(store.load('../escape')).toBeNull();
+    expect(fs.readdirSync(path.dirname(directory))).toEqual(['nested']);
+  });
+
+  test('should apply overlapping saves in the order they were made', async () => {
+    const saves = [1, 2, 3].map((n) => store.save('session-1', { ...RECORD, lastAccessed: n }));
+    await Promise.all(saves);
+
+    expect(store.load('session-1').lastAccessed).toBe(3);
+    expect(fs.readdirSync(directory)).toEqual(['session-1.json']);
+  });
+
+  test('should write each save through its own temp file', async () => {
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+
+    await Promise.all([store.save('session-1', RECORD), store.save('session-1', RECORD)]);
+
+    const [first, second] = writeFile.mock.calls.map(([file]) => file);
+    expect(first).toMatch(/session-1\.json\.[0-9a-f-]+\.tmp$/);
+    expect(second).not.toBe(first);
+    writeFile.mockRestore();
+  });
+
+  test('should not let a pending save bring back a deleted session', async () => {
+    const saved = store.save('session-1', RECORD);
+    const deleted = store.delete('session-1');
+    await Promise.all([saved, deleted]);
+
+    expect(store.load('session-1')).toBeNull();
+  });
+
+  test('should keep writing after a failed save and leave no temp file behind', async () => {
+    const rename = jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('EIO'));
+
+    const failed = store.save('session-1', RECORD);
+    const next = store.save('session-1', { ...RECORD, lastAccessed: 9 });
+
+    await expect(failed).rejects.toThrow('EIO');
+    await next;
+    expect(store.load('session-1').lastAccessed).toBe(9);
+    expect(fs.readdirSync(directory)).toEqual(['session-1.json']);
+    rename.mockRestore();
+  });
+
+  test('should ignore deleting a session that does not exist', async () => {
+    await expect(store.delete('unknown')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Token Budget — Unit Tests
+ *
+ * Verifies token estimation, per-model budgets, and that trimming only
+ * ever drops whole turns so tool results never lose their tool calls.
+ */
+
+const {
+  estimateMessageTokens,
+  estimateTokens,
+  historyBudgetForModel,
+  groupTurns,
+  trimToBudget,
+} = require('../src/token-budget');
+
+// ---------------------------------------------------------------
+// Helpers — build one complete tool-calling turn
+// ---------------------------------------------------------------
+
+/**
+ * A user question answered via one tool call, padded to a known size.
+ */
+function toolTurn(n, padding = 0) {
+  return [
+    { role: 'user', content: `Question ${n}` },
+    {
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ id: `call_${n}`, type: 'function', function: { name: 'list_data_sources', arguments: '{}' } }],
+    },
+    { role: 'tool', tool_call_id: `call_${n}`, content: 'x'.repeat(padding) },
+    { role: 'assistant', content: `Answer ${n}` },
+  ];
+}
+
+describe('Token Budget', () => {
+  // ---------------------------------------------------------------
+  // Estimation
+  // ---------------------------------------------------------------
+
+  describe('estimateMessageTokens()', () => {
+    test('should count about one token per four characters plus overhead', () => {
+      expect(estimateMessageTokens({ role: 'user', content: 'x'.repeat(400) })).toBe(104);
+    });
+
+    test('should count tool call names and arguments', () => {
+      const message = {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'a', type: 'function', function: { name: 'abcd', arguments: '1234' } }],
+      };
+
+      expect(estimateMessageTokens(message)).toBe(6);
+    });
+  });
+
+  describe('estimateTokens()', () => {
+    test('should sum the messages', () => {
+      const messages = [
+        { role: 'user', content: 'abcd' },
+        { role: 'assistant', content: 'abcd' },
+      ];
+
+      expect(estimateTokens(messages)).toBe(10);
+    });
+  });
+
+  describe('historyBudgetForModel()', () => {
+    test('should give half the context window of known models', () => {
+      expect(historyBudgetForModel('gpt-4o-mini')).toBe(64000);
+      expect(historyBudgetForModel('gpt-4')).toBe(4096);
+    });
+
+    test('should prefer the longest matching model prefix', () => {
+      expect(historyBudgetForModel('gpt-4-turbo-preview')).toBe(64000);
+    });
+
+    test('should fall back to a conservative budget for unknown models', () => {
+      expect(historyBudgetForModel('llama3')).toBe(8000);
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Turn grouping and trimming
+  // ---------------------------------------------------------------
+
+  describe('groupTurns()', () => {
+    test('should start a new turn at each user message', () => {
+      const turns = groupTurns([...toolTurn(1), ...toolTurn(2)]);
+
+      expect(turns).toHaveLength(2);
+      expect(turns[0]).toHaveLength(4);
+      expect(turns[1][0]).toEqual({ role: 'user', content: 'Question 2' });
+    });
+
+    test('should keep follow-up assistant messages in the same turn', () => {
+      const turns = groupTurns([...toolTurn(1), { role: 'assistant', content: 'Applied: insert.' }]);
+
+      expect(turns).toHaveLength(1);
+      expect(turns[0]).toHaveLength(5);
+    });
+  });
+
+  describe('trimToBudget()', () => {
+    test('should return history unchanged when it fits', () => {
+      const history = [...toolTurn(1), ...toolTurn(2)];
+
+      expect(trimToBudget(history, 10000)).toBe(history);
+    });
+
+    test('should drop the oldest whole turns first', () => {
+      const history = [...toolTurn(1, 4000), ...toolTurn(2, 4000), ...toolTurn(3)];
+
+      const trimmed = trimToBudget(history, 1200);
+
+      expect(trimmed[0]).toEqual({ role: 'user', content: 'Question 2' });
+      expect(trimmed).toHaveLength(8);
+    });
+
+    test('should never leave a tool result without its tool call', () => {
+      const history = [];
+      for (let n = 0; n < 30; n++) history.push(...toolTurn(n, 200));
+
+      const trimmed = trimToBudget(history, 500);
+      const callIds = new Set(
+        trimmed.flatMap((m) => (m.tool_calls || []).map((tc) => tc.id))
+      );
+
+      expect(trimmed[0].role).toBe('user');
+      for (const message of trimmed.filter((m) => m.role === 'tool')) {
+        expect(callIds.has(message.tool_call_id)).toBe(true);
+      }
+    });
+
+    test('should always keep the latest turn even if it is over budget', () => {
+      const history = [...toolTurn(1), ...toolTurn(2, 10000)];
+
+      const trimmed = trimToBudget(history, 10);
+
+      expect(trimmed).toEqual(toolTurn(2, 10000));
+    });
+
+    test('should drop a leading group that has no user message', () => {
+      const history = [{ role: 'tool', tool_call_id: 'orphan', content: '{}' }, ...toolTurn(1)];
+
+      expect(trimToBudget(history, 10000)).toEqual(toolTurn(1));
+    });
+  });
+});
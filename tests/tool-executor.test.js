@@ -11,6 +11,10 @@
  */
 
 const { ToolExecutor } = require('../src/tool-executor');
+const { ToolRegistry } = require('../src/tool-registry');
+const { createToolRegistry } = require('../src/tools');
+const { ContentIndexPool } = require('../src/content-index');
+const { FlipletApiError } = require('../src/fliplet-client');
 
 // ---------------------------------------------------------------
 // Mock FlipletApiClient — we isolate the executor from real HTTP
@@ -18,11 +22,21 @@ const { ToolExecutor } = require('../src/tool-executor');
 
 function createMockClient() {
   return {
+    appId: '123',
+    listApps: jest.fn(),
     listDataSources: jest.fn(),
     getDataSource: jest.fn(),
     getDataSourceEntries: jest.fn(),
+    queryDataSourceEntries: jest.fn(),
+    iterateDataSourceEntries: jest.fn(),
     listMedia: jest.fn(),
+    walkMedia: jest.fn(),
     getMediaFile: jest.fn(),
+    downloadMediaFile: jest.fn(),
+    insertDataSourceEntry: jest.fn(),
+    getDataSourceEntry: jest.fn(),
+    updateDataSourceEntry: jest.fn(),
+    deleteDataSourceEntry: jest.fn(),
   };
 }
 
@@ -57,6 +71,44 @@ describe('ToolExecutor', () => {
     );
   });
 
+  // ---------------------------------------------------------------
+  // list_apps
+  // ---------------------------------------------------------------
+
+  describe('list_apps', () => {
+    test('should list the apps the token can see and mark the current one', async () => {
+      mockClient.listApps.mockResolvedValue([{ id: 123, name: 'Directory' }, { id: 456, name: 'Events' }]);
+
+      const result = await executor.execute('list_apps', {});
+
+      expect(result).toEqual({
+        currentAppId: '123',
+        apps: [
+          { id: 123, name: 'Directory', current: true },
+          { id: 456, name: 'Events', current: false },
+        ],
+      });
+    });
+
+    test('should list only the allowlisted apps when given a pool', async () => {
+      const apps = {
+        listApps: jest.fn().mockResolvedValue([
+          { id: '123', name: 'Directory', accessible: true },
+          { id: '789', name: null, accessible: false },
+        ]),
+      };
+      executor = new ToolExecutor(mockClient, { apps });
+
+      const result = await executor.execute('list_apps', {});
+
+      expect(mockClient.listApps).not.toHaveBeenCalled();
+      expect(result.apps).toEqual([
+        { id: '123', name: 'Directory', accessible: true, current: true },
+        { id: '789', name: null, accessible: false, current: false },
+      ]);
+    });
+  });
+
   // ---------------------------------------------------------------
   // list_data_sources
   // ---------------------------------------------------------------
@@ -95,9 +147,9 @@ describe('ToolExecutor', () => {
   // ---------------------------------------------------------------
 
   describe('get_data_source_entries', () => {
-    test('should call client.getDataSourceEntries() with dataSourceId and options', async () => {
+    test('should call client.queryDataSourceEntries() with dataSourceId and options', async () => {
       const mockResult = [{ id: 1, data: { name: 'Alice' } }];
-      mockClient.getDataSourceEntries.mockResolvedValue(mockResult);
+      mockClient.queryDataSourceEntries.mockResolvedValue({ entries: mockResult, total: 1 });
 
       const args = {
         dataSourceId: 10,
@@ -109,20 +161,278 @@ describe('ToolExecutor', () => {
       const result = await executor.execute('get_data_source_entries', args);
 
       // Should pass dataSourceId as first arg, rest as options object
-      expect(mockClient.getDataSourceEntries).toHaveBeenCalledWith(10, {
+      expect(mockClient.queryDataSourceEntries).toHaveBeenCalledWith(10, {
         where: { Status: 'Active' },
-        limit: 5,
+        limit: 6,
         offset: 0,
       });
-      expect(result).toEqual(mockResult);
+      expect(result).toEqual({
+        entries: mockResult,
+        total: 1,
+        pageCount: 1,
+        offset: 0,
+        hasMore: false,
+        nextCursor: null,
+      });
     });
 
-    test('should pass empty options when only dataSourceId is provided', async () => {
-      mockClient.getDataSourceEntries.mockResolvedValue([]);
+    test('should apply the default page size when only dataSourceId is provided', async () => {
+      mockClient.queryDataSourceEntries.mockResolvedValue({ entries: [], total: 0 });
 
       await executor.execute('get_data_source_entries', { dataSourceId: 10 });
 
-      expect(mockClient.getDataSourceEntries).toHaveBeenCalledWith(10, {});
+      expect(mockClient.queryDataSourceEntries).toHaveBeenCalledWith(10, { limit: 51, offset: 0 });
+    });
+
+    test('should cap the page size at 200', async () => {
+      mockClient.queryDataSourceEntries.mockResolvedValue({ entries: [], total: 0 });
+
+      await executor.execute('get_data_source_entries', { dataSourceId: 10, limit: 5000 });
+
+      expect(mockClient.queryDataSourceEntries).toHaveBeenCalledWith(10, { limit: 201, offset: 0 });
+    });
+
+    test('should return a nextCursor when there are entries after this page', async () => {
+      mockClient.queryDataSourceEntries.mockResolvedValue({ entries: [{ id: 1 }, { id: 2 }, { id: 3 }], total: 40 });
+
+      const result = await executor.execute('get_data_source_entries', {
+        dataSourceId: 10,
+        where: { Status: 'Active' },
+        limit: 2,
+      });
+
+      expect(result.entries).toEqual([{ id: 1 }, { id: 2 }]);
+      expect(result.total).toBe(40);
+      expect(result.pageCount).toBe(2);
+      expect(result.hasMore).toBe(true);
+      expect(typeof result.nextCursor).toBe('string');
+    });
+
+    test('should not offer another page when the data source ends on a full page', async () => {
+      mockClient.queryDataSourceEntries.mockResolvedValue({ entries: [{ id: 1 }, { id: 2 }], total: 2 });
+
+      const result = await executor.execute('get_data_source_entries', { dataSourceId: 10, limit: 2 });
+
+      expect(result).toMatchObject({ pageCount: 2, hasMore: false, nextCursor: null });
+    });
+
+    test('should resume from a cursor with the original filter and page size', async () => {
+      mockClient.queryDataSourceEntries.mockResolvedValueOnce({ entries: [{ id: 1 }, { id: 2 }, { id: 3 }], total: 3 });
+      const first = await executor.execute('get_data_source_entries', {
+        dataSourceId: 10,
+        where: { Status: 'Active' },
+        limit: 2,
+      });
+
+      mockClient.queryDataSourceEntries.mockResolvedValueOnce({ entries: [{ id: 3 }], total: 3 });
+      const second = await executor.execute('get_data_source_entries', {
+        dataSourceId: 10,
+        cursor: first.nextCursor,
+      });
+
+      expect(mockClient.queryDataSourceEntries).toHaveBeenLastCalledWith(10, {
+        where: { Status: 'Active' },
+        limit: 3,
+        offset: 2,
+      });
+      expect(second).toEqual({
+        entries: [{ id: 3 }],
+        total: 3,
+        pageCount: 1,
+        offset: 2,
+        hasMore: false,
+        nextCursor: null,
+      });
+    });
+
+    test('should return an error for a malformed cursor', async () => {
+      const result = await executor.execute('get_data_source_entries', {
+        dataSourceId: 10,
+        cursor: 'not-a-cursor',
+      });
+
+      expect(result.error).toBe(true);
+      expect(result.message).toContain('Invalid cursor');
+      expect(mockClient.queryDataSourceEntries).not.toHaveBeenCalled();
+    });
+
+    test('should pass on a null total when the API does not report one', async () => {
+      mockClient.queryDataSourceEntries.mockResolvedValue({ entries: [{ id: 1 }], total: null });
+
+      const result = await executor.execute('get_data_source_entries', { dataSourceId: 10 });
+
+      expect(result).toMatchObject({ total: null, pageCount: 1, hasMore: false });
+    });
+
+    test.each([
+      ['a negative offset', { dataSourceId: 10, limit: 2, offset: -4 }],
+      ['a zero limit', { dataSourceId: 10, limit: 0, offset: 2 }],
+      ['a fractional limit', { dataSourceId: 10, limit: 2.5, offset: 2 }],
+      ['no limit', { dataSourceId: 10, offset: 2 }],
+      ['a non-object where', { dataSourceId: 10, where: 'Status = Active', limit: 2, offset: 2 }],
+      ['an array where', { dataSourceId: 10, where: [], limit: 2, offset: 2 }],
+    ])('should reject an edited cursor with %s', async (label, state) => {
+      const cursor = Buffer.from(JSON.stringify(state)).toString('base64url');
+
+      const result = await executor.execute('get_data_source_entries', { dataSourceId: 10, cursor });
+
+      expect(result.error).toBe(true);
+      expect(result.message).toContain('Invalid cursor');
+      expect(mockClient.queryDataSourceEntries).not.toHaveBeenCalled();
+    });
+
+    test('should reject a cursor from a different data source', async () => {
+      mockClient.queryDataSourceEntries.mockResolvedValueOnce({ entries: [{ id: 1 }, { id: 2 }], total: 2 });
+      const first = await executor.execute('get_data_source_entries', { dataSourceId: 10, limit: 1 });
+
+      const result = await executor.execute('get_data_source_entries', {
+        dataSourceId: 11,
+        cursor: first.nextCursor,
+      });
+
+      expect(result.error).toBe(true);
+      expect(result.message).toContain('Cursor belongs to data source 10');
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // aggregate_data_source
+  // ---------------------------------------------------------------
+
+  describe('aggregate_data_source', () => {
+    const EMPLOYEES = [
+      { id: 1, data: { Name: 'Alice', Department: 'Engineering', Office: 'London', StartYear: 2016, Active: true } },
+      { id: 2, data: { Name: 'Bob', Department: 'Engineering', Office: 'Dublin', StartYear: '2021', Active: true } },
+      { id: 3, data: { Name: 'Chen', Department: 'Design', Office: 'London', StartYear: 2019, Active: false } },
+      { id: 4, data: { Name: 'Dana', Department: 'Sales', Office: '', StartYear: 'n/a', Active: true } },
+      { id: 5, data: { Name: 'Elif', Department: 'Sales', Office: 'New York', StartYear: 2014 } },
+    ];
+
+    // Serve entries in pages, like FlipletApiClient.iterateDataSourceEntries()
+    const servePages = (...pages) => {
+      mockClient.iterateDataSourceEntries.mockImplementation(async function* () {
+        yield* pages;
+      });
+    };
+
+    test('should count every matching entry across pages by default', async () => {
+      servePages(EMPLOYEES.slice(0, 3), EMPLOYEES.slice(3));
+
+      const result = await executor.execute('aggregate_data_source', { dataSourceId: 1, where: { Active: true } });
+
+      expect(mockClient.iterateDataSourceEntries).toHaveBeenCalledWith(1, { where: { Active: true } });
+      expect(result).toEqual({ dataSourceId: 1, rowsScanned: 5, values: { count: 5 } });
+    });
+
+    test('should compute sum, avg, min, max, distinct and column counts', async () => {
+      servePages(EMPLOYEES);
+
+      const result = await executor.execute('aggregate_data_source', {
+        dataSourceId: 1,
+        metrics: [
+          { op: 'sum', column: 'StartYear' },
+          { op: 'avg', column: 'StartYear' },
+          { op: 'min', column: 'StartYear' },
+          { op: 'MAX', column: 'Name' },
+          { op: 'distinct', column: 'Office' },
+          { op: 'count', column: 'Active' },
+        ],
+      });
+
+      // "n/a" is not a number, "2021" is
+      expect(result.values).toEqual({
+        'sum(StartYear)': 8070,
+        'avg(StartYear)': 2017.5,
+        'min(StartYear)': 2014,
+        'max(Name)': 'Elif',
+        'distinct(Office)': 3,
+        'count(Active)': 4,
+      });
+    });
+
+    test('should group by one or more columns in sorted order', async () => {
+      servePages(EMPLOYEES);
+
+      const byDepartment = await executor.execute('aggregate_data_source', {
+        dataSourceId: 1,
+        groupBy: ['Department'],
+        metrics: [{ op: 'count' }, { op: 'max', column: 'StartYear' }],
+      });
+      const byTwo = await executor.execute('aggregate_data_source', { dataSourceId: 1, groupBy: ['Department', 'Office'] });
+
+      expect(byDepartment).toEqual({
+        dataSourceId: 1,
+        rowsScanned: 5,
+        groupBy: ['Department'],
+        groupCount: 3,
+        groups: [
+          { group: { Department: 'Design' }, values: { count: 1, 'max(StartYear)': 2019 } },
+          { group: { Department: 'Engineering' }, values: { count: 2, 'max(StartYear)': 2021 } },
+          { group: { Department: 'Sales' }, values: { count: 2, 'max(StartYear)': 2014 } },
+        ],
+        truncated: false,
+      });
+      expect(byTwo.groups.map((g) => g.group)).toEqual([
+        { Department: 'Design', Office: 'London' },
+        { Department: 'Engineering', Office: 'Dublin' },
+        { Department: 'Engineering', Office: 'London' },
+        { Department: 'Sales', Office: 'New York' },
+        { Department: 'Sales', Office: null },
+      ]);
+    });
+
+    test('should return at most 100 groups', async () => {
+      servePages(Array.from({ length: 150 }, (_, i) => ({ id: i, data: { Code: i } })));
+
+      const result = await executor.execute('aggregate_data_source', { dataSourceId: 1, groupBy: 'Code' });
+
+      expect(result.groupCount).toBe(150);
+      expect(result.groups).toHaveLength(100);
+      expect(result.groups[99].group).toEqual({ Code: 99 });
+      expect(result.truncated).toBe(true);
+    });
+
+    test('should return empty results when nothing matches', async () => {
+      servePages();
+
+      const result = await executor.execute('aggregate_data_source', {
+        dataSourceId: 1,
+        metrics: [{ op: 'count' }, { op: 'avg', column: 'Typo' }],
+      });
+
+      expect(result).toEqual({ dataSourceId: 1, rowsScanned: 0, values: { count: 0, 'avg(Typo)': null } });
+    });
+
+    test('should name unknown columns instead of aggregating nothing', async () => {
+      servePages(EMPLOYEES);
+
+      const result = await executor.execute('aggregate_data_source', { dataSourceId: 1, groupBy: ['Dept'] });
+
+      expect(result).toEqual({
+        error: true,
+        message: 'Unknown column: Dept. Columns in this data source: Name, Department, Office, StartYear, Active.',
+      });
+    });
+
+    test('should reject invalid metrics and groupBy', async () => {
+      const run = async (args) => (await executor.execute('aggregate_data_source', { dataSourceId: 1, ...args })).message;
+
+      expect(await run({ metrics: [] })).toMatch('metrics must be a non-empty array');
+      expect(await run({ metrics: [{ op: 'median', column: 'Age' }] })).toMatch('metrics[0].op must be one of: count, sum');
+      expect(await run({ metrics: [{ op: 'sum' }] })).toBe('The sum metric needs a column');
+      expect(await run({ groupBy: [1] })).toMatch('groupBy[0] must be a string (got 1)');
+      expect(mockClient.iterateDataSourceEntries).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to scan more than 50,000 entries', async () => {
+      const page = Array.from({ length: 500 }, (_, i) => ({ id: i, data: { N: i } }));
+      mockClient.iterateDataSourceEntries.mockImplementation(async function* () {
+        for (;;) yield page;
+      });
+
+      const result = await executor.execute('aggregate_data_source', { dataSourceId: 1 });
+
+      expect(result.message).toBe('More than 50000 entries match. Add a where filter to aggregate a smaller set.');
     });
   });
 
@@ -152,6 +462,130 @@ describe('ToolExecutor', () => {
     });
   });
 
+  // ---------------------------------------------------------------
+  // get_media_tree / find_media_files
+  // ---------------------------------------------------------------
+
+  describe('media folder walks', () => {
+    // What walkMedia() returns for root → Policies (10) → HR (11)
+    const WALK = {
+      folders: [
+        { id: 10, name: 'Policies', parentId: null, path: 'Policies' },
+        { id: 11, name: 'HR', parentId: 10, path: 'Policies/HR' },
+      ],
+      files: [
+        { id: 1, name: 'welcome.md', contentType: 'text/markdown', size: 402, createdAt: '2024-01-16T10:00:00.000Z', folderId: null, path: 'welcome.md' },
+        { id: 4, name: 'logo.png', contentType: 'image/png', size: [500, 375], folderId: null, path: 'logo.png' },
+        { id: 2, name: 'Conduct.PDF', contentType: 'application/pdf', size: 1830, updatedAt: '2024-03-01T09:00:00.000Z', folderId: 10, path: 'Policies/Conduct.PDF' },
+        { id: 3, name: 'holiday-policy.txt', contentType: 'text/plain; charset=utf-8', size: 883, createdAt: '2024-02-03T10:00:00.000Z', folderId: 11, path: 'Policies/HR/holiday-policy.txt' },
+      ],
+      truncated: false,
+      truncatedBy: null,
+    };
+
+    beforeEach(() => {
+      mockClient.walkMedia.mockResolvedValue(WALK);
+    });
+
+    test('get_media_tree should nest folders and files', async () => {
+      const result = await executor.execute('get_media_tree', { maxDepth: 5 });
+
+      expect(mockClient.walkMedia).toHaveBeenCalledWith(
+        expect.objectContaining({ folderId: undefined, maxDepth: 4, signal: expect.any(AbortSignal) })
+      );
+      expect(result).toEqual({
+        folderId: null,
+        totalFolders: 2,
+        totalFiles: 4,
+        tree: {
+          folders: [
+            {
+              id: 10,
+              name: 'Policies',
+              folders: [
+                {
+                  id: 11,
+                  name: 'HR',
+                  files: [
+                    { id: 3, name: 'holiday-policy.txt', contentType: 'text/plain; charset=utf-8', size: 883, modified: '2024-02-03T10:00:00.000Z' },
+                  ],
+                },
+              ],
+              files: [{ id: 2, name: 'Conduct.PDF', contentType: 'application/pdf', size: 1830, modified: '2024-03-01T09:00:00.000Z' }],
+            },
+          ],
+          files: [
+            { id: 1, name: 'welcome.md', contentType: 'text/markdown', size: 402, modified: '2024-01-16T10:00:00.000Z' },
+            { id: 4, name: 'logo.png', contentType: 'image/png', size: [500, 375] },
+          ],
+        },
+      });
+    });
+
+    test('get_media_tree should leave files out on request and explain a depth cut-off', async () => {
+      mockClient.walkMedia.mockResolvedValue({
+        folders: [{ id: 11, name: 'HR', parentId: 10, path: 'HR' }],
+        files: WALK.files.slice(2).map((file) => ({ ...file, path: file.path.replace('Policies/', '') })),
+        truncated: true,
+        truncatedBy: 'maxDepth',
+      });
+
+      const result = await executor.execute('get_media_tree', { folderId: 10, includeFiles: false });
+
+      expect(mockClient.walkMedia).toHaveBeenCalledWith(expect.objectContaining({ folderId: 10, maxDepth: 2 }));
+      expect(result).toMatchObject({ folderId: 10, totalFolders: 1 });
+      expect(result.tree).toEqual({ folders: [{ id: 11, name: 'HR' }] });
+      expect(result.totalFiles).toBeUndefined();
+      expect(result.note).toMatch(/^Deeper folders are shown but not opened/);
+    });
+
+    test.each([
+      [{ name: '*.pdf' }, [2]],
+      [{ name: 'policies/*/*' }, [3]],
+      [{ name: 'h?liday*' }, [3]],
+      [{ contentType: 'text/plain' }, [3]],
+      [{ contentType: 'text/*' }, [3, 1]],
+      [{ minSize: 500 }, [2, 3]],
+      [{ maxSize: 900 }, [3, 1]],
+      [{ modifiedAfter: '2024-02-01', modifiedBefore: '2024-03-01' }, [3]],
+      [{ modifiedBefore: '2024-03-01T09:00:00.000Z' }, [3, 1]],
+      [{ name: '*', contentType: 'image/*' }, [4]],
+    ])('find_media_files %j should match files %j', async (args, ids) => {
+      const result = await executor.execute('find_media_files', args);
+
+      expect(result.matches.map((match) => match.id)).toEqual(ids);
+    });
+
+    test('find_media_files should return paths, sorted, up to the limit', async () => {
+      const result = await executor.execute('find_media_files', { limit: 2 });
+
+      expect(result).toEqual({
+        totalMatches: 4,
+        filesSearched: 4,
+        matches: [
+          { id: 4, name: 'logo.png', contentType: 'image/png', size: [500, 375], path: 'logo.png', folderId: null },
+          {
+            id: 2,
+            name: 'Conduct.PDF',
+            contentType: 'application/pdf',
+            size: 1830,
+            modified: '2024-03-01T09:00:00.000Z',
+            path: 'Policies/Conduct.PDF',
+            folderId: 10,
+          },
+        ],
+        note: 'Showing the first 2 of 4 matches; narrow the filters to see others.',
+      });
+    });
+
+    test('find_media_files should reject a date it cannot read', async () => {
+      const result = await executor.execute('find_media_files', { modifiedAfter: 'last week' });
+
+      expect(result.message).toBe('modifiedAfter must be a date like 2024-05-01 (got "last week").');
+      expect(mockClient.walkMedia).not.toHaveBeenCalled();
+    });
+  });
+
   // ---------------------------------------------------------------
   // get_media_file
   // ---------------------------------------------------------------
@@ -168,6 +602,372 @@ describe('ToolExecutor', () => {
     });
   });
 
+  // ---------------------------------------------------------------
+  // read_media_file
+  // ---------------------------------------------------------------
+
+  describe('read_media_file', () => {
+    const POLICY = [
+      'Holiday Policy',
+      'Annual leave is 25 days per year.',
+      '',
+      ...Array.from({ length: 60 }, (_, i) => `Filler line ${i + 1} about office plants and parking.`),
+      'Unused days may be carried over until 31 March.',
+    ].join('\n');
+
+    const textFile = (extra = {}) => ({
+      id: 7,
+      name: 'holiday-policy.txt',
+      contentType: 'text/plain',
+      size: POLICY.length,
+      url: 'https://cdn.fliplet.com/7/holiday-policy.txt',
+      ...extra,
+    });
+
+    beforeEach(() => {
+      mockClient.getMediaFile.mockResolvedValue(textFile());
+      mockClient.downloadMediaFile.mockResolvedValue({ data: Buffer.from(POLICY), contentType: 'text/plain' });
+    });
+
+    test('should return the excerpts that match the query, best first, with line references', async () => {
+      const result = await executor.execute('read_media_file', { fileId: 7, query: 'carried over days', maxExcerpts: 1 });
+
+      expect(mockClient.downloadMediaFile).toHaveBeenCalledWith(
+        textFile(),
+        expect.objectContaining({ maxBytes: 10 * 1024 * 1024, signal: expect.any(AbortSignal) })
+      );
+      expect(result).toMatchObject({ fileId: 7, name: 'holiday-policy.txt', format: 'text', totalExcerpts: 2 });
+      expect(result.excerpts).toHaveLength(1);
+      expect(result.excerpts[0]).toMatchObject({ reference: 'lines 34-64', startLine: 34, endLine: 64 });
+      expect(result.excerpts[0].text).toMatch(/carried over until 31 March\.$/);
+    });
+
+    test('should return the start of the file without a query', async () => {
+      const result = await executor.execute('read_media_file', { fileId: 7, maxExcerpts: 1 });
+
+      expect(result.excerpts[0].reference).toBe('lines 1-33');
+      expect(result.note).toBe('Showing the first 1 of 2 excerpts. Pass a query to find a specific passage.');
+    });
+
+    test('should fall back to the start when nothing matches', async () => {
+      const result = await executor.execute('read_media_file', { fileId: 7, query: 'pension' });
+
+      expect(result.excerpts).toHaveLength(2);
+      expect(result.note).toMatch(/^Nothing matched the query/);
+    });
+
+    test('should refuse unsupported and oversized files before downloading', async () => {
+      mockClient.getMediaFile.mockResolvedValueOnce(textFile({ name: 'logo.png', contentType: 'image/png' }));
+      mockClient.getMediaFile.mockResolvedValueOnce(textFile({ size: 50 * 1024 * 1024 }));
+
+      const image = await executor.execute('read_media_file', { fileId: 7 });
+      const large = await executor.execute('read_media_file', { fileId: 7 });
+
+      expect(image.message).toBe('Cannot read "logo.png" (image/png). read_media_file supports: text, markdown, csv, json, pdf.');
+      expect(large.message).toBe('"holiday-policy.txt" is 50 MB; files over 10 MB are not read.');
+      expect(mockClient.downloadMediaFile).not.toHaveBeenCalled();
+    });
+
+    test('should only accept page for PDFs', async () => {
+      const result = await executor.execute('read_media_file', { fileId: 7, page: 2 });
+
+      expect(result.message).toBe('page only applies to PDF files; use query to find a passage instead.');
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // search_app_content
+  // ---------------------------------------------------------------
+
+  describe('search_app_content', () => {
+    let contentIndexes;
+
+    beforeEach(() => {
+      contentIndexes = new ContentIndexPool();
+      executor = new ToolExecutor(mockClient, { contentIndexes });
+      mockClient.listDataSources.mockResolvedValue([{ id: 10, name: 'Customers' }]);
+      mockClient.iterateDataSourceEntries.mockImplementation(async function* () {
+        yield [
+          { id: 1, data: { Company: 'Acme Ltd', City: 'London' } },
+          { id: 2, data: { Company: 'Initech', City: 'Leeds' } },
+        ];
+      });
+      mockClient.walkMedia.mockResolvedValue({ folders: [], files: [], truncated: false, truncatedBy: null });
+    });
+
+    test('should index the app on first use and return ranked hits with their entry', async () => {
+      const result = await executor.execute('search_app_content', { query: 'Acme Ltd' });
+
+      expect(result).toEqual({
+        query: 'Acme Ltd',
+        totalHits: 1,
+        hits: [
+          {
+            type: 'entry',
+            dataSourceId: 10,
+            dataSourceName: 'Customers',
+            entryId: 1,
+            score: expect.any(Number),
+            snippet: 'Company: Acme Ltd',
+          },
+        ],
+        index: { entries: 2, mediaFiles: 0, refreshedAt: expect.any(String) },
+      });
+    });
+
+    test('should reuse the index until asked to refresh', async () => {
+      await executor.execute('search_app_content', { query: 'Acme' });
+      await executor.execute('search_app_content', { query: 'Initech', source: 'entries', limit: 1 });
+      expect(mockClient.listDataSources).toHaveBeenCalledTimes(1);
+
+      await executor.execute('search_app_content', { query: 'Acme', refresh: true });
+      expect(mockClient.listDataSources).toHaveBeenCalledTimes(2);
+    });
+
+    test('should return indexing failures as errors', async () => {
+      mockClient.listDataSources.mockRejectedValueOnce(new Error('Fliplet API error: 503 Service Unavailable'));
+
+      const result = await executor.execute('search_app_content', { query: 'Acme' });
+
+      expect(result).toEqual(expect.objectContaining({ error: true, message: 'Fliplet API error: 503 Service Unavailable' }));
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Write tools
+  // ---------------------------------------------------------------
+
+  describe('write tools', () => {
+    test('should dispatch confirmed writes to the client', async () => {
+      mockClient.updateDataSourceEntry.mockResolvedValue({ id: 7 });
+
+      await executor.execute('update_data_source_entry', {
+        dataSourceId: 10,
+        entryId: 7,
+        data: { Status: 'Inactive' },
+      });
+
+      expect(mockClient.updateDataSourceEntry).toHaveBeenCalledWith(10, 7, { Status: 'Inactive' });
+    });
+
+    test('isWriteTool() should flag insert/update/delete tools', () => {
+      expect(executor.isWriteTool('insert_data_source_entry')).toBe(true);
+      expect(executor.isWriteTool('list_data_sources')).toBe(false);
+    });
+
+    test('proposeWrite() should describe an update with the current values, without writing', async () => {
+      mockClient.getDataSourceEntry.mockResolvedValue({ id: 7, data: { Name: 'Jo', Status: 'Active' } });
+
+      const proposal = await executor.proposeWrite('update_data_source_entry', {
+        dataSourceId: 10,
+        entryId: 7,
+        data: { Status: 'Inactive', Team: 'Red' },
+      });
+
+      expect(proposal).toEqual({
+        action: 'update',
+        dataSourceId: 10,
+        entryId: 7,
+        before: { Status: 'Active' },
+        changes: { Status: 'Inactive', Team: 'Red' },
+        summary: 'Update entry 7 in data source 10',
+      });
+      expect(mockClient.getDataSourceEntry).toHaveBeenCalledWith(10, 7);
+      expect(mockClient.updateDataSourceEntry).not.toHaveBeenCalled();
+    });
+
+    test('proposeWrite() should describe inserts, and deletes with the whole row', async () => {
+      mockClient.getDataSourceEntry.mockResolvedValue({ id: 9, data: { Name: 'Jo', Status: 'Active' } });
+
+      await expect(executor.proposeWrite('insert_data_source_entry', { dataSourceId: 3, data: { Name: 'Jo' } }))
+        .resolves.toEqual(expect.objectContaining({ action: 'insert', changes: { Name: 'Jo' } }));
+      await expect(executor.proposeWrite('delete_data_source_entry', { dataSourceId: 3, entryId: 9 }))
+        .resolves.toEqual({
+          action: 'delete',
+          dataSourceId: 3,
+          entryId: 9,
+          before: { Name: 'Jo', Status: 'Active' },
+          summary: 'Delete entry 9 from data source 3',
+        });
+      expect(mockClient.deleteDataSourceEntry).not.toHaveBeenCalled();
+    });
+
+    test('proposeWrite() should reject changes to entries that do not exist', async () => {
+      mockClient.getDataSourceEntry.mockRejectedValue(
+        new FlipletApiError('Fliplet API error: 404 Not Found', 404, {})
+      );
+
+      await expect(executor.proposeWrite('update_data_source_entry', { dataSourceId: 3, entryId: 99, data: { a: 1 } }))
+        .rejects.toThrow('Entry 99 does not exist in data source 3, so there is nothing to update.');
+      await expect(executor.proposeWrite('delete_data_source_entry', { dataSourceId: 3, entryId: 99 }))
+        .rejects.toThrow('Entry 99 does not exist in data source 3, so there is nothing to delete.');
+    });
+
+    test('proposeWrite() should pass on other errors reading the entry', async () => {
+      mockClient.getDataSourceEntry.mockRejectedValue(new Error('Network error'));
+
+      await expect(executor.proposeWrite('delete_data_source_entry', { dataSourceId: 3, entryId: 9 }))
+        .rejects.toThrow('Network error');
+    });
+
+    test('proposeWrite() should reject incomplete arguments', async () => {
+      await expect(executor.proposeWrite('update_data_source_entry', { dataSourceId: 3, data: { a: 1 } }))
+        .rejects.toThrow('entryId is required');
+      await expect(executor.proposeWrite('insert_data_source_entry', { dataSourceId: 3, data: {} }))
+        .rejects.toThrow('data must have at least 1 property');
+      await expect(executor.proposeWrite('list_data_sources', {})).rejects.toThrow('Not a write tool');
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Argument validation
+  // ---------------------------------------------------------------
+
+  describe('argument validation', () => {
+    test('should coerce numeric strings before calling the client', async () => {
+      mockClient.getDataSource.mockResolvedValue({ id: 12 });
+
+      await executor.execute('get_data_source', { dataSourceId: '12' });
+
+      expect(mockClient.getDataSource).toHaveBeenCalledWith(12);
+    });
+
+    test('should return every problem without calling the client', async () => {
+      const result = await executor.execute('get_data_source_entries', { dataSourceId: 'abc', limit: -5, sort: 'Name' });
+
+      expect(result).toEqual({
+        error: true,
+        message:
+          'Invalid arguments for get_data_source_entries: dataSourceId must be a number (got "abc"); ' +
+          'limit must be at least 1 (got -5); ' +
+          'sort is not a known argument (expected one of: dataSourceId, where, limit, offset, cursor). ' +
+          'Fix the arguments and call the tool again.',
+        invalidArguments: [
+          { path: 'dataSourceId', message: 'must be a number (got "abc")' },
+          { path: 'limit', message: 'must be at least 1 (got -5)' },
+          { path: 'sort', message: 'is not a known argument (expected one of: dataSourceId, where, limit, offset, cursor)' },
+        ],
+      });
+      expect(mockClient.queryDataSourceEntries).not.toHaveBeenCalled();
+    });
+
+    test('should report missing required arguments', async () => {
+      const result = await executor.execute('get_media_file', {});
+
+      expect(result.invalidArguments).toEqual([{ path: 'fileId', message: 'is required' }]);
+      expect(mockClient.getMediaFile).not.toHaveBeenCalled();
+    });
+
+    test('proposeWrite() should reject and coerce by the schema too', async () => {
+      mockClient.getDataSourceEntry.mockResolvedValue({ id: 9, data: {} });
+
+      await expect(executor.proposeWrite('delete_data_source_entry', { dataSourceId: 3, entryId: 'last' }))
+        .rejects.toThrow('entryId must be a number (got "last")');
+      await expect(executor.proposeWrite('delete_data_source_entry', { dataSourceId: '3', entryId: '9' }))
+        .resolves.toEqual(expect.objectContaining({ dataSourceId: 3, entryId: 9 }));
+      expect(mockClient.getDataSourceEntry).toHaveBeenCalledWith(3, 9);
+    });
+  });
+
+  // ---------------------------------------------------------------
+  // Plugins from a registry
+  // ---------------------------------------------------------------
+
+  describe('with a tool registry', () => {
+    const plugin = (name, extra) => ({
+      name,
+      description: `The ${name} tool`,
+      parameters: { type: 'object', properties: { n: { type: 'number' } }, additionalProperties: false },
+      ...extra,
+    });
+
+    test('should run a plugin handler with validated arguments and the app context', async () => {
+      const handler = jest.fn(async (args, context) => ({ doubled: args.n * 2, appId: context.client.appId }));
+      const apps = { listApps: jest.fn() };
+      const registry = new ToolRegistry().register(plugin('double_it', { handler }));
+      executor = new ToolExecutor(mockClient, { apps, registry });
+
+      expect(await executor.execute('double_it', { n: '21' })).toEqual({ doubled: 42, appId: '123' });
+      expect(handler).toHaveBeenCalledWith({ n: 21 }, expect.objectContaining({ client: mockClient, apps }));
+    });
+
+    test('should stop a handler that outlives its timeout', async () => {
+      let signal;
+      const handler = (args, context) => {
+        signal = context.signal;
+        return new Promise(() => {});
+      };
+      const registry = new ToolRegistry().register(plugin('slow_tool', { handler, timeoutMs: 100 }));
+      executor = new ToolExecutor(mockClient, { registry });
+
+      const result = await executor.execute('slow_tool', {});
+
+      expect(result).toEqual({
+        error: true,
+        message: 'slow_tool did not finish within 0.1s and was stopped. Try a narrower request.',
+      });
+      expect(signal.aborted).toBe(true);
+    });
+
+    test('should not call a timed-out write stopped, since it may still land', async () => {
+      let signal;
+      const handler = (args, context) => {
+        signal = context.signal;
+        return new Promise(() => {});
+      };
+      const propose = () => ({ action: 'insert', summary: 'Insert' });
+      const registry = new ToolRegistry().register(plugin('slow_write', { handler, propose, write: true, timeoutMs: 100 }));
+      executor = new ToolExecutor(mockClient, { registry });
+
+      const result = await executor.execute('slow_write', {});
+
+      expect(result).toEqual({
+        error: true,
+        message:
+          'slow_write did not finish within 0.1s. The change may still be applied; check the entry before trying again.',
+        outcomeUnknown: true,
+      });
+      expect(signal.aborted).toBe(false);
+    });
+
+    test('resultCount() should use the plugin hook, falling back to array length', () => {
+      const registry = new ToolRegistry()
+        .register(plugin('count_hook', { handler: jest.fn(), resultCount: (result) => result.items.length }))
+        .register(plugin('broken_hook', { handler: jest.fn(), resultCount: (result) => result.missing.length }))
+        .register(plugin('no_hook', { handler: jest.fn() }));
+      executor = new ToolExecutor(mockClient, { registry });
+
+      expect(executor.resultCount('count_hook', { items: [1, 2, 3] })).toBe(3);
+      expect(executor.resultCount('broken_hook', {})).toBeUndefined();
+      expect(executor.resultCount('no_hook', [1, 2])).toBe(2);
+      expect(executor.resultCount('no_hook', { id: 1 })).toBeUndefined();
+    });
+
+    test('resultCount() should count the built-in tools\' results', () => {
+      expect(executor.resultCount('get_data_source_entries', { entries: [{}, {}], hasMore: false })).toBe(2);
+      expect(executor.resultCount('list_media', { folders: [{}], files: [{}, {}] })).toBe(3);
+      expect(executor.resultCount('get_media_tree', { totalFolders: 2, totalFiles: 5, tree: {} })).toBe(7);
+      expect(executor.resultCount('find_media_files', { matches: [{}] })).toBe(1);
+      expect(executor.resultCount('read_media_file', { excerpts: [{}, {}] })).toBe(2);
+      expect(executor.resultCount('search_app_content', { hits: [{}] })).toBe(1);
+      expect(executor.resultCount('aggregate_data_source', { groupCount: 4, groups: [] })).toBe(4);
+      expect(executor.resultCount('aggregate_data_source', { values: {} })).toBeUndefined();
+      expect(executor.resultCount('list_apps', { currentAppId: '1', apps: [{}, {}] })).toBe(2);
+      expect(executor.resultCount('list_data_sources', [{}, {}, {}])).toBe(3);
+    });
+
+    test('should treat disabled tools as unknown', async () => {
+      const registry = createToolRegistry({ toolsDisabled: ['list_media', 'delete_data_source_entry'] });
+      executor = new ToolExecutor(mockClient, { registry });
+
+      await expect(executor.execute('list_media', {})).rejects.toThrow('Unknown tool: list_media');
+      await expect(executor.proposeWrite('delete_data_source_entry', { dataSourceId: 1, entryId: 2 })).rejects.toThrow(
+        'Not a write tool'
+      );
+      expect(executor.isWriteTool('insert_data_source_entry')).toBe(true);
+    });
+  });
+
   // ---------------------------------------------------------------
   // Error handling
   // ---------------------------------------------------------------
@@ -203,5 +1003,25 @@ describe('ToolExecutor', () => {
         details: { message: 'Data source not found' },
       });
     });
+
+    test('should include the attempt count when the request was retried', async () => {
+      const apiError = new Error('Fliplet API error: 503 Service Unavailable');
+      apiError.name = 'FlipletApiError';
+      apiError.statusCode = 503;
+      apiError.responseBody = {};
+      apiError.attempts = 3;
+
+      mockClient.listDataSources.mockRejectedValue(apiError);
+
+      const result = await executor.execute('list_data_sources', {});
+
+      expect(result).toEqual({
+        error: true,
+        message: 'Fliplet API error: 503 Service Unavailable',
+        statusCode: 503,
+        details: {},
+        attempts: 3,
+      });
+    });
   });
 });
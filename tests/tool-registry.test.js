@@ -0,0 +1,180 @@
+/**
+ * Tool Registry — Unit Tests
+ *
+ * Plugin validation, loading plugins from a directory, enable / disable
+ * lists, and the registry the built-in tools and config produce.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ToolRegistry, DEFAULT_TOOL_TIMEOUT_MS } = require('../src/tool-registry');
+const { createToolRegistry, tools } = require('../src/tools');
+
+const EXAMPLE_PLUGINS_DIR = path.join(__dirname, '..', 'examples', 'tool-plugins');
+
+/**
+ * A minimal valid plugin.
+ */
+function plugin(name, extra = {}) {
+  return {
+    name,
+    description: `The ${name} tool`,
+    parameters: { type: 'object', properties: {} },
+    handler: async () => ({ ok: true }),
+    ...extra,
+  };
+}
+
+describe('ToolRegistry', () => {
+  describe('register()', () => {
+    test('should fill in defaults and list tools in registration order', () => {
+      const registry = new ToolRegistry().register(plugin('b_tool')).register(plugin('a_tool', { timeoutMs: 5 }));
+
+      expect(registry.names()).toEqual(['b_tool', 'a_tool']);
+      expect(registry.get('b_tool')).toMatchObject({ write: false, timeoutMs: DEFAULT_TOOL_TIMEOUT_MS, source: 'built-in' });
+      expect(registry.get('a_tool').timeoutMs).toBe(5);
+      expect(registry.definitions()).toEqual([
+        { type: 'function', function: { name: 'b_tool', description: 'The b_tool tool', parameters: { type: 'object', properties: {} } } },
+        { type: 'function', function: { name: 'a_tool', description: 'The a_tool tool', parameters: { type: 'object', properties: {} } } },
+      ]);
+    });
+
+    test('should explain malformed plugins', () => {
+      const register = (value) => () => new ToolRegistry().register(value, 'my-plugin.js');
+
+      expect(register(null)).toThrow('Tool plugin from my-plugin.js must export an object');
+      expect(register(plugin('Count Files'))).toThrow('needs a snake_case "name"');
+      expect(register(plugin('count_files', { description: ' ' }))).toThrow(
+        'Tool plugin "count_files" from my-plugin.js needs a "description"'
+      );
+      expect(register(plugin('count_files', { parameters: { type: 'string' } }))).toThrow('needs "parameters"');
+      expect(register(plugin('count_files', { handler: 'run' }))).toThrow('needs a "handler" function');
+      expect(register(plugin('count_files', { write: true }))).toThrow('needs a "propose" function');
+      expect(register(plugin('count_files', { resultCount: 3 }))).toThrow('"resultCount" that is not a function');
+      expect(register(plugin('count_files', { timeoutMs: -1 }))).toThrow('invalid "timeoutMs"');
+    });
+
+    test('should refuse a name that is already taken', () => {
+      const registry = new ToolRegistry().register(plugin('list_media'));
+
+      expect(() => registry.register(plugin('list_media'), '/plugins/media.js')).toThrow(
+        'Tool "list_media" from /plugins/media.js is already registered by built-in.'
+      );
+    });
+  });
+
+  describe('loadDirectory()', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-plugins-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const write = (file, source) => fs.writeFileSync(path.join(dir, file), source);
+    const pluginSource = (name) =>
+      `{ name: '${name}', description: 'd', parameters: { type: 'object', properties: {} }, handler: () => 1 }`;
+
+    test('should load single and array exports in file name order, skipping helpers', () => {
+      write('b.js', `module.exports = ${pluginSource('second_tool')};`);
+      write('a.cjs', `module.exports = [${pluginSource('first_tool')}, ${pluginSource('other_tool')}];`);
+      write('_shared.js', 'throw new Error("not a plugin");');
+      write('notes.md', '# not a plugin');
+
+      const registry = new ToolRegistry().loadDirectory(dir);
+
+      expect(registry.names()).toEqual(['first_tool', 'other_tool', 'second_tool']);
+      expect(registry.get('second_tool').source).toBe(path.join(dir, 'b.js'));
+    });
+
+    test('should name the file that failed to load', () => {
+      write('broken.js', 'module.exports = {');
+
+      expect(() => new ToolRegistry().loadDirectory(dir)).toThrow(`Could not load tool plugin ${path.join(dir, 'broken.js')}`);
+    });
+
+    test('should explain a missing directory', () => {
+      expect(() => new ToolRegistry().loadDirectory(path.join(dir, 'missing'))).toThrow(
+        'Could not read tool plugins directory'
+      );
+    });
+  });
+
+  describe('select()', () => {
+    const registry = () =>
+      new ToolRegistry()
+        .register(plugin('read_tool'))
+        .register(plugin('write_tool', { write: true, propose: () => ({}) }))
+        .register(plugin('other_tool'));
+
+    test('should only offer enabled tools that are not disabled', () => {
+      const selected = registry().select({ enabled: ['write_tool', 'read_tool'], disabled: ['read_tool'] });
+
+      expect(selected.list().map((tool) => tool.name)).toEqual(['write_tool']);
+      expect(selected.get('read_tool')).toBeUndefined();
+      expect(selected.getDefinition('other_tool')).toBeUndefined();
+      expect(selected.isWriteTool('write_tool')).toBe(true);
+      expect(selected.names()).toEqual(['read_tool', 'write_tool', 'other_tool']);
+    });
+
+    test('should treat a disabled write tool as unknown', () => {
+      expect(registry().select({ disabled: ['write_tool'] }).isWriteTool('write_tool')).toBe(false);
+    });
+
+    test('should reject unknown tool names', () => {
+      expect(() => registry().select({ disabled: ['read_tool', 'nope', 'gone'] })).toThrow(
+        'Unknown tools in the disabled list: nope, gone. Available tools: read_tool, write_tool, other_tool.'
+      );
+    });
+  });
+});
+
+describe('createToolRegistry()', () => {
+  test('should register the built-in tools', () => {
+    const registry = createToolRegistry();
+
+    expect(registry.definitions()).toEqual(tools);
+    expect(registry.list().filter((tool) => tool.write).map((tool) => tool.name)).toEqual([
+      'insert_data_source_entry',
+      'update_data_source_entry',
+      'delete_data_source_entry',
+    ]);
+  });
+
+  test('should give the tools that scan a whole app longer to run', () => {
+    const registry = createToolRegistry();
+
+    for (const name of ['aggregate_data_source', 'search_app_content', 'find_media_files']) {
+      expect(registry.get(name).timeoutMs).toBeGreaterThan(DEFAULT_TOOL_TIMEOUT_MS);
+    }
+  });
+
+  test('should add plugins from the configured directory and apply the tool lists', () => {
+    const registry = createToolRegistry({
+      toolPluginsDir: EXAMPLE_PLUGINS_DIR,
+      toolsEnabled: ['get_app_overview', 'list_data_sources'],
+    });
+
+    expect(registry.definitions().map((tool) => tool.function.name)).toEqual(['list_data_sources', 'get_app_overview']);
+    expect(registry.get('get_app_overview').source).toBe(path.join(EXAMPLE_PLUGINS_DIR, 'app-overview.js'));
+  });
+
+  test('should run the example plugin against a client', async () => {
+    const { handler } = createToolRegistry({ toolPluginsDir: EXAMPLE_PLUGINS_DIR }).get('get_app_overview');
+    const client = {
+      appId: '123',
+      listDataSources: async () => [{ id: 1, name: 'Employees', columns: ['Name', 'Email'] }],
+      listMedia: async () => ({ folders: [{ id: 1 }], files: [] }),
+    };
+
+    expect(await handler({}, { client })).toEqual({
+      appId: '123',
+      dataSources: [{ id: 1, name: 'Employees', columnCount: 2 }],
+      media: { folders: 1, files: 0 },
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tool Argument Validation — Unit Tests
+ *
+ * validateArguments() checks model-produced arguments against a tool's
+ * JSON Schema, applying safe coercions and collecting every problem.
+ */
+
+const { validateArguments, ToolArgumentsError } = require('../src/tool-schema');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'number', minimum: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: 200 },
+    active: { type: 'boolean' },
+    where: { type: 'object' },
+    name: { type: 'string', minLength: 1, maxLength: 5 },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    mode: { type: 'string', enum: ['fast', 'exact'] },
+    metrics: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { op: { type: 'string', enum: ['count', 'sum'] } },
+        required: ['op'],
+        additionalProperties: false,
+      },
+    },
+    data: { type: 'object', minProperties: 1 },
+  },
+  required: ['id'],
+  additionalProperties: false,
+};
+
+describe('validateArguments()', () => {
+  test('should accept valid arguments unchanged', () => {
+    const args = { id: 3, limit: 10, where: { a: 1 }, tags: ['x'], mode: 'fast' };
+
+    expect(validateArguments(SCHEMA, args)).toEqual({ value: args, errors: [] });
+  });
+
+  test('should apply safe coercions', () => {
+    const { value, errors } = validateArguments(SCHEMA, {
+      id: ' 12 ',
+      limit: '50',
+      active: 'false',
+      where: '{"Status":"Active"}',
+      tags: 'solo',
+      mode: 'EXACT',
+      name: null,
+    });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ id: 12, limit: 50, active: false, where: { Status: 'Active' }, tags: ['solo'], mode: 'exact' });
+  });
+
+  test('should not mutate the input', () => {
+    const args = { id: '4', tags: 'a' };
+
+    validateArguments(SCHEMA, args);
+
+    expect(args).toEqual({ id: '4', tags: 'a' });
+  });
+
+  test('should report types, bounds, enums and lengths', () => {
+    const { errors } = validateArguments(SCHEMA, {
+      id: 0,
+      limit: 2.5,
+      active: 'yes',
+      name: 'toolong',
+      tags: ['a', 'b', 'c'],
+      mode: 'slow',
+      data: {},
+    });
+
+    expect(errors).toEqual([
+      { path: 'id', message: 'must be at least 1 (got 0)' },
+      { path: 'limit', message: 'must be a whole number (got 2.5)' },
+      { path: 'active', message: 'must be a boolean (got "yes")' },
+      { path: 'name', message: 'must be at most 5 characters' },
+      { path: 'tags', message: 'must have at most 2 items' },
+      { path: 'mode', message: 'must be one of: fast, exact (got "slow")' },
+      { path: 'data', message: 'must have at least 1 property' },
+    ]);
+  });
+
+  test('should report required and unknown properties with nested paths', () => {
+    const { errors } = validateArguments(SCHEMA, { limt: 5, metrics: [{ op: 'sum' }, { column: 'Age' }] });
+
+    expect(errors).toEqual([
+      {
+        path: 'limt',
+        message: 'is not a known argument (expected one of: id, limit, active, where, name, tags, mode, metrics, data)',
+      },
+      { path: 'metrics[1].column', message: 'is not a known argument (expected one of: op)' },
+      { path: 'metrics[1].op', message: 'is required' },
+      { path: 'id', message: 'is required' },
+    ]);
+  });
+
+  test('should reject a non-object as the arguments', () => {
+    expect(validateArguments(SCHEMA, 'id=3').errors).toEqual([{ path: 'arguments', message: 'must be an object (got "id=3")' }]);
+  });
+
+  test('should not coerce strings that are not numbers', () => {
+    expect(validateArguments(SCHEMA, { id: '12abc' }).errors).toEqual([
+      { path: 'id', message: 'must be a number (got "12abc")' },
+    ]);
+  });
+});
+
+describe('ToolArgumentsError', () => {
+  test('should list every problem in its message', () => {
+    const error = new ToolArgumentsError('get_media_file', [
+      { path: 'fileId', message: 'is required' },
+      { path: 'size', message: 'is not a known argument (expected one of: fileId)' },
+    ]);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('ToolArgumentsError');
+    expect(error.toolName).toBe('get_media_file');
+    expect(error.errors).toHaveLength(2);
+    expect(error.message).toBe(
+      'Invalid arguments for get_media_file: fileId is required; ' +
+        'size is not a known argument (expected one of: fileId). Fix the arguments and call the tool again.'
+    );
+  });
+});
@@ -6,7 +6,7 @@
  * { type: 'function', function: { name, description, parameters } }
  */
 
-const { tools, getToolByName } = require('../src/tools');
+const { tools, getToolByName, isWriteTool } = require('../src/tools');
 
 describe('Fliplet Tool Definitions', () => {
   // -------------------------------------------------------
@@ -56,6 +56,12 @@ describe('Fliplet Tool Definitions', () => {
     });
   });
 
+  test('every tool should reject unknown top-level arguments', () => {
+    tools.forEach((tool) => {
+      expect(tool.function.parameters.additionalProperties).toBe(false);
+    });
+  });
+
   test('tool names should be unique (no duplicates)', () => {
     const names = tools.map((t) => t.function.name);
     const uniqueNames = new Set(names);
@@ -160,4 +166,59 @@ describe('Fliplet Tool Definitions', () => {
       expect(props.fileId.type).toBe('number');
     });
   });
+
+  describe('read_media_file', () => {
+    test('should exist, require fileId and cap maxExcerpts', () => {
+      const tool = getToolByName('read_media_file');
+      expect(tool.function.parameters.required).toEqual(['fileId']);
+      expect(tool.function.parameters.properties.maxExcerpts.maximum).toBe(10);
+    });
+  });
+
+  describe('get_media_tree and find_media_files', () => {
+    test('should take only optional arguments and cap depth and limit', () => {
+      const tree = getToolByName('get_media_tree').function.parameters;
+      const find = getToolByName('find_media_files').function.parameters;
+
+      expect(tree.required).toEqual([]);
+      expect(tree.properties.maxDepth.maximum).toBe(10);
+      expect(find.required).toEqual([]);
+      expect(find.properties.limit.maximum).toBe(100);
+      expect(Object.keys(find.properties)).toEqual(
+        expect.arrayContaining(['name', 'contentType', 'minSize', 'maxSize', 'modifiedAfter', 'modifiedBefore'])
+      );
+    });
+  });
+
+  describe('search_app_content', () => {
+    test('should exist, require a query and cap the limit', () => {
+      const tool = getToolByName('search_app_content');
+      expect(tool.function.parameters.required).toEqual(['query']);
+      expect(tool.function.parameters.properties.source.enum).toEqual(['all', 'entries', 'media']);
+      expect(tool.function.parameters.properties.limit.maximum).toBe(25);
+    });
+  });
+
+  describe('write tools', () => {
+    test.each([
+      ['insert_data_source_entry', ['dataSourceId', 'data']],
+      ['update_data_source_entry', ['dataSourceId', 'entryId', 'data']],
+      ['delete_data_source_entry', ['dataSourceId', 'entryId']],
+    ])('%s should exist and require %j', (name, required) => {
+      const tool = getToolByName(name);
+      expect(tool).toBeDefined();
+      expect(tool.function.parameters.required).toEqual(required);
+    });
+
+    test('should tell the AI that changes need user approval', () => {
+      const tool = getToolByName('update_data_source_entry');
+      expect(tool.function.description).toMatch(/NOT applied immediately/);
+    });
+
+    test('isWriteTool should classify only write tools as writes', () => {
+      expect(isWriteTool('delete_data_source_entry')).toBe(true);
+      expect(isWriteTool('get_data_source_entries')).toBe(false);
+      expect(isWriteTool('nonexistent_tool')).toBe(false);
+    });
+  });
 });